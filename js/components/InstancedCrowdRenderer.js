@@ -0,0 +1,141 @@
+// components/InstancedCrowdRenderer.js - Batched billboard renderer for NPC crowds following SRP
+import { params } from '../params.js';
+import { getTextureForMask } from '../factories/NPCFactory.js';
+
+export class InstancedCrowdRenderer {
+    constructor(scene, initialCapacity = 64) {
+        this.scene = scene;
+        this.initialCapacity = initialCapacity;
+        this.batches = new Map(); // maskType -> batch (one InstancedMesh per ideology texture)
+        this.textureLoader = new THREE.TextureLoader();
+        
+        // Scratch objects reused every frame
+        this.matrix = new THREE.Matrix4();
+        this.scale = new THREE.Vector3();
+        this.position = new THREE.Vector3();
+        this.white = new THREE.Color(1, 1, 1);
+    }
+
+    getBatch(maskType) {
+        let batch = this.batches.get(maskType);
+        if (batch) return batch;
+        
+        const baseSize = params.NPC_SIZE || 0.5;
+        batch = {
+            maskType: maskType,
+            geometry: new THREE.PlaneGeometry(1, 1),
+            material: null,
+            mesh: null,
+            capacity: 0,
+            count: 0,
+            width: baseSize,
+            height: baseSize
+        };
+        
+        // Keep the sprite's aspect ratio once the texture is known
+        const texture = this.textureLoader.load(getTextureForMask(maskType), (loadedTexture) => {
+            const image = loadedTexture.image;
+            if (!image || image.width === 0 || image.height === 0) return;
+            
+            const aspectRatio = image.width / image.height;
+            batch.width = aspectRatio > 1 ? baseSize : baseSize * aspectRatio;
+            batch.height = aspectRatio > 1 ? baseSize / aspectRatio : baseSize;
+        });
+        
+        batch.material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            alphaTest: 0.5,
+            side: THREE.DoubleSide
+        });
+        
+        this.allocate(batch, this.initialCapacity);
+        this.batches.set(maskType, batch);
+        return batch;
+    }
+
+    // (Re)create the batch mesh with room for at least `capacity` instances
+    allocate(batch, capacity) {
+        if (batch.mesh) {
+            this.scene.remove(batch.mesh);
+            batch.mesh.dispose();
+        }
+        
+        batch.capacity = capacity;
+        batch.mesh = new THREE.InstancedMesh(batch.geometry, batch.material, capacity);
+        batch.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        batch.mesh.castShadow = true;
+        batch.mesh.receiveShadow = true;
+        batch.mesh.frustumCulled = false; // Instances cover the whole planet
+        batch.mesh.count = 0;
+        
+        this.scene.add(batch.mesh);
+    }
+
+    // Rebucket every NPC by ideology and write its matrix and tint
+    update(npcs, cameraQuaternion, alpha = 1) {
+        for (const batch of this.batches.values()) {
+            batch.count = 0;
+        }
+        
+        // Make sure every batch can hold its NPCs before writing
+        const counts = new Map();
+        for (const npc of npcs) {
+            if (npc.visible === false || !npc.transform) continue;
+            counts.set(npc.maskType, (counts.get(npc.maskType) || 0) + 1);
+        }
+        for (const [maskType, count] of counts) {
+            const batch = this.getBatch(maskType);
+            if (count > batch.capacity) {
+                let capacity = batch.capacity;
+                while (capacity < count) capacity *= 2;
+                this.allocate(batch, capacity);
+            }
+        }
+        
+        for (const npc of npcs) {
+            if (npc.visible === false || !npc.transform) continue;
+            
+            const batch = this.batches.get(npc.maskType);
+            const renderScale = npc.renderScale || 1.0;
+            this.scale.set(batch.width * renderScale, batch.height * renderScale, 1);
+            npc.transform.getInterpolatedPosition(alpha, this.position);
+            this.matrix.compose(this.position, cameraQuaternion, this.scale);
+            
+            batch.mesh.setMatrixAt(batch.count, this.matrix);
+            batch.mesh.setColorAt(batch.count, npc.tint || this.white);
+            batch.count++;
+        }
+        
+        for (const batch of this.batches.values()) {
+            batch.mesh.count = batch.count;
+            batch.mesh.instanceMatrix.needsUpdate = true;
+            if (batch.mesh.instanceColor) {
+                batch.mesh.instanceColor.needsUpdate = true;
+            }
+        }
+    }
+
+    getStats() {
+        const stats = { drawCalls: 0, instances: 0, batches: {} };
+        for (const [maskType, batch] of this.batches) {
+            if (batch.count > 0) stats.drawCalls++;
+            stats.instances += batch.count;
+            stats.batches[maskType] = { count: batch.count, capacity: batch.capacity };
+        }
+        return stats;
+    }
+
+    dispose() {
+        for (const batch of this.batches.values()) {
+            this.scene.remove(batch.mesh);
+            batch.mesh.dispose();
+            batch.geometry.dispose();
+            if (batch.material.map) {
+                batch.material.map.dispose();
+            }
+            batch.material.dispose();
+        }
+        this.batches.clear();
+    }
+}
@@ -36,10 +36,10 @@ export class Renderer {
         }
     }
 
-    // Transform synchronization
-    updateTransform(transform) {
+    // Transform synchronization (alpha < 1 interpolates from the previous fixed step)
+    updateTransform(transform, alpha = 1) {
         if (this.mesh) {
-            this.mesh.position.copy(transform.position);
+            transform.getInterpolatedPosition(alpha, this.mesh.position);
             this.mesh.quaternion.copy(transform.rotation);
             this.mesh.scale.copy(transform.scale);
         }
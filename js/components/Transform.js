@@ -6,6 +6,9 @@ export class Transform {
         this.scale = new THREE.Vector3(1, 1, 1);
         this.velocity = new THREE.Vector3();
         this.acceleration = new THREE.Vector3();
+        
+        // Position at the previous fixed step, for render interpolation
+        this.previousPosition = this.position.clone();
     }
 
     // Position methods
@@ -17,6 +20,15 @@ export class Transform {
         this.position.add(offset);
     }
 
+    // Call at the start of each fixed step before moving, or after a teleport to skip interpolation
+    storePreviousState() {
+        this.previousPosition.copy(this.position);
+    }
+
+    getInterpolatedPosition(alpha, target = new THREE.Vector3()) {
+        return target.lerpVectors(this.previousPosition, this.position, alpha);
+    }
+
     // Rotation methods
     setRotation(quaternion) {
         this.rotation.copy(quaternion);
@@ -1,17 +1,30 @@
 // core/GameEngine.js - Game engine with separated responsibilities
 import { SceneManager } from './SceneManager.js';
+import { HeadlessSceneManager } from './HeadlessSceneManager.js';
 import { SystemManager } from './SystemManager.js';
 import { InputManager } from './InputManager.js';
+import { ScriptedInputManager } from './ScriptedInputManager.js';
 import { serviceContainer } from './ServiceContainer.js';
+import { eventManager } from './EventManager.js';
+import { randomService, RandomService } from './RandomService.js';
+import { GameEventTypes, EventPriorities } from '../interfaces/GameEvents.js';
 import { params } from '../params.js';
 
 export class GameEngine {
-    constructor() {
+    // options.headless: no canvas, WebGL, DOM or animation loop; drive the game with step()
+    // options.scriptedInput: ignore keyboard and touch, input comes from code (replays)
+    constructor(options = {}) {
+        this.headless = options.headless || false;
+        this.scriptedInput = options.scriptedInput || this.headless;
         this.sceneManager = null;
         this.systemManager = null;
         this.inputManager = null;
         this.isRunning = false;
         this.clock = new THREE.Clock();
+        this.accumulator = 0; // Unsimulated time carried to the next frame
+        this.timeScale = 1;   // Replay speed
+        this.simulationFrozen = false; // The run has ended: the world stands still while the ending plays
+        this.eventUnsubscribers = [];
         
         this.setupServices();
     }
@@ -19,9 +32,11 @@ export class GameEngine {
     setupServices() {
         // Register core services in the container
         serviceContainer.registerInstance('gameEngine', this);
-        serviceContainer.registerSingleton('sceneManager', SceneManager);
+        serviceContainer.registerInstance('eventManager', eventManager); // Shared instances survive shutdown()
+        serviceContainer.registerInstance('randomService', randomService);
+        serviceContainer.registerSingleton('sceneManager', this.headless ? HeadlessSceneManager : SceneManager);
         serviceContainer.registerSingleton('systemManager', SystemManager);
-        serviceContainer.registerSingleton('inputManager', InputManager);
+        serviceContainer.registerSingleton('inputManager', this.scriptedInput ? ScriptedInputManager : InputManager);
         
         // Resolve services
         this.sceneManager = serviceContainer.resolve('sceneManager');
@@ -36,17 +51,33 @@ export class GameEngine {
         await this.sceneManager.initialize();
         await this.inputManager.initialize();
         await this.systemManager.initialize(this.sceneManager);
+        this.subscribeToGameFlow();
         
         // Register game systems (will be done by main.js)
         await this.registerGameSystems();
         
         this.isRunning = true;
         
-        this.gameLoop();
+        if (!this.headless) {
+            this.gameLoop();
+        }
         
         console.log('🎮 Game Engine initialized');
     }
 
+    subscribeToGameFlow() {
+        const freeze = () => { this.simulationFrozen = true; };
+        this.eventUnsubscribers.push(
+            eventManager.subscribe(GameEventTypes.GAME_OVER, freeze, EventPriorities.CRITICAL),
+            eventManager.subscribe(GameEventTypes.GAME_WIN, freeze, EventPriorities.CRITICAL),
+            // A save may be loaded mid-run or after its ending
+            eventManager.subscribe(GameEventTypes.GAME_LOAD, (event) => {
+                const gameState = event.data.snapshot.getSystem('gameState');
+                this.simulationFrozen = Boolean(gameState && gameState.isGameOver);
+            }, EventPriorities.CRITICAL)
+        );
+    }
+
     async registerGameSystems() {
         // This method will be called by main.js to register all game systems
         // Keeping it here for extensibility
@@ -57,38 +88,82 @@ export class GameEngine {
         if (!this.isRunning) return;
         
         const rawDeltaTime = this.clock.getDelta();
-        // Cap deltaTime to prevent physics issues when page loses focus
-        const deltaTime = Math.min(rawDeltaTime, params.MAX_DELTA_TIME);
+        // Cap deltaTime to prevent a huge catch-up when page loses focus; the difficulty preset sets the game speed
+        const deltaTime = Math.min(rawDeltaTime, params.MAX_DELTA_TIME) * this.timeScale * params.GAME_SPEED_MULTIPLIER;
+        
+        this.step(deltaTime);
         
-        // Update all systems through system manager
-        this.systemManager.update(deltaTime);
+        // Render
+        this.sceneManager.render();
+        
+        // Continue loop
+        requestAnimationFrame(() => this.gameLoop());
+    }
+
+    // Advance one frame; called by gameLoop, or directly by headless runs
+    step(deltaTime) {
+        // Fixed-step simulation: same results at 30, 60 or 144 Hz
+        const alpha = this.stepSimulation(deltaTime);
+        
+        // Variable-rate update (rendering, interpolation, UI, effects)
+        this.systemManager.update(deltaTime, alpha);
         
         // Planet rotation disabled - no automatic rotation
         // this.sceneManager.updatePlanetRotation(deltaTime);
         
         // Update camera (could be moved to a camera system later)
         const playerSystem = this.systemManager.getSystem('player');
-        if (playerSystem && playerSystem.getPlayerPosition) {
-            this.sceneManager.updateCamera(playerSystem.getPlayerPosition());
+        if (playerSystem && playerSystem.getRenderPosition) {
+            this.sceneManager.updateCamera(playerSystem.getRenderPosition());
         }
         
         // Billboard NPCs
         const npcSystem = this.systemManager.getSystem('npc');
         const camera = this.sceneManager.camera;
         if (npcSystem && camera) {
-            const npcs = npcSystem.getNPCs();
-            for (const npc of npcs) {
-                if (npc.renderer && npc.renderer.mesh) {
-                    npc.renderer.mesh.quaternion.copy(camera.quaternion);
-                }
-            }
+            npcSystem.updateBillboards(camera);
         }
+    }
+
+    // Run as many fixed steps as the accumulated time allows, returns the interpolation alpha
+    stepSimulation(deltaTime) {
+        const stepSize = params.PHYSICS_STEP_SIZE;
+        this.accumulator += deltaTime;
         
-        // Render
-        this.sceneManager.render();
+        // Fast replays need proportionally more steps per frame to hold the speed shown
+        const maxSteps = params.MAX_FIXED_STEPS_PER_FRAME * Math.max(1, Math.ceil(this.timeScale));
         
-        // Continue loop
-        requestAnimationFrame(() => this.gameLoop());
+        let steps = 0;
+        // Stops early if a system pauses the engine (end of a replay) or the run ends
+        while (this.isRunning && !this.simulationFrozen && this.accumulator >= stepSize && steps < maxSteps) {
+            this.systemManager.fixedUpdate(stepSize);
+            this.accumulator -= stepSize;
+            steps++;
+        }
+        
+        // Frozen: draw the last simulated state, rendering and ending effects keep going
+        if (this.simulationFrozen) {
+            this.accumulator = 0;
+            return 1;
+        }
+        
+        // Machine too slow to keep up: drop the backlog instead of spiralling
+        if (this.accumulator >= stepSize) {
+            this.accumulator %= stepSize;
+        }
+        
+        return this.accumulator / stepSize;
+    }
+
+    // Run fixed steps right away, without rendering in between (replay seeking)
+    fastForward(ticks) {
+        for (let i = 0; i < ticks && !this.simulationFrozen; i++) {
+            this.systemManager.fixedUpdate(params.PHYSICS_STEP_SIZE);
+        }
+        
+        this.accumulator = 0;
+        this.step(0);
+        this.sceneManager.render(); // Show the new state even while paused
     }
 
     // System management helpers
@@ -159,10 +234,35 @@ export class GameEngine {
         }
     }
 
+    // New run in the same tab: reseed, then every system rebuilds its state on GAME_RESET.
+    // 'same' replays the current seed, 'new' draws a fresh one.
+    restartGame({ seedMode = 'same' } = {}) {
+        const seed = seedMode === 'new' ? RandomService.generateSeed() : randomService.getSeed();
+        randomService.setSeed(seed);
+        
+        this.accumulator = 0;
+        this.simulationFrozen = false;
+        this.sceneManager.resetCameraOrientation();
+        eventManager.publish(GameEventTypes.GAME_RESET, { seed, seedMode }, 'GameEngine');
+        
+        if (!this.headless) {
+            this.resume();
+        }
+        
+        console.log(`🔄 Game restarted with ${seedMode === 'new' ? 'a new' : 'the same'} seed: ${seed}`);
+        return seed;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
     shutdown() {
         console.log('🎮 Shutting down Game Engine...');
         
         this.isRunning = false;
+        this.eventUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.eventUnsubscribers = [];
         
         // Shutdown systems in reverse order
         this.systemManager.shutdown();
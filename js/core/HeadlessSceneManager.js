@@ -0,0 +1,33 @@
+// core/HeadlessSceneManager.js - Scene provider without canvas, WebGL or DOM, for simulations under Node
+import { SceneManager } from './SceneManager.js';
+import { serviceContainer } from './ServiceContainer.js';
+import { params } from '../params.js';
+
+export class HeadlessSceneManager extends SceneManager {
+    async initialize() {
+        // No scene: systems skip meshes, textures and DOM when getScene() returns null
+        this.scene = null;
+        this.planetRadius = this.getPlanetRadius();
+        
+        // The camera still drives camera-relative player movement
+        this.camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+        this.camera.position.set(0, params.CAMERA_DISTANCE, 0);
+        this.camera.lookAt(0, 0, 0);
+        this.camera.updateMatrixWorld();
+        
+        serviceContainer.registerInstance('camera', this.camera);
+        
+        console.log('🎬 Headless Scene Manager initialized');
+    }
+
+    updateCamera(playerPosition) {
+        super.updateCamera(playerPosition);
+        
+        // Normally refreshed by the WebGL render, which never happens here
+        this.camera.updateMatrixWorld();
+    }
+
+    render() {
+        // Nothing to draw
+    }
+}
@@ -0,0 +1,202 @@
+// core/IdeologyRegistry.js - Ideology definitions loaded from JSON following SRP
+// Names, colours, sprites, key bindings and relationships of every faction live in one data file
+// (params.IDEOLOGY_DATA_URL, public/data/ideologies.json by default): themed variants swap the file, not the code.
+// Mask types used everywhere else in the game are the ideology ids of that file; null is the neutral mask.
+import * as THREE from 'three';
+
+const STANCES = ['allied', 'neutral', 'hostile'];
+
+export class IdeologyRegistry {
+    constructor() {
+        this.ideologies = new Map(); // id -> definition
+        this.keys = new Map();       // key binding -> id
+        this.neutral = null;
+        this.source = null;
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load ideologies from ${url}: HTTP ${response.status}`);
+        }
+        
+        this.setData(await response.json(), url);
+    }
+
+    // Validates the whole file before replacing the current definitions
+    setData(data, source = 'inline') {
+        const { ideologies, keys } = IdeologyRegistry.parse(data, source);
+        
+        this.ideologies = ideologies;
+        this.keys = keys;
+        this.neutral = { name: 'Neutral', color: '#bcbcbc', background: '#000000', sprites: {}, ...data.neutral };
+        this.source = source;
+        
+        console.log(`🏳️ ${ideologies.size} ideologies loaded from ${source}`);
+    }
+
+    // Definitions and key bindings of an ideology file; throws a readable Error on the first problem
+    static parse(data, source = 'inline') {
+        if (!data || !Array.isArray(data.ideologies) || data.ideologies.length === 0) {
+            throw new Error(`Ideology data from ${source} has no ideologies`);
+        }
+        
+        const ideologies = new Map();
+        const keys = new Map();
+        for (const definition of data.ideologies) {
+            const { id, name, color, key, sprites } = definition;
+            if (!Number.isInteger(id) || id < 1) {
+                throw new Error(`Ideology id must be a positive integer, got ${JSON.stringify(id)}`);
+            }
+            if (ideologies.has(id)) {
+                throw new Error(`Duplicate ideology id ${id}`);
+            }
+            if (typeof name !== 'string' || typeof color !== 'string' || !sprites || !sprites.npc || !sprites.player) {
+                throw new Error(`Ideology ${id} needs a name, a color and npc and player sprites`);
+            }
+            
+            const binding = String(key ?? id).toLowerCase();
+            if (keys.has(binding)) {
+                throw new Error(`Ideologies ${keys.get(binding)} and ${id} are both bound to key '${binding}'`);
+            }
+            
+            keys.set(binding, id);
+            ideologies.set(id, {
+                ...definition,
+                key: binding,
+                background: definition.background || data.neutral?.background || '#000000',
+                relationships: definition.relationships || {}
+            });
+        }
+        
+        IdeologyRegistry.validateRelationships(ideologies);
+        return { ideologies, keys };
+    }
+
+    // Each pair may be described from either side, but both sides must then agree
+    static validateRelationships(ideologies) {
+        for (const [id, definition] of ideologies) {
+            for (const [otherKey, relationship] of Object.entries(definition.relationships)) {
+                const otherId = Number(otherKey);
+                if (!ideologies.has(otherId) || otherId === id) {
+                    throw new Error(`Ideology ${id} has a relationship with unknown ideology ${otherKey}`);
+                }
+                if (relationship.stance !== undefined && !STANCES.includes(relationship.stance)) {
+                    throw new Error(`Ideology ${id} has an unknown stance '${relationship.stance}' towards ${otherId}`);
+                }
+                if (relationship.affinity !== undefined && !(Math.abs(relationship.affinity) <= 1)) {
+                    throw new Error(`Ideology ${id} has an affinity outside -1..1 towards ${otherId}`);
+                }
+                
+                const mirror = ideologies.get(otherId).relationships?.[id];
+                if (mirror && (mirror.stance !== relationship.stance || mirror.affinity !== relationship.affinity)) {
+                    throw new Error(`Ideologies ${id} and ${otherId} describe their relationship differently`);
+                }
+            }
+            
+            if (definition.opposite !== undefined && (!ideologies.has(definition.opposite) || definition.opposite === id)) {
+                throw new Error(`Ideology ${id} has an unknown opposite ${definition.opposite}`);
+            }
+        }
+    }
+
+    isLoaded() {
+        return this.ideologies.size > 0;
+    }
+
+    get(id) {
+        const definition = this.ideologies.get(id);
+        if (!definition) {
+            throw new Error(`Unknown ideology '${id}'`);
+        }
+        return definition;
+    }
+
+    has(id) {
+        return this.ideologies.has(id);
+    }
+
+    getIds() {
+        return Array.from(this.ideologies.keys()).sort((a, b) => a - b);
+    }
+
+    getCount() {
+        return this.ideologies.size;
+    }
+
+    getKeys() {
+        return Array.from(this.keys.keys());
+    }
+
+    // Ideology bound to a keyboard key, or null
+    getByKey(key) {
+        return this.keys.get(String(key).toLowerCase()) ?? null;
+    }
+
+    // Lookups by mask type: null (or an id that is not loaded) gets the neutral look
+    getDefinition(maskType) {
+        return this.ideologies.get(maskType) || this.neutral;
+    }
+
+    getName(maskType) {
+        return this.getDefinition(maskType).name;
+    }
+
+    // CSS colour as written in the file
+    getCSSColor(maskType) {
+        return this.getDefinition(maskType).color;
+    }
+
+    getColor(maskType) {
+        return new THREE.Color(this.getCSSColor(maskType));
+    }
+
+    // Scene background while the mask is worn, as a hex number
+    getBackgroundColor(maskType) {
+        return parseInt(this.getDefinition(maskType).background.replace('#', ''), 16);
+    }
+
+    getNpcSprite(maskType) {
+        const sprites = this.getDefinition(maskType).sprites;
+        return sprites.npc || sprites.player;
+    }
+
+    getPlayerSprite(maskType) {
+        const sprites = this.getDefinition(maskType).sprites;
+        return sprites.player || sprites.npc;
+    }
+
+    // Ideology a converted NPC flips to: the declared opposite, else the least friendly one
+    getOpposite(id) {
+        const definition = this.get(id);
+        if (definition.opposite !== undefined) return definition.opposite;
+        
+        const others = this.getIds().filter(other => other !== id);
+        if (others.length === 0) return id;
+        return others.reduce((worst, other) => this.getAffinity(id, other) < this.getAffinity(id, worst) ? other : worst);
+    }
+
+    getRelationshipData(a, b) {
+        return this.get(a).relationships[b] || this.get(b).relationships[a] || {};
+    }
+
+    // 'allied', 'neutral' or 'hostile'
+    getRelationship(a, b) {
+        if (a === b) return 'allied';
+        return this.getRelationshipData(a, b).stance || 'neutral';
+    }
+
+    // -1 (sworn enemies) to 1 (same ideology)
+    getAffinity(a, b) {
+        if (a === b) return 1;
+        return this.getRelationshipData(a, b).affinity ?? 0;
+    }
+
+    // Data file chosen on the page URL (?ideologies=...), falling back to the default one
+    static dataURLFromPage(defaultURL, search = typeof window !== 'undefined' && window.location ? window.location.search : '') {
+        return new URLSearchParams(search).get('ideologies') || defaultURL;
+    }
+}
+
+// Global ideology registry instance, filled before the game systems initialize
+export const ideologyRegistry = new IdeologyRegistry();
@@ -11,6 +11,8 @@
 // inputManager.setAutoFullscreen(true);  // Enable automatic fullscreen
 // inputManager.toggleFullscreen();       // Manual fullscreen toggle
 //
+import { ideologyRegistry } from './IdeologyRegistry.js';
+
 export class InputManager {
     constructor() {
         this.keys = new Map();
@@ -699,7 +701,8 @@ export class InputManager {
         const gameKeys = [
             'z', 'q', 's', 'd', 'w', 'a', // Movement
             'arrowup', 'arrowdown', 'arrowleft', 'arrowright', // Arrow keys
-            '1', '2', '3', '4', '5', '6', '7', // Masks
+            ...ideologyRegistry.getKeys(), // Masks
+            'f5', 'f9', // Quick-save / quick-load (F5 would reload the page)
             'escape', ' ', 'shift', 'control', 'alt' // Special keys
         ];
         return gameKeys.includes(key);
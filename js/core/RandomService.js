@@ -0,0 +1,118 @@
+// core/RandomService.js - Seedable random number service following SRP
+// Every gameplay system draws from its own named stream, so adding a roll in one
+// system (e.g. the social feed) never shifts the sequence seen by another (e.g. NPCs).
+
+// 32-bit string hash (FNV-1a) used to derive stream seeds
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export class RandomStream {
+    constructor(name, state) {
+        this.name = name;
+        this.state = state >>> 0;
+    }
+
+    // Mulberry32: float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // True with the given probability
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+export class RandomService {
+    constructor(seed = RandomService.generateSeed()) {
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+
+    static generateSeed() {
+        // The only unseeded roll in the game: picks the seed itself
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    // Accepts numbers or strings (e.g. "?seed=bug-42"); reseeds every existing stream
+    setSeed(seed) {
+        this.seed = seed;
+        this.seedHash = hashString(String(seed));
+        
+        for (const stream of this.streams.values()) {
+            stream.state = this.getInitialState(stream.name);
+        }
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    getInitialState(name) {
+        return hashString(`${this.seedHash}:${name}`);
+    }
+
+    // Named streams are created on first use and keep their identity across reseeds
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new RandomStream(name, this.getInitialState(name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    // Serializable state, for saves and replays
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.state;
+        }
+        return { seed: this.seed, streams: streams };
+    }
+
+    setState(state) {
+        if (!state) return;
+        
+        this.setSeed(state.seed);
+        for (const [name, value] of Object.entries(state.streams || {})) {
+            this.stream(name).state = value >>> 0;
+        }
+    }
+
+    // Seed from the page URL (?seed=...), falling back to a fresh random seed
+    static seedFromURL(search = typeof window !== 'undefined' && window.location ? window.location.search : '') {
+        const value = new URLSearchParams(search).get('seed');
+        if (value === null || value === '') return RandomService.generateSeed();
+        
+        return /^\d+$/.test(value) ? Number(value) : value;
+    }
+}
+
+// Global random service instance
+export const randomService = new RandomService();
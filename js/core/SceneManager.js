@@ -1,6 +1,7 @@
 // core/SceneManager.js - Scene and rendering management following SRP
 import { params } from '../params.js';
 import { serviceContainer } from './ServiceContainer.js';
+import { ideologyRegistry } from './IdeologyRegistry.js';
 
 // Import standard Three.js - will use custom shaders for WebGPU Earth effect compatibility
 import * as THREE from 'three';
@@ -14,6 +15,7 @@ export class SceneManager {
         this.planet = null;
         this.innerPlanet = null;
         this.planetRadius = 0;
+        this.cameraZoom = 1; // Multiplies CAMERA_DISTANCE, ending sequences move it
         
         // HUD system for helpers (like drei HUD)
         this.hudScene = null;
@@ -39,7 +41,7 @@ export class SceneManager {
         // Create scene
         this.scene = new THREE.Scene();
         // Initialize with neutral mask background color
-        this.scene.background = new THREE.Color(params.MASK_BACKGROUND_COLORS[null]);
+        this.scene.background = new THREE.Color(ideologyRegistry.getBackgroundColor(null));
 
         // Create camera - adapted for game with better FOV and distance
         this.camera = new THREE.PerspectiveCamera(
@@ -73,7 +75,7 @@ export class SceneManager {
         this.initializeGUI();
 
         console.log('🎬 Scene Manager initialized');
-        console.log('🎨 Background color initialized for neutral mask:', params.MASK_BACKGROUND_COLORS[null].toString(16));
+        console.log('🎨 Background color initialized for neutral mask:', ideologyRegistry.getBackgroundColor(null).toString(16));
     }
 
     createLights() {
@@ -442,7 +444,7 @@ export class SceneManager {
         if (playerPosition) {
             // Calculate camera position relative to player
             const playerNormal = playerPosition.clone().normalize();
-            const cameraOffset = playerNormal.clone().multiplyScalar(params.CAMERA_DISTANCE);
+            const cameraOffset = playerNormal.clone().multiplyScalar(params.CAMERA_DISTANCE * this.cameraZoom);
             const cameraPosition = playerPosition.clone().add(cameraOffset);
             
             // Apply camera shake if available
@@ -462,6 +464,11 @@ export class SceneManager {
         }
     }
 
+    // Forget the transported "up" (new run), or align it with the player's movement frame (loaded save)
+    resetCameraOrientation(up = null) {
+        this.lastCameraUp = up ? up.clone() : null;
+    }
+
     updateCameraOrientation(playerPosition) {
         // Store previous camera up vector to maintain continuity
         if (!this.lastCameraUp) {
@@ -627,35 +634,25 @@ export class SceneManager {
 
     // Set background color based on player mask
     setBackgroundFromMask(maskType) {
-        const color = params.MASK_BACKGROUND_COLORS[maskType];
-        if (color !== undefined) {
-            this.setBackgroundColor(color);
-            const maskName = this.getMaskName(maskType);
-            console.log(`🎭 Background color changed to match ${maskName} mask (${color.toString(16)})`);
-        } else {
-            console.warn(`🎭 Background color for mask "${maskType}" not found. Available masks:`, Object.keys(params.MASK_BACKGROUND_COLORS));
+        if (maskType !== null && !ideologyRegistry.has(maskType)) {
+            console.warn(`🎭 Background color for mask "${maskType}" not found. Available masks:`, ideologyRegistry.getIds());
+            return;
         }
+        
+        const color = ideologyRegistry.getBackgroundColor(maskType);
+        this.setBackgroundColor(color);
+        console.log(`🎭 Background color changed to match ${this.getMaskName(maskType)} mask (${color.toString(16)})`);
     }
 
     // Get mask name for logging
     getMaskName(maskType) {
-        const maskNames = {
-            null: 'Neutral',
-            1: 'Conservative',
-            2: 'Social Justice',
-            3: 'Libertarian',
-            4: 'Nationalist',
-            5: 'Culture',
-            6: 'Religious',
-            7: 'Antisystem'
-        };
-        return maskNames[maskType] || 'Unknown';
+        return ideologyRegistry.getName(maskType);
     }
 
     // Test all mask background colors (for debugging)
     testAllMaskColors() {
         console.log('🎨 Testing all mask background colors:');
-        const masks = [null, 1, 2, 3, 4, 5, 6, 7];
+        const masks = [null, ...ideologyRegistry.getIds()];
         let currentIndex = 0;
         
         const testNext = () => {
@@ -0,0 +1,97 @@
+// core/ScriptedInputManager.js - Programmatic input source with the InputManager interface
+// Used by headless simulations: a player policy sets the movement vector and presses keys.
+export class ScriptedInputManager {
+    constructor() {
+        this.keys = new Map();
+        this.inputListeners = new Map();
+        this.movement = { x: 0, y: 0 };
+    }
+
+    async initialize() {
+        console.log('🎮 Scripted Input Manager initialized');
+    }
+
+    // Same listener contract as InputManager
+    addEventListener(eventType, callback, priority = 100) {
+        if (!this.inputListeners.has(eventType)) {
+            this.inputListeners.set(eventType, []);
+        }
+        
+        const listeners = this.inputListeners.get(eventType);
+        listeners.push({ callback, priority });
+        listeners.sort((a, b) => a.priority - b.priority);
+    }
+
+    removeEventListener(eventType, callback) {
+        if (this.inputListeners.has(eventType)) {
+            const listeners = this.inputListeners.get(eventType);
+            const index = listeners.findIndex(listener => listener.callback === callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    notifyListeners(eventType, eventData) {
+        if (!this.inputListeners.has(eventType)) return;
+        
+        for (const listener of this.inputListeners.get(eventType)) {
+            try {
+                if (listener.callback(eventData) === true) {
+                    break;
+                }
+            } catch (error) {
+                console.error(`❌ Error in input listener for ${eventType}:`, error);
+            }
+        }
+    }
+
+    // Scripted controls
+    setMovement(x, y) {
+        this.movement.x = Math.max(-1, Math.min(1, x));
+        this.movement.y = Math.max(-1, Math.min(1, y));
+    }
+
+    pressKey(key) {
+        key = key.toLowerCase();
+        this.keys.set(key, true);
+        this.notifyListeners('keydown', { key, originalEvent: null });
+    }
+
+    releaseKey(key) {
+        key = key.toLowerCase();
+        this.keys.set(key, false);
+        this.notifyListeners('keyup', { key, originalEvent: null });
+    }
+
+    // Queries used by the systems
+    isKeyPressed(key) {
+        return this.keys.get(key.toLowerCase()) || false;
+    }
+
+    getMovementVector() {
+        return { x: this.movement.x, y: this.movement.y };
+    }
+
+    isTouchActive() {
+        return false;
+    }
+
+    getTouchMovement() {
+        return { x: 0, y: 0 };
+    }
+
+    isMobileDevice() {
+        return false;
+    }
+
+    clearInputStates() {
+        this.keys.clear();
+        this.movement = { x: 0, y: 0 };
+    }
+
+    shutdown() {
+        this.clearInputStates();
+        this.inputListeners.clear();
+    }
+}
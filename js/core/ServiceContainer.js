@@ -1,5 +1,6 @@
 // core/ServiceContainer.js - Dependency injection container following DIP
 import { eventManager } from './EventManager.js';
+import { randomService } from './RandomService.js';
 
 export class ServiceContainer {
     constructor() {
@@ -196,4 +197,7 @@ export class ServiceContainer {
 export const serviceContainer = new ServiceContainer();
 
 // Register the event manager as a singleton
-serviceContainer.registerInstance('eventManager', eventManager); 
\ No newline at end of file
+serviceContainer.registerInstance('eventManager', eventManager);
+
+// Register the seeded random number service
+serviceContainer.registerInstance('randomService', randomService);
@@ -1,11 +1,14 @@
 // core/SystemManager.js - System coordination following SRP
 import { IGameSystem } from '../interfaces/IGameSystem.js';
+import { eventManager } from './EventManager.js';
+import { GameEventTypes, EventPriorities } from '../interfaces/GameEvents.js';
 
 export class SystemManager {
     constructor() {
         this.systems = new Map();
         this.systemOrder = [];
         this.sceneManager = null;
+        this.unsubscribeReset = null;
     }
 
     async initialize(sceneManager) {
@@ -24,6 +27,13 @@ export class SystemManager {
             }
         }
 
+        // Systems reset in priority order, ahead of any other GAME_RESET listener
+        this.unsubscribeReset = eventManager.subscribe(
+            GameEventTypes.GAME_RESET,
+            (event) => this.resetSystems(event.data),
+            EventPriorities.CRITICAL
+        );
+
         console.log('🔧 System Manager initialized');
     }
 
@@ -88,13 +98,27 @@ export class SystemManager {
         }
     }
 
-    // Update all systems
-    update(deltaTime) {
+    // Advance the simulation of all systems by one fixed step
+    fixedUpdate(fixedDeltaTime) {
+        for (const systemName of this.systemOrder) {
+            const system = this.systems.get(systemName);
+            if (system && system.enabled) {
+                try {
+                    system.fixedUpdate(fixedDeltaTime);
+                } catch (error) {
+                    console.error(`❌ Error in fixed update of ${systemName}:`, error);
+                }
+            }
+        }
+    }
+
+    // Update all systems once per rendered frame
+    update(deltaTime, alpha = 1) {
         for (const systemName of this.systemOrder) {
             const system = this.systems.get(systemName);
             if (system && system.enabled) {
                 try {
-                    system.update(deltaTime);
+                    system.update(deltaTime, alpha);
                 } catch (error) {
                     console.error(`❌ Error updating ${systemName}:`, error);
                 }
@@ -102,6 +126,20 @@ export class SystemManager {
         }
     }
 
+    // Start a new run in every system
+    resetSystems(resetData) {
+        for (const systemName of this.systemOrder) {
+            const system = this.systems.get(systemName);
+            if (system && system.enabled) {
+                try {
+                    system.onGameReset(resetData);
+                } catch (error) {
+                    console.error(`❌ Error resetting ${systemName}:`, error);
+                }
+            }
+        }
+    }
+
     // Notify all systems of game state changes
     notifyGameStateChange(newState) {
         for (const system of this.systems.values()) {
@@ -158,6 +196,11 @@ export class SystemManager {
     shutdown() {
         console.log('🔧 Shutting down System Manager...');
         
+        if (this.unsubscribeReset) {
+            this.unsubscribeReset();
+            this.unsubscribeReset = null;
+        }
+        
         // Shutdown in reverse order
         for (let i = this.systemOrder.length - 1; i >= 0; i--) {
             const systemName = this.systemOrder[i];
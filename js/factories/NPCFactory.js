@@ -3,10 +3,13 @@ import * as THREE from 'three';
 import { Transform } from '../components/Transform.js';
 import { Renderer } from '../components/Renderer.js';
 import { params } from '../params.js';
+import { randomService } from '../core/RandomService.js';
+import { ideologyRegistry } from '../core/IdeologyRegistry.js';
 
 // Base NPC types registry
 const npcTypes = new Map();
 const textureLoader = new THREE.TextureLoader();
+const random = randomService.stream('spawn');
 
 // Register NPC type
 export function registerNPCType(typeName, createFunction) {
@@ -24,16 +27,7 @@ export function createNPC(type, config) {
 
 // Texture helper - maps mask types to corresponding group textures
 function getTextureForMask(maskId) {
-    const textures = {
-        1: 'textures/sprites/group_conservative.png',    // Conservatives
-        2: 'textures/sprites/group_sjw.png',            // Social Justice
-        3: 'textures/sprites/group_libertarian.png',    // Libertarians
-        4: 'textures/sprites/group_nationalist.png',    // Nationalists
-        5: 'textures/sprites/group_culture.png',        // Culture
-        6: 'textures/sprites/group_religious.png',      // Religious
-        7: 'textures/sprites/group_antisystem.png'      // Antisystem
-    };
-    return textures[maskId] || 'textures/sprites/group_neutre.png'; // Fallback to neutral
+    return ideologyRegistry.getNpcSprite(maskId);
 }
 
 // Generic NPC creator function compatible with NPCSystem
@@ -44,15 +38,16 @@ function createBasicNPC(config) {
         scene = null,
         color = new THREE.Color(0.5, 0.5, 0.5),
         groupSpawnCenter = null,
-        groupSpawnRadius = 3
+        groupSpawnRadius = 3,
+        id = null                   // Only set when restoring a saved NPC
     } = config;
 
     let position;
     
     if (groupSpawnCenter) {
         // Generate position around group spawn center
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * groupSpawnRadius;
+        const angle = random.range(0, Math.PI * 2);
+        const distance = random.range(0, groupSpawnRadius);
         
         // Create random offset from group center
         const offsetX = Math.cos(angle) * distance;
@@ -71,8 +66,8 @@ function createBasicNPC(config) {
         position.normalize().multiplyScalar(planetRadius + params.PLANET_SURFACE_OFFSET);
     } else {
         // Fallback to random position on planet surface
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
+        const theta = random.range(0, Math.PI * 2);
+        const phi = Math.acos(random.range(-1, 1));
         const radius = planetRadius + params.PLANET_SURFACE_OFFSET;
         
         position = new THREE.Vector3(
@@ -84,37 +79,46 @@ function createBasicNPC(config) {
 
     const npc = {
         // Identity
-        id: `npc_${maskType}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: id || `npc_${maskType}_${random.int(0, 0xffffffff).toString(36)}`,
         maskType: maskType,
         
         // Components
         transform: new Transform(),
         renderer: null,
+        visible: true,              // Drawn this frame (see NPCSystem.updateNPCVisibility)
         
         // Physics
         velocity: new THREE.Vector3(),
         targetPosition: null,
         
-        // Behavior state
+        // Behavior state (see NPCSystem.chooseNPCState)
         state: 'IDLE',
         stateTimer: 0,
-        minStateDuration: (params.NPC_MIN_STATE_DURATION || 2) + Math.random() * 2,
+        stateReason: null,
+        stateTarget: null,          // Point the current state steers towards or away from
+        minStateDuration: (params.NPC_MIN_STATE_DURATION || 2) + random.range(0, 2),
         
         // Personality
         personality: {
-            curiosity: Math.random(),
-            energy: 0.5 + Math.random() * 0.5,
-            aggressiveness: Math.random(),
-            sociability: Math.random()
+            curiosity: random.next(),
+            energy: random.range(0.5, 1),
+            aggressiveness: random.next(),
+            sociability: random.next()
         },
         
         // Group behavior
-        groupInfluence: 0.5 + Math.random() * 0.5,
-        lastGroupCheck: 0
+        groupInfluence: random.range(0.5, 1),
+        lastGroupCheck: 0,
+        
+        // Opinion dynamics
+        polarisation: 0,
+        isPolarised: false,
+        isRadicalised: false
     };
 
     // Set initial position
     npc.transform.setPosition(position.x, position.y, position.z);
+    npc.transform.storePreviousState();
 
     // Create renderer immediately
     if (scene) {
@@ -155,14 +159,8 @@ function createBasicNPC(config) {
 function createAdvancedNPC(config) {
     const npc = createBasicNPC(config);
     
-    // Add advanced behavior properties
-    npc.decisionTree = {
-        currentGoal: 'wander',
-        goalPriority: 1.0,
-        memory: [],
-        relationships: new Map()
-    };
-    
+    // Add advanced behavior properties. Advanced NPCs carry no decision tree of their own:
+    // NPCSystem.chooseNPCState picks every NPC's state from what is around it
     npc.communication = {
         canSpeak: true,
         lastSpeech: 0,
@@ -179,12 +177,15 @@ function createLeaderNPC(config) {
     // Leader properties
     npc.isLeader = true;
     npc.leadership = {
-        influence: 0.8 + Math.random() * 0.2,
+        influence: random.range(0.8, 1),
         followers: [],
-        maxFollowers: 3 + Math.floor(Math.random() * 3)
+        maxFollowers: random.int(3, 5),
+        destination: null,      // Where the leader is taking its followers (see NPCSystem)
+        destinationTimer: 0
     };
     
     // Leaders are slightly larger
+    npc.renderScale = 1.2;
     if (npc.renderer && npc.renderer.mesh) {
         npc.renderer.mesh.scale.setScalar(1.2);
     }
@@ -199,13 +200,29 @@ function createFollowerNPC(config) {
     npc.isFollower = true;
     npc.following = {
         leader: null,
-        loyalty: 0.6 + Math.random() * 0.4,
-        followDistance: 1 + Math.random() * 2
+        loyalty: random.range(0.6, 1),
+        followDistance: random.range(1, 3)
     };
     
     return npc;
 }
 
+// Swap an NPC's sprite when its ideology changes
+function applyMaskAppearance(npc, maskType) {
+    if (!npc.renderer || !npc.renderer.mesh) return;
+    
+    const material = npc.renderer.mesh.material;
+    const texture = textureLoader.load(getTextureForMask(maskType), () => {
+        updateNPCGeometry(npc);
+    });
+    
+    if (material.map) {
+        material.map.dispose();
+    }
+    material.map = texture;
+    material.needsUpdate = true;
+}
+
 // Helper function to update NPC geometry to preserve texture aspect ratio
 function updateNPCGeometry(npc) {
     if (!npc.renderer || !npc.renderer.mesh) return;
@@ -247,16 +264,7 @@ function updateNPCGeometry(npc) {
 
 // Color helper
 function getColorForMask(maskId) {
-    const colors = {
-        1: new THREE.Color(0.2, 0.4, 0.8),    // Blue - Conservatives
-        2: new THREE.Color(0.8, 0.2, 0.2),    // Red - Social Justice
-        3: new THREE.Color(1.0, 0.6, 0.2),    // Orange - Libertarians
-        4: new THREE.Color(0.2, 0.6, 0.2),    // Green - Nationalists
-        5: new THREE.Color(0.6, 0.2, 0.8),    // Purple - Culture
-        6: new THREE.Color(0.6, 0.3, 0.1),    // Brown - Religious
-        7: new THREE.Color(1.0, 0.4, 0.8)     // Pink - Antisystem
-    };
-    return colors[maskId] || new THREE.Color(0.5, 0.5, 0.5);
+    return ideologyRegistry.getColor(maskId);
 }
 
 // NPCFactory class for object-oriented usage
@@ -301,6 +309,7 @@ export class NPCFactory {
             if (npc.renderer) {
                 npc.renderer.dispose();
             }
+            npc.visible = false;
             this.npcRegistry.delete(id);
             return true;
         }
@@ -322,10 +331,11 @@ function createPoliceNPC(config) {
     
     // Police properties
     npc.isPolice = true;
+    npc.unitType = 'police';
     npc.maskType = 'police'; // Special mask type for police
     npc.speedMultiplier = params.POLICE_SPEED_MULTIPLIER || 1.3; // Store the multiplier, not the final speed
     npc.detectionRadius = params.POLICE_CATCH_DISTANCE || 2;
-    npc.damageRate = 10; // Damage per second when near player
+    npc.captureStrength = 1; // Share of the capture meter filled, relative to POLICE_CAPTURE_TIME
     npc.pursuitTarget = null;
     npc.state = 'PURSUING';
     
@@ -353,6 +363,56 @@ function createPoliceNPC(config) {
     return npc;
 }
 
+// Police units unlocked by higher heat tiers share the officer's sprite, told apart by tint and size
+function tintPoliceUnit(npc, color, scale) {
+    if (npc.renderer && npc.renderer.mesh) {
+        npc.renderer.mesh.material.color.set(color);
+        npc.renderer.mesh.scale.setScalar(scale);
+    }
+}
+
+// Drone: flies over crowds, so NPCs never block it
+function createPoliceDroneNPC(config) {
+    const npc = createPoliceNPC(config);
+    
+    npc.unitType = 'police_drone';
+    npc.speedMultiplier = params.POLICE_DRONE_SPEED_MULTIPLIER;
+    npc.isAirborne = true;
+    npc.altitude = params.POLICE_DRONE_ALTITUDE;
+    npc.captureStrength = 0.5;
+    
+    tintPoliceUnit(npc, 0x66ccff, 0.9);
+    return npc;
+}
+
+// Riot squad: slow, but shoves crowds apart around it instead of being pushed back
+function createRiotSquadNPC(config) {
+    const npc = createPoliceNPC(config);
+    
+    npc.unitType = 'riot_squad';
+    npc.speedMultiplier = params.POLICE_RIOT_SPEED_MULTIPLIER;
+    npc.pushRadius = params.POLICE_RIOT_PUSH_RADIUS;
+    npc.crowdPushRatio = params.POLICE_RIOT_PUSH_RATIO;
+    npc.pushbackRatio = 0;
+    npc.captureStrength = 1.5;
+    
+    tintPoliceUnit(npc, 0x777788, 1.5);
+    return npc;
+}
+
+// Negotiator: keeps its distance and drains energy from there, but never makes the arrest itself
+function createNegotiatorNPC(config) {
+    const npc = createPoliceNPC(config);
+    
+    npc.unitType = 'negotiator';
+    npc.detectionRadius = params.POLICE_NEGOTIATOR_RANGE;
+    npc.captureStrength = 0;
+    npc.energyDrainRate = params.POLICE_NEGOTIATOR_DRAIN_RATE;
+    
+    tintPoliceUnit(npc, 0xffe08a, 1.1);
+    return npc;
+}
+
 // Register default NPC types
 registerNPCType('basic', createBasicNPC);
 registerNPCType('generic', createBasicNPC);
@@ -361,6 +421,9 @@ registerNPCType('advanced', createAdvancedNPC);
 registerNPCType('leader', createLeaderNPC);
 registerNPCType('follower', createFollowerNPC);
 registerNPCType('police', createPoliceNPC);
+registerNPCType('police_drone', createPoliceDroneNPC);
+registerNPCType('riot_squad', createRiotSquadNPC);
+registerNPCType('negotiator', createNegotiatorNPC);
 
 // Export for easy extension
-export { createBasicNPC, createAdvancedNPC, createPoliceNPC, getColorForMask, getTextureForMask }; 
\ No newline at end of file
+export { createBasicNPC, createAdvancedNPC, createPoliceNPC, createPoliceDroneNPC, createRiotSquadNPC, createNegotiatorNPC, getColorForMask, getTextureForMask, applyMaskAppearance }; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 // gameState.js - Global game state management
 import { params } from './params.js';
+import { ideologyRegistry } from './core/IdeologyRegistry.js';
 
 // Game state object
 export const gameState = {
@@ -115,29 +116,15 @@ function updateWinConditionTimers(deltaTime) {
     }
 }
 
-// Mask type names for UI
-export const MASK_NAMES = {
-    null: 'Neutral',
-    1: 'Conservatives',
-    2: 'Social Justice',
-    3: 'Libertarians',
-    4: 'Nationalists',
-    5: 'Culture',
-    6: 'Religious',
-    7: 'Antisystem'
-};
+// Mask type names for UI (from the ideology registry)
+export function getMaskName(maskType) {
+    return ideologyRegistry.getName(maskType);
+}
 
-// Group colors for visual feedback (color values for Three.js)
-export const GROUP_COLORS = {
-    null: { r: 0.5, g: 0.5, b: 0.5 }, // Grey
-    1: { r: 0.2, g: 0.4, b: 0.8 },    // Blue - Conservatives
-    2: { r: 0.8, g: 0.2, b: 0.2 },    // Red - Social Justice
-    3: { r: 1.0, g: 0.6, b: 0.2 },    // Orange - Libertarians
-    4: { r: 0.2, g: 0.6, b: 0.2 },    // Green - Nationalists
-    5: { r: 0.6, g: 0.2, b: 0.8 },    // Mauve - Culture
-    6: { r: 0.6, g: 0.3, b: 0.1 },    // Marron - Religious
-    7: { r: 1.0, g: 0.4, b: 0.8 }     // Rose - Antisystem
-};
+// Group colors for visual feedback (THREE.Color, from the ideology registry)
+export function getGroupColor(maskType) {
+    return ideologyRegistry.getColor(maskType);
+}
 
 // Helper function to create THREE.Color from color object
 export function createThreeColor(colorObj) {
@@ -10,6 +10,9 @@ export const GameEventTypes = {
     PLAYER_ENERGY_CHANGE: 'player.energy.change',
     PLAYER_TELEPORT: 'player.teleport',
     PLAYER_INTERACTION: 'player.interaction',
+    PLAYER_MASK_COOLDOWN_START: 'player.mask.cooldown.start',
+    PLAYER_MASK_COOLDOWN_END: 'player.mask.cooldown.end',
+    PLAYER_MASK_UNLOCK: 'player.mask.unlock',
 
     // Game state events
     GAME_STATE_CHANGE: 'gameState.change',
@@ -18,7 +21,11 @@ export const GameEventTypes = {
     GAME_TIMER_UPDATE: 'gameState.timer.update',
     GAME_OVER: 'gameState.gameOver',
     GAME_WIN: 'gameState.win',
+    GAME_ENDING_COMPLETE: 'gameState.ending.complete',
     GAME_RESET: 'gameState.reset',
+    GAME_SAVE: 'gameState.save',
+    GAME_LOAD: 'gameState.load',
+    DIFFICULTY_TIER_CHANGE: 'gameState.difficulty.tier',
 
     // NPC events
     NPC_SPAWN: 'npc.spawn',
@@ -26,12 +33,35 @@ export const GameEventTypes = {
     NPC_STATE_CHANGE: 'npc.state.change',
     NPC_INTERACTION: 'npc.interaction',
     NPC_FLOCKING_UPDATE: 'npc.flocking.update',
+    NPC_POLARISED: 'npc.polarised',
+    NPC_CONVERTED: 'npc.converted',
+    NPC_RADICALISED: 'npc.radicalised',
+    NPC_MASS_POLARISATION: 'npc.massPolarisation',
+    NPC_CLASH_START: 'npc.clash.start',
+    NPC_CLASH_END: 'npc.clash.end',
+
+    // Crowd events
+    CROWD_BELONGING_START: 'crowd.belonging.start',
+    CROWD_BELONGING_END: 'crowd.belonging.end',
+    CROWD_KICKOUT_WARNING: 'crowd.kickout.warning',
+    CROWD_KICKOUT: 'crowd.kickout',
+
+    // Pickup events
+    MASK_PICKUP_SPAWN: 'pickup.spawn',
+    MASK_PICKUP_COLLECT: 'pickup.collect',
+
+    // Social feed events
+    SOCIAL_FEED_POST: 'feed.post',
+    SOCIAL_FEED_FLOOD_START: 'feed.flood.start',
+    SOCIAL_FEED_FLOOD_END: 'feed.flood.end',
 
     // Police events
     POLICE_ACTIVATE: 'police.activate',
     POLICE_DEACTIVATE: 'police.deactivate',
     POLICE_PURSUIT: 'police.pursuit',
     POLICE_CATCH_PLAYER: 'police.catch',
+    POLICE_CLOSE_CALL: 'police.capture.closeCall',
+    POLICE_HEAT_CHANGE: 'police.heat.change',
 
     // UI events
     UI_BUTTON_CLICK: 'ui.button.click',
@@ -69,10 +99,12 @@ export class PlayerMoveEventData {
 }
 
 export class PlayerMaskChangeEventData {
-    constructor(oldMask, newMask, energyCost) {
+    // reason: 'input' (keyboard or HUD), 'kickout', 'energy' or 'action'
+    constructor(oldMask, newMask, energyCost, reason = 'input') {
         this.oldMask = oldMask;
         this.newMask = newMask;
         this.energyCost = energyCost;
+        this.reason = reason;
     }
 }
 
@@ -123,6 +155,16 @@ export class GameOverEventData {
     }
 }
 
+export class DifficultyTierEventData {
+    constructor(preset, tier, tierIndex, level, multiplier) {
+        this.preset = preset;
+        this.tier = tier;
+        this.tierIndex = tierIndex;
+        this.level = level;
+        this.multiplier = multiplier;
+    }
+}
+
 // NPC event data
 export class NPCSpawnEventData {
     constructor(npcId, npcType, position, maskType, groupId) {
@@ -154,6 +196,84 @@ export class NPCInteractionEventData {
     }
 }
 
+export class NPCOpinionEventData {
+    constructor(npcId, oldMaskType, newMaskType, polarisation) {
+        this.npcId = npcId;
+        this.oldMaskType = oldMaskType;
+        this.newMaskType = newMaskType;
+        this.polarisation = polarisation;
+    }
+}
+
+export class MassPolarisationEventData {
+    constructor(outragedCount, affectedCount, position) {
+        this.outragedCount = outragedCount;
+        this.affectedCount = affectedCount;
+        this.position = position;
+    }
+}
+
+export class ClashEventData {
+    constructor(clashId, maskTypes, position, participants, duration) {
+        this.clashId = clashId;
+        this.maskTypes = maskTypes;
+        this.position = position;
+        this.participants = participants;
+        this.duration = duration;
+    }
+}
+
+// Crowd event data
+export class CrowdBelongingEventData {
+    constructor(maskType, timeInCrowd, timeRemaining) {
+        this.maskType = maskType;
+        this.timeInCrowd = timeInCrowd;
+        this.timeRemaining = timeRemaining;
+    }
+}
+
+export class CrowdKickoutEventData {
+    constructor(maskType, timeInCrowd, cooldown) {
+        this.maskType = maskType;
+        this.timeInCrowd = timeInCrowd;
+        this.cooldown = cooldown;
+    }
+}
+
+export class MaskCooldownEventData {
+    constructor(maskType, duration, reason) {
+        this.maskType = maskType;
+        this.duration = duration;
+        this.reason = reason;
+    }
+}
+
+// Mask inventory event data
+export class MaskUnlockEventData {
+    constructor(maskType, unlockedMasks, source) {
+        this.maskType = maskType;
+        this.unlockedMasks = unlockedMasks;
+        this.source = source;
+    }
+}
+
+export class MaskPickupEventData {
+    constructor(pickupId, maskType, position) {
+        this.pickupId = pickupId;
+        this.maskType = maskType;
+        this.position = position;
+    }
+}
+
+// Social feed event data
+export class SocialFeedPostEventData {
+    constructor(post, scrollSpeed, flooded) {
+        this.post = post;
+        this.scrollSpeed = scrollSpeed;
+        this.flooded = flooded;
+    }
+}
+
 // Police event data
 export class PoliceActivateEventData {
     constructor(outrageLevel, droneCount, activationReason) {
@@ -163,12 +283,31 @@ export class PoliceActivateEventData {
     }
 }
 
+export class PoliceHeatEventData {
+    constructor(heat, tier, previousTier, maxPolice, units) {
+        this.heat = heat;
+        this.tier = tier;
+        this.previousTier = previousTier;
+        this.maxPolice = maxPolice;
+        this.units = units;
+    }
+}
+
 export class PolicePursuitEventData {
-    constructor(droneId, targetId, distance, pursuitSpeed) {
-        this.droneId = droneId;
-        this.targetId = targetId;
-        this.distance = distance;
-        this.pursuitSpeed = pursuitSpeed;
+    constructor(state, previousState, pursuingCount, searchingCount, lastKnownPosition) {
+        this.state = state;
+        this.previousState = previousState;
+        this.pursuingCount = pursuingCount;
+        this.searchingCount = searchingCount;
+        this.lastKnownPosition = lastKnownPosition;
+    }
+}
+
+export class PoliceCaptureEventData {
+    constructor(progress, officersInRange, energyReward) {
+        this.progress = progress;
+        this.officersInRange = officersInRange;
+        this.energyReward = energyReward;
     }
 }
 
@@ -286,6 +425,9 @@ export const EventCategories = {
     PLAYER: 'player',
     GAME_STATE: 'gameState',
     NPC: 'npc',
+    CROWD: 'crowd',
+    PICKUP: 'pickup',
+    FEED: 'feed',
     POLICE: 'police',
     UI: 'ui',
     SYSTEM: 'system',
@@ -306,13 +448,26 @@ export function getEventCategory(eventType) {
  */
 export const EventDataFactory = {
     playerMove: (oldPos, newPos, velocity) => new PlayerMoveEventData(oldPos, newPos, velocity),
-    playerMaskChange: (oldMask, newMask, energyCost) => new PlayerMaskChangeEventData(oldMask, newMask, energyCost),
+    playerMaskChange: (oldMask, newMask, energyCost, reason) => new PlayerMaskChangeEventData(oldMask, newMask, energyCost, reason),
     playerEnergyChange: (oldEnergy, newEnergy, change, reason) => new PlayerEnergyChangeEventData(oldEnergy, newEnergy, change, reason),
     gameStateChange: (property, oldValue, newValue, context) => new GameStateChangeEventData(property, oldValue, newValue, context),
     gameOutrageChange: (oldOutrage, newOutrage, change, reason) => new GameOutrageChangeEventData(oldOutrage, newOutrage, change, reason),
     gameOver: (reason, finalScore, gameTime, stats) => new GameOverEventData(reason, finalScore, gameTime, stats),
+    difficultyTier: (preset, tier, tierIndex, level, multiplier) => new DifficultyTierEventData(preset, tier, tierIndex, level, multiplier),
     npcSpawn: (npcId, npcType, position, maskType, groupId) => new NPCSpawnEventData(npcId, npcType, position, maskType, groupId),
     npcStateChange: (npcId, oldState, newState, reason) => new NPCStateChangeEventData(npcId, oldState, newState, reason),
+    npcOpinion: (npcId, oldMaskType, newMaskType, polarisation) => new NPCOpinionEventData(npcId, oldMaskType, newMaskType, polarisation),
+    massPolarisation: (outragedCount, affectedCount, position) => new MassPolarisationEventData(outragedCount, affectedCount, position),
+    clash: (clashId, maskTypes, position, participants, duration) => new ClashEventData(clashId, maskTypes, position, participants, duration),
+    crowdBelonging: (maskType, timeInCrowd, timeRemaining) => new CrowdBelongingEventData(maskType, timeInCrowd, timeRemaining),
+    crowdKickout: (maskType, timeInCrowd, cooldown) => new CrowdKickoutEventData(maskType, timeInCrowd, cooldown),
+    maskCooldown: (maskType, duration, reason) => new MaskCooldownEventData(maskType, duration, reason),
+    maskUnlock: (maskType, unlockedMasks, source) => new MaskUnlockEventData(maskType, unlockedMasks, source),
+    maskPickup: (pickupId, maskType, position) => new MaskPickupEventData(pickupId, maskType, position),
+    socialFeedPost: (post, scrollSpeed, flooded) => new SocialFeedPostEventData(post, scrollSpeed, flooded),
     policeActivate: (outrageLevel, droneCount, reason) => new PoliceActivateEventData(outrageLevel, droneCount, reason),
+    policeHeat: (heat, tier, previousTier, maxPolice, units) => new PoliceHeatEventData(heat, tier, previousTier, maxPolice, units),
+    policePursuit: (state, previousState, pursuingCount, searchingCount, lastKnownPosition) => new PolicePursuitEventData(state, previousState, pursuingCount, searchingCount, lastKnownPosition),
+    policeCapture: (progress, officersInRange, energyReward = 0) => new PoliceCaptureEventData(progress, officersInRange, energyReward),
     systemError: (systemName, error, context) => new SystemErrorEventData(systemName, error, context)
 }; 
\ No newline at end of file
@@ -17,10 +17,6 @@ export class IGameSystem {
         throw new Error('initialize() must be implemented by subclass');
     }
 
-    update(deltaTime) {
-        throw new Error('update() must be implemented by subclass');
-    }
-
     shutdown() {
         // Cleanup event subscriptions
         this.cleanupEventSubscriptions();
@@ -29,6 +25,16 @@ export class IGameSystem {
     }
 
     // Optional hooks
+    // Simulation at PHYSICS_STEP_SIZE, zero or more times per frame
+    fixedUpdate(fixedDeltaTime) {
+        // Override to opt into the fixed-step simulation
+    }
+
+    // Once per rendered frame; alpha is how far rendering sits between the last two fixed steps
+    update(deltaTime, alpha = 1) {
+        // Override for render-rate work (interpolation, UI, effects)
+    }
+
     onGameStateChange(newState) {
         // Override if needed
     }
@@ -37,6 +43,12 @@ export class IGameSystem {
         // Override if needed
     }
 
+    // A new run starts in place (GAME_RESET): rebuild the state initialize() created.
+    // Called in priority order, after the random streams have been reseeded.
+    onGameReset(resetData) {
+        // Override if the system keeps per-run state
+    }
+
     // System control
     enable() {
         this.enabled = true;
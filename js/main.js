@@ -8,7 +8,17 @@ import { NPCSystem } from './systems/NPCSystem.js';
 import { PoliceSystem } from './systems/PoliceSystem.js';
 import { UISystem } from './systems/UISystem.js';
 import { VisualFXSystem } from './systems/VisualFXSystem.js';
+import { MaskPickupSystem } from './systems/MaskPickupSystem.js';
+import { SocialFeedSystem } from './systems/SocialFeedSystem.js';
+import { ReplaySystem } from './systems/ReplaySystem.js';
+import { SaveSystem } from './systems/SaveSystem.js';
+import { EndingSystem } from './systems/EndingSystem.js';
+import { DifficultySystem } from './systems/DifficultySystem.js';
+import { GameSnapshot } from './utils/GameSnapshot.js';
+import { ScenarioPackage, IMPORTED_SCENARIO_PREFIX } from './utils/ScenarioPackage.js';
 import { serviceContainer } from './core/ServiceContainer.js';
+import { randomService, RandomService } from './core/RandomService.js';
+import { ideologyRegistry, IdeologyRegistry } from './core/IdeologyRegistry.js';
 import { params, initTweakpane } from './params.js';
 import { GameEventTypes } from './interfaces/GameEvents.js';
 
@@ -22,8 +32,37 @@ async function init() {
     try {
         console.log('🎭 Initializing Masques et Outrage with SOLID architecture...');
         
-        // Create and initialize game engine
-        gameEngine = new GameEngine();
+        // A replay imported or sought before this reload takes over the session
+        const pendingReplay = ReplaySystem.consumePendingReplay();
+        
+        // A scenario package swaps params, ideologies, sprites, posts and endings, so it comes first;
+        // a replay's recorded params still win over the package's
+        const scenario = await chooseScenario(pendingReplay);
+        if (scenario) {
+            scenario.apply();
+            serviceContainer.registerInstance('scenario', scenario);
+        }
+        
+        // Seed gameplay randomness before any system rolls a die (?seed=... to reproduce a run)
+        if (pendingReplay) {
+            randomService.setSeed(pendingReplay.recording.seed);
+            Object.assign(params, pendingReplay.recording.params);
+        } else {
+            randomService.setSeed(RandomService.seedFromURL());
+        }
+        console.log(`🎲 Random seed: ${randomService.getSeed()}`);
+        
+        // Every system reads the factions from the ideology file (?ideologies=... for a themed variant),
+        // unless the scenario brought its own; the chosen file is a param so replays load the same one
+        if (!pendingReplay) {
+            params.IDEOLOGY_DATA_URL = IdeologyRegistry.dataURLFromPage(params.IDEOLOGY_DATA_URL);
+        }
+        if (!ideologyRegistry.isLoaded()) {
+            await ideologyRegistry.load(params.IDEOLOGY_DATA_URL);
+        }
+        
+        // Create and initialize game engine (replays ignore the keyboard and touch)
+        gameEngine = new GameEngine({ scriptedInput: pendingReplay !== null });
         
         // Register game systems in the service container
         registerGameSystems();
@@ -31,9 +70,32 @@ async function init() {
         // Register systems in SystemManager before engine initialization
         await registerSystemsInManager();
         
+        if (pendingReplay) {
+            serviceContainer.resolve('replaySystem').loadReplay(pendingReplay.recording);
+        }
+        
         // Initialize the game engine (this will initialize all registered systems)
         await gameEngine.initialize();
         
+        // Before the first frame: replays of a loaded session start from its save
+        const saveSystem = serviceContainer.resolve('saveSystem');
+        if (pendingReplay && pendingReplay.recording.snapshot) {
+            saveSystem.loadSnapshot(GameSnapshot.fromJSON(pendingReplay.recording.snapshot), 'replay');
+        }
+        
+        if (pendingReplay && pendingReplay.seekTick > 0) {
+            serviceContainer.resolve('replaySystem').seekToTick(pendingReplay.seekTick);
+        }
+        
+        // The tab may have been killed mid-run (mobile): offer to pick up where it left off,
+        // otherwise a new run starts by picking its difficulty (replays keep the recorded one)
+        if (!pendingReplay) {
+            const uiSystem = serviceContainer.resolve('uiSystem');
+            if (!saveSystem.offerResume(() => uiSystem.showStartScreen())) {
+                uiSystem.showStartScreen();
+            }
+        }
+        
         // Initialize tweakpane
         initTweakpane();
         
@@ -45,6 +107,27 @@ async function init() {
     }
 }
 
+// Scenario of this session: the recorded one for a replay, ?scenario=<id>, or the start-up menu
+async function chooseScenario(pendingReplay) {
+    if (pendingReplay) {
+        const scenarioId = pendingReplay.recording.params.SCENARIO_ID;
+        if (!scenarioId) return null;
+        return scenarioId.startsWith(IMPORTED_SCENARIO_PREFIX) ?
+            ScenarioPackage.loadImported(scenarioId) :
+            ScenarioPackage.loadBundled(scenarioId);
+    }
+    
+    const requestedId = ScenarioPackage.idFromPage();
+    if (requestedId) {
+        return ScenarioPackage.loadBundled(requestedId);
+    }
+    
+    return UISystem.showScenarioMenu(await ScenarioPackage.listBundled(), {
+        load: (id) => ScenarioPackage.loadBundled(id),
+        importZip: async (file) => ScenarioPackage.importZip(await file.arrayBuffer(), file.name)
+    });
+}
+
 // Register all game systems in the service container
 function registerGameSystems() {
     // Core systems - registered as singletons to ensure same instances
@@ -54,6 +137,12 @@ function registerGameSystems() {
     serviceContainer.registerSingleton('policeSystem', PoliceSystem);
     serviceContainer.registerSingleton('uiSystem', UISystem);
     serviceContainer.registerSingleton('visualFXSystem', VisualFXSystem);
+    serviceContainer.registerSingleton('maskPickupSystem', MaskPickupSystem);
+    serviceContainer.registerSingleton('socialFeedSystem', SocialFeedSystem);
+    serviceContainer.registerSingleton('replaySystem', ReplaySystem);
+    serviceContainer.registerSingleton('saveSystem', SaveSystem);
+    serviceContainer.registerSingleton('endingSystem', EndingSystem);
+    serviceContainer.registerSingleton('difficultySystem', DifficultySystem);
     
     console.log('🔧 Game systems registered in service container');
 }
@@ -64,12 +153,18 @@ async function registerSystemsInManager() {
     
     if (systemManager) {
         // Register systems with priorities (lower number = higher priority)
+        systemManager.registerSystem('replay', serviceContainer.resolve('replaySystem'), 5);
         systemManager.registerSystem('gameState', serviceContainer.resolve('gameStateSystem'), 10);
+        systemManager.registerSystem('difficulty', serviceContainer.resolve('difficultySystem'), 15);
         systemManager.registerSystem('player', serviceContainer.resolve('playerSystem'), 20);
         systemManager.registerSystem('npc', serviceContainer.resolve('npcSystem'), 30);
+        systemManager.registerSystem('maskPickup', serviceContainer.resolve('maskPickupSystem'), 35);
         systemManager.registerSystem('police', serviceContainer.resolve('policeSystem'), 40);
         systemManager.registerSystem('visualFX', serviceContainer.resolve('visualFXSystem'), 45);
+        systemManager.registerSystem('ending', serviceContainer.resolve('endingSystem'), 47);
+        systemManager.registerSystem('socialFeed', serviceContainer.resolve('socialFeedSystem'), 48);
         systemManager.registerSystem('ui', serviceContainer.resolve('uiSystem'), 50);
+        systemManager.registerSystem('save', serviceContainer.resolve('saveSystem'), 60);
         
         console.log('🔧 Game systems registered in SystemManager');
     } else {
@@ -99,7 +194,7 @@ function showErrorScreen(error) {
         <div style="text-align: center; padding: 40px; background: #333; border-radius: 10px;">
             <h1 style="color: #ff6666;">🎭 Initialization Error</h1>
             <p style="margin: 20px 0;">Failed to initialize the game:</p>
-            <p style="color: #ffaa66; font-family: monospace;">${error.message}</p>
+            <p style="color: #ffaa66; font-family: monospace; white-space: pre-wrap; text-align: left;">${error.message}</p>
             <button onclick="location.reload()" style="
                 background: #4CAF50;
                 color: white;
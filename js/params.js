@@ -32,17 +32,12 @@ export const params = {
         MIDNIGHT: 0x0f0f23
     },
     
-    // Background colors based on player mask
-    MASK_BACKGROUND_COLORS: {
-        null: 0x001122,        // Neutral - Default dark blue
-        1: 0x0a1a3a,         // Conservative - Deep blue
-        2: 0x3a0a0a,         // Social Justice - Deep red
-        3: 0x332211,         // Libertarian - Deep orange/brown
-        4: 0x0a2a0a,         // Nationalist - Deep green
-        5: 0x2a0a3a,         // Culture - Deep purple
-        6: 0x2a1a0a,         // Religious - Deep brown
-        7: 0x3a1a2a          // Antisystem - Deep pink
-    },
+    // Ideologies: names, colours, sprites, key bindings and relationships (see core/IdeologyRegistry.js)
+    IDEOLOGY_DATA_URL: 'data/ideologies.json', // ?ideologies=... on the page URL loads another file
+    
+    // Scenario packages (see utils/ScenarioPackage.js), picked on the start-up menu or with ?scenario=<id>
+    SCENARIOS_URL: 'scenarios/',     // Bundled packages: index.json lists the folders next to it
+    SCENARIO_ID: '',                 // Package of the current run, '' for the standard game
 
     // Outrage system
     OUTRAGE_INCREASE_RATE: 5.0,    // Per second in wrong crowd
@@ -60,6 +55,37 @@ export const params = {
     CROWD_RADIUS: 4,              // Radius of crowd area
     CROWD_DETECT_DISTANCE: 6,     // Distance to detect player
     CROWD_KICKOUT_TIME: 30,       // Seconds before kickout
+    CROWD_KICKOUT_WARNING_TIME: 8, // Seconds left on the kickout timer when the warning starts
+    CROWD_KICKOUT_RECOVERY_RATE: 1.0, // Kickout timer recovery per second spent outside a matching crowd
+    CROWD_KICKOUT_COOLDOWN: 20,   // Seconds the mask stays locked after a kickout
+    CROWD_KICKOUT_EJECT_DISTANCE: 4, // Distance beyond the crowd edge where the player is ejected
+    
+    // Mask inventory and pickups
+    MASK_STARTING_UNLOCKED: 1,    // Number of masks the player owns at the start of a run
+    MASK_PICKUP_INITIAL_COUNT: 2, // Pickups on the planet when the run starts
+    MASK_PICKUP_MAX_ACTIVE: 3,    // Maximum pickups on the planet at once
+    MASK_PICKUP_SPAWN_INTERVAL: 15, // Seconds between pickup spawns
+    MASK_PICKUP_COLLECT_RADIUS: 1.2, // Distance to walk over a pickup
+    MASK_PICKUP_MIN_PLAYER_DISTANCE: 12, // Minimum spawn distance from the player
+    MASK_PICKUP_SIZE: 1.0,        // Size of the pickup sprite
+    
+    // Social feed
+    SOCIAL_FEED_DATA_URL: 'data/posts.json', // Posts tagged by ideology and virality tier
+    SOCIAL_FEED_BASE_INTERVAL: 4,     // Seconds between posts at zero outrage
+    SOCIAL_FEED_OUTRAGE_SPEEDUP: 4,   // Post rate and scroll speed multiplier at 100% outrage
+    SOCIAL_FEED_SCROLL_SPEED: 12,     // Feed scroll speed in pixels per second at zero outrage
+    SOCIAL_FEED_VIRALITY_THRESHOLDS: [0, 40, 75], // Outrage % from which each virality tier dominates
+    SOCIAL_FEED_MASK_WEIGHT: 3,       // Weight of posts matching the player's mask
+    SOCIAL_FEED_CROWD_WEIGHT: 2,      // Weight of posts from ideologies in nearby crowds
+    SOCIAL_FEED_NEUTRAL_WEIGHT: 1,    // Weight of posts without ideology
+    SOCIAL_FEED_OTHER_WEIGHT: 0.2,    // Weight of posts from other ideologies
+    SOCIAL_FEED_CROWD_RADIUS: 12,     // Radius around the player for nearby crowds
+    SOCIAL_FEED_RECENT_MEMORY: 8,     // Recent posts not shown again
+    SOCIAL_FEED_SPAM_WINDOW: 5,       // Seconds of mask changes counted as spam
+    SOCIAL_FEED_SPAM_THRESHOLD: 4,    // Mask changes within the window that flood the feed
+    SOCIAL_FEED_POSTS_PER_MASK_CHANGE: 2, // Reaction posts pushed on every mask change
+    SOCIAL_FEED_SPAM_SCROLL_MULTIPLIER: 3, // Extra scroll speed per spam level
+    SOCIAL_FEED_MAX_POSTS: 30,        // Posts kept in the feed panel
     
     // Police system
     POLICE_SPEED_MULTIPLIER: 0.8, // Relative to player speed
@@ -69,6 +95,53 @@ export const params = {
     POLICE_NPC_PUSH_RATIO: 0.7,     // How much NPCs are pushed by police (0-1)
     POLICE_FORCE_RATIO: 0.3,        // How much police are pushed back (0-1)
     
+    // Police heat (wanted level): sustained outrage raises it, time out of sight brings it down
+    POLICE_HEAT_GAIN_RATE: 1,        // Heat per second while outrage is above OUTRAGE_POLICE_THRESHOLD
+    POLICE_HEAT_DECAY_RATE: 1.5,     // Heat lost per second while no officer sees the player
+    POLICE_HEAT_MAX: 60,             // Heat cap, so escaping a full alert stays possible
+    POLICE_SIGHT_DISTANCE: 20,       // How far officers see
+    POLICE_VIEW_ANGLE: 120,          // Width of an officer's view cone (degrees)
+    POLICE_NOTICE_DISTANCE: 3,       // Officers notice the player this close, whichever way they face
+    POLICE_CROWD_BLOCK_COUNT: 4,     // NPCs around a point of the sight line that block it
+    POLICE_CROWD_BLOCK_RADIUS: 1.5,  // Radius checked around each point of the sight line
+    POLICE_BLEND_SIGHT_DISTANCE: 4,  // Hidden in a matching crowd with its mask, the player is only spotted this close
+    POLICE_LOSE_SIGHT_DELAY: 1,      // Seconds out of sight before a pursuing officer starts searching
+    POLICE_SEARCH_DURATION: 8,       // Seconds an officer searches the last known position before giving up
+    POLICE_SEARCH_RADIUS: 6,         // Area searched around the last known position
+    
+    // Police route planning on a navigation graph (see utils/NavigationGraph.js)
+    POLICE_PATHFINDING_ENABLED: true, // Off: officers walk straight at their target
+    NAV_GRAPH_DETAIL: 10,            // Icosphere subdivisions of the graph (about 3.3 units between nodes)
+    NAV_CROWD_COST: 0.5,             // Extra route cost per NPC around a node, relative to the edge length
+    POLICE_REPLAN_INTERVAL: 0.5,     // Seconds between route replans of an officer
+    POLICE_DIRECT_CHASE_DISTANCE: 5, // Closer than this, officers go straight for their target
+    POLICE_INTERCEPT_TIME: 1.5,      // Seconds ahead of the player that pursuing officers aim for
+    POLICE_FLANK_OFFSET: 6,          // Sideways offset of the second and third pursuers, to cut the player off
+    NAV_DEBUG_OVERLAY: false,        // Draw officer routes and crowded nodes
+    
+    // Arrest: a capture meter fills while officers are within POLICE_CATCH_DISTANCE, the arrest happens when it is full
+    POLICE_CAPTURE_TIME: 3,          // Seconds for one police officer to fill the meter (more officers stack)
+    POLICE_CAPTURE_RECOVERY_RATE: 0.4, // Meter lost per second once no officer is close enough
+    POLICE_CAPTURE_MASH_RELIEF: 0.02, // Meter lost per movement key pressed while officers hold the player
+    POLICE_CAPTURE_CROWD_FACTOR: 0.5, // Meter speed while hidden in a matching crowd with its mask
+    POLICE_CLOSE_CALL_THRESHOLD: 0.75, // Breaking free past this much of the meter is a close call
+    POLICE_CLOSE_CALL_ENERGY: 15,    // Energy given back for a close call
+    POLICE_HEAT_TIERS: [             // Heat needed, officers on duty, speed bonus and units sent
+        { heat: 0, maxPolice: 2, speed: 1.0, units: ['police'] },
+        { heat: 10, maxPolice: 3, speed: 1.1, units: ['police', 'police_drone'] },
+        { heat: 25, maxPolice: 4, speed: 1.2, units: ['police', 'police_drone', 'riot_squad'] },
+        { heat: 40, maxPolice: 6, speed: 1.3, units: ['police', 'police_drone', 'riot_squad', 'negotiator'] }
+    ],
+    
+    // Police unit types (see NPCFactory)
+    POLICE_DRONE_SPEED_MULTIPLIER: 1.0, // Drones fly over crowds instead of pushing through them
+    POLICE_DRONE_ALTITUDE: 2.5,      // Flight height above the surface
+    POLICE_RIOT_SPEED_MULTIPLIER: 0.6,
+    POLICE_RIOT_PUSH_RADIUS: 2.5,    // Crowd members this close to a riot squad are shoved aside
+    POLICE_RIOT_PUSH_RATIO: 0.9,     // How much NPCs are pushed by a riot squad (0-1)
+    POLICE_NEGOTIATOR_RANGE: 8,      // Negotiators stop and drain energy from this distance
+    POLICE_NEGOTIATOR_DRAIN_RATE: 4, // Energy per second drained by a negotiator
+    
     // Visual effects system
     VISUAL_FX_ENABLED: true,         // Enable/disable visual effects
     CAMERA_SHAKE_ENABLED: true,      // Enable/disable camera shake
@@ -91,6 +164,16 @@ export const params = {
     ADULT_TIME_REQUIRED: 180,     // 3 minutes in seconds
     CHAOS_OUTRAGE_THRESHOLD: 100, // % outrage for chaos ending
     CHAOS_TIME_REQUIRED: 30,      // 30 seconds
+    GHOST_TIME_REQUIRED: 150,     // Seconds without ever wearing a mask (before ADULT can trigger)
+    TOURIST_VISIT_TIME: 8,        // Seconds spent in a crowd before it counts as visited (Tourist ending)
+    
+    // Ending sequences (played before the recap screen)
+    ENDING_CAUGHT_DURATION: 3,    // Seconds of zoom and police lights after an arrest
+    ENDING_CAUGHT_ZOOM: 0.35,     // Final camera distance, relative to CAMERA_DISTANCE
+    ENDING_CHAOS_DURATION: 4,     // Seconds for the chaos colour to cover the planet
+    ENDING_CHAOS_COLOR: 0xb3122e, // Colour the planet and crowds turn to
+    ENDING_ADULT_DURATION: 3,     // Seconds of calm fade before the congratulations screen
+    ENDING_ADULT_ZOOM: 1.8,       // The camera steps back from the player
     
     // NPC system parameters
     NPC_SIZE: 0.9,                   // Size of individual NPCs
@@ -101,7 +184,6 @@ export const params = {
     NPC_GROUP_RADIUS: 30,             // Distance for NPCs to consider themselves in same group
     NPC_WANDER_RADIUS: 20,            // Maximum distance for wandering behavior
     NPC_MIN_STATE_DURATION: 2,       // Minimum time in seconds before state change
-    NPC_STATE_CHANGE_CHANCE: 0.01,    // Probability per second of state change
     NPC_POSITIVE_INFLUENCE_RATE: 2,  // Outrage increase when NPC likes player mask
     NPC_NEGATIVE_INFLUENCE_RATE: 1,  // Outrage decrease when NPC dislikes player mask
     NPC_SAME_MASK_INFLUENCE: 0.01,       // Outrage reduction when same mask
@@ -123,6 +205,67 @@ export const params = {
     NPC_WANDER_FORCE: 0.1,           // Strength of wandering behavior (reduced for flocking)
     NPC_INTER_GROUP_REPULSION: 1.5,  // Repulsion force between different groups
     NPC_INTER_GROUP_DISTANCE: 4.0,
+    NPC_ALLIED_REPULSION_FACTOR: 0.3, // Allied groups push each other away this much less
+    NPC_SPATIAL_CELL_SIZE: 4.0,      // Cell size of the spatial hash used for neighbour queries
+    NPC_INSTANCED_RENDERING: true,   // Draw crowds with one InstancedMesh per ideology instead of a mesh per NPC
+
+    // Opinion dynamics (polarisation spreading between NPCs)
+    NPC_POLARISATION_ON_CONTACT: 0.25,     // Polarisation gained when the player's mask offends an NPC
+    NPC_POLARISATION_CALM_ON_CONTACT: 0.1, // Polarisation lost when the player wears the NPC's mask
+    NPC_OUTRAGE_THRESHOLD: 0.3,            // Polarisation above which an NPC is outraged and spreads it
+    NPC_POLARISATION_SPREAD_RATE: 0.3,     // Polarisation per second an outraged NPC shares among its flocking neighbours
+    NPC_POLARISATION_OTHER_GROUP_FACTOR: 0.5, // Spread multiplier towards neighbours of another ideology
+    NPC_POLARISATION_DECAY_RATE: 0.03,     // Polarisation lost per second
+    NPC_POLARISED_THRESHOLD: 0.6,          // Polarisation at which an NPC counts as polarised
+    NPC_CONVERSION_THRESHOLD: 0.95,        // Polarisation at which an NPC flips or radicalises
+    NPC_CONVERSION_CHANCE: 0.5,            // Chance to flip to the opposing ideology instead of radicalising
+    NPC_RADICALISED_SPREAD_MULTIPLIER: 2.0, // Radicalised NPCs spread polarisation faster
+    NPC_RADICALISED_SPEED_MULTIPLIER: 1.3,
+    MASS_POLARISATION_CROWD_SIZE: 50,      // Outraged NPCs near the player needed to polarise everything visible
+    MASS_POLARISATION_DETECT_RADIUS: 12,   // Radius around the player for counting outraged NPCs
+    MASS_POLARISATION_VISIBLE_ANGLE: 60,   // Degrees around the player counted as "visible"
+    MASS_POLARISATION_AMOUNT: 0.7,         // Polarisation added to every visible NPC
+    MASS_POLARISATION_COOLDOWN: 20,        // Seconds between two mass polarisations
+    
+    // Leaders and followers: each group has a few leaders heading for destinations, with followers in tow
+    NPC_LEADERS_PER_GROUP: 4,              // Leaders spawned in each group (each takes 3-5 followers)
+    NPC_LEADER_DESTINATION_RADIUS: 15,     // How far away leaders pick their next destination
+    NPC_LEADER_DESTINATION_TIME: 20,       // Seconds before a leader gives up on a destination it can't reach
+    NPC_LEADER_DESTINATION_FORCE: 0.3,     // Pull of the destination on its leader
+    NPC_FOLLOWER_FORCE: 0.6,               // Pull of the leader on a follower, scaled by loyalty
+    NPC_LEADER_REACTION_MULTIPLIER: 2.0,   // Leaders react this much more strongly to the player's mask
+    NPC_LEADER_KNOCK_ON: 0.8,              // Share of a leader's reaction passed on to each follower, scaled by loyalty
+    NPC_FOLLOWER_OPINION_PULL: 0.2,        // Per second, how fast followers' polarisation drifts towards their leader's
+    NPC_FOLLOWER_DEFECT_LOYALTY: 0.8,      // Followers at least this loyal change ideology along with their leader
+    
+    // NPC behaviour states: stimuli pick the state (see NPCSystem.chooseNPCState), each state steers its own way
+    NPC_FLEE_RADIUS: 6,                    // Police officers this close send NPCs running
+    NPC_FLEE_FORCE: 1.5,
+    NPC_FLEE_SPEED_MULTIPLIER: 1.5,        // Fleeing NPCs run faster than they walk
+    NPC_DISPERSE_RADIUS: 10,               // Members of the crowd that kicked the player out scatter within this radius
+    NPC_DISPERSE_DURATION: 4,              // Seconds a crowd keeps scattering
+    NPC_DISPERSE_FORCE: 1.0,
+    NPC_CONFRONT_POLARISATION: 0.6,        // Polarisation above which NPCs go after other groups
+    NPC_CONFRONT_RADIUS: 6,                // How far away they pick a rival
+    NPC_CONFRONT_FORCE: 0.6,
+    NPC_PROTEST_RADIUS: 3,                 // Protesters march around their rallying point within this radius
+    NPC_PROTEST_CALM_RATIO: 0.5,           // Protesters go home below this share of NPC_OUTRAGE_THRESHOLD
+    NPC_PROTEST_FORCE: 0.5,
+    NPC_FOLLOW_RADIUS: 5,                  // NPCs start following a player wearing their mask this close
+    NPC_FOLLOW_LOSE_RADIUS: 12,            // and lose track of them further than this
+    NPC_FOLLOW_FORCE: 1.5,                 // Strong enough for the player to lead them into another crowd
+    
+    CROWD_MOOD_RADIUS: 12,                 // The HUD tells how the crowd within this distance feels about the player's mask
+    
+    // Clashes: hostile groups that meet while outraged fight it out (see NPCSystem.updateClashes)
+    NPC_CLASH_DISTANCE: 14,                // Hostile groups whose centers come this close face off
+    NPC_CLASH_RADIUS: 6,                   // Front ranks: members of either side this close to the middle of a face-off or clash
+    NPC_FACE_OFF_TENSION_RATE: 0.08,       // Polarisation per second gained by the front ranks while facing off
+    NPC_CLASH_MIN_NPCS: 4,                 // Members of each side, and outraged NPCs among them, needed to start a clash
+    NPC_CLASH_DRAW_RADIUS: 12,             // Members of both sides this close are drawn into the fight
+    NPC_CLASH_POLARISATION_RATE: 0.05,     // Polarisation per second gained by every NPC within the draw radius
+    NPC_CLASH_PLAYER_OUTRAGE: 8,           // Player outrage per second within the draw radius
+    NPC_CLASH_MAX_DURATION: 30,            // Seconds before a clash burns out on its own
 
     // Additional crowd parameters
     CROWD_SPREAD_FACTOR: 1.5,        // How spread out crowd members are
@@ -131,8 +274,24 @@ export const params = {
     CROWD_PATIENCE: 60,              // Seconds before crowd gets impatient
     
     // Game balancing
-    GAME_SPEED_MULTIPLIER: 1.0,      // Overall game speed multiplier
-    DIFFICULTY_SCALING: 1.2,         // How much difficulty increases over time
+    GAME_SPEED_MULTIPLIER: 1.0,      // Overall game speed multiplier (set by the difficulty preset)
+    DIFFICULTY_SCALING: 1.2,         // How much difficulty increases over time (multiplier at the top of the curve, Normal preset)
+    DIFFICULTY_PRESET: 'normal',     // Key of DIFFICULTY_PRESETS, picked on the start screen
+    
+    // Difficulty curve: level (0-1) reached at each time, linear in between; each step is a HUD tier
+    DIFFICULTY_CURVE: [
+        { time: 0, level: 0, tier: 'Calme' },
+        { time: 60, level: 0.25, tier: 'Tendu' },
+        { time: 150, level: 0.6, tier: 'Viral' },
+        { time: 270, level: 1, tier: 'Emballement' }
+    ],
+    
+    // Difficulty presets: base multiplier, how far the curve pushes it and the game speed
+    DIFFICULTY_PRESETS: {
+        casual: { label: 'Casual', description: 'Des foules indulgentes et une police patiente', base: 0.75, ramp: 0.5, gameSpeed: 0.9 },
+        normal: { label: 'Normal', description: 'L\'expérience prévue', base: 1.0, ramp: 1.0, gameSpeed: 1.0 },
+        doomscroll: { label: 'Doomscroll', description: 'Tout le monde est à cran, et ça empire vite', base: 1.3, ramp: 2.5, gameSpeed: 1.15 }
+    },
     PLAYER_INFLUENCE_RADIUS: 7.0,
     PLAYER_ATTRACTION_FORCE: 0.5,
     PLAYER_REPULSION_FORCE: 10.0,
@@ -151,8 +310,12 @@ export const params = {
     // Performance settings
     MAX_VISIBLE_NPCS: 200,           // Maximum NPCs to render
     LOD_DISTANCE: 50,                // Distance for level of detail switching
-    PHYSICS_STEP_SIZE: 0.016,        // Physics simulation step size
-    MAX_DELTA_TIME: 1/60,            // Maximum deltaTime to prevent physics issues (16.67ms)
+    PHYSICS_STEP_SIZE: 1/60,         // Fixed simulation step (60 Hz whatever the display rate)
+    MAX_FIXED_STEPS_PER_FRAME: 5,    // Simulation steps allowed per frame before dropping time (times the replay speed)
+    MAX_DELTA_TIME: 0.25,            // Longest frame fed to the accumulator (e.g. after a tab switch)
+    
+    // Save system
+    AUTOSAVE_INTERVAL: 15,           // Seconds of play between autosaves (0 = only when the tab is hidden)
     
     // Mobile/Touch settings
     TOUCH_SENSITIVITY: 0.003,        // Sensitivity for touch movement
@@ -0,0 +1,169 @@
+// systems/DifficultySystem.js - Difficulty director ramping balance values over a run following SOLID principles
+// The chosen preset and params.DIFFICULTY_CURVE give a multiplier for the current game time; systems read
+// their ramped values through scaleForDifficulty() instead of reading the raw params.
+import { IGameSystem } from '../interfaces/IGameSystem.js';
+import { params } from '../params.js';
+import { serviceContainer } from '../core/ServiceContainer.js';
+import { GameEventTypes, EventDataFactory, EventPriorities } from '../interfaces/GameEvents.js';
+
+// Which way each ramped value moves as the run gets harder
+const DIFFICULTY_TARGETS = {
+    npcSensitivity: 'up',        // NPC_DIFFERENT_MASK_INFLUENCE
+    maxPolice: 'up',             // Officers on the planet at once
+    policeSpawnInterval: 'down', // Seconds between officers
+    outrageDecay: 'down',        // OUTRAGE_DECAY_RATE
+    crowdSizeMin: 'down'         // CROWD_SIZE_MIN
+};
+
+export class DifficultySystem extends IGameSystem {
+    constructor() {
+        super('Difficulty');
+        
+        this.level = 0;       // 0-1 along the curve
+        this.multiplier = 1;  // Applied to every target
+        this.tierIndex = -1;
+    }
+
+    async initialize(sceneManager) {
+        // A loaded save can land in another tier than the one shown
+        this.subscribeToEvent(
+            GameEventTypes.GAME_LOAD,
+            () => this.refresh(true),
+            EventPriorities.NORMAL
+        );
+        
+        this.applyGameSpeed();
+        this.refresh(true);
+        this.setupConsoleHelpers();
+        
+        console.log(`📈 Difficulty System initialized (${this.getPreset().label})`);
+    }
+
+    fixedUpdate(deltaTime) {
+        this.refresh(false);
+    }
+
+    refresh(forcePublish) {
+        const gameStateSystem = serviceContainer.has('gameStateSystem') ?
+            serviceContainer.resolve('gameStateSystem') : null;
+        const gameTime = gameStateSystem ? gameStateSystem.gameTime : 0;
+        const preset = this.getPreset();
+        
+        this.level = this.getCurveLevel(gameTime);
+        this.multiplier = preset.base * (1 + (params.DIFFICULTY_SCALING - 1) * preset.ramp * this.level);
+        
+        const tierIndex = this.getTierIndex(gameTime);
+        if (tierIndex === this.tierIndex && !forcePublish) return;
+        
+        this.tierIndex = tierIndex;
+        const tier = params.DIFFICULTY_CURVE[tierIndex].tier;
+        
+        const eventData = EventDataFactory.difficultyTier(params.DIFFICULTY_PRESET, tier, tierIndex, this.level, this.multiplier);
+        this.publishEvent(GameEventTypes.DIFFICULTY_TIER_CHANGE, eventData);
+        
+        console.log(`📈 Difficulty tier: ${tier} (x${this.multiplier.toFixed(2)})`);
+    }
+
+    // Linear between the two curve points around gameTime, flat past either end
+    getCurveLevel(gameTime) {
+        const curve = params.DIFFICULTY_CURVE;
+        if (gameTime <= curve[0].time) return curve[0].level;
+        
+        for (let i = 1; i < curve.length; i++) {
+            if (gameTime < curve[i].time) {
+                const previous = curve[i - 1];
+                const t = (gameTime - previous.time) / (curve[i].time - previous.time);
+                return previous.level + (curve[i].level - previous.level) * t;
+            }
+        }
+        
+        return curve[curve.length - 1].level;
+    }
+
+    getTierIndex(gameTime) {
+        const curve = params.DIFFICULTY_CURVE;
+        let index = 0;
+        for (let i = 1; i < curve.length; i++) {
+            if (gameTime >= curve[i].time) index = i;
+        }
+        return index;
+    }
+
+    applyGameSpeed() {
+        params.GAME_SPEED_MULTIPLIER = this.getPreset().gameSpeed;
+    }
+
+    // Public interface
+    scale(name, baseValue) {
+        const direction = DIFFICULTY_TARGETS[name];
+        if (!direction) {
+            throw new Error(`Unknown difficulty target '${name}'`);
+        }
+        
+        return direction === 'up' ? baseValue * this.multiplier : baseValue / this.multiplier;
+    }
+
+    getPreset() {
+        return params.DIFFICULTY_PRESETS[params.DIFFICULTY_PRESET] || params.DIFFICULTY_PRESETS.normal;
+    }
+
+    getPresets() {
+        return Object.entries(params.DIFFICULTY_PRESETS).map(([id, preset]) => ({ id, ...preset }));
+    }
+
+    setPreset(presetId) {
+        if (!params.DIFFICULTY_PRESETS[presetId]) {
+            throw new Error(`Unknown difficulty preset '${presetId}'`);
+        }
+        
+        params.DIFFICULTY_PRESET = presetId;
+        this.applyGameSpeed();
+        this.refresh(true);
+        
+        console.log(`📈 Difficulty preset: ${this.getPreset().label}`);
+    }
+
+    getTier() {
+        return params.DIFFICULTY_CURVE[Math.max(0, this.tierIndex)].tier;
+    }
+
+    getMultiplier() {
+        return this.multiplier;
+    }
+
+    // The preset is kept, the curve starts over with the new run
+    onGameReset(resetData) {
+        this.refresh(true);
+    }
+
+    setupConsoleHelpers() {
+        if (typeof window === 'undefined') return;
+        
+        window.difficulty = {
+            preset: (presetId) => presetId ? this.setPreset(presetId) : this.getPreset(),
+            presets: () => this.getPresets(),
+            status: () => ({
+                preset: params.DIFFICULTY_PRESET,
+                tier: this.getTier(),
+                level: this.level,
+                multiplier: this.multiplier
+            })
+        };
+    }
+
+    shutdown() {
+        this.cleanupEventSubscriptions();
+        
+        if (typeof window !== 'undefined') {
+            delete window.difficulty;
+        }
+        
+        console.log('📈 Difficulty System shutdown');
+    }
+}
+
+// Ramped value of a target; without the director (headless tools, tests) the base value is used as is
+export function scaleForDifficulty(name, baseValue) {
+    if (!serviceContainer.has('difficultySystem')) return baseValue;
+    return serviceContainer.resolve('difficultySystem').scale(name, baseValue);
+}
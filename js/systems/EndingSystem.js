@@ -0,0 +1,252 @@
+// systems/EndingSystem.js - Ending sequences played once a run is over following SOLID principles
+// GameStateSystem publishes GAME_OVER or GAME_WIN and the engine freezes the simulation; this system
+// then plays the ending's sequence and publishes GAME_ENDING_COMPLETE so the UI shows its recap.
+import { IGameSystem } from '../interfaces/IGameSystem.js';
+import { params } from '../params.js';
+import { serviceContainer } from '../core/ServiceContainer.js';
+import { GameEventTypes, EventPriorities } from '../interfaces/GameEvents.js';
+
+export class EndingSystem extends IGameSystem {
+    constructor() {
+        super('Ending');
+        
+        this.sceneManager = null;
+        this.overlay = null;
+        
+        // { reason, data, sequence, time, completed } while an ending plays
+        this.activeEnding = null;
+        
+        // Endings without a sequence (ENERGY) go straight to the recap
+        this.sequences = {
+            CAUGHT: {
+                duration: () => params.ENDING_CAUGHT_DURATION,
+                update: (progress, time) => this.updateArrestSequence(progress, time)
+            },
+            CHAOS: {
+                duration: () => params.ENDING_CHAOS_DURATION,
+                update: (progress, time) => this.updateChaosSequence(progress, time)
+            },
+            ADULT: {
+                duration: () => params.ENDING_ADULT_DURATION,
+                update: (progress, time) => this.updateAdultSequence(progress, time)
+            }
+        };
+        
+        // Looks the sequences change, put back on restart
+        this.planetBaseColor = null;
+        this.backgroundBaseColor = null;
+    }
+
+    async initialize(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.createOverlay();
+        
+        this.subscribeToEvent(
+            GameEventTypes.GAME_OVER,
+            (event) => this.startEnding(event.data),
+            EventPriorities.HIGH
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.GAME_WIN,
+            (event) => this.startEnding(event.data),
+            EventPriorities.HIGH
+        );
+        
+        // A loaded save replaces the world the sequence was playing on
+        this.subscribeToEvent(
+            GameEventTypes.GAME_LOAD,
+            () => this.stopEnding(),
+            EventPriorities.HIGH
+        );
+        
+        console.log('🎬 Ending System initialized');
+    }
+
+    createOverlay() {
+        if (typeof document === 'undefined') return;
+        
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'ending-overlay';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            pointer-events: none;
+            z-index: 600;
+            background: rgba(0, 0, 0, 0);
+            display: none;
+        `;
+        
+        document.body.appendChild(this.overlay);
+    }
+
+    startEnding(gameOverData) {
+        const sequence = this.sequences[gameOverData.reason] || null;
+        
+        this.stopEnding();
+        this.activeEnding = { reason: gameOverData.reason, data: gameOverData, sequence, time: 0, completed: false };
+        
+        // Police tension belongs to the run, not to its ending (this also restores the background)
+        const visualFXSystem = serviceContainer.resolve('visualFXSystem');
+        if (visualFXSystem && visualFXSystem.policeActive) {
+            visualFXSystem.deactivateTensionEffects();
+        }
+        
+        const innerPlanet = this.sceneManager.getInnerPlanet();
+        this.planetBaseColor = innerPlanet ? innerPlanet.material.color.clone() : null;
+        this.backgroundBaseColor = this.sceneManager.scene && this.sceneManager.scene.background ?
+            this.sceneManager.scene.background.clone() : null;
+        
+        if (this.overlay) {
+            this.overlay.style.display = 'block';
+        }
+        
+        console.log(`🎬 Ending sequence: ${gameOverData.reason}`);
+        
+        if (!sequence) {
+            this.completeEnding();
+        }
+    }
+
+    update(deltaTime) {
+        const ending = this.activeEnding;
+        if (!ending || ending.completed) return;
+        
+        ending.time += deltaTime;
+        const progress = Math.min(1, ending.time / ending.sequence.duration());
+        ending.sequence.update(progress, ending.time);
+        
+        if (progress >= 1) {
+            this.completeEnding();
+        }
+    }
+
+    // The final frame of the sequence stays on screen behind the recap
+    completeEnding() {
+        this.activeEnding.completed = true;
+        this.publishEvent(GameEventTypes.GAME_ENDING_COMPLETE, this.activeEnding.data);
+    }
+
+    // Arrest: the camera closes in on the player under flashing police lights
+    updateArrestSequence(progress, time) {
+        this.sceneManager.cameraZoom = 1 + (params.ENDING_CAUGHT_ZOOM - 1) * this.easeOut(progress);
+        
+        if (this.overlay) {
+            const alpha = 0.15 + 0.2 * Math.abs(Math.sin(time * Math.PI * 3));
+            this.overlay.style.background = Math.floor(time * 6) % 2 === 0 ?
+                `radial-gradient(circle at 50% 50%, rgba(0, 0, 0, 0) 30%, rgba(255, 20, 20, ${alpha}) 100%)` :
+                `radial-gradient(circle at 50% 50%, rgba(0, 0, 0, 0) 30%, rgba(20, 60, 255, ${alpha}) 100%)`;
+        }
+    }
+
+    // Chaos: outrage spreads from the player until the whole planet has turned
+    updateChaosSequence(progress, time) {
+        const chaosColor = new THREE.Color(params.ENDING_CHAOS_COLOR);
+        const reach = Math.PI * this.easeOut(progress); // Angular distance from the player covered so far
+        
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const npcSystem = serviceContainer.resolve('npcSystem');
+        const origin = playerSystem.getPlayerPosition().clone().normalize();
+        
+        for (const npc of npcSystem.getAllNPCs()) {
+            const angle = origin.angleTo(npc.transform.position.clone().normalize());
+            if (angle > reach) continue;
+            
+            // The tint the NPC had when the run ended; NPCSystem leaves tints alone once it is set
+            if (!npc.preEndingTint) {
+                npc.preEndingTint = npc.tint ? npc.tint.clone() : new THREE.Color(1, 1, 1);
+                npc.tint = npc.preEndingTint.clone();
+            }
+            
+            // Crowds behind the front are fully turned, the front itself is still blending in
+            const blend = Math.min(1, (reach - angle) / 0.3);
+            npc.tint.copy(npc.preEndingTint).lerp(chaosColor, blend);
+            if (npc.renderer && npc.renderer.mesh) {
+                npc.renderer.mesh.material.color.copy(npc.tint);
+            }
+        }
+        
+        const innerPlanet = this.sceneManager.getInnerPlanet();
+        if (innerPlanet && this.planetBaseColor) {
+            innerPlanet.material.color.copy(this.planetBaseColor).lerp(chaosColor, progress);
+        }
+        if (this.sceneManager.scene && this.backgroundBaseColor) {
+            this.sceneManager.scene.background = this.backgroundBaseColor.clone().lerp(chaosColor.clone().multiplyScalar(0.3), progress);
+        }
+        
+        if (this.overlay) {
+            const pulse = 0.1 + 0.1 * Math.sin(time * 4);
+            this.overlay.style.background = `rgba(180, 0, 30, ${pulse * progress})`;
+        }
+    }
+
+    // Adult: the camera steps back and the world fades to a quiet light
+    updateAdultSequence(progress, time) {
+        this.sceneManager.cameraZoom = 1 + (params.ENDING_ADULT_ZOOM - 1) * this.easeOut(progress);
+        
+        if (this.overlay) {
+            this.overlay.style.background = `rgba(255, 248, 225, ${0.55 * progress})`;
+        }
+    }
+
+    easeOut(progress) {
+        return 1 - Math.pow(1 - progress, 3);
+    }
+
+    // Put every look the sequence touched back; a reset or restore rebuilds the crowd anyway
+    stopEnding() {
+        if (!this.activeEnding) return;
+        
+        this.sceneManager.cameraZoom = 1;
+        
+        // NPCs the chaos ending recoloured go back to their tint, and to NPCSystem's care
+        if (serviceContainer.has('npcSystem')) {
+            for (const npc of serviceContainer.resolve('npcSystem').getAllNPCs()) {
+                if (!npc.preEndingTint) continue;
+                
+                npc.tint.copy(npc.preEndingTint);
+                npc.preEndingTint = null;
+                if (npc.renderer && npc.renderer.mesh) {
+                    npc.renderer.mesh.material.color.copy(npc.tint);
+                }
+            }
+        }
+        
+        const innerPlanet = this.sceneManager.getInnerPlanet();
+        if (innerPlanet && this.planetBaseColor) {
+            innerPlanet.material.color.copy(this.planetBaseColor);
+        }
+        
+        if (this.overlay) {
+            this.overlay.style.background = 'rgba(0, 0, 0, 0)';
+            this.overlay.style.display = 'none';
+        }
+        
+        this.activeEnding = null;
+    }
+
+    // Runs after PlayerSystem, which already put the background back to neutral
+    onGameReset(resetData) {
+        this.stopEnding();
+    }
+
+    // Public interface
+    isPlaying() {
+        return this.activeEnding !== null && !this.activeEnding.completed;
+    }
+
+    shutdown() {
+        this.cleanupEventSubscriptions();
+        this.stopEnding();
+        
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+        
+        console.log('🎬 Ending System shutdown');
+    }
+}
@@ -2,7 +2,73 @@
 import { IGameSystem } from '../interfaces/IGameSystem.js';
 import { params } from '../params.js';
 import { serviceContainer } from '../core/ServiceContainer.js';
+import { ideologyRegistry } from '../core/IdeologyRegistry.js';
 import { GameEventTypes, EventDataFactory, EventPriorities } from '../interfaces/GameEvents.js';
+import { scaleForDifficulty } from './DifficultySystem.js';
+import { compileEndingCondition } from '../utils/EndingConditions.js';
+
+export const SEEN_ENDINGS_KEY = 'outrage.endings.seen';
+
+// Ending registry. Conditions are checked every tick in this order and the first one that
+// holds ends the run; endings without a condition come from other systems (PoliceSystem → CAUGHT).
+// outcome 'win' publishes GAME_WIN, anything else GAME_OVER. hint is shown in the gallery until found.
+export const DEFAULT_ENDINGS = [
+    {
+        id: 'CAUGHT',
+        outcome: 'lose',
+        title: 'Arrested',
+        message: 'You were caught by the police!',
+        hint: 'Push outrage until the police come for you'
+    },
+    {
+        id: 'GHOST',
+        outcome: 'win',
+        title: 'Ghost',
+        message: 'Nobody ever found out what you think. Maybe not even you.',
+        hint: 'Survive without ever wearing a mask',
+        condition: (state) => state.runStats.maskChanges === 0 && state.gameTime >= params.GHOST_TIME_REQUIRED
+    },
+    {
+        id: 'TOURIST',
+        outcome: 'win',
+        title: 'Tourist',
+        message: 'You blended into every crowd on the planet, and belonged to none.',
+        hint: 'Spend a while in the crowd of every ideology',
+        condition: (state) => state.runStats.crowdsVisited.length >= ideologyRegistry.getCount()
+    },
+    {
+        id: 'CULT_LEADER',
+        outcome: 'lose',
+        title: 'Cult Leader',
+        message: 'A whole ideology turned its coat because of you.',
+        hint: 'Convert every last member of an ideology',
+        condition: (state) => state.getConvertedIdeologies().length > 0
+    },
+    {
+        id: 'BURNOUT',
+        outcome: 'lose',
+        title: 'Burnout',
+        message: 'You ran out of energy keeping up appearances.',
+        hint: 'Run out of energy while wearing a mask',
+        condition: (state) => state.energy <= 0 && state.currentMask !== null
+    },
+    {
+        id: 'CHAOS',
+        outcome: 'lose',
+        title: 'Chaos',
+        message: 'The world descended into chaos!',
+        hint: 'Keep outrage at its peak long enough',
+        condition: (state) => state.chaosTimer >= params.CHAOS_TIME_REQUIRED
+    },
+    {
+        id: 'ADULT',
+        outcome: 'win',
+        title: 'You Win!',
+        message: 'Congratulations, now you\'re leading a good life',
+        hint: 'Keep outrage low for a long time',
+        condition: (state) => state.adultTimer >= params.ADULT_TIME_REQUIRED
+    }
+];
 
 export class GameStateSystem extends IGameSystem {
     constructor() {
@@ -18,8 +84,21 @@ export class GameStateSystem extends IGameSystem {
         
         // Game flow
         this.isGameOver = false;
+        this.endReason = null;      // Id of the ending (see DEFAULT_ENDINGS) once the game is over
         this.currentMask = null;    // null = neutral, 1-7 = mask types
         
+        // Run statistics for the ending recap
+        this.runStats = this.createRunStats();
+        
+        // Crowd the player is currently staying in, and for how long (Tourist ending)
+        this.visitMask = null;
+        this.visitTime = 0;
+        
+        // Ending registry, and the endings found in earlier sessions
+        this.endings = new Map();
+        DEFAULT_ENDINGS.forEach(ending => this.registerEnding(ending));
+        this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+        
         // Timers for win conditions
         this.adultTimer = 0;        // Time with outrage < 10%
         this.chaosTimer = 0;        // Time with outrage >= 100%
@@ -27,8 +106,20 @@ export class GameStateSystem extends IGameSystem {
         // Player status
         this.inCrowd = false;       // Whether player is in a crowd
         this.inWrongCrowd = false;  // Whether player is in a wrong crowd (different mask majority)
+        this.crowdOffence = 1;      // How much that crowd's ideology clashes with the mask (see IdeologyRegistry.getAffinity)
         this.isBeingChased = false; // Whether police is chasing
         
+        // Crowd kickout
+        this.crowdTimers = new Map();   // maskType -> time spent in a matching crowd
+        this.belongingActive = false;   // Whether the player currently sits in a matching crowd
+        this.kickoutWarningActive = false;
+        this.maskCooldowns = new Map(); // maskType -> remaining lock time after a kickout
+        
+        // Mask inventory - masks are picked up on the planet during the run
+        this.random = serviceContainer.resolve('randomService').stream('masks');
+        this.unlockedMasks = new Set();
+        this.initializeMaskInventory();
+        
         // Event throttling to prevent spam
         this.lastEventTime = {
             outrage: 0,
@@ -38,14 +129,29 @@ export class GameStateSystem extends IGameSystem {
     }
 
     async initialize(sceneManager) {
+        // Cult leader ending: conversions are counted per ideology they left
+        this.subscribeToEvent(
+            GameEventTypes.NPC_CONVERTED,
+            (event) => this.recordConversion(event.data.oldMaskType),
+            EventPriorities.NORMAL
+        );
+        
+        // A scenario package may retitle, disable or add endings
+        if (serviceContainer.has('scenario')) {
+            this.applyScenarioEndings(serviceContainer.resolve('scenario').endings);
+        }
+        
         console.log('🎮 Game State System initialized');
     }
 
-    update(deltaTime) {
+    fixedUpdate(deltaTime) {
         if (this.isGameOver) return;
         
         // Update game time
         this.gameTime += deltaTime;
+        if (this.isBeingChased) {
+            this.runStats.chasedTime += deltaTime;
+        }
         
         // Energy depletion over time
         /* if (this.currentMask !== null) {
@@ -59,16 +165,21 @@ export class GameStateSystem extends IGameSystem {
         
         // Outrage management based on crowd status
         if (this.inWrongCrowd) {
-            // Increase outrage when in wrong crowd
-            this.addOutrage(params.OUTRAGE_INCREASE_RATE * deltaTime);
+            // Increase outrage when in wrong crowd, the more opposed the faster
+            this.addOutrage(params.OUTRAGE_INCREASE_RATE * this.crowdOffence * deltaTime);
         } else if (!this.inCrowd) {
             // Decay outrage when not in crowd
-            this.addOutrage(-params.OUTRAGE_DECAY_RATE * deltaTime);
+            this.addOutrage(-scaleForDifficulty('outrageDecay', params.OUTRAGE_DECAY_RATE) * deltaTime);
         }
         // Note: No outrage change when in correct crowd (inCrowd && !inWrongCrowd)
         
-        // Update win condition timers
+        // Belonging never lasts: matching crowds kick the player out after a while
+        this.updateCrowdKickoutTimer(deltaTime);
+        this.updateMaskCooldowns(deltaTime);
+        
+        // Update win condition timers, then see whether any ending has been reached
         this.updateWinConditionTimers(deltaTime);
+        this.checkEndingConditions();
         
         // Debug logging occasionally
         if (Math.floor(this.gameTime * 10) % 50 === 0) {
@@ -85,10 +196,11 @@ export class GameStateSystem extends IGameSystem {
     addOutrage(amount) {
         const oldOutrage = this.outrage;
         this.outrage = Math.min(100, Math.max(0, this.outrage + amount));
+        this.runStats.peakOutrage = Math.max(this.runStats.peakOutrage, this.outrage);
         
         if (oldOutrage !== this.outrage) {
             // Throttle outrage events to prevent spam
-            const currentTime = Date.now();
+            const currentTime = this.gameTime * 1000; // Simulation time keeps the event stream reproducible
             if (currentTime - this.lastEventTime.outrage >= this.eventThrottleInterval) {
                 // Publish outrage change event
                 const eventData = EventDataFactory.gameOutrageChange(
@@ -119,7 +231,7 @@ export class GameStateSystem extends IGameSystem {
         
         if (oldEnergy !== this.energy) {
             // Throttle energy events to prevent spam
-            const currentTime = Date.now();
+            const currentTime = this.gameTime * 1000;
             if (currentTime - this.lastEventTime.energy >= this.eventThrottleInterval) {
                 // Publish energy change event
                 const eventData = EventDataFactory.playerEnergyChange(
@@ -148,9 +260,12 @@ export class GameStateSystem extends IGameSystem {
         this.addEnergy(-amount);
     }
 
-    setMask(maskType) {
+    setMask(maskType, reason = 'input') {
         const oldMask = this.currentMask;
         this.currentMask = maskType;
+        if (oldMask !== maskType) {
+            this.runStats.maskChanges++;
+        }
         
         // Update scene background color based on mask
         const sceneManager = serviceContainer.resolve('sceneManager');
@@ -161,7 +276,7 @@ export class GameStateSystem extends IGameSystem {
         console.log(`🎭 Mask changed to: ${maskType || 'Neutral'}`);
         
         // Publish mask change event
-        const eventData = EventDataFactory.playerMaskChange(oldMask, maskType, 0);
+        const eventData = EventDataFactory.playerMaskChange(oldMask, maskType, 0, reason);
         this.publishEvent(GameEventTypes.PLAYER_MASK_CHANGE, eventData);
         
         // Also publish general state change
@@ -169,7 +284,7 @@ export class GameStateSystem extends IGameSystem {
             'mask', 
             oldMask, 
             maskType, 
-            { reason: 'mask_change' }
+            { reason: 'mask_change', source: reason }
         );
         this.publishEvent(GameEventTypes.GAME_STATE_CHANGE, stateChangeData);
     }
@@ -192,7 +307,8 @@ export class GameStateSystem extends IGameSystem {
         }
     }
 
-    setInWrongCrowd(inWrongCrowd) {
+    setInWrongCrowd(inWrongCrowd, offence = 1) {
+        this.crowdOffence = offence;
         if (this.inWrongCrowd !== inWrongCrowd) {
             this.inWrongCrowd = inWrongCrowd;
             this.notifyStateChange('inWrongCrowd', inWrongCrowd, !inWrongCrowd);
@@ -206,6 +322,160 @@ export class GameStateSystem extends IGameSystem {
         }
     }
 
+    // Blending in: inside a crowd whose mask the player wears
+    isInMatchingCrowd() {
+        return this.inCrowd && !this.inWrongCrowd && this.currentMask !== null;
+    }
+
+    // Crowd kickout management
+    updateCrowdKickoutTimer(deltaTime) {
+        const inMatchingCrowd = this.isInMatchingCrowd();
+        
+        // Timers recover while the player is away from the matching crowd
+        for (const [maskType, time] of this.crowdTimers) {
+            if (inMatchingCrowd && maskType === this.currentMask) continue;
+            const recovered = time - params.CROWD_KICKOUT_RECOVERY_RATE * deltaTime;
+            if (recovered > 0) {
+                this.crowdTimers.set(maskType, recovered);
+            } else {
+                this.crowdTimers.delete(maskType);
+            }
+        }
+        
+        if (!inMatchingCrowd) {
+            if (this.belongingActive) {
+                this.belongingActive = false;
+                this.kickoutWarningActive = false;
+                const eventData = EventDataFactory.crowdBelonging(
+                    this.currentMask,
+                    this.getCrowdTime(),
+                    this.getKickoutTimeRemaining()
+                );
+                this.publishEvent(GameEventTypes.CROWD_BELONGING_END, eventData);
+            }
+            return;
+        }
+        
+        const timeInCrowd = this.getCrowdTime() + deltaTime;
+        this.crowdTimers.set(this.currentMask, timeInCrowd);
+        const timeRemaining = this.getKickoutTimeRemaining();
+        
+        if (!this.belongingActive) {
+            this.belongingActive = true;
+            const eventData = EventDataFactory.crowdBelonging(this.currentMask, timeInCrowd, timeRemaining);
+            this.publishEvent(GameEventTypes.CROWD_BELONGING_START, eventData);
+        }
+        
+        if (timeRemaining <= 0) {
+            this.kickOutOfCrowd();
+            return;
+        }
+        
+        if (!this.kickoutWarningActive && timeRemaining <= params.CROWD_KICKOUT_WARNING_TIME) {
+            this.kickoutWarningActive = true;
+            const eventData = EventDataFactory.crowdBelonging(this.currentMask, timeInCrowd, timeRemaining);
+            this.publishEvent(GameEventTypes.CROWD_KICKOUT_WARNING, eventData);
+            console.log(`⚠️ Crowd ${this.currentMask} is getting tired of the player - kickout in ${timeRemaining.toFixed(1)}s`);
+        }
+    }
+
+    kickOutOfCrowd() {
+        const maskType = this.currentMask;
+        const timeInCrowd = this.getCrowdTime();
+        
+        this.crowdTimers.delete(maskType);
+        this.belongingActive = false;
+        this.kickoutWarningActive = false;
+        this.runStats.kickouts++;
+        
+        this.lockMask(maskType, params.CROWD_KICKOUT_COOLDOWN, 'kickout');
+        
+        console.log(`🚪 Kicked out of crowd ${maskType} after ${timeInCrowd.toFixed(1)}s`);
+        
+        // PlayerSystem ejects the player and drops the mask in response
+        const eventData = EventDataFactory.crowdKickout(maskType, timeInCrowd, params.CROWD_KICKOUT_COOLDOWN);
+        this.publishEvent(GameEventTypes.CROWD_KICKOUT, eventData);
+    }
+
+    lockMask(maskType, duration, reason) {
+        if (maskType === null || duration <= 0) return;
+        
+        this.maskCooldowns.set(maskType, duration);
+        
+        const eventData = EventDataFactory.maskCooldown(maskType, duration, reason);
+        this.publishEvent(GameEventTypes.PLAYER_MASK_COOLDOWN_START, eventData);
+    }
+
+    updateMaskCooldowns(deltaTime) {
+        for (const [maskType, remaining] of this.maskCooldowns) {
+            const newRemaining = remaining - deltaTime;
+            if (newRemaining > 0) {
+                this.maskCooldowns.set(maskType, newRemaining);
+                continue;
+            }
+            
+            this.maskCooldowns.delete(maskType);
+            const eventData = EventDataFactory.maskCooldown(maskType, 0, 'expired');
+            this.publishEvent(GameEventTypes.PLAYER_MASK_COOLDOWN_END, eventData);
+            console.log(`🔓 Mask ${maskType} available again`);
+        }
+    }
+
+    isMaskLocked(maskType) {
+        return this.maskCooldowns.has(maskType);
+    }
+
+    getMaskCooldown(maskType) {
+        return this.maskCooldowns.get(maskType) || 0;
+    }
+
+    getCrowdTime(maskType = this.currentMask) {
+        return this.crowdTimers.get(maskType) || 0;
+    }
+
+    getKickoutTimeRemaining(maskType = this.currentMask) {
+        return Math.max(0, params.CROWD_KICKOUT_TIME - this.getCrowdTime(maskType));
+    }
+
+    // Mask inventory management
+    initializeMaskInventory() {
+        this.unlockedMasks.clear();
+        
+        const available = ideologyRegistry.getIds();
+        const startingCount = Math.min(params.MASK_STARTING_UNLOCKED, available.length);
+        for (let i = 0; i < startingCount; i++) {
+            const index = this.random.int(0, available.length - 1);
+            this.unlockedMasks.add(available.splice(index, 1)[0]);
+        }
+    }
+
+    unlockMask(maskType, source = 'pickup') {
+        if (maskType === null || this.unlockedMasks.has(maskType)) return false;
+        
+        const oldMasks = this.getUnlockedMasks();
+        this.unlockedMasks.add(maskType);
+        
+        console.log(`🎁 Mask ${maskType} unlocked (${this.unlockedMasks.size}/${ideologyRegistry.getCount()})`);
+        
+        const eventData = EventDataFactory.maskUnlock(maskType, this.getUnlockedMasks(), source);
+        this.publishEvent(GameEventTypes.PLAYER_MASK_UNLOCK, eventData);
+        this.notifyStateChange('unlockedMasks', this.getUnlockedMasks(), oldMasks, { maskType, source });
+        
+        return true;
+    }
+
+    isMaskUnlocked(maskType) {
+        return maskType === null || this.unlockedMasks.has(maskType);
+    }
+
+    getUnlockedMasks() {
+        return Array.from(this.unlockedMasks).sort((a, b) => a - b);
+    }
+
+    getMissingMasks() {
+        return ideologyRegistry.getIds().filter(maskType => !this.unlockedMasks.has(maskType));
+    }
+
     addPolarisedPeople(count) {
         this.polarisedPeople += count;
         this.notifyStateChange('polarisedPeople', this.polarisedPeople, this.polarisedPeople - count);
@@ -215,11 +485,151 @@ export class GameStateSystem extends IGameSystem {
     endGame(reason) {
         if (!this.isGameOver) {
             this.isGameOver = true;
+            this.endReason = reason;
             this.notifyStateChange('gameOver', { reason, score: this.getScore() });
+            
+            this.markEndingSeen(reason);
+            
+            // The engine freezes the simulation on both; EndingSystem plays the matching sequence
+            const ending = this.getEnding(reason);
+            const eventData = EventDataFactory.gameOver(reason, this.getScore(), this.gameTime, this.getEndingStats());
+            this.publishEvent(ending && ending.outcome === 'win' ? GameEventTypes.GAME_WIN : GameEventTypes.GAME_OVER, eventData);
             console.log(`🎭 Game Over: ${reason} - Score: ${this.getScore()}`);
         }
     }
 
+    createRunStats() {
+        return {
+            peakOutrage: 0,
+            maskChanges: 0,
+            kickouts: 0,
+            chasedTime: 0,  // Seconds with the police on the player's heels
+            closeCalls: 0,  // Arrests escaped with the capture meter nearly full
+            crowdsVisited: [],  // Ideologies whose crowd the player has stood in
+            conversions: {}     // maskType -> NPCs converted away from that ideology
+        };
+    }
+
+    // Ending registry
+    registerEnding(ending) {
+        if (!ending || !ending.id) {
+            throw new Error('Endings need an id');
+        }
+        
+        this.endings.set(ending.id, {
+            outcome: 'lose',
+            condition: null,
+            ...ending
+        });
+    }
+
+    getEnding(id) {
+        return this.endings.get(id) || null;
+    }
+
+    // Entries as validated by utils/ScenarioPackage.js: "when" conditions are data, see utils/EndingConditions.js
+    applyScenarioEndings(entries) {
+        for (const { enabled, when, ...fields } of entries) {
+            if (enabled === false) {
+                this.endings.delete(fields.id);
+                continue;
+            }
+            
+            this.registerEnding({
+                ...this.getEnding(fields.id),
+                ...fields,
+                ...(when ? { condition: compileEndingCondition(when) } : {})
+            });
+        }
+    }
+
+    getEndings() {
+        return Array.from(this.endings.values());
+    }
+
+    checkEndingConditions() {
+        for (const ending of this.endings.values()) {
+            if (ending.condition && ending.condition(this)) {
+                this.endGame(ending.id);
+                return;
+            }
+        }
+    }
+
+    // Endings gallery, kept across sessions
+    getSeenEndings() {
+        if (!this.storage) return [];
+        
+        try {
+            const seen = JSON.parse(this.storage.getItem(SEEN_ENDINGS_KEY));
+            return Array.isArray(seen) ? seen : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    markEndingSeen(id) {
+        const seen = this.getSeenEndings();
+        if (!this.storage || seen.includes(id)) return;
+        
+        seen.push(id);
+        try {
+            this.storage.setItem(SEEN_ENDINGS_KEY, JSON.stringify(seen));
+        } catch (error) {
+            console.warn('⚠️ Could not remember the ending:', error);
+        }
+    }
+
+    // Tourist ending: every ideology's crowd visited, staying in it for TOURIST_VISIT_TIME.
+    // maskType is the crowd the player stands in, null outside any; passing through does not count.
+    visitCrowd(maskType, deltaTime) {
+        if (maskType !== this.visitMask) {
+            this.visitMask = maskType;
+            this.visitTime = 0;
+        }
+        if (maskType === null || this.runStats.crowdsVisited.includes(maskType)) return;
+        
+        this.visitTime += deltaTime;
+        if (this.visitTime < params.TOURIST_VISIT_TIME) return;
+        
+        this.runStats.crowdsVisited.push(maskType);
+        console.log(`🧳 Visited crowd ${maskType} (${this.runStats.crowdsVisited.length}/${ideologyRegistry.getCount()})`);
+    }
+
+    recordConversion(maskType) {
+        this.runStats.conversions[maskType] = (this.runStats.conversions[maskType] || 0) + 1;
+    }
+
+    // Ideologies that lost members to conversion and have nobody left
+    getConvertedIdeologies() {
+        if (!serviceContainer.has('npcSystem')) return [];
+        
+        const npcSystem = serviceContainer.resolve('npcSystem');
+        return Object.keys(this.runStats.conversions)
+            .map(Number)
+            .filter(maskType => npcSystem.getGroupSize(maskType) === 0);
+    }
+
+    copyRunStats(runStats) {
+        return {
+            ...runStats,
+            crowdsVisited: [...runStats.crowdsVisited],
+            conversions: { ...runStats.conversions }
+        };
+    }
+
+    getEndingStats() {
+        return {
+            ...this.copyRunStats(this.runStats),
+            score: this.getScore(),
+            gameTime: this.gameTime,
+            polarisedPeople: this.polarisedPeople,
+            masksCollected: this.unlockedMasks.size,
+            chaosTime: this.chaosTimer,
+            calmTime: this.adultTimer
+        };
+    }
+
     reset() {
         const oldState = this.getFullState();
         
@@ -228,17 +638,88 @@ export class GameStateSystem extends IGameSystem {
         this.gameTime = 0;
         this.polarisedPeople = 0;
         this.isGameOver = false;
+        this.endReason = null;
         this.currentMask = null;
         this.adultTimer = 0;
         this.chaosTimer = 0;
         this.inCrowd = false;
         this.inWrongCrowd = false;
+        this.crowdOffence = 1;
         this.isBeingChased = false;
+        this.crowdTimers.clear();
+        this.belongingActive = false;
+        this.kickoutWarningActive = false;
+        this.maskCooldowns.clear();
+        this.initializeMaskInventory();
+        this.runStats = this.createRunStats();
+        this.visitMask = null;
+        this.visitTime = 0;
+        this.lastEventTime = { outrage: 0, energy: 0 };
         
         this.notifyStateChange('reset', this.getFullState(), oldState);
         console.log('🔄 Game state reset');
     }
 
+    onGameReset(resetData) {
+        this.reset();
+    }
+
+    // Save / load (see utils/GameSnapshot.js)
+    getSnapshot() {
+        return {
+            outrage: this.outrage,
+            energy: this.energy,
+            gameTime: this.gameTime,
+            polarisedPeople: this.polarisedPeople,
+            isGameOver: this.isGameOver,
+            endReason: this.endReason,
+            currentMask: this.currentMask,
+            adultTimer: this.adultTimer,
+            chaosTimer: this.chaosTimer,
+            inCrowd: this.inCrowd,
+            inWrongCrowd: this.inWrongCrowd,
+            crowdOffence: this.crowdOffence,
+            isBeingChased: this.isBeingChased,
+            crowdTimers: Array.from(this.crowdTimers),
+            belongingActive: this.belongingActive,
+            kickoutWarningActive: this.kickoutWarningActive,
+            maskCooldowns: Array.from(this.maskCooldowns),
+            unlockedMasks: this.getUnlockedMasks(),
+            runStats: this.copyRunStats(this.runStats),
+            visitMask: this.visitMask,
+            visitTime: this.visitTime
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        const oldState = this.getFullState();
+        
+        this.outrage = snapshot.outrage;
+        this.energy = snapshot.energy;
+        this.gameTime = snapshot.gameTime;
+        this.polarisedPeople = snapshot.polarisedPeople;
+        this.isGameOver = snapshot.isGameOver;
+        this.endReason = snapshot.endReason;
+        this.currentMask = snapshot.currentMask;
+        this.adultTimer = snapshot.adultTimer;
+        this.chaosTimer = snapshot.chaosTimer;
+        this.inCrowd = snapshot.inCrowd;
+        this.inWrongCrowd = snapshot.inWrongCrowd;
+        this.crowdOffence = snapshot.crowdOffence ?? 1;
+        this.isBeingChased = snapshot.isBeingChased;
+        this.crowdTimers = new Map(snapshot.crowdTimers);
+        this.belongingActive = snapshot.belongingActive;
+        this.kickoutWarningActive = snapshot.kickoutWarningActive;
+        this.maskCooldowns = new Map(snapshot.maskCooldowns);
+        this.unlockedMasks = new Set(snapshot.unlockedMasks);
+        this.runStats = this.copyRunStats({ ...this.createRunStats(), ...snapshot.runStats });
+        this.visitMask = snapshot.visitMask ?? null;
+        this.visitTime = snapshot.visitTime ?? 0;
+        
+        this.notifyStateChange('snapshot', this.getFullState(), oldState);
+        console.log(`💾 Game state restored at ${this.gameTime.toFixed(1)}s`);
+    }
+
     // Score calculation
     getScore() {
         return Math.floor(
@@ -247,15 +728,11 @@ export class GameStateSystem extends IGameSystem {
         );
     }
 
-    // Win condition checking
+    // Win condition timers, read by the ADULT and CHAOS ending conditions
     updateWinConditionTimers(deltaTime) {
         // Adult timer: outrage < 10% for 3 minutes
         if (this.outrage < params.ADULT_OUTRAGE_THRESHOLD) {
             this.adultTimer += deltaTime;
-            if (this.adultTimer >= params.ADULT_TIME_REQUIRED) {
-                this.endGame('ADULT');
-                return;
-            }
         } else {
             this.adultTimer = 0;
         }
@@ -263,10 +740,6 @@ export class GameStateSystem extends IGameSystem {
         // Chaos timer: outrage >= 100% for 30 seconds
         if (this.outrage >= params.CHAOS_OUTRAGE_THRESHOLD) {
             this.chaosTimer += deltaTime;
-            if (this.chaosTimer >= params.CHAOS_TIME_REQUIRED) {
-                this.endGame('CHAOS');
-                return;
-            }
         } else {
             this.chaosTimer = 0;
         }
@@ -274,7 +747,7 @@ export class GameStateSystem extends IGameSystem {
 
     // State queries
     canReturnToNeutral() {
-        return !this.isBeingChased && !this.inWrongCrowd;
+        return !this.isGameOver && !this.isBeingChased && !this.inWrongCrowd;
     }
 
     getFullState() {
@@ -290,6 +763,11 @@ export class GameStateSystem extends IGameSystem {
             inCrowd: this.inCrowd,
             inWrongCrowd: this.inWrongCrowd,
             isBeingChased: this.isBeingChased,
+            crowdTime: this.getCrowdTime(),
+            kickoutTimeRemaining: this.getKickoutTimeRemaining(),
+            kickoutWarning: this.kickoutWarningActive,
+            maskCooldowns: Object.fromEntries(this.maskCooldowns),
+            unlockedMasks: this.getUnlockedMasks(),
             score: this.getScore()
         };
     }
@@ -331,7 +809,7 @@ export class GameStateSystem extends IGameSystem {
     onPlayerAction(action) {
         switch (action.type) {
             case 'maskChange':
-                this.setMask(action.maskType);
+                this.setMask(action.maskType, 'action');
                 break;
             case 'crowdInteraction':
                 this.setInCrowd(action.inCrowd);
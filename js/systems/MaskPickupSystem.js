@@ -0,0 +1,262 @@
+// systems/MaskPickupSystem.js - Mask pickups scattered on the planet following SOLID principles
+import { IGameSystem } from '../interfaces/IGameSystem.js';
+import { Transform } from '../components/Transform.js';
+import { Renderer } from '../components/Renderer.js';
+import { params } from '../params.js';
+import { serviceContainer } from '../core/ServiceContainer.js';
+import { getTextureForMask, getColorForMask } from '../factories/NPCFactory.js';
+import { GameEventTypes, EventDataFactory } from '../interfaces/GameEvents.js';
+
+export class MaskPickupSystem extends IGameSystem {
+    constructor() {
+        super('MaskPickup');
+        
+        this.pickups = [];
+        this.scene = null;
+        this.planetRadius = 0;
+        this.spawnTimer = 0;
+        this.nextPickupId = 0;
+        
+        this.textureLoader = new THREE.TextureLoader();
+        this.random = serviceContainer.resolve('randomService').stream('pickups');
+    }
+
+    async initialize(sceneManager) {
+        this.scene = sceneManager.getScene();
+        this.planetRadius = sceneManager.getPlanetRadius();
+        
+        // A couple of pickups are waiting from the start
+        for (let i = 0; i < params.MASK_PICKUP_INITIAL_COUNT; i++) {
+            this.spawnPickup();
+        }
+        
+        console.log(`🎁 Mask Pickup System initialized with ${this.pickups.length} pickups`);
+    }
+
+    fixedUpdate(deltaTime) {
+        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+        if (!gameStateSystem || gameStateSystem.isGameOver) return;
+        
+        // Spawn new pickups over time
+        this.spawnTimer += deltaTime;
+        if (this.spawnTimer >= params.MASK_PICKUP_SPAWN_INTERVAL) {
+            this.spawnTimer = 0;
+            if (this.pickups.length < params.MASK_PICKUP_MAX_ACTIVE) {
+                this.spawnPickup();
+            }
+        }
+        
+        this.checkCollection(gameStateSystem);
+    }
+
+    update(deltaTime) {
+        // Bobbing is purely cosmetic, so it runs at render rate
+        this.updatePickupVisuals(deltaTime);
+    }
+
+    spawnPickup() {
+        const maskType = this.chooseMaskToSpawn();
+        if (maskType === null) return null;
+        
+        const position = this.generateSpawnPosition();
+        const pickup = {
+            id: `pickup_${this.nextPickupId++}`,
+            maskType: maskType,
+            transform: new Transform(position),
+            renderer: this.createPickupRenderer(maskType),
+            bobTime: this.random.range(0, Math.PI * 2)
+        };
+        
+        this.pickups.push(pickup);
+        
+        const eventData = EventDataFactory.maskPickup(pickup.id, maskType, position.clone());
+        this.publishEvent(GameEventTypes.MASK_PICKUP_SPAWN, eventData);
+        
+        console.log(`🎁 Mask pickup ${maskType} spawned at (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
+        return pickup;
+    }
+
+    chooseMaskToSpawn() {
+        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+        if (!gameStateSystem) return null;
+        
+        // Only masks the player still lacks and that are not already lying around
+        const waiting = new Set(this.pickups.map(pickup => pickup.maskType));
+        const candidates = gameStateSystem.getMissingMasks()
+            .filter(maskType => !waiting.has(maskType));
+        
+        if (candidates.length === 0) return null;
+        return this.random.pick(candidates);
+    }
+
+    generateSpawnPosition() {
+        const radius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const playerPosition = playerSystem ? playerSystem.getPlayerPosition() : null;
+        
+        let position = null;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const theta = this.random.range(0, Math.PI * 2);
+            const phi = Math.acos(this.random.range(-1, 1));
+            position = new THREE.Vector3(
+                radius * Math.sin(phi) * Math.cos(theta),
+                radius * Math.cos(phi),
+                radius * Math.sin(phi) * Math.sin(theta)
+            );
+            
+            // Keep pickups away from the player so they have to go and get them
+            if (!playerPosition || position.distanceTo(playerPosition) >= params.MASK_PICKUP_MIN_PLAYER_DISTANCE) {
+                break;
+            }
+        }
+        
+        return position;
+    }
+
+    createPickupRenderer(maskType) {
+        if (!this.scene) return null;
+        
+        const texture = this.textureLoader.load(getTextureForMask(maskType));
+        const geometry = new THREE.PlaneGeometry(params.MASK_PICKUP_SIZE, params.MASK_PICKUP_SIZE);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            alphaTest: 0.5,
+            side: THREE.DoubleSide
+        });
+        
+        const renderer = new Renderer(geometry, material);
+        renderer.castShadow = false;
+        renderer.createMesh(this.scene);
+        
+        // Coloured halo behind the sprite so pickups read from afar
+        const halo = new THREE.Mesh(
+            new THREE.RingGeometry(params.MASK_PICKUP_SIZE * 0.55, params.MASK_PICKUP_SIZE * 0.7, 24),
+            new THREE.MeshBasicMaterial({
+                color: getColorForMask(maskType),
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide
+            })
+        );
+        renderer.mesh.add(halo);
+        renderer.halo = halo;
+        
+        return renderer;
+    }
+
+    checkCollection(gameStateSystem) {
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        if (!playerSystem) return;
+        
+        const playerPosition = playerSystem.getPlayerPosition();
+        if (!playerPosition) return;
+        
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            if (pickup.transform.position.distanceTo(playerPosition) > params.MASK_PICKUP_COLLECT_RADIUS) continue;
+            
+            this.removePickup(i);
+            gameStateSystem.unlockMask(pickup.maskType);
+            
+            const eventData = EventDataFactory.maskPickup(pickup.id, pickup.maskType, pickup.transform.position.clone());
+            this.publishEvent(GameEventTypes.MASK_PICKUP_COLLECT, eventData);
+            
+            console.log(`🎁 Picked up mask ${pickup.maskType}`);
+        }
+    }
+
+    updatePickupVisuals(deltaTime) {
+        const camera = serviceContainer.resolve('camera');
+        
+        for (const pickup of this.pickups) {
+            if (!pickup.renderer || !pickup.renderer.mesh) continue;
+            
+            // Bob along the surface normal
+            pickup.bobTime += deltaTime * 3;
+            const normal = pickup.transform.position.clone().normalize();
+            const bobOffset = (Math.sin(pickup.bobTime) * 0.5 + 0.5) * params.MASK_PICKUP_SIZE * 0.4;
+            
+            const mesh = pickup.renderer.mesh;
+            mesh.position.copy(pickup.transform.position).addScaledVector(normal, bobOffset + params.MASK_PICKUP_SIZE * 0.3);
+            
+            // Billboard towards the camera like NPCs
+            if (camera) {
+                mesh.quaternion.copy(camera.quaternion);
+            }
+            
+            if (pickup.renderer.halo) {
+                pickup.renderer.halo.material.opacity = 0.5 + Math.sin(pickup.bobTime * 2) * 0.3;
+            }
+        }
+    }
+
+    removePickup(index) {
+        const [pickup] = this.pickups.splice(index, 1);
+        if (pickup && pickup.renderer) {
+            if (pickup.renderer.halo) {
+                pickup.renderer.halo.geometry.dispose();
+                pickup.renderer.halo.material.dispose();
+            }
+            pickup.renderer.dispose();
+        }
+    }
+
+    // Public interface
+    getPickups() {
+        return this.pickups;
+    }
+
+    // Runs after GameStateSystem and PlayerSystem, so the new inventory and spawn point are known
+    onGameReset(resetData) {
+        while (this.pickups.length > 0) {
+            this.removePickup(this.pickups.length - 1);
+        }
+        this.spawnTimer = 0;
+        this.nextPickupId = 0;
+        
+        for (let i = 0; i < params.MASK_PICKUP_INITIAL_COUNT; i++) {
+            this.spawnPickup();
+        }
+    }
+
+    // Save / load (see utils/GameSnapshot.js)
+    getSnapshot() {
+        return {
+            spawnTimer: this.spawnTimer,
+            nextPickupId: this.nextPickupId,
+            pickups: this.pickups.map(pickup => ({
+                id: pickup.id,
+                maskType: pickup.maskType,
+                position: pickup.transform.position.toArray(),
+                bobTime: pickup.bobTime
+            }))
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        while (this.pickups.length > 0) {
+            this.removePickup(this.pickups.length - 1);
+        }
+        
+        this.pickups = snapshot.pickups.map(data => ({
+            id: data.id,
+            maskType: data.maskType,
+            transform: new Transform(new THREE.Vector3().fromArray(data.position)),
+            renderer: this.createPickupRenderer(data.maskType),
+            bobTime: data.bobTime
+        }));
+        this.spawnTimer = snapshot.spawnTimer;
+        this.nextPickupId = snapshot.nextPickupId;
+    }
+
+    shutdown() {
+        this.cleanupEventSubscriptions();
+        
+        while (this.pickups.length > 0) {
+            this.removePickup(this.pickups.length - 1);
+        }
+        
+        console.log('🎁 Mask Pickup System shutdown');
+    }
+}
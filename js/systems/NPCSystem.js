@@ -1,10 +1,23 @@
 // systems/NPCSystem.js - NPC management following SOLID principles
 import { IGameSystem } from '../interfaces/IGameSystem.js';
-import { NPCFactory } from '../factories/NPCFactory.js';
+import { NPCFactory, applyMaskAppearance } from '../factories/NPCFactory.js';
 import { Transform } from '../components/Transform.js';
 import { Renderer } from '../components/Renderer.js';
+import { InstancedCrowdRenderer } from '../components/InstancedCrowdRenderer.js';
 import { params } from '../params.js';
 import { serviceContainer } from '../core/ServiceContainer.js';
+import { ideologyRegistry } from '../core/IdeologyRegistry.js';
+import { GameEventTypes, EventDataFactory, EventPriorities } from '../interfaces/GameEvents.js';
+import { SpatialHash, benchmarkSpatialHash } from '../utils/SpatialHash.js';
+import { scaleForDifficulty } from './DifficultySystem.js';
+
+// Per-NPC values saved as they are; vectors are converted separately, tint and caches are derived
+const NPC_SNAPSHOT_FIELDS = [
+    'id', 'maskType', 'state', 'stateTimer', 'stateReason', 'minStateDuration', 'personality',
+    'groupInfluence', 'lastGroupCheck', 'polarisation', 'isPolarised', 'isRadicalised',
+    'playerInfluence', 'flockingBoost', 'flockingBoostTimer', 'separationBoost', 'separationBoostTimer',
+    'lastInteractionTime'
+];
 
 export class NPCSystem extends IGameSystem {
     constructor() {
@@ -17,9 +30,32 @@ export class NPCSystem extends IGameSystem {
         this.scene = null;
         this.npcFactory = new NPCFactory();
         
+        // Spatial index for neighbour queries, rebuilt every frame
+        this.spatialHash = new SpatialHash(params.NPC_SPATIAL_CELL_SIZE);
+        
+        // Batched crowd rendering (replaces per-NPC meshes when enabled)
+        this.crowdRenderer = null;
+        this.renderAlpha = 1; // Interpolation between the last two fixed steps
+        
+        // Seeded randomness: spawning, everyday behaviour and opinion rolls draw from separate streams
+        const randomService = serviceContainer.resolve('randomService');
+        this.spawnRandom = randomService.stream('spawn');
+        this.behaviorRandom = randomService.stream('npc');
+        this.opinionRandom = randomService.stream('opinion');
+        
+        // Simulation clock for interaction cooldowns
+        this.simulationTime = 0;
+        
         // Performance optimization
         this.updateFrequency = 0.1; // Update every 100ms
         this.lastUpdateTime = 0;
+        
+        // Opinion dynamics
+        this.massPolarisationCooldown = 0;
+        
+        // Ongoing fights between hostile groups (see updateClashes)
+        this.clashes = [];
+        this.nextClashId = 1;
     }
 
     async initialize(sceneManager) {
@@ -27,8 +63,20 @@ export class NPCSystem extends IGameSystem {
         this.planet = sceneManager.getPlanet();
         this.planetRadius = sceneManager.getPlanetRadius();
         
+        if (params.NPC_INSTANCED_RENDERING && this.scene) {
+            this.crowdRenderer = new InstancedCrowdRenderer(this.scene);
+        }
+        
         // Create NPC groups
         this.createNPCGroups();
+        this.rebuildSpatialIndex();
+        
+        // The crowd that kicked the player out scatters, found before PlayerSystem ejects the player
+        this.subscribeToEvent(
+            GameEventTypes.CROWD_KICKOUT,
+            (event) => this.disperseCrowd(event.data.maskType),
+            EventPriorities.CRITICAL
+        );
         
         // Setup console helpers for debugging
         this.setupConsoleHelpers();
@@ -41,11 +89,11 @@ export class NPCSystem extends IGameSystem {
         // Create groups for each mask type with optimized positioning
         const groupPositions = this.generateOptimizedGroupPositions();
         
-        for (let maskType = 1; maskType <= 7; maskType++) {
-            const group = this.createGroup(maskType, groupPositions[maskType - 1]);
+        ideologyRegistry.getIds().forEach((maskType, index) => {
+            const group = this.createGroup(maskType, groupPositions[index]);
             this.groups.set(maskType, group);
             console.log(`Created group ${maskType} with ${group.npcs.length} NPCs at position (${group.spawnCenter.x.toFixed(1)}, ${group.spawnCenter.y.toFixed(1)}, ${group.spawnCenter.z.toFixed(1)})`);
-        }
+        });
         
         // Log distribution quality
         this.logGroupDistributionQuality(groupPositions);
@@ -53,32 +101,43 @@ export class NPCSystem extends IGameSystem {
 
     createGroup(maskType, predefinedPosition = null) {
         // Generate a specific spawn area for this group
-        const groupSpawnCenter = predefinedPosition || this.generateGroupSpawnPosition(maskType);
+        const groupSpawnCenter = predefinedPosition || this.generateGroupSpawnPosition(ideologyRegistry.getIds().indexOf(maskType));
         const groupSpawnRadius = 3; // Radius of the spawn zone for the group
         
         const group = {
             id: `group_${maskType}`,
             maskType: maskType,
             npcs: [],
-            color: this.getMaskColor(maskType),
+            color: ideologyRegistry.getColor(maskType),
             targetSize: params.NPC_GROUP_SIZE,
-            cohesion: 0.5 + Math.random() * 0.5,
-            activity: 0.3 + Math.random() * 0.7,
+            cohesion: this.spawnRandom.range(0.5, 1),
+            activity: this.spawnRandom.range(0.3, 1),
             spawnCenter: groupSpawnCenter,
             spawnRadius: groupSpawnRadius
         };
 
-        // Create NPCs for this group in the same area
+        // Create NPCs for this group in the same area: leaders first, then followers
+        // while a leader still has room, then plain members
+        const leaders = [];
         for (let i = 0; i < group.targetSize; i++) {
-            const npc = this.npcFactory.createNPC('basic', {
+            const leader = this.getLeaderWithRoom(leaders);
+            const role = i < params.NPC_LEADERS_PER_GROUP ? 'leader' : (leader ? 'follower' : 'basic');
+            
+            const npc = this.npcFactory.createNPC(role, {
                 maskType: maskType,
                 planetRadius: this.planetRadius,
-                scene: this.scene,
+                scene: this.crowdRenderer ? null : this.scene, // No per-NPC mesh when instanced
                 color: group.color,
                 groupSpawnCenter: groupSpawnCenter,
                 groupSpawnRadius: groupSpawnRadius
             });
             
+            if (role === 'leader') {
+                leaders.push(npc);
+            } else if (role === 'follower') {
+                this.assignFollower(npc, leader);
+            }
+            
             group.npcs.push(npc);
             this.npcs.push(npc);
         }
@@ -86,63 +145,138 @@ export class NPCSystem extends IGameSystem {
         return group;
     }
 
-    getNPCs() {
-        return this.npcs;
+    // Leader with the fewest followers that can still take one
+    getLeaderWithRoom(leaders) {
+        let best = null;
+        for (const leader of leaders) {
+            const leadership = leader.leadership;
+            if (leadership.followers.length >= leadership.maxFollowers) continue;
+            if (!best || leadership.followers.length < best.leadership.followers.length) {
+                best = leader;
+            }
+        }
+        return best;
     }
 
-    getMaskColor(maskType) {
-        const colors = {
-            1: new THREE.Color(0.2, 0.4, 0.8),    // Blue - Conservatives
-            2: new THREE.Color(0.8, 0.2, 0.2),    // Red - Social Justice
-            3: new THREE.Color(1.0, 0.6, 0.2),    // Orange - Libertarians
-            4: new THREE.Color(0.2, 0.6, 0.2),    // Green - Nationalists
-            5: new THREE.Color(0.6, 0.2, 0.8),    // Purple - Culture
-            6: new THREE.Color(0.6, 0.3, 0.1),    // Brown - Religious
-            7: new THREE.Color(1.0, 0.4, 0.8)     // Pink - Antisystem
-        };
-        return colors[maskType] || new THREE.Color(0.5, 0.5, 0.5);
+    assignFollower(follower, leader) {
+        follower.following.leader = leader;
+        leader.leadership.followers.push(follower);
+    }
+
+    releaseFollower(follower) {
+        const leader = follower.following.leader;
+        if (!leader) return;
+        
+        const index = leader.leadership.followers.indexOf(follower);
+        if (index !== -1) leader.leadership.followers.splice(index, 1);
+        follower.following.leader = null;
     }
 
-    update(deltaTime) {
+    getNPCs() {
+        return this.npcs;
+    }
+
+    fixedUpdate(deltaTime) {
+        this.simulationTime += deltaTime;
+        
+        // --- Spatial index for this step's logic queries ---
+        this.rebuildSpatialIndex();
+        
         // --- Logic update (throttled) ---
         this.lastUpdateTime += deltaTime;
         if (this.lastUpdateTime >= this.updateFrequency) {
             const actualDeltaTime = this.lastUpdateTime;
-            this.fixedUpdate(actualDeltaTime);
+            this.updateBehaviors(actualDeltaTime);
             this.lastUpdateTime = 0;
         }
 
-        // --- Movement and rendering update (every frame) ---
+        // --- Movement (every step) ---
         for (const npc of this.npcs) {
-            if (!npc.transform || !npc.renderer) continue;
+            if (!npc.transform) continue;
 
+            npc.transform.storePreviousState();
+            
             // Apply movement based on current velocity
             this.applyNPCMovement(npc, deltaTime);
         }
 
-        // --- Collision resolution (every frame) ---
+        // --- Re-index after movement so collisions see current cells ---
+        this.rebuildSpatialIndex();
+
+        // --- Collision resolution (every step) ---
         this.resolveCollisions();
         
-        // --- Player-NPC collision resolution (every frame) ---
+        // --- Player-NPC collision resolution (every step) ---
         this.resolvePlayerNPCCollisions();
+    }
 
-        // --- Final renderer update (every frame) ---
+    update(deltaTime, alpha = 1) {
+        this.renderAlpha = alpha;
+        
+        // --- Renderer update (every frame, interpolated between steps) ---
         for (const npc of this.npcs) {
             if (!npc.transform || !npc.renderer) continue;
             
-            // Update renderer transform
-            npc.renderer.updateTransform(npc.transform);
+            npc.renderer.updateTransform(npc.transform, alpha);
+        }
+    }
+
+    // Face NPCs towards the camera, called by the engine once the camera has moved
+    updateBillboards(camera) {
+        for (const npc of this.npcs) {
+            this.updateNPCVisibility(npc, camera.position);
+        }
+        
+        if (this.crowdRenderer) {
+            this.crowdRenderer.update(this.npcs, camera.quaternion, this.renderAlpha);
+        }
+        
+        for (const npc of this.npcs) {
+            if (npc.renderer && npc.renderer.mesh) {
+                npc.renderer.mesh.quaternion.copy(camera.quaternion);
+            }
         }
     }
 
+    // NPCs past the planet's horizon are hidden behind it: they get no instance and no mesh
+    updateNPCVisibility(npc, cameraPosition) {
+        const position = npc.transform.position;
+        const height = params.NPC_SIZE * (npc.renderScale || 1.0);
+        
+        // The top of the sprite still shows while it stands in front of the tangent plane at its feet
+        npc.visible = position.dot(cameraPosition) > position.lengthSq() - position.length() * height;
+        
+        if (npc.renderer && npc.renderer.visible !== npc.visible) {
+            if (npc.visible) {
+                npc.renderer.show();
+            } else {
+                npc.renderer.hide();
+            }
+        }
+    }
+
+    rebuildSpatialIndex() {
+        if (this.spatialHash.cellSize !== params.NPC_SPATIAL_CELL_SIZE) {
+            this.spatialHash.cellSize = params.NPC_SPATIAL_CELL_SIZE;
+        }
+        this.spatialHash.build(this.npcs);
+    }
+
     resolveCollisions() {
-        for (let i = 0; i < this.npcs.length; i++) {
-            for (let j = i + 1; j < this.npcs.length; j++) {
-                const npc1 = this.npcs[i];
-                const npc2 = this.npcs[j];
+        const minDistance = params.NPC_SIZE; // Use size as collision diameter
+        
+        // Index each NPC so every pair is only resolved once
+        this.npcs.forEach((npc, index) => {
+            npc.spatialIndex = index;
+        });
+        
+        for (const npc1 of this.npcs) {
+            const candidates = this.spatialHash.queryRadius(npc1.transform.position, minDistance, npc1);
+            
+            for (const npc2 of candidates) {
+                if (npc2.spatialIndex <= npc1.spatialIndex) continue;
 
                 const distance = npc1.transform.position.distanceTo(npc2.transform.position);
-                const minDistance = params.NPC_SIZE; // Use size as collision diameter
 
                 if (distance < minDistance) {
                     const overlap = minDistance - distance;
@@ -174,7 +308,7 @@ export class NPCSystem extends IGameSystem {
         // Collision radius with configurable overlap
         const collisionRadius = (params.PLAYER_SIZE + params.NPC_SIZE) * params.PLAYER_NPC_COLLISION_RADIUS;
         
-        for (const npc of this.npcs) {
+        for (const npc of this.getNearbyNPCsFromPosition(playerPosition, collisionRadius)) {
             const distance = npc.transform.position.distanceTo(playerPosition);
             
             if (distance < collisionRadius && distance > 0.01) { // Small threshold to avoid division by zero
@@ -203,7 +337,7 @@ export class NPCSystem extends IGameSystem {
                 npc.velocity.add(pushVelocity);
                 
                 // Optional: Add some visual feedback for collision
-                if (window.debugCollisions) {
+                if (globalThis.debugCollisions) {
                     console.log(`💥 Player pushed NPC: distance=${distance.toFixed(2)}, overlap=${overlap.toFixed(2)}`);
                 }
             }
@@ -212,7 +346,7 @@ export class NPCSystem extends IGameSystem {
 
 
 
-    fixedUpdate(deltaTime) {
+    updateBehaviors(deltaTime) {
         // Update all NPCs' logic
         for (const npc of this.npcs) {
             this.updateNPCLogic(npc, deltaTime);
@@ -221,22 +355,31 @@ export class NPCSystem extends IGameSystem {
             npc.velocity.multiplyScalar(0.95);
         }
         
+        // Spread polarisation between neighbours
+        this.updateOpinionDynamics(deltaTime);
+        
         // Update group behaviors
         this.updateGroupBehaviors(deltaTime);
         
+        // Hostile groups meeting while outraged fight it out
+        this.updateClashes(deltaTime);
+        
         // Check if player is in crowd and update game state
-        this.updatePlayerCrowdStatus();
+        this.updatePlayerCrowdStatus(deltaTime);
         
         // Handle player interactions
         this.handlePlayerInteractions();
         
+        // Large outraged crowds polarise everything visible
+        this.checkMassPolarisation(deltaTime);
+        
         // Debug flocking occasionally
-        if (window.debugFlocking && Math.random() < 0.01) {
+        if (globalThis.debugFlocking && Math.random() < 0.01) {
             this.debugFlockingForces(true);
         }
     }
 
-    updatePlayerCrowdStatus() {
+    updatePlayerCrowdStatus(deltaTime) {
         const playerSystem = serviceContainer.resolve('playerSystem');
         const gameStateSystem = serviceContainer.resolve('gameStateSystem');
         
@@ -249,23 +392,29 @@ export class NPCSystem extends IGameSystem {
             // Player is neutral or position unknown - not in crowd
             gameStateSystem.setInCrowd(false);
             gameStateSystem.setInWrongCrowd(false);
+            gameStateSystem.visitCrowd(null, deltaTime);
             return;
         }
         
         // Count nearby NPCs within crowd detection radius
         const nearbyNPCs = this.getNearbyNPCsFromPosition(playerPosition, params.CROWD_DETECT_DISTANCE);
         
-        // Check if player is in a crowd (minimum crowd size)
-        if (nearbyNPCs.length >= params.CROWD_SIZE_MIN) {
+        // Check if player is in a crowd (minimum crowd size, which shrinks as the run gets harder)
+        const crowdSizeMin = Math.max(2, Math.round(scaleForDifficulty('crowdSizeMin', params.CROWD_SIZE_MIN)));
+        if (nearbyNPCs.length >= crowdSizeMin) {
             gameStateSystem.setInCrowd(true);
             
             // Check if it's a "wrong" crowd (different mask types)
             const wrongCrowdNPCs = nearbyNPCs.filter(npc => npc.maskType !== playerMask);
             const wrongCrowdRatio = wrongCrowdNPCs.length / nearbyNPCs.length;
             
-            // If majority of crowd has different mask, it's a "wrong" crowd
+            gameStateSystem.visitCrowd(this.getMajorityMask(nearbyNPCs), deltaTime);
+            
+            // If majority of crowd has different mask, it's a "wrong" crowd, outraged by how far apart they are
             if (wrongCrowdRatio > 0.5) {
-                gameStateSystem.setInWrongCrowd(true);
+                const offence = wrongCrowdNPCs.reduce((sum, npc) => sum + this.getMaskOffence(npc.maskType, playerMask), 0) /
+                    wrongCrowdNPCs.length;
+                gameStateSystem.setInWrongCrowd(true, offence);
                 console.log(`🎭 Player in wrong crowd (${wrongCrowdRatio.toFixed(2)} wrong mask ratio) - outrage increasing!`);
             } else {
                 gameStateSystem.setInWrongCrowd(false);
@@ -274,7 +423,65 @@ export class NPCSystem extends IGameSystem {
         } else {
             gameStateSystem.setInCrowd(false);
             gameStateSystem.setInWrongCrowd(false);
+            gameStateSystem.visitCrowd(null, deltaTime);
+        }
+    }
+
+    getMajorityMask(npcs) {
+        const counts = new Map();
+        let majority = null;
+        for (const npc of npcs) {
+            const count = (counts.get(npc.maskType) || 0) + 1;
+            counts.set(npc.maskType, count);
+            if (majority === null || count > counts.get(majority)) {
+                majority = npc.maskType;
+            }
         }
+        return majority;
+    }
+
+    // Find a surface point just outside the matching crowd the player is standing in
+    getKickoutPosition(maskType, fromPosition) {
+        const surfaceRadius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
+
+        // Use the local cluster of matching NPCs, fall back to the whole group
+        let crowd = this.getNearbyNPCsFromPosition(fromPosition, params.CROWD_DETECT_DISTANCE * 2)
+            .filter(npc => npc.maskType === maskType);
+        if (crowd.length === 0 && this.groups.has(maskType)) {
+            crowd = this.groups.get(maskType).npcs;
+        }
+
+        const center = new THREE.Vector3();
+        for (const npc of crowd) {
+            center.add(npc.transform.position);
+        }
+        if (crowd.length > 0) {
+            center.divideScalar(crowd.length);
+        } else {
+            center.copy(fromPosition);
+        }
+        center.normalize();
+
+        // Crowd edge = farthest matching member from the center
+        let crowdRadius = 0;
+        for (const npc of crowd) {
+            crowdRadius = Math.max(crowdRadius, npc.transform.position.distanceTo(center.clone().multiplyScalar(surfaceRadius)));
+        }
+
+        // Eject along the tangent pointing from the crowd center towards the player
+        const direction = fromPosition.clone().normalize().sub(center);
+        direction.addScaledVector(center, -direction.dot(center));
+        if (direction.lengthSq() < 1e-6) {
+            direction.set(0, 1, 0).cross(center);
+            if (direction.lengthSq() < 1e-6) direction.set(1, 0, 0);
+        }
+        direction.normalize();
+
+        const angle = (crowdRadius + params.CROWD_KICKOUT_EJECT_DISTANCE) / surfaceRadius;
+        const rotationAxis = new THREE.Vector3().crossVectors(center, direction).normalize();
+        const rotation = new THREE.Quaternion().setFromAxisAngle(rotationAxis, angle);
+
+        return center.applyQuaternion(rotation).multiplyScalar(surfaceRadius);
     }
 
     updateNPCLogic(npc, deltaTime) {
@@ -286,7 +493,7 @@ export class NPCSystem extends IGameSystem {
     }
 
     updateNPC(npc, deltaTime) {
-        if (!npc.transform || !npc.renderer) return;
+        if (!npc.transform) return;
         
         // This method is now split into updateNPCLogic and the movement part in update()
         // Kept for compatibility if called from elsewhere, but should be deprecated.
@@ -301,7 +508,9 @@ export class NPCSystem extends IGameSystem {
         this.applyNPCMovement(npc, deltaTime);
         
         // Update renderer
-        npc.renderer.updateTransform(npc.transform);
+        if (npc.renderer) {
+            npc.renderer.updateTransform(npc.transform);
+        }
     }
 
     updateNPCState(npc, deltaTime) {
@@ -310,16 +519,23 @@ export class NPCSystem extends IGameSystem {
         // Update flocking boosters
         this.updateFlockingBoosters(npc, deltaTime);
         
-        // Check for state transitions
-        if (npc.stateTimer >= npc.minStateDuration) {
-            if (Math.random() < params.NPC_STATE_CHANGE_CHANCE * deltaTime) {
-                this.changeNPCState(npc);
+        if (npc.isLeader) {
+            this.updateLeaderDestination(npc, deltaTime);
+        }
+        
+        // Stimuli pick the state; staying in the same state only refreshes its target
+        const next = this.chooseNPCState(npc);
+        if (next) {
+            if (next.state !== npc.state) {
+                this.changeNPCState(npc, next.state, next.reason, next.target);
+            } else if (next.target) {
+                npc.stateTarget = next.target;
             }
         }
         
         // Update personality over time
         npc.personality.curiosity = Math.max(0, Math.min(1, 
-            npc.personality.curiosity + (Math.random() - 0.5) * 0.1 * deltaTime
+            npc.personality.curiosity + this.behaviorRandom.range(-0.5, 0.5) * 0.1 * deltaTime
         ));
         
         // Update player influence over time
@@ -353,20 +569,146 @@ export class NPCSystem extends IGameSystem {
         if (npc.playerInfluence === undefined) npc.playerInfluence = 0.0;
     }
 
-    changeNPCState(npc) {
-        const possibleStates = ['IDLE', 'WANDERING', 'GATHERING'];
-        const newState = possibleStates[Math.floor(Math.random() * possibleStates.length)];
+    // The NPCs' decision layer, basic and advanced alike.
+    // Stimuli in priority order: police, a scattering crowd, a nearby clash, rivals, outrage, the player's mask.
+    // With none of them, NPCs alternate between standing around and wandering off.
+    // Returns { state, reason, target }, or null to stay as they are.
+    chooseNPCState(npc) {
+        const fleeRadius = params.NPC_FLEE_RADIUS * (npc.state === 'FLEEING' ? 1.5 : 1);
+        const officer = this.getNearestOfficer(npc.transform.position, fleeRadius);
+        if (officer) {
+            return { state: 'FLEEING', reason: 'police', target: officer.transform.position.clone() };
+        }
+        
+        if (npc.state === 'DISPERSING' && npc.stateTimer < params.NPC_DISPERSE_DURATION) {
+            return null;
+        }
         
-        if (newState !== npc.state) {
-            npc.state = newState;
-            npc.stateTimer = 0;
-            npc.minStateDuration = params.NPC_MIN_STATE_DURATION + Math.random() * 2;
+        const clash = this.getClashDrawing(npc);
+        if (clash) {
+            return { state: 'CONFRONTING', reason: 'clash', target: clash.position.clone() };
+        }
+            
+        if (npc.polarisation >= params.NPC_CONFRONT_POLARISATION) {
+            const rival = this.getNearestRival(npc);
+            if (rival) {
+                return { state: 'CONFRONTING', reason: 'rival', target: rival.transform.position.clone() };
+            }
+        }
+        
+        // Protesters only go home once they have calmed down well below the outrage threshold
+        const protestThreshold = params.NPC_OUTRAGE_THRESHOLD * (npc.state === 'PROTESTING' ? params.NPC_PROTEST_CALM_RATIO : 1);
+        if (npc.polarisation >= protestThreshold) {
+            return npc.state === 'PROTESTING' ? null :
+                { state: 'PROTESTING', reason: 'outrage', target: this.getRallyingPoint(npc) };
+        }
+        
+        if (this.isFollowingPlayer(npc)) {
+            return { state: 'FOLLOWING', reason: 'mask', target: null };
+        }
+        
+        switch (npc.state) {
+            case 'IDLE':
+                return npc.stateTimer >= npc.minStateDuration ?
+                    { state: 'WANDERING', reason: 'restless', target: null } : null;
+            case 'WANDERING': {
+                const arrived = npc.targetPosition && npc.transform.distanceTo({ position: npc.targetPosition }) < 2;
+                return arrived || npc.stateTimer >= npc.minStateDuration * 3 ?
+                    { state: 'IDLE', reason: 'arrived', target: null } : null;
+            }
+            default:
+                return { state: 'IDLE', reason: 'calm', target: null };
+        }
+    }
+
+    changeNPCState(npc, newState, reason, target = null) {
+        const oldState = npc.state;
+        
+        npc.state = newState;
+        npc.stateTimer = 0;
+        npc.stateReason = reason;
+        npc.stateTarget = target;
+        npc.minStateDuration = params.NPC_MIN_STATE_DURATION + this.behaviorRandom.range(0, 2);
+        
+        if (newState === 'WANDERING') {
+            npc.targetPosition = this.generateWanderTarget(npc);
+        }
+        
+        const eventData = EventDataFactory.npcStateChange(npc.id, oldState, newState, reason);
+        this.publishEvent(GameEventTypes.NPC_STATE_CHANGE, eventData);
+    }
+
+    getNearestOfficer(position, radius) {
+        if (!serviceContainer.has('policeSystem')) return null;
+        
+        let nearest = null;
+        let nearestDistance = radius;
+        for (const officer of serviceContainer.resolve('policeSystem').getOfficersOnDuty()) {
+            const distance = officer.transform.position.distanceTo(position);
+            if (distance <= nearestDistance) {
+                nearest = officer;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    getNearestRival(npc) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const other of this.getNearbyNPCs(npc, params.NPC_CONFRONT_RADIUS)) {
+            if (this.getRelationship(npc.maskType, other.maskType) !== 'hostile') continue;
             
-            // Reset target for new state
-            if (newState === 'WANDERING') {
-                npc.targetPosition = this.generateRandomPosition();
+            const distance = npc.transform.distanceTo(other.transform);
+            if (distance < nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
             }
         }
+        return nearest;
+    }
+
+    // Outraged members of the same group around the NPC rally together
+    getRallyingPoint(npc) {
+        const point = npc.transform.position.clone();
+        let count = 1;
+        for (const neighbor of npc.flockingNeighbors || []) {
+            if (neighbor.maskType !== npc.maskType || neighbor.polarisation < params.NPC_OUTRAGE_THRESHOLD) continue;
+            point.add(neighbor.transform.position);
+            count++;
+        }
+        
+        return point.divideScalar(count).setLength(this.planetRadius + params.PLANET_SURFACE_OFFSET);
+    }
+
+    isFollowingPlayer(npc) {
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        if (!playerSystem || playerSystem.getCurrentMask() !== npc.maskType) return false;
+        
+        const playerPosition = playerSystem.getPlayerPosition();
+        if (!playerPosition) return false;
+        
+        const radius = npc.state === 'FOLLOWING' ? params.NPC_FOLLOW_LOSE_RADIUS : params.NPC_FOLLOW_RADIUS;
+        return npc.transform.distanceTo({ position: playerPosition }) <= radius;
+    }
+
+    // Members of the crowd around the player scatter away from its centre
+    disperseCrowd(maskType) {
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const playerPosition = playerSystem ? playerSystem.getPlayerPosition() : null;
+        if (!playerPosition) return;
+        
+        const crowd = this.getNearbyNPCsFromPosition(playerPosition, params.NPC_DISPERSE_RADIUS)
+            .filter(npc => npc.maskType === maskType);
+        if (crowd.length === 0) return;
+        
+        const center = new THREE.Vector3();
+        crowd.forEach(npc => center.add(npc.transform.position));
+        center.divideScalar(crowd.length);
+        
+        for (const npc of crowd) {
+            this.changeNPCState(npc, 'DISPERSING', 'kickout', center.clone());
+        }
     }
 
     updateNPCForces(npc) {
@@ -374,13 +716,15 @@ export class NPCSystem extends IGameSystem {
             separation: new THREE.Vector3(),
             alignment: new THREE.Vector3(),
             cohesion: new THREE.Vector3(),
-            wandering: new THREE.Vector3(),
+            behavior: new THREE.Vector3(),
             interGroupRepulsion: new THREE.Vector3(),
-            playerInfluence: new THREE.Vector3()
+            playerInfluence: new THREE.Vector3(),
+            leadership: new THREE.Vector3()
         };
         
         // Get neighbors for flocking behavior
         const flockingNeighbors = this.getNearbyNPCs(npc, params.NPC_FLOCKING_RADIUS);
+        npc.flockingNeighbors = flockingNeighbors; // Reused by opinion dynamics
         
         // Calculate flocking forces (Craig Reynolds algorithm)
         if (flockingNeighbors.length > 0) {
@@ -390,7 +734,8 @@ export class NPCSystem extends IGameSystem {
             this.calculateInterGroupRepulsion(npc, flockingNeighbors, forces.interGroupRepulsion);
         }
         
-        this.calculateWanderingForce(npc, forces.wandering);
+        this.calculateBehaviorForce(npc, forces.behavior);
+        this.calculateLeadershipForce(npc, forces.leadership);
         
         // Apply forces with weights and boosters
         const separationMultiplier = params.NPC_SEPARATION_FORCE * (npc.separationBoost || 1.0);
@@ -410,9 +755,10 @@ export class NPCSystem extends IGameSystem {
 
         // Apply all forces
         npc.velocity.add(totalFlockingForce.multiplyScalar(params.NPC_FLOCKING_WEIGHT));
-        npc.velocity.add(forces.wandering.multiplyScalar(params.NPC_WANDER_FORCE));
+        npc.velocity.add(forces.behavior);
         npc.velocity.add(forces.interGroupRepulsion.multiplyScalar(params.NPC_INTER_GROUP_REPULSION));
         npc.velocity.add(forces.playerInfluence);
+        npc.velocity.add(forces.leadership);
         
         // Apply speed limits
         this.limitNPCSpeed(npc);
@@ -437,13 +783,68 @@ export class NPCSystem extends IGameSystem {
                 const attractionStrength = params.PLAYER_ATTRACTION_FORCE * (1 - distance / params.PLAYER_INFLUENCE_RADIUS);
                 influenceForce.add(direction.multiplyScalar(-attractionStrength)); // Negative to pull towards player
             } else {
-                // Repulsion force (pushes NPC away from player)
-                const repulsionStrength = params.PLAYER_REPULSION_FORCE * (1 - distance / params.PLAYER_INFLUENCE_RADIUS);
+                // Repulsion force (pushes NPC away from player), stronger for opposed ideologies
+                const repulsionStrength = params.PLAYER_REPULSION_FORCE * this.getMaskOffence(npc.maskType, playerMask) *
+                    (1 - distance / params.PLAYER_INFLUENCE_RADIUS);
                 influenceForce.add(direction.multiplyScalar(repulsionStrength));
             }
+            
+            influenceForce.multiplyScalar(this.getReactionMultiplier(npc));
+        }
+    }
+
+    // Leaders take the player's mask more to heart than anyone else in their group
+    getReactionMultiplier(npc) {
+        return npc.isLeader ? params.NPC_LEADER_REACTION_MULTIPLIER * npc.leadership.influence : 1.0;
+    }
+
+    // Leaders head for their destination, followers keep close to their leader
+    calculateLeadershipForce(npc, leadershipForce) {
+        if (npc.isLeader && npc.leadership.destination) {
+            leadershipForce.subVectors(npc.leadership.destination, npc.transform.position)
+                .normalize()
+                .multiplyScalar(params.NPC_LEADER_DESTINATION_FORCE);
+        } else if (npc.isFollower && npc.following.leader) {
+            const following = npc.following;
+            const offset = new THREE.Vector3().subVectors(following.leader.transform.position, npc.transform.position);
+            const distance = offset.length();
+            
+            if (distance > following.followDistance) {
+                // Pull harder the further behind the follower has fallen
+                const urgency = Math.min(1, (distance - following.followDistance) / following.followDistance);
+                leadershipForce.copy(offset.normalize()).multiplyScalar(params.NPC_FOLLOWER_FORCE * following.loyalty * urgency);
+            }
+        }
+    }
+
+    updateLeaderDestination(npc, deltaTime) {
+        const leadership = npc.leadership;
+        leadership.destinationTimer -= deltaTime;
+        
+        const arrived = leadership.destination && npc.transform.distanceTo({ position: leadership.destination }) < 2;
+        if (!leadership.destination || arrived || leadership.destinationTimer <= 0) {
+            leadership.destination = this.generateLeaderDestination(npc);
+            leadership.destinationTimer = params.NPC_LEADER_DESTINATION_TIME;
         }
     }
 
+    // A point along the surface in a random direction, up to NPC_LEADER_DESTINATION_RADIUS away
+    generateLeaderDestination(npc) {
+        const position = npc.transform.position;
+        const normal = position.clone().normalize();
+        const direction = new THREE.Vector3(
+            this.behaviorRandom.range(-1, 1),
+            this.behaviorRandom.range(-1, 1),
+            this.behaviorRandom.range(-1, 1)
+        );
+        direction.addScaledVector(normal, -direction.dot(normal)).normalize();
+        
+        const distance = this.behaviorRandom.range(0.5, 1) * params.NPC_LEADER_DESTINATION_RADIUS;
+        return position.clone()
+            .addScaledVector(direction, distance)
+            .setLength(this.planetRadius + params.PLANET_SURFACE_OFFSET);
+    }
+
     // Craig Reynolds Flocking Algorithm Implementation
     
     // Rule 1: Separation - avoid crowding neighbors (respects personal space)
@@ -516,7 +917,13 @@ export class NPCSystem extends IGameSystem {
     }
 
     calculateInterGroupRepulsion(npc, neighbors, repulsionForce) {
-        const otherGroupNeighbors = neighbors.filter(n => n.maskType !== npc.maskType);
+        // NPCs following the player go wherever they are led, and NPCs out to confront
+        // hostile groups close in on them instead of keeping their distance
+        if (npc.state === 'FOLLOWING') return;
+        
+        const confronting = npc.state === 'CONFRONTING';
+        const otherGroupNeighbors = neighbors.filter(n => n.maskType !== npc.maskType &&
+            !(confronting && this.getRelationship(npc.maskType, n.maskType) === 'hostile'));
         
         for (const neighbor of otherGroupNeighbors) {
             const distance = npc.transform.distanceTo(neighbor.transform);
@@ -525,38 +932,74 @@ export class NPCSystem extends IGameSystem {
                     .subVectors(npc.transform.position, neighbor.transform.position)
                     .normalize();
                 
-                // Exponential repulsion - stronger when closer
-                const repulsionStrength = Math.pow(params.NPC_INTER_GROUP_DISTANCE / distance, 2);
+                // Exponential repulsion - stronger when closer, allies mingle more easily
+                let repulsionStrength = Math.pow(params.NPC_INTER_GROUP_DISTANCE / distance, 2);
+                if (this.getRelationship(npc.maskType, neighbor.maskType) === 'allied') {
+                    repulsionStrength *= params.NPC_ALLIED_REPULSION_FACTOR;
+                }
                 const force = direction.multiplyScalar(repulsionStrength);
                 repulsionForce.add(force);
             }
         }
     }
 
-    calculateWanderingForce(npc, wanderingForce) {
-        if (npc.state === 'WANDERING') {
-            // Generate or update wander target
-            if (!npc.targetPosition || npc.transform.distanceTo({ position: npc.targetPosition }) < 2) {
-                npc.targetPosition = this.generateWanderTarget(npc);
+    // Steering of the current behaviour state, already scaled by that state's force
+    calculateBehaviorForce(npc, behaviorForce) {
+        const position = npc.transform.position;
+        const target = npc.stateTarget;
+        
+        switch (npc.state) {
+            case 'WANDERING':
+                if (!npc.targetPosition) {
+                    npc.targetPosition = this.generateWanderTarget(npc);
+                }
+                behaviorForce.subVectors(npc.targetPosition, position).normalize()
+                    .multiplyScalar(params.NPC_WANDER_FORCE);
+                break;
+            case 'FLEEING':
+                behaviorForce.subVectors(position, target).normalize().multiplyScalar(params.NPC_FLEE_FORCE);
+                break;
+            case 'DISPERSING':
+                behaviorForce.subVectors(position, target).normalize().multiplyScalar(params.NPC_DISPERSE_FORCE);
+                break;
+            case 'CONFRONTING':
+                behaviorForce.subVectors(target, position).normalize().multiplyScalar(params.NPC_CONFRONT_FORCE);
+                break;
+            case 'PROTESTING': {
+                // Close in on the rallying point, then march around it
+                const offset = new THREE.Vector3().subVectors(position, target);
+                if (offset.length() > params.NPC_PROTEST_RADIUS) {
+                    behaviorForce.copy(offset).negate();
+                } else {
+                    const normal = position.clone().normalize();
+                    behaviorForce.crossVectors(normal, offset);
+                }
+                behaviorForce.normalize().multiplyScalar(params.NPC_PROTEST_FORCE);
+                break;
             }
-            
-            // Steer towards target
-            wanderingForce.subVectors(npc.targetPosition, npc.transform.position);
-            wanderingForce.normalize();
-        } else {
-            // Gentle random movement for non-wandering states
-            wanderingForce.set(
-                (Math.random() - 0.5) * 0.5,
-                0,
-                (Math.random() - 0.5) * 0.5
-            );
+            case 'FOLLOWING': {
+                const playerPosition = serviceContainer.resolve('playerSystem').getPlayerPosition();
+                if (playerPosition && position.distanceTo(playerPosition) > 2) {
+                    behaviorForce.subVectors(playerPosition, position).normalize().multiplyScalar(params.NPC_FOLLOW_FORCE);
+                } else {
+                    behaviorForce.set(0, 0, 0);
+                }
+                break;
+            }
+            default:
+                // Gentle random movement while standing around
+                behaviorForce.set(
+                    this.behaviorRandom.range(-0.25, 0.25),
+                    0,
+                    this.behaviorRandom.range(-0.25, 0.25)
+                ).multiplyScalar(params.NPC_WANDER_FORCE);
         }
     }
     
     generateWanderTarget(npc) {
         // Generate a target position within wander radius but on planet surface
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * params.NPC_WANDER_RADIUS;
+        const angle = this.behaviorRandom.range(0, Math.PI * 2);
+        const distance = this.behaviorRandom.range(0, params.NPC_WANDER_RADIUS);
         
         const currentPos = npc.transform.position.clone();
         const wanderOffset = new THREE.Vector3(
@@ -587,7 +1030,13 @@ export class NPCSystem extends IGameSystem {
     limitNPCSpeed(npc) {
         // Use a more reasonable speed calculation: base speed + small variation
         const speedVariation = (npc.personality.energy - 0.5) * params.NPC_SPEED_VARIATION;
-        const maxSpeed = params.NPC_BASE_SPEED + speedVariation;
+        let maxSpeed = params.NPC_BASE_SPEED + speedVariation;
+        if (npc.isRadicalised) {
+            maxSpeed *= params.NPC_RADICALISED_SPEED_MULTIPLIER;
+        }
+        if (npc.state === 'FLEEING') {
+            maxSpeed *= params.NPC_FLEE_SPEED_MULTIPLIER;
+        }
         
         if (npc.velocity.length() > maxSpeed) {
             npc.velocity.normalize().multiplyScalar(maxSpeed);
@@ -615,8 +1064,8 @@ export class NPCSystem extends IGameSystem {
     }
 
     generateRandomPosition() {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
+        const theta = this.behaviorRandom.range(0, Math.PI * 2);
+        const phi = Math.acos(this.behaviorRandom.range(-1, 1));
         const radius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
         
         return new THREE.Vector3(
@@ -626,7 +1075,7 @@ export class NPCSystem extends IGameSystem {
         );
     }
 
-    generateGroupSpawnPosition(maskType) {
+    generateGroupSpawnPosition(groupIndex) {
         // Generate specific spawn zones for each group around the planet
         // Using optimized sphere distribution for better coverage
         
@@ -642,12 +1091,16 @@ export class NPCSystem extends IGameSystem {
             { theta: Math.PI * 1.67, phi: Math.PI * 0.75 }  // Group 7: Southern hemisphere
         ];
         
-        // Get the predefined position for this group
-        const basePosition = optimizedPositions[maskType - 1];
+        // Get the predefined position for this group, groups past the seventh start anywhere
+        // and are spread out by optimizeGroupPositions
+        const basePosition = optimizedPositions[groupIndex] || {
+            theta: this.spawnRandom.range(0, Math.PI * 2),
+            phi: Math.acos(this.spawnRandom.range(-1, 1))
+        };
         
         // Add small random variation to avoid perfect symmetry (max ±15°)
-        const thetaVariation = (Math.random() - 0.5) * 0.26; // ±15° in radians
-        const phiVariation = (Math.random() - 0.5) * 0.26;
+        const thetaVariation = this.spawnRandom.range(-0.13, 0.13); // ±15° in radians
+        const phiVariation = this.spawnRandom.range(-0.13, 0.13);
         
         const theta = basePosition.theta + thetaVariation;
         const phi = Math.max(0.1, Math.min(Math.PI - 0.1, basePosition.phi + phiVariation));
@@ -665,8 +1118,8 @@ export class NPCSystem extends IGameSystem {
         const positions = [];
         
         // Generate initial positions
-        for (let maskType = 1; maskType <= 7; maskType++) {
-            positions.push(this.generateGroupSpawnPosition(maskType));
+        for (let index = 0; index < ideologyRegistry.getCount(); index++) {
+            positions.push(this.generateGroupSpawnPosition(index));
         }
         
         // Optimize positions to avoid clustering
@@ -774,19 +1227,14 @@ export class NPCSystem extends IGameSystem {
     }
 
     getNearbyNPCs(npc, radius) {
-        return this.npcs.filter(other => {
-            if (other === npc) return false;
-            if (!npc.transform || !other.transform) return false;
-            return npc.transform.distanceTo(other.transform) <= radius;
-        });
+        if (!npc.transform) return [];
+        return this.spatialHash.queryRadius(npc.transform.position, radius, npc);
     }
 
     // Helper method to find NPCs near a position (used for player crowd detection)
     getNearbyNPCsFromPosition(position, radius) {
-        return this.npcs.filter(npc => {
-            if (!npc || !npc.transform) return false;
-            return position.distanceTo(npc.transform.position) <= radius;
-        });
+        if (!position) return [];
+        return this.spatialHash.queryRadius(position, radius);
     }
 
     updateGroupBehaviors(deltaTime) {
@@ -797,6 +1245,9 @@ export class NPCSystem extends IGameSystem {
     }
 
     updateGroupCohesion(group, deltaTime) {
+        // Converted NPCs can empty a group
+        if (group.npcs.length === 0) return;
+        
         // Calculate group center
         const center = new THREE.Vector3();
         for (const npc of group.npcs) {
@@ -808,7 +1259,7 @@ export class NPCSystem extends IGameSystem {
         
         // Update group activity
         group.activity = Math.max(0.1, Math.min(1.0, 
-            group.activity + (Math.random() - 0.5) * 0.1 * deltaTime
+            group.activity + this.behaviorRandom.range(-0.5, 0.5) * 0.1 * deltaTime
         ));
     }
 
@@ -818,14 +1269,12 @@ export class NPCSystem extends IGameSystem {
         
         const playerPosition = playerSystem.getPlayerPosition();
         const playerMask = playerSystem.getCurrentMask();
+        if (!playerPosition) return;
         
         // Check NPC interactions with player
-        for (const npc of this.npcs) {
+        for (const npc of this.getNearbyNPCsFromPosition(playerPosition, params.NPC_INTERACTION_RADIUS)) {
             const distance = npc.transform.distanceTo({ position: playerPosition });
-            
-            if (distance <= params.NPC_INTERACTION_RADIUS) {
-                this.handleNPCPlayerInteraction(npc, playerMask, distance);
-            }
+            this.handleNPCPlayerInteraction(npc, playerMask, distance);
         }
     }
 
@@ -834,13 +1283,13 @@ export class NPCSystem extends IGameSystem {
         if (!gameStateSystem) return;
         
         // Throttle interactions to prevent event spam
-        const currentTime = Date.now();
+        const currentTime = this.simulationTime;
         if (!npc.lastInteractionTime) {
             npc.lastInteractionTime = 0;
         }
         
-        // Only process interaction if enough time has passed (500ms cooldown)
-        const interactionCooldown = 500;
+        // Only process interaction if enough simulation time has passed (0.5s cooldown)
+        const interactionCooldown = 0.5;
         if (currentTime - npc.lastInteractionTime < interactionCooldown) {
             return;
         }
@@ -859,23 +1308,36 @@ export class NPCSystem extends IGameSystem {
             gameStateSystem.addEnergy(params.ENERGY_RECHARGE_RATE / 60); // Recharge per frame
             
             // NPC becomes more cohesive and attracted to player
-            npc.state = 'GATHERING';
-            npc.stateTimer = 0;
             npc.playerInfluence = Math.min(1, npc.playerInfluence + 0.2);
             
+            // Wearing their mask calms them down
+            const calm = params.NPC_POLARISATION_CALM_ON_CONTACT * this.getReactionMultiplier(npc);
+            if (!npc.isRadicalised) {
+                npc.polarisation = Math.max(0, npc.polarisation - calm);
+            }
+            if (npc.isLeader) {
+                this.passOnToFollowers(npc, -calm);
+            }
+            
             // Increase flocking cohesion temporarily
             npc.flockingBoost = 1.5;
             npc.flockingBoostTimer = 3.0;
         } else {
-            // Different mask - negative interaction
-            const influence = params.NPC_DIFFERENT_MASK_INFLUENCE;
-            gameStateSystem.addOutrage(influence);
-            gameStateSystem.addEnergy(-params.NPC_ENERGY_DRAIN_RATE);
+            // Different mask - negative interaction, as bad as the two ideologies are far apart
+            const mismatch = this.getMaskOffence(npc.maskType, playerMask);
+            const influence = scaleForDifficulty('npcSensitivity', params.NPC_DIFFERENT_MASK_INFLUENCE);
+            gameStateSystem.addOutrage(influence * mismatch);
+            gameStateSystem.addEnergy(-params.NPC_ENERGY_DRAIN_RATE * mismatch);
             
             // NPC becomes more separated and avoids player
-            npc.state = 'IDLE'; // Changed from FLEEING to IDLE for better flocking
-            npc.stateTimer = 0;
-            npc.playerInfluence = Math.max(-1, npc.playerInfluence - 0.3);
+            npc.playerInfluence = Math.max(-1, npc.playerInfluence - 0.3 * mismatch);
+            
+            // Offended NPCs get polarised, and an offended leader takes its followers along
+            const offence = params.NPC_POLARISATION_ON_CONTACT * mismatch * this.getReactionMultiplier(npc);
+            npc.polarisation = Math.min(1, npc.polarisation + offence);
+            if (npc.isLeader) {
+                this.passOnToFollowers(npc, offence);
+            }
             
             // Increase separation force temporarily
             npc.separationBoost = 2.0;
@@ -906,16 +1368,366 @@ export class NPCSystem extends IGameSystem {
         }
     }
 
+    // Part of a leader's reaction to the player reaches each of its followers, however far away they are
+    passOnToFollowers(leader, polarisationChange) {
+        for (const follower of leader.leadership.followers) {
+            const change = polarisationChange * params.NPC_LEADER_KNOCK_ON * follower.following.loyalty;
+            
+            if (change > 0) {
+                follower.polarisation = Math.min(1, follower.polarisation + change);
+                follower.separationBoost = 2.0;
+                follower.separationBoostTimer = 4.0;
+            } else if (!follower.isRadicalised) {
+                follower.polarisation = Math.max(0, follower.polarisation + change);
+                follower.flockingBoost = 1.5;
+                follower.flockingBoostTimer = 3.0;
+            }
+        }
+    }
+
+    updateOpinionDynamics(deltaTime) {
+        // Outraged NPCs pass polarisation on to their flocking neighbours
+        const spread = new Map();
+        for (const npc of this.npcs) {
+            if (npc.polarisation < params.NPC_OUTRAGE_THRESHOLD || !npc.flockingNeighbors) continue;
+            if (npc.flockingNeighbors.length === 0) continue;
+            
+            // Influence is shared between neighbours so dense crowds don't explode instantly
+            const rate = params.NPC_POLARISATION_SPREAD_RATE * npc.polarisation *
+                (npc.isRadicalised ? params.NPC_RADICALISED_SPREAD_MULTIPLIER : 1.0) /
+                npc.flockingNeighbors.length;
+            
+            for (const neighbor of npc.flockingNeighbors) {
+                const factor = neighbor.maskType === npc.maskType ? 1.0 : params.NPC_POLARISATION_OTHER_GROUP_FACTOR;
+                spread.set(neighbor, (spread.get(neighbor) || 0) + rate * factor * deltaTime);
+            }
+        }
+        
+        // Followers' opinion drifts towards their leader's
+        for (const npc of this.npcs) {
+            if (!npc.isFollower || !npc.following.leader) continue;
+            
+            const pull = (npc.following.leader.polarisation - npc.polarisation) *
+                npc.following.loyalty * params.NPC_FOLLOWER_OPINION_PULL * deltaTime;
+            spread.set(npc, (spread.get(npc) || 0) + pull);
+        }
+        
+        // Apply after the pass so the result doesn't depend on NPC order
+        let newlyPolarised = 0;
+        for (const npc of this.npcs) {
+            if (!npc.isRadicalised) {
+                npc.polarisation -= params.NPC_POLARISATION_DECAY_RATE * deltaTime;
+            }
+            npc.polarisation = Math.max(0, Math.min(1, npc.polarisation + (spread.get(npc) || 0)));
+            
+            // Each NPC counts once towards the score
+            if (!npc.isPolarised && npc.polarisation >= params.NPC_POLARISED_THRESHOLD) {
+                npc.isPolarised = true;
+                newlyPolarised++;
+                
+                const eventData = EventDataFactory.npcOpinion(npc.id, npc.maskType, npc.maskType, npc.polarisation);
+                this.publishEvent(GameEventTypes.NPC_POLARISED, eventData);
+            }
+            
+            if (!npc.isRadicalised && npc.polarisation >= params.NPC_CONVERSION_THRESHOLD) {
+                if (this.opinionRandom.chance(params.NPC_CONVERSION_CHANCE)) {
+                    this.convertNPC(npc, ideologyRegistry.getOpposite(npc.maskType));
+                } else {
+                    this.radicaliseNPC(npc);
+                }
+            }
+            
+            this.updateNPCTint(npc);
+        }
+        
+        if (newlyPolarised > 0) {
+            const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+            if (gameStateSystem) {
+                gameStateSystem.addPolarisedPeople(newlyPolarised);
+            }
+        }
+    }
+
+    convertNPC(npc, newMaskType) {
+        if (!newMaskType || newMaskType === npc.maskType) return;
+        
+        const oldMaskType = npc.maskType;
+        
+        // Move the NPC to its new group so flocking follows the new ideology
+        const oldGroup = this.groups.get(oldMaskType);
+        if (oldGroup) {
+            const index = oldGroup.npcs.indexOf(npc);
+            if (index !== -1) oldGroup.npcs.splice(index, 1);
+        }
+        const newGroup = this.groups.get(newMaskType);
+        if (newGroup) {
+            newGroup.npcs.push(npc);
+        }
+        
+        npc.maskType = newMaskType;
+        npc.polarisation = params.NPC_OUTRAGE_THRESHOLD; // Converts stay zealous for a while
+        applyMaskAppearance(npc, newMaskType);
+        
+        const eventData = EventDataFactory.npcOpinion(npc.id, oldMaskType, newMaskType, npc.polarisation);
+        this.publishEvent(GameEventTypes.NPC_CONVERTED, eventData);
+        
+        if (npc.isLeader) {
+            // Loyal followers change sides with their leader, the others are left without one
+            for (const follower of [...npc.leadership.followers]) {
+                if (follower.following.loyalty >= params.NPC_FOLLOWER_DEFECT_LOYALTY) {
+                    this.convertNPC(follower, newMaskType);
+                } else {
+                    this.releaseFollower(follower);
+                }
+            }
+        } else if (npc.isFollower && npc.following.leader && npc.following.leader.maskType !== newMaskType) {
+            this.releaseFollower(npc);
+        }
+    }
+
+    radicaliseNPC(npc) {
+        npc.isRadicalised = true;
+        npc.polarisation = 1.0;
+        
+        const eventData = EventDataFactory.npcOpinion(npc.id, npc.maskType, npc.maskType, npc.polarisation);
+        this.publishEvent(GameEventTypes.NPC_RADICALISED, eventData);
+    }
+
+    updateNPCTint(npc) {
+        if (npc.preEndingTint) return; // The chaos ending is recolouring this NPC
+        
+        if (!npc.tint) {
+            npc.tint = new THREE.Color(1, 1, 1);
+        }
+        
+        // Outraged NPCs flush red, radicalised ones fully
+        const heat = npc.isRadicalised ? 1.0 :
+            Math.max(0, npc.polarisation - params.NPC_OUTRAGE_THRESHOLD) / (1 - params.NPC_OUTRAGE_THRESHOLD);
+        npc.tint.setRGB(1, 1 - heat * 0.5, 1 - heat * 0.5);
+        
+        if (npc.renderer && npc.renderer.mesh) {
+            npc.renderer.mesh.material.color.copy(npc.tint);
+        }
+    }
+
+    checkMassPolarisation(deltaTime) {
+        if (this.massPolarisationCooldown > 0) {
+            this.massPolarisationCooldown -= deltaTime;
+            return;
+        }
+        
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        if (!playerSystem) return;
+        
+        const playerPosition = playerSystem.getPlayerPosition();
+        if (!playerPosition) return;
+        
+        const outragedNPCs = this.getNearbyNPCsFromPosition(playerPosition, params.MASS_POLARISATION_DETECT_RADIUS)
+            .filter(npc => npc.polarisation >= params.NPC_OUTRAGE_THRESHOLD);
+        
+        if (outragedNPCs.length >= params.MASS_POLARISATION_CROWD_SIZE) {
+            this.polariseVisibleNPCs(playerPosition, outragedNPCs.length);
+        }
+    }
+
+    polariseVisibleNPCs(center, outragedCount) {
+        // "Visible" = the cap of the planet around the player the camera looks at
+        const direction = center.clone().normalize();
+        const minDot = Math.cos(THREE.MathUtils.degToRad(params.MASS_POLARISATION_VISIBLE_ANGLE));
+        
+        let affectedCount = 0;
+        for (const npc of this.npcs) {
+            if (npc.transform.position.clone().normalize().dot(direction) < minDot) continue;
+            
+            npc.polarisation = Math.min(1, npc.polarisation + params.MASS_POLARISATION_AMOUNT);
+            affectedCount++;
+        }
+        
+        this.massPolarisationCooldown = params.MASS_POLARISATION_COOLDOWN;
+        
+        const eventData = EventDataFactory.massPolarisation(outragedCount, affectedCount, center.clone());
+        this.publishEvent(GameEventTypes.NPC_MASS_POLARISATION, eventData);
+        
+        console.log(`🔥 Mass polarisation: ${outragedCount} outraged NPCs polarised ${affectedCount} visible NPCs`);
+    }
+
+    // -1 (sworn enemies) to 1 (same ideology), see the ideology data file
+    getAffinity(maskA, maskB) {
+        return ideologyRegistry.getAffinity(maskA, maskB);
+    }
+
+    // How much a mask offends a crowd, relative to the base values: 0 for its own, up to 2 for its enemies
+    getMaskOffence(crowdMask, playerMask) {
+        return 1 - this.getAffinity(crowdMask, playerMask);
+    }
+
+    // Majority ideology of the crowd around a position and its affinity with the given mask, for the HUD
+    getCrowdMood(position, maskType) {
+        const nearby = this.getNearbyNPCsFromPosition(position, params.CROWD_MOOD_RADIUS);
+        if (nearby.length === 0 || maskType === null) return null;
+        
+        const crowdMask = this.getMajorityMask(nearby);
+        return { maskType: crowdMask, affinity: this.getAffinity(crowdMask, maskType) };
+    }
+
+    // 'allied', 'neutral' or 'hostile' (see the ideology data file)
+    getRelationship(maskA, maskB) {
+        return ideologyRegistry.getRelationship(maskA, maskB);
+    }
+
+    updateClashes(deltaTime) {
+        for (const clash of [...this.clashes]) {
+            this.updateClash(clash, deltaTime);
+        }
+        
+        for (const [maskA, groupA] of this.groups) {
+            for (const [maskB, groupB] of this.groups) {
+                if (maskA >= maskB || this.getRelationship(maskA, maskB) !== 'hostile') continue;
+                if (this.clashes.some(clash => clash.maskTypes.includes(maskA) && clash.maskTypes.includes(maskB))) continue;
+                
+                // Groups meet when their centers come close, by their own drift or a player luring one of them
+                if (groupA.center && groupB.center &&
+                    groupA.center.distanceTo(groupB.center) <= params.NPC_CLASH_DISTANCE) {
+                    this.faceOff(groupA.center, groupB.center, maskA, maskB, deltaTime);
+                }
+            }
+        }
+    }
+
+    // The front ranks of two hostile groups wind each other up until enough of them are outraged to fight
+    faceOff(centerA, centerB, maskA, maskB, deltaTime) {
+        const front = centerA.clone().add(centerB).setLength(this.planetRadius + params.PLANET_SURFACE_OFFSET);
+        const involved = this.getClashParticipants(front, [maskA, maskB]);
+        for (const npc of involved) {
+            npc.polarisation = Math.min(1, npc.polarisation + params.NPC_FACE_OFF_TENSION_RATE * deltaTime);
+        }
+        
+        const sideA = involved.filter(npc => npc.maskType === maskA).length;
+        const outraged = involved.filter(npc => npc.polarisation >= params.NPC_OUTRAGE_THRESHOLD).length;
+        
+        if (sideA < params.NPC_CLASH_MIN_NPCS || involved.length - sideA < params.NPC_CLASH_MIN_NPCS ||
+            outraged < params.NPC_CLASH_MIN_NPCS) {
+            return;
+        }
+        
+        const clash = {
+            id: this.nextClashId++,
+            maskTypes: [maskA, maskB],
+            position: this.getFrontPosition(involved, maskA),
+            duration: 0
+        };
+        this.clashes.push(clash);
+        
+        this.publishClashEvent(GameEventTypes.NPC_CLASH_START, clash, involved.length);
+        console.log(`⚔️ Clash ${clash.id} between groups ${maskA} and ${maskB} (${involved.length} NPCs)`);
+    }
+
+    // The fight follows its participants, stirs up everyone around it and ends once a side has left
+    updateClash(clash, deltaTime) {
+        clash.duration += deltaTime;
+        
+        const involved = this.getClashParticipants(clash.position, clash.maskTypes);
+        const sideA = involved.filter(npc => npc.maskType === clash.maskTypes[0]).length;
+        const minSide = Math.ceil(params.NPC_CLASH_MIN_NPCS / 2);
+        
+        if (sideA < minSide || involved.length - sideA < minSide || clash.duration >= params.NPC_CLASH_MAX_DURATION) {
+            this.endClash(clash, involved.length);
+            return;
+        }
+        
+        clash.position = this.getFrontPosition(involved, clash.maskTypes[0]);
+        
+        for (const npc of this.getNearbyNPCsFromPosition(clash.position, params.NPC_CLASH_DRAW_RADIUS)) {
+            npc.polarisation = Math.min(1, npc.polarisation + params.NPC_CLASH_POLARISATION_RATE * deltaTime);
+        }
+        
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const playerPosition = playerSystem ? playerSystem.getPlayerPosition() : null;
+        if (playerPosition && playerPosition.distanceTo(clash.position) <= params.NPC_CLASH_DRAW_RADIUS) {
+            serviceContainer.resolve('gameStateSystem').addOutrage(params.NPC_CLASH_PLAYER_OUTRAGE * deltaTime);
+        }
+    }
+
+    endClash(clash, participants) {
+        this.clashes = this.clashes.filter(other => other !== clash);
+        
+        this.publishClashEvent(GameEventTypes.NPC_CLASH_END, clash, participants);
+        console.log(`⚔️ Clash ${clash.id} over after ${clash.duration.toFixed(1)}s`);
+    }
+
+    publishClashEvent(eventType, clash, participants) {
+        const eventData = EventDataFactory.clash(clash.id, [...clash.maskTypes], clash.position.clone(), participants, clash.duration);
+        this.publishEvent(eventType, eventData);
+    }
+
+    getClashParticipants(position, maskTypes) {
+        return this.getNearbyNPCsFromPosition(position, params.NPC_CLASH_RADIUS)
+            .filter(npc => maskTypes.includes(npc.maskType));
+    }
+
+    // Members of either side close enough get drawn into the fight
+    getClashDrawing(npc) {
+        return this.clashes.find(clash => clash.maskTypes.includes(npc.maskType) &&
+            npc.transform.position.distanceTo(clash.position) <= params.NPC_CLASH_DRAW_RADIUS) || null;
+    }
+
+    // Halfway between both sides, so the larger one doesn't drag the fight into its own ranks
+    getFrontPosition(involved, maskA) {
+        const sideA = involved.filter(npc => npc.maskType === maskA);
+        const sideB = involved.filter(npc => npc.maskType !== maskA);
+        
+        const centerA = new THREE.Vector3();
+        const centerB = new THREE.Vector3();
+        sideA.forEach(npc => centerA.add(npc.transform.position));
+        sideB.forEach(npc => centerB.add(npc.transform.position));
+        
+        return centerA.divideScalar(sideA.length).add(centerB.divideScalar(sideB.length))
+            .setLength(this.planetRadius + params.PLANET_SURFACE_OFFSET);
+    }
+
+    // Hotspots for the police
+    getClashes() {
+        return this.clashes;
+    }
+
+    getPolarisationStats() {
+        const stats = { outraged: 0, polarised: 0, radicalised: 0, groups: {} };
+        for (const npc of this.npcs) {
+            if (npc.polarisation >= params.NPC_OUTRAGE_THRESHOLD) stats.outraged++;
+            if (npc.isPolarised) stats.polarised++;
+            if (npc.isRadicalised) stats.radicalised++;
+        }
+        for (const [maskType, group] of this.groups) {
+            stats.groups[maskType] = group.npcs.length;
+        }
+        return stats;
+    }
+
     // Public interface
     getNPCCount() {
         return this.npcs.length;
     }
 
+    getGroupSize(maskType) {
+        const group = this.groups.get(maskType);
+        return group ? group.npcs.length : 0;
+    }
+
     getNPCsInRadius(center, radius) {
-        return this.npcs.filter(npc => {
-            const distance = npc.transform.distanceTo({ position: center });
-            return distance <= radius;
+        return this.getNearbyNPCsFromPosition(center, radius);
+    }
+
+    // Time the spatial index against brute force at several NPC counts
+    benchmarkSpatialQueries(counts = [250, 1000, 2500, 5000]) {
+        const results = benchmarkSpatialHash(counts, {
+            surfaceRadius: this.planetRadius + params.PLANET_SURFACE_OFFSET,
+            cellSize: params.NPC_SPATIAL_CELL_SIZE,
+            radius: params.NPC_FLOCKING_RADIUS
         });
+        
+        console.log('📊 Spatial hash benchmark (per query, µs):');
+        console.table(results);
+        return results;
     }
 
     getGroupStats() {
@@ -923,6 +1735,7 @@ export class NPCSystem extends IGameSystem {
         for (const [maskType, group] of this.groups) {
             const groupStats = {
                 count: group.npcs.length,
+                leaders: group.npcs.filter(npc => npc.isLeader).length,
                 activity: group.activity,
                 cohesion: group.cohesion,
                 center: group.center,
@@ -986,6 +1799,17 @@ export class NPCSystem extends IGameSystem {
                     console.log(`🐟 Flocking debug ${enabled ? 'enabled' : 'disabled'}`);
                 },
                 stats: () => this.getGroupStats(),
+                leaders: () => this.npcs.filter(npc => npc.isLeader).map(leader => ({
+                    id: leader.id,
+                    maskType: leader.maskType,
+                    followers: leader.leadership.followers.length,
+                    polarisation: leader.polarisation
+                })),
+                clashes: () => this.clashes.map(clash => ({ ...clash, position: clash.position.toArray() })),
+                states: () => this.npcs.reduce((counts, npc) => {
+                    counts[npc.state] = (counts[npc.state] || 0) + 1;
+                    return counts;
+                }, {}),
                 setParameter: (param, value) => {
                     if (params[param] !== undefined) {
                         params[param] = value;
@@ -1040,6 +1864,7 @@ export class NPCSystem extends IGameSystem {
                 regenerate: () => {
                     console.log('🔄 Regenerating group positions...');
                     this.createNPCGroups();
+                    this.rebuildSpatialIndex();
                     console.log('✅ Groups regenerated with new positions');
                 },
                 visualize: () => {
@@ -1052,6 +1877,32 @@ export class NPCSystem extends IGameSystem {
             };
             
             console.log('📍 Group distribution helpers available: window.npcDistribution');
+            
+            // Opinion dynamics helpers
+            window.npcOpinion = {
+                stats: () => this.getPolarisationStats(),
+                outrageNearPlayer: (amount = 1.0) => {
+                    const playerSystem = serviceContainer.resolve('playerSystem');
+                    if (!playerSystem) return;
+                    const nearby = this.getNearbyNPCsFromPosition(playerSystem.getPlayerPosition(), params.MASS_POLARISATION_DETECT_RADIUS);
+                    for (const npc of nearby) {
+                        npc.polarisation = Math.min(1, npc.polarisation + amount);
+                    }
+                    console.log(`🔥 Outraged ${nearby.length} NPCs near the player`);
+                }
+            };
+            
+            console.log('🔥 Opinion helpers available: window.npcOpinion');
+            
+            // Spatial index helpers
+            window.npcSpatial = {
+                stats: () => this.spatialHash.getStats(),
+                render: () => this.crowdRenderer ? this.crowdRenderer.getStats() : 'Per-NPC meshes (instancing disabled)',
+                resetStats: () => this.spatialHash.resetStats(),
+                benchmark: (counts) => this.benchmarkSpatialQueries(counts)
+            };
+            
+            console.log('🗺️ Spatial index helpers available: window.npcSpatial');
         }
     }
 
@@ -1097,7 +1948,167 @@ export class NPCSystem extends IGameSystem {
         }
     }
 
+    // Fresh crowds from the reseeded spawn stream, exactly as initialize() builds them
+    onGameReset(resetData) {
+        for (const npc of this.npcs) {
+            this.npcFactory.removeNPC(npc.id);
+        }
+        this.npcs = [];
+        this.groups.clear();
+        
+        this.simulationTime = 0;
+        this.lastUpdateTime = 0;
+        this.massPolarisationCooldown = 0;
+        this.clashes = [];
+        this.nextClashId = 1;
+        
+        this.createNPCGroups();
+        this.rebuildSpatialIndex();
+    }
+
+    // Save / load (see utils/GameSnapshot.js)
+    getSnapshot() {
+        return {
+            simulationTime: this.simulationTime,
+            lastUpdateTime: this.lastUpdateTime,
+            massPolarisationCooldown: this.massPolarisationCooldown,
+            clashes: this.clashes.map(clash => ({
+                id: clash.id,
+                maskTypes: [...clash.maskTypes],
+                position: clash.position.toArray(),
+                duration: clash.duration
+            })),
+            nextClashId: this.nextClashId,
+            npcs: this.npcs.map(npc => this.getNPCSnapshot(npc)),
+            // Member order matters to flocking, so groups list their NPCs by id
+            groups: Array.from(this.groups.values(), group => ({
+                maskType: group.maskType,
+                cohesion: group.cohesion,
+                activity: group.activity,
+                spawnCenter: group.spawnCenter.toArray(),
+                center: group.center ? group.center.toArray() : null,
+                npcs: group.npcs.map(npc => npc.id)
+            }))
+        };
+    }
+
+    getNPCSnapshot(npc) {
+        const snapshot = {
+            position: npc.transform.position.toArray(),
+            velocity: npc.velocity.toArray(),
+            targetPosition: npc.targetPosition ? npc.targetPosition.toArray() : null,
+            stateTarget: npc.stateTarget ? npc.stateTarget.toArray() : null,
+            role: npc.isLeader ? 'leader' : (npc.isFollower ? 'follower' : 'basic')
+        };
+        for (const field of NPC_SNAPSHOT_FIELDS) {
+            snapshot[field] = npc[field];
+        }
+        
+        // Leader and follower links are saved by id
+        if (npc.isLeader) {
+            const leadership = npc.leadership;
+            snapshot.leadership = {
+                influence: leadership.influence,
+                maxFollowers: leadership.maxFollowers,
+                followers: leadership.followers.map(follower => follower.id),
+                destination: leadership.destination ? leadership.destination.toArray() : null,
+                destinationTimer: leadership.destinationTimer
+            };
+        }
+        if (npc.isFollower) {
+            const following = npc.following;
+            snapshot.following = {
+                leader: following.leader ? following.leader.id : null,
+                loyalty: following.loyalty,
+                followDistance: following.followDistance
+            };
+        }
+        return snapshot;
+    }
+
+    // The crowd is rebuilt rather than patched: conversions change group sizes along the way
+    restoreSnapshot(snapshot) {
+        for (const npc of this.npcs) {
+            this.npcFactory.removeNPC(npc.id);
+        }
+        
+        const npcsById = new Map();
+        this.npcs = snapshot.npcs.map(data => {
+            const position = new THREE.Vector3().fromArray(data.position);
+            const npc = this.npcFactory.createNPC(data.role || 'basic', {
+                id: data.id,
+                maskType: data.maskType,
+                planetRadius: this.planetRadius,
+                scene: this.crowdRenderer ? null : this.scene,
+                color: ideologyRegistry.getColor(data.maskType),
+                groupSpawnCenter: position,
+                groupSpawnRadius: 0
+            });
+            
+            npc.transform.position.copy(position);
+            npc.transform.storePreviousState();
+            npc.velocity.fromArray(data.velocity);
+            npc.targetPosition = data.targetPosition ? new THREE.Vector3().fromArray(data.targetPosition) : null;
+            for (const field of NPC_SNAPSHOT_FIELDS) {
+                npc[field] = data[field];
+            }
+            npc.stateReason = data.stateReason ?? null;
+            npc.stateTarget = data.stateTarget ? new THREE.Vector3().fromArray(data.stateTarget) : null;
+            this.updateNPCTint(npc);
+            
+            npcsById.set(npc.id, npc);
+            return npc;
+        });
+        
+        for (const data of snapshot.npcs) {
+            const npc = npcsById.get(data.id);
+            if (data.leadership) {
+                Object.assign(npc.leadership, {
+                    influence: data.leadership.influence,
+                    maxFollowers: data.leadership.maxFollowers,
+                    followers: data.leadership.followers.map(id => npcsById.get(id)).filter(Boolean),
+                    destination: data.leadership.destination ? new THREE.Vector3().fromArray(data.leadership.destination) : null,
+                    destinationTimer: data.leadership.destinationTimer
+                });
+            }
+            if (data.following) {
+                Object.assign(npc.following, {
+                    leader: npcsById.get(data.following.leader) || null,
+                    loyalty: data.following.loyalty,
+                    followDistance: data.following.followDistance
+                });
+            }
+        }
+        
+        for (const data of snapshot.groups) {
+            const group = this.groups.get(data.maskType);
+            if (!group) continue;
+            
+            group.cohesion = data.cohesion;
+            group.activity = data.activity;
+            group.spawnCenter = new THREE.Vector3().fromArray(data.spawnCenter);
+            group.center = data.center ? new THREE.Vector3().fromArray(data.center) : undefined;
+            group.npcs = data.npcs.map(id => npcsById.get(id)).filter(Boolean);
+        }
+        
+        this.simulationTime = snapshot.simulationTime;
+        this.lastUpdateTime = snapshot.lastUpdateTime;
+        this.massPolarisationCooldown = snapshot.massPolarisationCooldown;
+        this.clashes = (snapshot.clashes || []).map(data => ({
+            id: data.id,
+            maskTypes: [...data.maskTypes],
+            position: new THREE.Vector3().fromArray(data.position),
+            duration: data.duration
+        }));
+        this.nextClashId = snapshot.nextClashId ?? 1;
+        this.rebuildSpatialIndex();
+        
+        console.log(`💾 Restored ${this.npcs.length} NPCs`);
+    }
+
     shutdown() {
+        this.cleanupEventSubscriptions();
+        
         // Clean up NPCs
         for (const npc of this.npcs) {
             if (npc.renderer) {
@@ -1105,6 +2116,11 @@ export class NPCSystem extends IGameSystem {
             }
         }
         
+        if (this.crowdRenderer) {
+            this.crowdRenderer.dispose();
+            this.crowdRenderer = null;
+        }
+        
         this.npcs = [];
         this.groups.clear();
         
@@ -4,6 +4,8 @@ import { Transform } from '../components/Transform.js';
 import { Renderer } from '../components/Renderer.js';
 import { params, toggleTweakpane, playerMovementData } from '../params.js';
 import { serviceContainer } from '../core/ServiceContainer.js';
+import { ideologyRegistry } from '../core/IdeologyRegistry.js';
+import { GameEventTypes, EventPriorities } from '../interfaces/GameEvents.js';
 
 export class PlayerSystem extends IGameSystem {
     constructor() {
@@ -24,6 +26,8 @@ export class PlayerSystem extends IGameSystem {
         this.currentMask = null;
         this.normal = new THREE.Vector3(0, 1, 0); // Persistent normal vector
         this.lastMovementDirection = new THREE.Vector3(0, 0, 1); // Track last movement direction
+        this.renderPosition = new THREE.Vector3(); // Interpolated position drawn this frame
+        this.movementUp = new THREE.Vector3(0, 0, 1); // Screen "up" carried along the surface, like the camera's
         
         // Texture loading
         this.textureLoader = new THREE.TextureLoader();
@@ -42,18 +46,29 @@ export class PlayerSystem extends IGameSystem {
         // Setup player position
         const playerHeight = this.planetRadius + params.PLANET_SURFACE_OFFSET;
         this.transform.setPosition(0, playerHeight, 0);
+        this.transform.storePreviousState();
         
-        // Create player renderer
-        this.createPlayerRenderer(sceneManager.getScene());
-        
-        // Create direction arrow
-        this.createDirectionArrow(sceneManager.getScene());
+        // Visuals only exist with a scene (headless simulations have none)
+        const scene = sceneManager.getScene();
+        if (scene) {
+            this.createPlayerRenderer(scene);
+            this.createDirectionArrow(scene);
+        }
         
         // Setup input handling
         this.setupInputHandling();
         
+        // Crowds eject the player once they have overstayed their welcome
+        this.subscribeToEvent(
+            GameEventTypes.CROWD_KICKOUT,
+            (event) => this.ejectFromCrowd(event.data),
+            EventPriorities.HIGH
+        );
+        
         // Create debug UI
-        this.createDebugUI();
+        if (scene) {
+            this.createDebugUI();
+        }
         
         console.log('🚶 Player System initialized');
         console.log(`📍 Player position: ${this.transform.position.x}, ${this.transform.position.y}, ${this.transform.position.z}`);
@@ -61,16 +76,7 @@ export class PlayerSystem extends IGameSystem {
 
     // Texture helper - maps mask types to corresponding Joshua textures
     getJoshuaTextureForMask(maskId) {
-        const textures = {
-            1: 'textures/sprites/joshua_conservative.png',    // Conservatives
-            2: 'textures/sprites/joshua_sjw.png',            // Social Justice
-            3: 'textures/sprites/joshua_libertarian.png',    // Libertarians
-            4: 'textures/sprites/joshua_nationalist.png',    // Nationalists
-            5: 'textures/sprites/joshua_culture.png',        // Culture
-            6: 'textures/sprites/joshua_religious.png',      // Religious
-            7: 'textures/sprites/joshua_antisystem.png'      // Antisystem
-        };
-        return textures[maskId] || 'textures/sprites/joshua_neutre.png'; // Fallback to neutral
+        return ideologyRegistry.getPlayerSprite(maskId);
     }
 
     updatePlayerGeometry() {
@@ -112,7 +118,7 @@ export class PlayerSystem extends IGameSystem {
 
     createPlayerRenderer(scene) {
         // Load player texture (starts with neutral texture)
-        const texture = this.textureLoader.load('textures/sprites/joshua_neutre.png');
+        const texture = this.textureLoader.load(this.getJoshuaTextureForMask(null));
         
         // Wait for texture to load to get its dimensions
         texture.onLoad = () => {
@@ -227,7 +233,7 @@ export class PlayerSystem extends IGameSystem {
         if (!this.directionArrow) return;
         
         // Position the arrow above the player
-        const playerPosition = this.transform.position.clone();
+        const playerPosition = this.renderPosition.clone();
         const playerNormal = this.normal.clone();
         
         // Place arrow slightly above the player plane
@@ -297,7 +303,7 @@ export class PlayerSystem extends IGameSystem {
             <strong>H</strong> - Toggle axis/camera HUD<br>
             <strong>F1</strong> - Toggle debug info<br>
             <strong>F2</strong> - Toggle Tweakpane<br>
-            <strong>1-7</strong> - Switch masks<br>
+            <strong>${ideologyRegistry.getKeys().join(' ').toUpperCase()}</strong> - Switch masks<br>
             <strong>ESC</strong> - Return to neutral
         `;
         
@@ -353,28 +359,54 @@ export class PlayerSystem extends IGameSystem {
                 // Toggle Tweakpane visibility
                 toggleTweakpane();
                 break;
-            case '1':
-            case '2':
-            case '3':
-            case '4':
-            case '5':
-            case '6':
-            case '7':
-                const maskType = parseInt(key);
-                if (this.hasEnergy()) {
+            default: {
+                // Mask key bindings come from the ideology data file
+                const maskType = ideologyRegistry.getByKey(key);
+                if (maskType !== null && this.canWearMask(maskType)) {
                     this.setMask(maskType);
                 }
                 break;
+            }
         }
     }
 
-    update(deltaTime) {
+    fixedUpdate(deltaTime) {
+        this.transform.storePreviousState();
+        this.updateMovementFrame();
+        
         // Handle movement
         this.handleMovement(deltaTime);
+    }
+
+    // Same transport as SceneManager.updateCameraOrientation, but along the simulated
+    // position: the camera follows the interpolated one, which depends on the frame rate
+    updateMovementFrame() {
+        const normal = this.transform.position.clone().normalize();
+        this.movementUp.addScaledVector(normal, -this.movementUp.dot(normal));
+        
+        // Teleported to where "up" points straight at the sky: pick any tangent
+        if (this.movementUp.lengthSq() < 0.01) {
+            this.movementUp.set(Math.abs(normal.z) < 0.9 ? 0 : 1, 0, Math.abs(normal.z) < 0.9 ? 1 : 0);
+            this.movementUp.addScaledVector(normal, -this.movementUp.dot(normal));
+        }
+        
+        this.movementUp.normalize();
+    }
+
+    // Screen-aligned directions on the tangent plane; the camera looks straight down at the player
+    getMovementAxes() {
+        const surfaceNormal = this.transform.position.clone().normalize();
+        const right = new THREE.Vector3().crossVectors(this.movementUp, surfaceNormal).normalize();
+        const forward = new THREE.Vector3().crossVectors(surfaceNormal, right);
+        return { right, forward };
+    }
+
+    update(deltaTime, alpha = 1) {
+        this.transform.getInterpolatedPosition(alpha, this.renderPosition);
         
         // Update renderer
         if (this.renderer) {
-            this.renderer.updateTransform(this.transform);
+            this.renderer.updateTransform(this.transform, alpha);
         }
         
         // Update player orientation to always face camera
@@ -385,7 +417,7 @@ export class PlayerSystem extends IGameSystem {
     }
 
     handleMovement(deltaTime) {
-        if (!this.planet) return;
+        if (!this.planetRadius) return;
         
         // Get movement input (includes touch controls)
         const input = this.inputManager.getMovementVector();
@@ -424,26 +456,11 @@ export class PlayerSystem extends IGameSystem {
         const speed = params.PLAYER_SPEED * deltaTime;
         const radius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
 
-        // Get camera and current position
-        const camera = serviceContainer.resolve('camera');
-        if (!camera) return;
         const currentPos = this.transform.position.clone();
 
-        // 1. Get Player's "Up" Vector (the normal to the sphere surface)
-        const surfaceNormal = currentPos.clone().normalize();
-
-        // 2. Get a Stable "Right" Vector from the Camera
-        // We use the camera's local X-axis, which is not affected by pitch.
-        const cameraRight = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
-
-        // 3. Create Player-Relative Movement Vectors on the Tangent Plane
-        // Project the stable cameraRight vector onto the tangent plane to get the player's right.
-        const playerRight = cameraRight.clone().addScaledVector(surfaceNormal, -cameraRight.dot(surfaceNormal));
-        playerRight.normalize();
-
-        // The player's forward is perpendicular to their right and their up (surfaceNormal).
-        // The order of the cross product is important to get "forward" instead of "backward".
-        const playerForward = new THREE.Vector3().crossVectors(surfaceNormal, playerRight);
+        // 1-3. Player-relative movement vectors on the tangent plane, matching the camera's
+        // right and up without reading the camera (see updateMovementFrame)
+        const { right: playerRight, forward: playerForward } = this.getMovementAxes();
 
         // 4. Calculate Total Movement Vector
         // Input Y (Z/S -> +1/-1) moves along playerForward.
@@ -564,14 +581,14 @@ export class PlayerSystem extends IGameSystem {
 
 
     // Mask management
-    setMask(maskType) {
+    setMask(maskType, reason = 'input') {
         this.currentMask = maskType;
         this.updatePlayerAppearance();
         
         // Notify other systems
         const gameStateSystem = serviceContainer.resolve('gameStateSystem');
         if (gameStateSystem) {
-            gameStateSystem.setMask(maskType);
+            gameStateSystem.setMask(maskType, reason);
         }
         
         // Update scene background color based on mask
@@ -583,6 +600,69 @@ export class PlayerSystem extends IGameSystem {
         console.log(`🎭 Player mask changed to: ${maskType || 'Neutral'}`);
     }
 
+    // Back to the spawn point, unmasked, facing the way a fresh run does
+    onGameReset(resetData) {
+        this.transform.setPosition(0, this.planetRadius + params.PLANET_SURFACE_OFFSET, 0);
+        this.transform.storePreviousState();
+        this.normal.set(0, 1, 0);
+        this.movementUp.set(0, 0, 1);
+        this.lastMovementDirection.set(0, 0, 1);
+        this.inputManager.clearInputStates();
+        
+        // GameStateSystem resets its own copy of the mask
+        this.currentMask = null;
+        this.updatePlayerAppearance();
+        
+        const sceneManager = serviceContainer.resolve('sceneManager');
+        if (sceneManager) {
+            sceneManager.setBackgroundFromMask(null);
+        }
+    }
+
+    // Save / load (see utils/GameSnapshot.js)
+    getSnapshot() {
+        return {
+            position: this.transform.position.toArray(),
+            normal: this.normal.toArray(),
+            movementUp: this.movementUp.toArray(),
+            lastMovementDirection: this.lastMovementDirection.toArray(),
+            currentMask: this.currentMask
+        };
+    }
+
+    // GameStateSystem restores its own copy of the mask, so no mask change is published here
+    restoreSnapshot(snapshot) {
+        this.transform.position.fromArray(snapshot.position);
+        this.transform.storePreviousState();
+        this.normal.fromArray(snapshot.normal);
+        this.movementUp.fromArray(snapshot.movementUp);
+        this.lastMovementDirection.fromArray(snapshot.lastMovementDirection);
+        
+        this.currentMask = snapshot.currentMask;
+        this.updatePlayerAppearance();
+        
+        // Screen "up" must match the movement frame, or the controls come back rotated
+        const sceneManager = serviceContainer.resolve('sceneManager');
+        if (sceneManager) {
+            sceneManager.setBackgroundFromMask(this.currentMask);
+            sceneManager.resetCameraOrientation(this.movementUp);
+        }
+    }
+
+    ejectFromCrowd(kickoutData) {
+        const npcSystem = serviceContainer.resolve('npcSystem');
+        if (npcSystem) {
+            const ejectPosition = npcSystem.getKickoutPosition(kickoutData.maskType, this.transform.position);
+            this.setPlayerPosition(ejectPosition);
+            this.transform.storePreviousState(); // Jump straight there, no interpolation
+        }
+        
+        // Kicked-out players lose the mask regardless of canReturnToNeutral()
+        this.setMask(null, 'kickout');
+        
+        console.log(`🚪 Player ejected from crowd ${kickoutData.maskType}`);
+    }
+
     updatePlayerAppearance() {
         if (!this.renderer || !this.renderer.mesh) return;
         
@@ -616,11 +696,27 @@ export class PlayerSystem extends IGameSystem {
         return gameStateSystem ? gameStateSystem.energy > 0 : true;
     }
 
+    canWearMask(maskType) {
+        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+        if (gameStateSystem) {
+            // Masks must be picked up first, and kickouts lock them for a while
+            if (gameStateSystem.isGameOver) return false;
+            if (!gameStateSystem.isMaskUnlocked(maskType)) return false;
+            if (gameStateSystem.isMaskLocked(maskType)) return false;
+        }
+        return this.hasEnergy();
+    }
+
     // Getters for other systems
     getPlayerPosition() {
         return this.transform.position;
     }
 
+    // Smoothed position for the camera and anything drawn relative to the player
+    getRenderPosition() {
+        return this.renderPosition;
+    }
+
     getPlayerNormal() {
         return this.normal;
     }
@@ -647,7 +743,7 @@ export class PlayerSystem extends IGameSystem {
     onGameStateChange(newState) {
         if (newState.property === 'energy' && newState.newValue <= 0) {
             // Force neutral when energy depleted
-            this.setMask(null);
+            this.setMask(null, 'energy');
         }
     }
 
@@ -655,14 +751,17 @@ export class PlayerSystem extends IGameSystem {
         switch (action.type) {
             case 'teleport':
                 this.transform.setPosition(action.x, action.y, action.z);
+                this.transform.storePreviousState();
                 break;
             case 'forceMask':
-                this.setMask(action.maskType);
+                this.setMask(action.maskType, 'action');
                 break;
         }
     }
 
     shutdown() {
+        this.cleanupEventSubscriptions();
+        
         if (this.renderer) {
             this.renderer.dispose();
         }
@@ -683,7 +782,7 @@ export class PlayerSystem extends IGameSystem {
         }
         
         // Clean up any other UI elements we created
-        const instructions = document.querySelector('div[style*="bottom: 10px"]');
+        const instructions = typeof document !== 'undefined' ? document.querySelector('div[style*="bottom: 10px"]') : null;
         if (instructions) {
             document.body.removeChild(instructions);
         }
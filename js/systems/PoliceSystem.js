@@ -5,7 +5,9 @@ import { Renderer } from '../components/Renderer.js';
 import { params } from '../params.js';
 import { serviceContainer } from '../core/ServiceContainer.js';
 import { NPCFactory } from '../factories/NPCFactory.js';
-import { GameEventTypes } from '../interfaces/GameEvents.js';
+import { GameEventTypes, EventDataFactory } from '../interfaces/GameEvents.js';
+import { scaleForDifficulty } from './DifficultySystem.js';
+import { NavigationGraph } from '../utils/NavigationGraph.js';
 
 export class PoliceSystem extends IGameSystem {
     constructor() {
@@ -19,7 +21,6 @@ export class PoliceSystem extends IGameSystem {
         
         // Use parameter instead of hardcoded value
         this.activationOutrage = params.OUTRAGE_POLICE_THRESHOLD;
-        this.maxPolice = 2; // Fewer police NPCs than drones
         this.spawnRadius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
         this.detectionRadius = params.POLICE_CATCH_DISTANCE || 2;
         this.speed = params.POLICE_SPEED_MULTIPLIER || 1.3;
@@ -29,8 +30,33 @@ export class PoliceSystem extends IGameSystem {
         this.spawnTimer = 0;
         this.spawnInterval = 1.5; // seconds between police spawns (reduced from 3 to 1.5)
         
-        // Damage system
-        this.damageInterval = 0.5; // Apply damage every 0.5 seconds
+        // Heat (wanted level): picks the tier in params.POLICE_HEAT_TIERS
+        this.heat = 0;
+        this.heatTier = 0;
+        
+        // Perception: where the police last saw or heard of the player, and what the officers
+        // are doing about it overall (IDLE, PURSUING, SEARCHING or LOST)
+        this.lastKnownPosition = null;
+        this.pursuitState = 'IDLE';
+        
+        // Route planning: graph built once the planet size is known, player motion for interception
+        this.navGraph = null;
+        this.navCrowdTime = -1;    // Simulation time the graph's crowd counts were taken at
+        this.lastPlayerPosition = null;
+        this.playerVelocity = new THREE.Vector3();
+        this.navOverlay = null;
+        
+        // Capture meter (0-1): officers within catch distance fill it, the arrest happens when it is full
+        this.captureProgress = 0;
+        this.holdStrength = 0;          // Stacked captureStrength of the officers holding the player this step
+        this.captureContact = false;    // Whether officers held the player on the previous step
+        this.closeCallAwarded = false;  // One reward per capture attempt, until the meter is empty again
+        this.lastMovementInput = { x: 0, y: 0 };
+        
+        // Seeded spawn positions and simulation clock for route planning and log throttling
+        this.random = serviceContainer.resolve('randomService').stream('police');
+        this.simulationTime = 0;
+        this.lastPursuitLogTime = 0;
     }
 
     async initialize(sceneManager) {
@@ -41,35 +67,56 @@ export class PoliceSystem extends IGameSystem {
         // Update spawn radius now that we have planetRadius
         this.spawnRadius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
         
+        this.navGraph = new NavigationGraph(this.planetRadius + params.PLANET_SURFACE_OFFSET, params.NAV_GRAPH_DETAIL);
+        this.setupConsoleHelpers();
+        
         console.log('🚔 Police System initialized');
         console.log(`🚔 Police speed multiplier: ${params.POLICE_SPEED_MULTIPLIER || 1.3}`);
         console.log(`🚔 Player speed: ${params.PLAYER_SPEED || 20}`);
         console.log(`🚔 Police catch distance: ${params.POLICE_CATCH_DISTANCE || 2}`);
         console.log(`🚔 Police spawn interval: ${this.spawnInterval}s`);
+        console.log(`🚔 Navigation graph: ${this.navGraph.getNodeCount()} nodes`);
     }
 
-    update(deltaTime) {
+    fixedUpdate(deltaTime) {
         const gameStateSystem = serviceContainer.resolve('gameStateSystem');
         if (!gameStateSystem) return;
         
-        // Check activation status
-        const shouldBeActive = gameStateSystem.outrage >= this.activationOutrage;
+        this.simulationTime += deltaTime;
+        
+        this.trackPlayerMotion(deltaTime);
+        this.updateHeat(gameStateSystem, deltaTime);
+        
+        // Police stay on the case until the heat is gone, even once outrage has dropped,
+        // and answer crowd clashes whatever the player is doing
+        const outraged = gameStateSystem.outrage >= this.activationOutrage;
+        const clashing = this.getClashHotspots().length > 0;
+        const shouldBeActive = outraged || this.heat > 0 || clashing;
         
         if (shouldBeActive && !this.isActive) {
-            this.activate();
+            this.activate(outraged ? 'outrage_threshold' : 'clash');
         } else if (!shouldBeActive && this.isActive) {
             this.deactivate();
         }
         
+        // Outraged crowds keep reporting where the player is
+        if (outraged) {
+            this.reportPlayerPosition();
+        }
+        
         if (this.isActive) {
-            this.updateActiveBehavior(deltaTime);
+            this.updateActiveBehavior(deltaTime, outraged || clashing);
         }
         
         // Update all police NPCs
+        this.holdStrength = 0;
         for (const policeNPC of this.policeNPCs) {
             this.updatePoliceNPC(policeNPC, deltaTime);
         }
         
+        this.updateCapture(gameStateSystem, deltaTime);
+        this.updatePursuitState(gameStateSystem);
+        
         // Resolve collisions between police officers
         this.resolvePoliceCollisions();
         
@@ -77,28 +124,202 @@ export class PoliceSystem extends IGameSystem {
         this.resolvePoliceNPCCollisions();
     }
 
-    activate() {
+    update(deltaTime, alpha = 1) {
+        for (const policeNPC of this.policeNPCs) {
+            if (!policeNPC.renderer) continue;
+            
+            // Draw between the last two steps and keep facing the camera
+            policeNPC.renderer.updateTransform(policeNPC.transform, alpha);
+            
+            // Drones are simulated on the surface and drawn above it
+            if (policeNPC.altitude && policeNPC.renderer.mesh) {
+                const mesh = policeNPC.renderer.mesh;
+                mesh.position.addScaledVector(mesh.position.clone().normalize(), policeNPC.altitude);
+            }
+            
+            this.updatePoliceOrientation(policeNPC);
+        }
+        
+        this.updateNavOverlay();
+    }
+
+    trackPlayerMotion(deltaTime) {
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const playerPosition = playerSystem ? playerSystem.getPlayerPosition() : null;
+        if (!playerPosition) return;
+        
+        if (this.lastPlayerPosition) {
+            this.playerVelocity.subVectors(playerPosition, this.lastPlayerPosition).divideScalar(deltaTime);
+            this.lastPlayerPosition.copy(playerPosition);
+        } else {
+            this.playerVelocity.set(0, 0, 0);
+            this.lastPlayerPosition = playerPosition.clone();
+        }
+    }
+
+    // Sustained outrage raises the heat; it only cools down once outrage is low and no officer is pursuing
+    updateHeat(gameStateSystem, deltaTime) {
+        if (gameStateSystem.outrage >= this.activationOutrage) {
+            this.heat = Math.min(params.POLICE_HEAT_MAX, this.heat + params.POLICE_HEAT_GAIN_RATE * deltaTime);
+        } else if (!this.isPlayerInSight()) {
+            this.heat = Math.max(0, this.heat - params.POLICE_HEAT_DECAY_RATE * deltaTime);
+        }
+        
+        const tier = this.getTierForHeat(this.heat);
+        if (tier !== this.heatTier) {
+            const previousTier = this.heatTier;
+            this.heatTier = tier;
+            
+            const eventData = EventDataFactory.policeHeat(
+                this.heat, tier, previousTier, this.getMaxPolice(), [...params.POLICE_HEAT_TIERS[tier].units]
+            );
+            this.publishEvent(GameEventTypes.POLICE_HEAT_CHANGE, eventData);
+            
+            console.log(`🚨 Police heat tier ${previousTier + 1} → ${tier + 1} (heat ${this.heat.toFixed(1)})`);
+        }
+    }
+
+    getTierForHeat(heat) {
+        const tiers = params.POLICE_HEAT_TIERS;
+        let tier = 0;
+        for (let i = 1; i < tiers.length; i++) {
+            if (heat >= tiers[i].heat) tier = i;
+        }
+        return tier;
+    }
+
+    isPlayerInSight() {
+        return this.getOfficersOnDuty().some(policeNPC => policeNPC.state === 'PURSUING');
+    }
+
+    reportPlayerPosition() {
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const playerPosition = playerSystem ? playerSystem.getPlayerPosition() : null;
+        if (!playerPosition) return;
+        
+        if (this.lastKnownPosition) {
+            this.lastKnownPosition.copy(playerPosition);
+        } else {
+            this.lastKnownPosition = playerPosition.clone();
+        }
+    }
+
+    // Sight: distance, view cone, then nothing in the way. Close by, officers notice the player anyway,
+    // and a player blending into a matching crowd is only spotted from very close.
+    canSeePlayer(policeNPC, playerPosition) {
+        const distance = policeNPC.transform.position.distanceTo(playerPosition);
+        if (distance <= params.POLICE_NOTICE_DISTANCE) return true;
+        if (distance > params.POLICE_SIGHT_DISTANCE) return false;
+        
+        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+        if (gameStateSystem && gameStateSystem.isInMatchingCrowd() && distance > params.POLICE_BLEND_SIGHT_DISTANCE) {
+            return false;
+        }
+        
+        if (!this.isInViewCone(policeNPC, playerPosition)) return false;
+        
+        // Drones look down over the crowds
+        return policeNPC.isAirborne || !this.isSightBlockedByCrowd(policeNPC.transform.position, playerPosition);
+    }
+
+    isInViewCone(policeNPC, targetPosition) {
+        // Officers that have not moved yet are still looking around
+        if (!policeNPC.heading) return true;
+        
+        const position = policeNPC.transform.position;
+        const normal = position.clone().normalize();
+        const toTarget = new THREE.Vector3().subVectors(targetPosition, position);
+        toTarget.addScaledVector(normal, -toTarget.dot(normal));
+        
+        const heading = policeNPC.heading.clone().addScaledVector(normal, -policeNPC.heading.dot(normal));
+        if (toTarget.lengthSq() < 0.0001 || heading.lengthSq() < 0.0001) return true;
+        
+        const halfAngle = THREE.MathUtils.degToRad(params.POLICE_VIEW_ANGLE) / 2;
+        return heading.angleTo(toTarget) <= halfAngle;
+    }
+
+    // Samples the sight line along the surface; a dense enough crowd at any point hides the player.
+    // The player's own surroundings are left out, blending in is handled by canSeePlayer.
+    isSightBlockedByCrowd(fromPosition, toPosition) {
+        const npcSystem = serviceContainer.resolve('npcSystem');
+        if (!npcSystem) return false;
+        
+        const radius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
+        const distance = fromPosition.distanceTo(toPosition);
+        const samples = Math.ceil(distance / params.POLICE_CROWD_BLOCK_RADIUS);
+        const point = new THREE.Vector3();
+        
+        for (let i = 1; i < samples; i++) {
+            const t = i / samples;
+            if ((1 - t) * distance < params.POLICE_CROWD_BLOCK_RADIUS * 2) break;
+            
+            point.copy(fromPosition).lerp(toPosition, t).normalize().multiplyScalar(radius);
+            const crowd = npcSystem.getNearbyNPCsFromPosition(point, params.POLICE_CROWD_BLOCK_RADIUS);
+            if (crowd.length >= params.POLICE_CROWD_BLOCK_COUNT) return true;
+        }
+        
+        return false;
+    }
+
+    // Overall pursuit state, published when it changes so the UI can show it.
+    // Officers only answering a clash are not after the player.
+    updatePursuitState(gameStateSystem) {
+        let state = 'IDLE';
+        let pursuing = 0;
+        let searching = 0;
+        
+        if (this.isActive) {
+            let responding = 0;
+            for (const policeNPC of this.getOfficersOnDuty()) {
+                if (policeNPC.state === 'PURSUING') pursuing++;
+                else if (policeNPC.state === 'SEARCHING') searching++;
+                else if (policeNPC.state === 'RESPONDING') responding++;
+            }
+            state = pursuing > 0 ? 'PURSUING' : (searching > 0 ? 'SEARCHING' : (responding > 0 ? 'IDLE' : 'LOST'));
+        }
+        
+        gameStateSystem.setBeingChased(state === 'PURSUING');
+        this.setPursuitState(state, pursuing, searching);
+    }
+
+    setPursuitState(state, pursuing = 0, searching = 0) {
+        if (state === this.pursuitState) return;
+        
+        const previousState = this.pursuitState;
+        this.pursuitState = state;
+        
+        const eventData = EventDataFactory.policePursuit(
+            state, previousState, pursuing, searching, this.lastKnownPosition ? this.lastKnownPosition.clone() : null
+        );
+        this.publishEvent(GameEventTypes.POLICE_PURSUIT, eventData);
+        
+        console.log(`🚔 Pursuit: ${previousState} → ${state}`);
+    }
+
+    getOfficersOnDuty() {
+        return this.policeNPCs.filter(policeNPC => !policeNPC.isRetreating);
+    }
+
+    activate(reason) {
         this.isActive = true;
         this.spawnTimer = 0;
+        if (reason === 'outrage_threshold') {
+            this.reportPlayerPosition();
+        }
         console.log('🚔 Police system activated - officers incoming!');
         
         // Spawn first police officer immediately for instant response
-        if (this.policeNPCs.length < this.maxPolice) {
+        if (this.getOfficersOnDuty().length < this.getMaxPolice()) {
             this.spawnPoliceNPC();
             console.log('🚔 First police officer spawned immediately!');
         }
         
-        // Notify game state
+        // Publish police activation event for visual effects (being chased follows the pursuit state)
         const gameStateSystem = serviceContainer.resolve('gameStateSystem');
-        if (gameStateSystem) {
-            gameStateSystem.setBeingChased(true);
-        }
-        
-        // Publish police activation event for visual effects
         this.publishEvent(GameEventTypes.POLICE_ACTIVATE, {
             outrageLevel: gameStateSystem?.outrage || 0,
             policeCount: this.policeNPCs.length,
-            activationReason: 'outrage_threshold'
+            activationReason: reason
         });
     }
 
@@ -116,37 +337,70 @@ export class PoliceSystem extends IGameSystem {
         this.publishEvent(GameEventTypes.POLICE_DEACTIVATE, {
             outrageLevel: gameStateSystem?.outrage || 0,
             policeCount: this.policeNPCs.length,
-            deactivationReason: 'outrage_low'
+            deactivationReason: 'heat_lost'
         });
         
         // Remove all police NPCs gradually
         for (const policeNPC of this.policeNPCs) {
             policeNPC.isRetreating = true;
         }
+        
+        this.lastKnownPosition = null;
+        this.setPursuitState('IDLE');
     }
 
-    updateActiveBehavior(deltaTime) {
+    updateActiveBehavior(deltaTime, outraged) {
+        const onDuty = this.getOfficersOnDuty();
+        const maxPolice = this.getMaxPolice();
+        
+        // Once every officer gave up, no one is sent until the crowds report the player again
+        if (this.pursuitState === 'LOST' && !outraged) return;
+        
         // Spawn new police NPCs if needed
-        if (this.policeNPCs.length < this.maxPolice) {
+        if (onDuty.length < maxPolice) {
             this.spawnTimer += deltaTime;
             
-            if (this.spawnTimer >= this.spawnInterval) {
+            if (this.spawnTimer >= this.getSpawnInterval()) {
                 this.spawnPoliceNPC();
                 this.spawnTimer = 0;
             }
+        } else if (onDuty.length > maxPolice) {
+            // The heat went down a tier: the latest unit is called off
+            onDuty[onDuty.length - 1].isRetreating = true;
         }
     }
 
+    // Officers on duty come from the heat tier, then ramp up with the difficulty director
+    getMaxPolice() {
+        const maxPolice = params.POLICE_HEAT_TIERS[this.heatTier].maxPolice;
+        return Math.max(1, Math.round(scaleForDifficulty('maxPolice', maxPolice)));
+    }
+
+    getSpawnInterval() {
+        return scaleForDifficulty('policeSpawnInterval', this.spawnInterval);
+    }
+
     spawnPoliceNPC() {
-        const policeNPC = this.createPoliceNPC();
+        const unitType = this.chooseUnitType();
+        const policeNPC = this.createPoliceNPC(unitType);
         this.policeNPCs.push(policeNPC);
-        console.log(`🚔 Police NPC spawned (${this.policeNPCs.length}/${this.maxPolice})`);
+        console.log(`🚔 Police ${unitType} spawned (${this.getOfficersOnDuty().length}/${this.getMaxPolice()})`);
+    }
+
+    // Among the units the tier allows, send one of the least represented so new types show up quickly
+    chooseUnitType() {
+        const units = params.POLICE_HEAT_TIERS[this.heatTier].units;
+        const onDuty = this.getOfficersOnDuty();
+        const counts = units.map(unit => onDuty.filter(policeNPC => policeNPC.unitType === unit).length);
+        const fewest = Math.min(...counts);
+        
+        return this.random.pick(units.filter((unit, index) => counts[index] === fewest));
     }
 
-    createPoliceNPC() {
+    createPoliceNPC(unitType = 'police') {
         // Generate random position on planet surface
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
+        const theta = this.random.range(0, Math.PI * 2);
+        const phi = Math.acos(this.random.range(-1, 1));
         const radius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
         
         const position = new THREE.Vector3(
@@ -155,7 +409,7 @@ export class PoliceSystem extends IGameSystem {
             radius * Math.sin(phi) * Math.sin(theta)
         );
 
-        const policeNPC = this.npcFactory.createNPC('police', {
+        const policeNPC = this.npcFactory.createNPC(unitType, {
             planetRadius: this.planetRadius,
             scene: this.scene,
             groupSpawnCenter: position,
@@ -165,49 +419,147 @@ export class PoliceSystem extends IGameSystem {
         // Additional police-specific setup
         policeNPC.isRetreating = false;
         policeNPC.stateTimer = 0;
-        policeNPC.lastDamageTime = 0; // Initialize to 0 to allow immediate first damage
+        
+        // Dispatched to the last known position; sight decides from there
+        policeNPC.heading = null;
+        this.startSearch(policeNPC);
         
         return policeNPC;
     }
 
     updatePoliceNPC(policeNPC, deltaTime) {
-        if (!policeNPC.transform || !policeNPC.renderer) return;
+        if (!policeNPC.transform) return;
         
         policeNPC.stateTimer += deltaTime;
+        policeNPC.transform.storePreviousState();
         
         if (policeNPC.isRetreating) {
             this.updateRetreatingNPC(policeNPC, deltaTime);
-        } else {
-            this.updatePursuingNPC(policeNPC, deltaTime);
+            return;
         }
-    }
 
-    updatePursuingNPC(policeNPC, deltaTime) {
         const playerSystem = serviceContainer.resolve('playerSystem');
         if (!playerSystem) return;
         
         const playerPosition = playerSystem.getPlayerPosition();
+        if (this.canSeePlayer(policeNPC, playerPosition)) {
+            this.setOfficerState(policeNPC, 'PURSUING');
+            policeNPC.unseenTime = 0;
+            this.reportPlayerPosition();
+        } else if (policeNPC.state === 'PURSUING') {
+            // A glimpse lost behind a crowd or out of the cone does not end the chase at once
+            policeNPC.unseenTime = (policeNPC.unseenTime || 0) + deltaTime;
+            if (policeNPC.unseenTime >= params.POLICE_LOSE_SIGHT_DELAY) {
+                this.startSearch(policeNPC);
+            }
+        }
+        
+        if (policeNPC.state === 'PURSUING') {
+            this.updatePursuingNPC(policeNPC, playerPosition, deltaTime);
+            return;
+        }
+        
+        // Officers not chasing the player answer the nearest clash, and search again once it is over
+        const hotspot = this.getNearestHotspot(policeNPC.transform.position);
+        if (hotspot) {
+            if (policeNPC.state !== 'RESPONDING') {
+                this.setOfficerState(policeNPC, 'RESPONDING');
+                policeNPC.searchTarget = null;
+            }
+            this.updateRespondingNPC(policeNPC, hotspot, deltaTime);
+        } else {
+            if (policeNPC.state === 'RESPONDING') {
+                this.startSearch(policeNPC);
+            }
+            this.updateSearchingNPC(policeNPC, deltaTime);
+        }
+    }
+
+    setOfficerState(policeNPC, state) {
+        if (policeNPC.state !== state) {
+            policeNPC.state = state;
+            policeNPC.stateTimer = 0;
+        }
+    }
+
+    // Head for the last known position, then sweep around it
+    startSearch(policeNPC) {
+        this.setOfficerState(policeNPC, 'SEARCHING');
+        policeNPC.searchTarget = this.lastKnownPosition ? this.lastKnownPosition.clone() : null;
+    }
+
+    updateSearchingNPC(policeNPC, deltaTime) {
+        if (policeNPC.stateTimer >= params.POLICE_SEARCH_DURATION || !this.lastKnownPosition) {
+            // Gave up: the officer leaves like at the end of an alert
+            this.setOfficerState(policeNPC, 'LOST');
+            policeNPC.isRetreating = true;
+            return;
+        }
+        
+        if (!policeNPC.searchTarget || policeNPC.transform.position.distanceTo(policeNPC.searchTarget) < 1.5) {
+            policeNPC.searchTarget = this.pickSearchPoint();
+            policeNPC.path = null;
+        }
+        
+        this.navigateTowards(policeNPC, policeNPC.searchTarget, deltaTime);
+    }
+
+    pickSearchPoint(center = this.lastKnownPosition) {
+        const radius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
+        const offset = new THREE.Vector3(
+            this.random.range(-1, 1),
+            this.random.range(-1, 1),
+            this.random.range(-1, 1)
+        ).multiplyScalar(params.POLICE_SEARCH_RADIUS);
+        
+        return center.clone().add(offset).normalize().multiplyScalar(radius);
+    }
+
+    // Patrol around the clash until it breaks up; crowds scatter from officers on their own
+    updateRespondingNPC(policeNPC, hotspot, deltaTime) {
+        const targetDrifted = policeNPC.searchTarget &&
+            policeNPC.searchTarget.distanceTo(hotspot) > params.POLICE_SEARCH_RADIUS * 2;
+        if (!policeNPC.searchTarget || targetDrifted || policeNPC.transform.position.distanceTo(policeNPC.searchTarget) < 1.5) {
+            policeNPC.searchTarget = this.pickSearchPoint(hotspot);
+            policeNPC.path = null;
+        }
+        
+        this.navigateTowards(policeNPC, policeNPC.searchTarget, deltaTime);
+    }
+
+    // Crowd clashes going on right now (see NPCSystem.updateClashes)
+    getClashHotspots() {
+        if (!serviceContainer.has('npcSystem')) return [];
+        return serviceContainer.resolve('npcSystem').getClashes().map(clash => clash.position);
+    }
+
+    getNearestHotspot(position) {
+        let nearest = null;
+        for (const hotspot of this.getClashHotspots()) {
+            if (!nearest || position.distanceTo(hotspot) < position.distanceTo(nearest)) {
+                nearest = hotspot;
+            }
+        }
+        return nearest;
+    }
+
+    updatePursuingNPC(policeNPC, playerPosition, deltaTime) {
         const distanceToPlayer = policeNPC.transform.distanceTo({ position: playerPosition });
         
         // Check for collision first
         if (distanceToPlayer <= policeNPC.detectionRadius) {
-            // Police is close enough to damage player
+            // Police is close enough to hold the player
             this.handlePoliceCollision(policeNPC, deltaTime);
             return; // Don't move closer if already in collision range
         }
         
-        // Move towards player using the same quaternion-based movement as player
-        this.movePoliceTowardsPlayer(policeNPC, playerPosition, deltaTime);
-        
-        // Update renderer
-        policeNPC.renderer.updateTransform(policeNPC.transform);
-        
-        // Ensure police NPC faces camera (like player and other NPCs)
-        this.updatePoliceOrientation(policeNPC);
+        // Head for where the player is going, flanking alongside the other pursuers
+        this.navigateTowards(policeNPC, this.getPursuitTarget(policeNPC, playerPosition, distanceToPlayer), deltaTime);
         
         // Log occasionally to avoid spam
-        if (Math.floor(Date.now() / 1000) % 3 === 0 && Math.random() < 0.1) {
-            const speed = params.PLAYER_SPEED * policeNPC.speedMultiplier * deltaTime;
+        if (this.simulationTime - this.lastPursuitLogTime >= 3) {
+            this.lastPursuitLogTime = this.simulationTime;
+            const speed = params.PLAYER_SPEED * this.getUnitSpeedMultiplier(policeNPC) * deltaTime;
             console.log(`🚔 Police NPC pursuing player (distance: ${distanceToPlayer.toFixed(2)}, speed: ${speed.toFixed(4)}, playerSpeed: ${(params.PLAYER_SPEED * deltaTime).toFixed(4)})`);
         }
     }
@@ -227,27 +579,159 @@ export class PoliceSystem extends IGameSystem {
         if (policeNPC.transform.position.length() > this.planetRadius * 2) {
             this.removePoliceNPC(policeNPC);
         }
+    }
+
+    // Far from the player, pursuers aim ahead of them; the second and third one also aim to their sides
+    getPursuitTarget(policeNPC, playerPosition, distanceToPlayer) {
+        if (distanceToPlayer <= params.POLICE_DIRECT_CHASE_DISTANCE) {
+            return playerPosition;
+        }
         
-        // Update renderer
-        policeNPC.renderer.updateTransform(policeNPC.transform);
+        const normal = playerPosition.clone().normalize();
+        const velocity = this.playerVelocity.clone().addScaledVector(normal, -this.playerVelocity.dot(normal));
+        const target = playerPosition.clone();
         
-        // Ensure police NPC faces camera even while retreating
-        this.updatePoliceOrientation(policeNPC);
+        // Never aim further ahead than halfway, or close officers would overshoot
+        const lead = Math.min(velocity.length() * params.POLICE_INTERCEPT_TIME, distanceToPlayer * 0.5);
+        if (velocity.lengthSq() > 0.0001) {
+            target.addScaledVector(velocity.clone().normalize(), lead);
+            
+            const pursuers = this.getOfficersOnDuty().filter(officer => officer.state === 'PURSUING');
+            const side = [0, 1, -1][Math.max(0, pursuers.indexOf(policeNPC)) % 3];
+            if (side !== 0) {
+                const sideways = new THREE.Vector3().crossVectors(normal, velocity).normalize();
+                target.addScaledVector(sideways, side * Math.min(params.POLICE_FLANK_OFFSET, distanceToPlayer * 0.5));
+            }
+        }
+        
+        return target.setLength(this.planetRadius + params.PLANET_SURFACE_OFFSET);
     }
 
-    movePoliceTowardsPlayer(policeNPC, playerPosition, deltaTime) {
+    // Walks the planned route when the target is far, straight at it when close (drones always fly straight)
+    navigateTowards(policeNPC, targetPosition, deltaTime) {
+        const distance = policeNPC.transform.position.distanceTo(targetPosition);
+        if (!params.POLICE_PATHFINDING_ENABLED || !this.navGraph || policeNPC.isAirborne ||
+            distance <= params.POLICE_DIRECT_CHASE_DISTANCE) {
+            policeNPC.path = null;
+            this.movePoliceTowards(policeNPC, targetPosition, deltaTime);
+            return;
+        }
+        
+        policeNPC.replanTimer = (policeNPC.replanTimer || 0) - deltaTime;
+        if (!policeNPC.path || policeNPC.replanTimer <= 0) {
+            policeNPC.path = this.planRoute(policeNPC.transform.position, targetPosition);
+            policeNPC.replanTimer = params.POLICE_REPLAN_INTERVAL;
+        }
+        
+        // Waypoints count as reached within half an edge, the route's last point is the target itself
+        const path = policeNPC.path;
+        while (path && path.length > 1 && policeNPC.transform.position.distanceTo(path[0]) < this.navGraph.edgeLength * 0.5) {
+            path.shift();
+        }
+        
+        this.movePoliceTowards(policeNPC, path && path.length > 0 ? path[0] : targetPosition, deltaTime);
+    }
+
+    planRoute(fromPosition, toPosition) {
+        // Crowd counts are taken at most once per step, from the NPCs as they are now
+        if (this.navCrowdTime !== this.simulationTime) {
+            this.navCrowdTime = this.simulationTime;
+            const npcSystem = serviceContainer.resolve('npcSystem');
+            const npcs = npcSystem ? npcSystem.getAllNPCs() : [];
+            this.navGraph.setCrowd(npcs.map(npc => npc.transform.position), params.NAV_CROWD_COST);
+        }
+        
+        return this.navGraph.findPath(fromPosition, toPosition);
+    }
+
+    // Debug overlay: each officer's route, and the nodes crowds make expensive
+    updateNavOverlay() {
+        if (!params.NAV_DEBUG_OVERLAY || !this.scene || !this.navGraph) {
+            if (this.navOverlay) {
+                this.navOverlay.visible = false;
+            }
+            return;
+        }
+        
+        if (!this.navOverlay) {
+            this.navOverlay = new THREE.Group();
+            this.navOverlay.name = 'police-nav-overlay';
+            this.scene.add(this.navOverlay);
+        }
+        this.clearNavOverlay();
+        this.navOverlay.visible = true;
+        
+        const lift = 1.01; // Just above the surface so routes stay visible
+        for (const policeNPC of this.policeNPCs) {
+            if (!policeNPC.path || policeNPC.path.length === 0) continue;
+            
+            const points = [policeNPC.transform.position, ...policeNPC.path].map(point => point.clone().multiplyScalar(lift));
+            const color = policeNPC.state === 'PURSUING' ? 0xff3333 : 0x3399ff;
+            this.navOverlay.add(new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color, depthTest: false })
+            ));
+        }
+        
+        const crowded = [];
+        this.navGraph.crowd.forEach((count, node) => {
+            if (count > 0) crowded.push(this.navGraph.positions[node].clone().multiplyScalar(lift));
+        });
+        if (crowded.length > 0) {
+            this.navOverlay.add(new THREE.Points(
+                new THREE.BufferGeometry().setFromPoints(crowded),
+                new THREE.PointsMaterial({ color: 0xffaa00, size: 0.4, depthTest: false })
+            ));
+        }
+    }
+
+    clearNavOverlay() {
+        if (!this.navOverlay) return;
+        
+        for (const child of [...this.navOverlay.children]) {
+            child.geometry.dispose();
+            child.material.dispose();
+            this.navOverlay.remove(child);
+        }
+    }
+
+    setupConsoleHelpers() {
+        if (typeof window === 'undefined') return;
+        
+        window.policeNav = {
+            overlay: (enabled = !params.NAV_DEBUG_OVERLAY) => {
+                params.NAV_DEBUG_OVERLAY = enabled;
+                console.log(`🧭 Police route overlay ${enabled ? 'enabled' : 'disabled'}`);
+            },
+            stats: () => this.navGraph.getStats(),
+            routes: () => this.policeNPCs.map(policeNPC => ({
+                id: policeNPC.id,
+                state: policeNPC.state,
+                waypoints: policeNPC.path ? policeNPC.path.length : 0
+            }))
+        };
+        
+        console.log('🧭 Police route helpers available: window.policeNav');
+    }
+
+    // Higher heat tiers send faster units
+    getUnitSpeedMultiplier(policeNPC) {
+        return policeNPC.speedMultiplier * params.POLICE_HEAT_TIERS[this.heatTier].speed;
+    }
+
+    movePoliceTowards(policeNPC, targetPosition, deltaTime) {
         // Use the same quaternion-based movement system as the player
-        const speed = params.PLAYER_SPEED * policeNPC.speedMultiplier * deltaTime;
+        const speed = params.PLAYER_SPEED * this.getUnitSpeedMultiplier(policeNPC) * deltaTime;
         const radius = this.planetRadius + params.PLANET_SURFACE_OFFSET;
         
         const currentPos = policeNPC.transform.position.clone();
         
-        // Calculate direction to player on the sphere surface
-        const toPlayerDirection = new THREE.Vector3().subVectors(playerPosition, currentPos);
+        // Calculate direction to the target on the sphere surface
+        const toTargetDirection = new THREE.Vector3().subVectors(targetPosition, currentPos);
         
         // Project direction onto the tangent plane at police position
         const surfaceNormal = currentPos.clone().normalize();
-        const projectedDirection = toPlayerDirection.clone();
+        const projectedDirection = toTargetDirection.clone();
         const dotProduct = projectedDirection.dot(surfaceNormal);
         projectedDirection.addScaledVector(surfaceNormal, -dotProduct);
         
@@ -255,6 +739,9 @@ export class PoliceSystem extends IGameSystem {
         
         projectedDirection.normalize();
         
+        // Officers look where they walk
+        policeNPC.heading = projectedDirection.clone();
+        
         // Calculate rotation from movement (same as player system)
         const rotationAxis = new THREE.Vector3().crossVectors(currentPos, projectedDirection);
         rotationAxis.normalize();
@@ -272,29 +759,83 @@ export class PoliceSystem extends IGameSystem {
         policeNPC.transform.setPosition(newPosition.x, newPosition.y, newPosition.z);
     }
 
+    // Officers in range add to the capture meter (see updateCapture); negotiators drain energy instead
     handlePoliceCollision(policeNPC, deltaTime) {
-        // Police is in collision range with player
-        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
-        if (!gameStateSystem) return;
+        this.holdStrength += policeNPC.captureStrength || 0;
         
-        // Track time since last damage to avoid spam
-        const currentTime = Date.now();
-        if (currentTime - policeNPC.lastDamageTime < this.damageInterval * 1000) {
-            return; // Too soon since last damage
+        if (policeNPC.energyDrainRate) {
+            const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+            if (gameStateSystem) {
+                gameStateSystem.decreaseEnergy(policeNPC.energyDrainRate * deltaTime);
+            }
         }
+    }
+
+    updateCapture(gameStateSystem, deltaTime) {
+        const inContact = this.holdStrength > 0;
+        const mashed = this.readMovementPress();
         
-        // Apply damage to player's energy
-        const damage = policeNPC.damageRate * this.damageInterval;
-        gameStateSystem.decreaseEnergy(damage);
+        if (inContact) {
+            // Hiding in a matching crowd makes the player harder to pin down, struggling shakes officers off
+            let rate = this.holdStrength / params.POLICE_CAPTURE_TIME;
+            if (gameStateSystem.isInMatchingCrowd()) {
+                rate *= params.POLICE_CAPTURE_CROWD_FACTOR;
+            }
+            
+            this.captureProgress += rate * deltaTime;
+            if (mashed) {
+                this.captureProgress -= params.POLICE_CAPTURE_MASH_RELIEF;
+            }
+        } else {
+            this.captureProgress -= params.POLICE_CAPTURE_RECOVERY_RATE * deltaTime;
+        }
+        this.captureProgress = Math.max(0, Math.min(1, this.captureProgress));
         
-        policeNPC.lastDamageTime = currentTime;
+        if (this.captureProgress >= 1) {
+            const eventData = EventDataFactory.policeCapture(this.captureProgress, this.getOfficersInRange());
+            this.publishEvent(GameEventTypes.POLICE_CATCH_PLAYER, eventData);
+            console.log('🚔 Player arrested!');
+            gameStateSystem.endGame('CAUGHT');
+            return;
+        }
         
-        console.log(`🚔 Police NPC collision! Energy reduced by ${damage.toFixed(1)}`);
+        // Breaking free with the meter nearly full is a close call
+        if (this.captureContact && !inContact && !this.closeCallAwarded &&
+            this.captureProgress >= params.POLICE_CLOSE_CALL_THRESHOLD) {
+            this.closeCallAwarded = true;
+            gameStateSystem.addEnergy(params.POLICE_CLOSE_CALL_ENERGY);
+            gameStateSystem.runStats.closeCalls++;
         
-        // If player energy reaches 0, game over
-        if (gameStateSystem.energy <= 0) {
-            gameStateSystem.endGame('CAUGHT');
+            const eventData = EventDataFactory.policeCapture(this.captureProgress, 0, params.POLICE_CLOSE_CALL_ENERGY);
+            this.publishEvent(GameEventTypes.POLICE_CLOSE_CALL, eventData);
+            console.log(`🚔 Close call! Escaped at ${Math.round(this.captureProgress * 100)}%`);
         }
+        
+        if (this.captureProgress === 0) {
+            this.closeCallAwarded = false;
+        }
+        this.captureContact = inContact;
+    }
+        
+    // True on the step a movement key goes down or the direction changes
+    readMovementPress() {
+        if (!serviceContainer.has('inputManager')) return false;
+        
+        const input = serviceContainer.resolve('inputManager').getMovementVector();
+        const last = this.lastMovementInput;
+        const pressed = (input.x !== 0 || input.y !== 0) && (input.x !== last.x || input.y !== last.y);
+        
+        this.lastMovementInput = { x: input.x, y: input.y };
+        return pressed;
+    }
+
+    getOfficersInRange() {
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const playerPosition = playerSystem ? playerSystem.getPlayerPosition() : null;
+        if (!playerPosition) return 0;
+        
+        return this.getOfficersOnDuty().filter(policeNPC => policeNPC.captureStrength > 0 &&
+            policeNPC.transform.position.distanceTo(playerPosition) <= policeNPC.detectionRadius).length;
     }
 
     updatePoliceOrientation(policeNPC) {
@@ -336,6 +877,7 @@ export class PoliceSystem extends IGameSystem {
                 const police2 = this.policeNPCs[j];
 
                 if (!police1.transform || !police2.transform) continue;
+                if (police1.isAirborne !== police2.isAirborne) continue; // Drones fly over officers on foot
 
                 const distance = police1.transform.position.distanceTo(police2.transform.position);
                 const minDistance = params.NPC_SIZE; // Use same size as NPCs
@@ -356,7 +898,7 @@ export class PoliceSystem extends IGameSystem {
                     this.constrainToSurface(police2);
                     
                     // Optional debug logging
-                    if (window.debugCollisions) {
+                    if (globalThis.debugCollisions) {
                         console.log(`🚔💥 Police collision resolved: distance=${distance.toFixed(2)}, overlap=${overlap.toFixed(2)}`);
                     }
                 }
@@ -372,17 +914,17 @@ export class PoliceSystem extends IGameSystem {
         const npcSystem = serviceContainer.resolve('npcSystem');
         if (!npcSystem) return;
 
-        const normalNPCs = npcSystem.getAllNPCs();
-        if (!normalNPCs) return;
-
         for (const policeNPC of this.policeNPCs) {
-            if (!policeNPC.transform) continue;
+            if (!policeNPC.transform || policeNPC.isAirborne) continue;
+
+            // Only NPCs close enough to touch this officer (riot squads clear a wider circle)
+            const minDistance = policeNPC.pushRadius || params.NPC_SIZE;
+            const normalNPCs = npcSystem.getNearbyNPCsFromPosition(policeNPC.transform.position, minDistance);
 
             for (const normalNPC of normalNPCs) {
                 if (!normalNPC.transform) continue;
 
                 const distance = policeNPC.transform.position.distanceTo(normalNPC.transform.position);
-                const minDistance = params.NPC_SIZE; // Both use same size
 
                 if (distance < minDistance && distance > 0.01) {
                     const overlap = minDistance - distance;
@@ -390,12 +932,13 @@ export class PoliceSystem extends IGameSystem {
                         .subVectors(policeNPC.transform.position, normalNPC.transform.position)
                         .normalize();
                     
-                    // Use configurable force ratios from params
-                    const policeForceRatio = params.POLICE_FORCE_RATIO; // Police moves back this much
-                    const npcForceRatio = params.POLICE_NPC_PUSH_RATIO; // NPC moves back this much
+                    // Use configurable force ratios from params, unless the unit has its own
+                    const policeForceRatio = policeNPC.pushbackRatio ?? params.POLICE_FORCE_RATIO; // Police moves back this much
+                    const npcForceRatio = policeNPC.crowdPushRatio ?? params.POLICE_NPC_PUSH_RATIO; // NPC moves back this much
                     
-                    const policeCorrection = direction.multiplyScalar(overlap * policeForceRatio);
-                    const npcCorrection = direction.multiplyScalar(-overlap * npcForceRatio);
+                    // Scaled copies: riot squads have no pushback and would zero the shared direction
+                    const policeCorrection = direction.clone().multiplyScalar(overlap * policeForceRatio);
+                    const npcCorrection = direction.clone().multiplyScalar(-overlap * npcForceRatio);
                     
                     policeNPC.transform.position.add(policeCorrection);
                     normalNPC.transform.position.add(npcCorrection);
@@ -406,12 +949,12 @@ export class PoliceSystem extends IGameSystem {
                     
                     // Add some velocity to the NPC for more natural movement
                     if (normalNPC.velocity) {
-                        const pushVelocity = direction.multiplyScalar(-overlap * 0.1);
+                        const pushVelocity = direction.clone().multiplyScalar(-overlap * 0.1);
                         normalNPC.velocity.add(pushVelocity);
                     }
                     
                     // Optional debug logging
-                    if (window.debugCollisions) {
+                    if (globalThis.debugCollisions) {
                         console.log(`🚔👤 Police-NPC collision resolved: distance=${distance.toFixed(2)}, overlap=${overlap.toFixed(2)}`);
                     }
                 }
@@ -444,6 +987,7 @@ export class PoliceSystem extends IGameSystem {
     getPolicePositions() {
         return this.policeNPCs.map(policeNPC => ({
             id: policeNPC.id,
+            unitType: policeNPC.unitType,
             position: policeNPC.transform.position.clone(),
             state: policeNPC.state,
             isRetreating: policeNPC.isRetreating
@@ -455,6 +999,22 @@ export class PoliceSystem extends IGameSystem {
         return this.isActive;
     }
 
+    getHeat() {
+        return this.heat;
+    }
+
+    getHeatTier() {
+        return this.heatTier;
+    }
+
+    getPursuitState() {
+        return this.pursuitState;
+    }
+
+    getCaptureProgress() {
+        return this.captureProgress;
+    }
+
     // Debug methods for collision system
     togglePoliceCollisions() {
         params.POLICE_COLLISION_ENABLED = !params.POLICE_COLLISION_ENABLED;
@@ -484,13 +1044,9 @@ export class PoliceSystem extends IGameSystem {
     // IGameSystem implementation
     onGameStateChange(newState) {
         if (newState.property === 'outrage') {
-            // React to outrage changes
-            const shouldBeActive = newState.newValue >= this.activationOutrage;
-            
-            if (shouldBeActive && !this.isActive) {
+            // React to outrage changes; calling off the police waits for the heat to drop
+            if (newState.newValue >= this.activationOutrage && !this.isActive) {
                 this.activate();
-            } else if (!shouldBeActive && this.isActive) {
-                this.deactivate();
             }
         }
     }
@@ -506,6 +1062,112 @@ export class PoliceSystem extends IGameSystem {
         }
     }
 
+    onGameReset(resetData) {
+        for (const policeNPC of [...this.policeNPCs]) {
+            this.removePoliceNPC(policeNPC);
+        }
+        
+        this.isActive = false;
+        this.heat = 0;
+        this.heatTier = 0;
+        this.lastKnownPosition = null;
+        this.pursuitState = 'IDLE';
+        this.lastPlayerPosition = null;
+        this.playerVelocity.set(0, 0, 0);
+        this.navCrowdTime = -1;
+        this.captureProgress = 0;
+        this.holdStrength = 0;
+        this.captureContact = false;
+        this.closeCallAwarded = false;
+        this.lastMovementInput = { x: 0, y: 0 };
+        this.activationTimer = 0;
+        this.spawnTimer = 0;
+        this.simulationTime = 0;
+        this.lastPursuitLogTime = 0;
+    }
+
+    // Save / load (see utils/GameSnapshot.js)
+    getSnapshot() {
+        return {
+            isActive: this.isActive,
+            heat: this.heat,
+            heatTier: this.heatTier,
+            lastKnownPosition: this.lastKnownPosition ? this.lastKnownPosition.toArray() : null,
+            pursuitState: this.pursuitState,
+            lastPlayerPosition: this.lastPlayerPosition ? this.lastPlayerPosition.toArray() : null,
+            captureProgress: this.captureProgress,
+            captureContact: this.captureContact,
+            closeCallAwarded: this.closeCallAwarded,
+            lastMovementInput: { ...this.lastMovementInput },
+            activationTimer: this.activationTimer,
+            spawnTimer: this.spawnTimer,
+            simulationTime: this.simulationTime,
+            lastPursuitLogTime: this.lastPursuitLogTime,
+            officers: this.policeNPCs.map(policeNPC => ({
+                id: policeNPC.id,
+                unitType: policeNPC.unitType,
+                position: policeNPC.transform.position.toArray(),
+                state: policeNPC.state,
+                stateTimer: policeNPC.stateTimer,
+                isRetreating: policeNPC.isRetreating,
+                unseenTime: policeNPC.unseenTime || 0,
+                heading: policeNPC.heading ? policeNPC.heading.toArray() : null,
+                searchTarget: policeNPC.searchTarget ? policeNPC.searchTarget.toArray() : null,
+                path: policeNPC.path ? policeNPC.path.map(point => point.toArray()) : null,
+                replanTimer: policeNPC.replanTimer || 0
+            }))
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        for (const policeNPC of [...this.policeNPCs]) {
+            this.removePoliceNPC(policeNPC);
+        }
+        
+        this.policeNPCs = snapshot.officers.map(data => {
+            const position = new THREE.Vector3().fromArray(data.position);
+            // Saves from before heat tiers only had plain officers
+            const policeNPC = this.npcFactory.createNPC(data.unitType || 'police', {
+                id: data.id,
+                planetRadius: this.planetRadius,
+                scene: this.scene,
+                groupSpawnCenter: position,
+                groupSpawnRadius: 0
+            });
+            
+            // Retreating officers may already be above the surface
+            policeNPC.transform.position.copy(position);
+            policeNPC.transform.storePreviousState();
+            policeNPC.state = data.state;
+            policeNPC.stateTimer = data.stateTimer;
+            policeNPC.isRetreating = data.isRetreating;
+            policeNPC.unseenTime = data.unseenTime || 0;
+            policeNPC.heading = data.heading ? new THREE.Vector3().fromArray(data.heading) : null;
+            policeNPC.searchTarget = data.searchTarget ? new THREE.Vector3().fromArray(data.searchTarget) : null;
+            policeNPC.path = data.path ? data.path.map(point => new THREE.Vector3().fromArray(point)) : null;
+            policeNPC.replanTimer = data.replanTimer || 0;
+            return policeNPC;
+        });
+        
+        this.isActive = snapshot.isActive;
+        this.heat = snapshot.heat || 0;
+        this.heatTier = snapshot.heatTier || 0;
+        this.lastKnownPosition = snapshot.lastKnownPosition ? new THREE.Vector3().fromArray(snapshot.lastKnownPosition) : null;
+        this.pursuitState = snapshot.pursuitState || (this.isActive ? 'PURSUING' : 'IDLE');
+        this.lastPlayerPosition = snapshot.lastPlayerPosition ? new THREE.Vector3().fromArray(snapshot.lastPlayerPosition) : null;
+        this.navCrowdTime = -1;
+        this.captureProgress = snapshot.captureProgress || 0;
+        this.captureContact = snapshot.captureContact || false;
+        this.closeCallAwarded = snapshot.closeCallAwarded || false;
+        this.lastMovementInput = snapshot.lastMovementInput ? { ...snapshot.lastMovementInput } : { x: 0, y: 0 };
+        this.activationTimer = snapshot.activationTimer;
+        this.spawnTimer = snapshot.spawnTimer;
+        this.simulationTime = snapshot.simulationTime;
+        this.lastPursuitLogTime = snapshot.lastPursuitLogTime;
+        
+        console.log(`💾 Restored ${this.policeNPCs.length} police officers (${this.isActive ? 'active' : 'inactive'})`);
+    }
+
     shutdown() {
         // Clean up all police NPCs
         for (const policeNPC of this.policeNPCs) {
@@ -515,6 +1177,15 @@ export class PoliceSystem extends IGameSystem {
         this.policeNPCs = [];
         this.isActive = false;
         
+        if (this.navOverlay) {
+            this.clearNavOverlay();
+            this.scene.remove(this.navOverlay);
+            this.navOverlay = null;
+        }
+        if (typeof window !== 'undefined') {
+            delete window.policeNav;
+        }
+        
         console.log('🚔 Police System shutdown');
     }
 }
\ No newline at end of file
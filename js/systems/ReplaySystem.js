@@ -0,0 +1,438 @@
+// systems/ReplaySystem.js - Input recording and deterministic replay following SOLID principles
+// Runs first in every fixed tick: while recording it samples the player's input, while
+// replaying it feeds the recorded input to the ScriptedInputManager before anyone reads it.
+import { IGameSystem } from '../interfaces/IGameSystem.js';
+import { params } from '../params.js';
+import { serviceContainer } from '../core/ServiceContainer.js';
+import { GameEventTypes, EventPriorities } from '../interfaces/GameEvents.js';
+import { InputRecording } from '../utils/InputRecording.js';
+import { ScenarioPackage, IMPORTED_SCENARIO_PREFIX } from '../utils/ScenarioPackage.js';
+
+const PENDING_REPLAY_KEY = 'outrage.pendingReplay';
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export class ReplaySystem extends IGameSystem {
+    constructor() {
+        super('Replay');
+        
+        this.mode = 'recording';    // 'recording' or 'replaying'
+        this.tick = 0;              // Fixed ticks simulated so far
+        this.recording = null;
+        
+        // Playback cursors
+        this.movementIndex = 0;
+        this.inputMaskIndex = 0;
+        this.maskCheckIndex = 0;
+        this.inputMaskChanges = [];
+        this.isFinished = false;
+        this.desyncTick = null;
+        
+        this.speed = 1;
+        this.controls = null;
+        this.keyListener = null;
+    }
+
+    // A replay to start after a page reload (file import or seeking backwards)
+    static consumePendingReplay() {
+        if (typeof sessionStorage === 'undefined') return null;
+        
+        const stored = sessionStorage.getItem(PENDING_REPLAY_KEY);
+        if (!stored) return null;
+        sessionStorage.removeItem(PENDING_REPLAY_KEY);
+        
+        try {
+            const pending = JSON.parse(stored);
+            return { recording: InputRecording.fromJSON(pending.recording), seekTick: pending.seekTick || 0 };
+        } catch (error) {
+            console.warn('🎬 Ignoring invalid pending replay:', error);
+            return null;
+        }
+    }
+
+    // The simulation cannot run backwards: restart the page on the replay and fast-forward.
+    // Refused, with a notice, when the reloaded page could not find the replay's scenario again.
+    static startReplayAfterReload(recording, seekTick = 0) {
+        const scenarioId = recording.params.SCENARIO_ID;
+        if (!ScenarioPackage.canReload(scenarioId)) {
+            const name = scenarioId.slice(IMPORTED_SCENARIO_PREFIX.length);
+            console.warn(`🎬 Replay needs the imported scenario "${name}", which this tab does not hold`);
+            if (serviceContainer.has('uiSystem')) {
+                serviceContainer.resolve('uiSystem').showNotification(
+                    `🗺️ This replay needs the scenario "${name}": import its zip from the start-up menu first`,
+                    'rgba(200, 30, 30, 0.9)',
+                    5000
+                );
+            }
+            return false;
+        }
+        
+        sessionStorage.setItem(PENDING_REPLAY_KEY, JSON.stringify({ recording: recording.toJSON(), seekTick }));
+        location.reload();
+        return true;
+    }
+
+    // Call before the engine initializes so that tick 0 is already replayed
+    loadReplay(recording) {
+        this.mode = 'replaying';
+        this.recording = recording;
+        this.inputMaskChanges = recording.getInputMaskChanges();
+    }
+
+    async initialize(sceneManager) {
+        this.inputManager = serviceContainer.resolve('inputManager');
+        this.gameEngine = serviceContainer.resolve('gameEngine');
+        
+        this.subscribeToEvent(
+            GameEventTypes.PLAYER_MASK_CHANGE,
+            (event) => this.onMaskChange(event.data),
+            EventPriorities.HIGH
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.GAME_LOAD,
+            (event) => this.onGameLoad(event.data),
+            EventPriorities.HIGH
+        );
+        
+        // Also published when a preset is picked (start screen, console)
+        this.subscribeToEvent(
+            GameEventTypes.DIFFICULTY_TIER_CHANGE,
+            () => this.onDifficultyChange(),
+            EventPriorities.HIGH
+        );
+        
+        if (this.mode === 'replaying') {
+            if (sceneManager.getScene() && typeof document !== 'undefined') {
+                this.createControls();
+            }
+            console.log(`🎬 Replaying seed ${this.recording.seed} (${this.recording.getDuration().toFixed(1)}s)`);
+        } else {
+            this.startRecording();
+            
+            // F8 saves the session so far, e.g. to attach it to a bug report
+            this.keyListener = (event) => {
+                if (event.key === 'f8') {
+                    this.downloadRecording();
+                    return true;
+                }
+            };
+            this.inputManager.addEventListener('keydown', this.keyListener, 5);
+        }
+        
+        this.setupConsoleHelpers();
+        
+        console.log('🎬 Replay System initialized');
+    }
+
+    startRecording(snapshot = null) {
+        this.tick = 0;
+        this.recording = new InputRecording({
+            seed: serviceContainer.resolve('randomService').getSeed(),
+            params: params,
+            stepSize: params.PHYSICS_STEP_SIZE,
+            snapshot: snapshot ? snapshot.toJSON() : null
+        });
+    }
+
+    fixedUpdate(deltaTime) {
+        if (this.mode === 'replaying') {
+            if (this.isFinished) return;
+            this.applyRecordedInput();
+        } else {
+            const movement = this.inputManager.getMovementVector();
+            this.recording.recordMovement(this.tick, movement.x, movement.y);
+            this.recording.ticks = this.tick + 1;
+        }
+        
+        this.tick++;
+        
+        // The other systems still run this tick, then the engine stops
+        if (this.mode === 'replaying' && this.tick >= this.recording.ticks) {
+            this.finishReplay();
+        }
+    }
+
+    update(deltaTime) {
+        this.refreshControls();
+    }
+
+    applyRecordedInput() {
+        const movement = this.recording.movement;
+        while (this.movementIndex < movement.length && movement[this.movementIndex].tick <= this.tick) {
+            const { x, y } = movement[this.movementIndex++];
+            this.inputManager.setMovement(x, y);
+        }
+        
+        // Mask changes go through PlayerSystem like a key press or a HUD click would
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        while (this.inputMaskIndex < this.inputMaskChanges.length && this.inputMaskChanges[this.inputMaskIndex].tick <= this.tick) {
+            playerSystem.setMask(this.inputMaskChanges[this.inputMaskIndex++].newMask);
+        }
+    }
+
+    finishReplay() {
+        this.isFinished = true;
+        this.gameEngine.pause();
+        
+        if (this.desyncTick === null) {
+            console.log(`🏁 Replay finished at tick ${this.tick}, in sync with the recording`);
+        } else {
+            console.warn(`🏁 Replay finished at tick ${this.tick}, desynchronised since tick ${this.desyncTick}`);
+        }
+    }
+
+    onMaskChange(data) {
+        if (this.mode === 'recording') {
+            this.recording.recordMaskChange(this.tick, data.oldMask, data.newMask, data.reason);
+            return;
+        }
+        
+        // Every mask change, scripted or not, must match the recording: the first mismatch marks a desync
+        const expected = this.recording.maskChanges[this.maskCheckIndex++];
+        const matches = expected && expected.tick === this.tick && expected.newMask === data.newMask && expected.reason === data.reason;
+        if (!matches && this.desyncTick === null) {
+            this.desyncTick = this.tick;
+            console.warn(`⚠️ Replay desync at tick ${this.tick}: mask ${data.newMask} (${data.reason}), recording expected`, expected || 'nothing');
+        }
+    }
+
+    // A restarted run is a new session with its own seed
+    onGameReset(resetData) {
+        if (this.mode !== 'recording') return;
+        this.startRecording();
+    }
+
+    // The input so far led to another world: the session restarts from the loaded save
+    onGameLoad(data) {
+        if (this.mode !== 'recording') return;
+        this.startRecording(data.snapshot);
+    }
+
+    // The recording copied params when it started: a preset picked since would replay at the old one
+    onDifficultyChange() {
+        if (this.mode !== 'recording' || !this.recording) return;
+        
+        const recorded = this.recording.params;
+        if (recorded.DIFFICULTY_PRESET === params.DIFFICULTY_PRESET &&
+            recorded.GAME_SPEED_MULTIPLIER === params.GAME_SPEED_MULTIPLIER) return;
+        
+        // Before the first tick nothing was recorded yet; later the session restarts from the current world
+        if (this.tick === 0) {
+            this.recording.params = InputRecording.snapshotParams(params);
+        } else if (serviceContainer.has('saveSystem')) {
+            this.startRecording(serviceContainer.resolve('saveSystem').takeSnapshot());
+        }
+    }
+
+    // Playback controls
+    play() {
+        if (this.mode !== 'replaying' || this.isFinished) return;
+        this.gameEngine.resume();
+        this.refreshControls();
+    }
+
+    pause() {
+        if (this.mode !== 'replaying') return;
+        this.gameEngine.pause();
+        this.refreshControls();
+    }
+
+    togglePause() {
+        if (this.gameEngine.isRunning) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setSpeed(speed) {
+        if (this.mode !== 'replaying') return;
+        this.speed = speed;
+        this.gameEngine.setTimeScale(speed);
+    }
+
+    seekToTick(tick) {
+        if (this.mode !== 'replaying') return;
+        
+        const target = Math.max(0, Math.min(this.recording.ticks, Math.round(tick)));
+        if (target < this.tick) {
+            ReplaySystem.startReplayAfterReload(this.recording, target);
+            return;
+        }
+        
+        this.gameEngine.fastForward(target - this.tick);
+        this.refreshControls();
+    }
+
+    seek(seconds) {
+        this.seekToTick(seconds / this.recording.stepSize);
+    }
+
+    // Export / import
+    downloadRecording() {
+        const blob = new Blob([JSON.stringify(this.recording.toJSON())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `outrage-replay-${this.recording.seed}-${this.recording.ticks}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        
+        console.log(`💾 Replay saved (${this.recording.getDuration().toFixed(1)}s, seed ${this.recording.seed})`);
+    }
+
+    async importRecording(file) {
+        try {
+            const recording = InputRecording.fromJSON(await file.text());
+            ReplaySystem.startReplayAfterReload(recording);
+        } catch (error) {
+            console.error('❌ Could not load replay:', error);
+        }
+    }
+
+    openImportDialog() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.importRecording(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    exitReplay() {
+        location.reload();
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            tick: this.tick,
+            ticks: this.recording ? this.recording.ticks : 0,
+            seed: this.recording ? this.recording.seed : null,
+            speed: this.speed,
+            paused: !this.gameEngine.isRunning,
+            finished: this.isFinished,
+            desyncTick: this.desyncTick
+        };
+    }
+
+    // Replay control bar
+    createControls() {
+        const bar = document.createElement('div');
+        bar.style.cssText = `
+            position: absolute;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 8px 14px;
+            background: rgba(0, 0, 0, 0.75);
+            border-radius: 8px;
+            color: white;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            z-index: 1000;
+        `;
+        
+        const label = document.createElement('span');
+        label.textContent = '🎬 REPLAY';
+        label.style.fontWeight = 'bold';
+        
+        const playButton = document.createElement('button');
+        playButton.title = 'Lecture / pause';
+        playButton.addEventListener('click', () => this.togglePause());
+        
+        const speedSelect = document.createElement('select');
+        speedSelect.title = 'Vitesse';
+        for (const speed of REPLAY_SPEEDS) {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            option.selected = speed === this.speed;
+            speedSelect.appendChild(option);
+        }
+        speedSelect.addEventListener('change', () => this.setSpeed(Number(speedSelect.value)));
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = this.recording.ticks;
+        slider.style.width = '240px';
+        slider.title = 'Se déplacer dans le replay';
+        slider.addEventListener('change', () => this.seekToTick(Number(slider.value)));
+        
+        const time = document.createElement('span');
+        time.style.fontFamily = 'monospace';
+        
+        const exitButton = document.createElement('button');
+        exitButton.textContent = '✖';
+        exitButton.title = 'Quitter le replay';
+        exitButton.addEventListener('click', () => this.exitReplay());
+        
+        bar.append(label, playButton, speedSelect, slider, time, exitButton);
+        document.body.appendChild(bar);
+        
+        this.controls = { bar, playButton, slider, time };
+        this.updateControls();
+    }
+
+    // The bar also changes while the engine is paused (seeking), outside of update()
+    refreshControls() {
+        if (this.controls) {
+            this.updateControls();
+        }
+    }
+
+    updateControls() {
+        const { playButton, slider, time } = this.controls;
+        playButton.textContent = this.gameEngine.isRunning ? '⏸' : '▶';
+        
+        // Leave the thumb alone while the user drags it
+        if (document.activeElement !== slider) {
+            slider.value = this.tick;
+        }
+        
+        const stepSize = this.recording.stepSize;
+        time.textContent = `${this.formatTime(this.tick * stepSize)} / ${this.formatTime(this.recording.getDuration())}`;
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    setupConsoleHelpers() {
+        if (typeof window === 'undefined') return;
+        
+        window.replay = {
+            download: () => this.downloadRecording(),
+            import: () => this.openImportDialog(),
+            load: (json) => ReplaySystem.startReplayAfterReload(InputRecording.fromJSON(json)),
+            play: () => this.play(),
+            pause: () => this.pause(),
+            seek: (seconds) => this.seek(seconds),
+            speed: (speed) => this.setSpeed(speed),
+            exit: () => this.exitReplay(),
+            status: () => this.getStatus()
+        };
+        console.log('🎬 Replay helpers available: window.replay (F8 saves the current session)');
+    }
+
+    shutdown() {
+        this.cleanupEventSubscriptions();
+        
+        if (this.keyListener) {
+            this.inputManager.removeEventListener('keydown', this.keyListener);
+            this.keyListener = null;
+        }
+        
+        if (this.controls) {
+            this.controls.bar.remove();
+            this.controls = null;
+        }
+    }
+}
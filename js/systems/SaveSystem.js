@@ -0,0 +1,385 @@
+// systems/SaveSystem.js - Quick-save, quick-load and autosave of the whole world following SOLID principles
+// Every registered system exposing getSnapshot()/restoreSnapshot() takes part: their states are
+// bundled with the random streams into a GameSnapshot and kept in localStorage or a JSON file.
+import { IGameSystem } from '../interfaces/IGameSystem.js';
+import { params } from '../params.js';
+import { serviceContainer } from '../core/ServiceContainer.js';
+import { GameEventTypes, EventPriorities } from '../interfaces/GameEvents.js';
+import { GameSnapshot } from '../utils/GameSnapshot.js';
+
+export const QUICKSAVE_KEY = 'outrage.quicksave';
+export const AUTOSAVE_KEY = 'outrage.autosave';
+
+export class SaveSystem extends IGameSystem {
+    constructor() {
+        super('Save');
+        
+        this.tick = 0;              // Fixed ticks simulated in this run, carried over by loads
+        this.autosaveTimer = 0;
+        this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+        
+        this.keyListener = null;
+        this.pageListener = null;
+        this.resumePrompt = null;
+    }
+
+    async initialize(sceneManager) {
+        this.systemManager = serviceContainer.resolve('systemManager');
+        this.inputManager = serviceContainer.resolve('inputManager');
+        this.gameEngine = serviceContainer.resolve('gameEngine');
+        this.randomService = serviceContainer.resolve('randomService');
+        
+        // A finished run is not worth resuming
+        this.subscribeToEvent(
+            GameEventTypes.GAME_STATE_CHANGE,
+            (event) => {
+                if (event.data.property === 'gameOver') {
+                    this.clearAutosave();
+                }
+            },
+            EventPriorities.LOW
+        );
+        
+        this.keyListener = (event) => {
+            if (event.key === 'f5') {
+                this.quickSave();
+                return true;
+            }
+            if (event.key === 'f9') {
+                this.quickLoad();
+                return true;
+            }
+        };
+        this.inputManager.addEventListener('keydown', this.keyListener, 5);
+        
+        // Mobile browsers kill background tabs without warning: save whenever the page goes away
+        if (typeof document !== 'undefined') {
+            this.pageListener = (event) => {
+                if (event.type === 'pagehide' || document.visibilityState === 'hidden') {
+                    this.autosave();
+                }
+            };
+            document.addEventListener('visibilitychange', this.pageListener);
+            window.addEventListener('pagehide', this.pageListener);
+        }
+        
+        this.setupConsoleHelpers();
+        
+        console.log('💾 Save System initialized');
+    }
+
+    // Runs after every simulation system, so saves always fall between two ticks
+    fixedUpdate(deltaTime) {
+        this.tick++;
+        
+        if (params.AUTOSAVE_INTERVAL <= 0) return;
+        
+        this.autosaveTimer += deltaTime;
+        if (this.autosaveTimer >= params.AUTOSAVE_INTERVAL) {
+            this.autosaveTimer = 0;
+            this.autosave();
+        }
+    }
+
+    // The previous run is over for good
+    onGameReset(resetData) {
+        this.tick = 0;
+        this.autosaveTimer = 0;
+        this.clearAutosave();
+    }
+
+    // Saving or loading in the middle of a replay would fork it from its recording
+    canSave() {
+        const replaySystem = this.systemManager.getSystem('replay');
+        return !(replaySystem && replaySystem.mode === 'replaying');
+    }
+
+    takeSnapshot() {
+        const systems = {};
+        for (const name of this.systemManager.systemOrder) {
+            const system = this.systemManager.getSystem(name);
+            if (typeof system.getSnapshot === 'function') {
+                systems[name] = system.getSnapshot();
+            }
+        }
+        
+        return new GameSnapshot({
+            seed: this.randomService.getSeed(),
+            tick: this.tick,
+            params: params,
+            random: this.randomService.getState(),
+            systems: systems
+        });
+    }
+
+    // Restores every system in priority order; the random streams come last because
+    // rebuilding entities through the factories draws from them
+    restoreSnapshot(snapshot) {
+        if (!this.matchesScenario(snapshot)) {
+            throw new Error(`Save was made in scenario '${snapshot.params.SCENARIO_ID || 'standard'}', not '${params.SCENARIO_ID || 'standard'}'`);
+        }
+        
+        // Systems keep what they are given: hand them a private copy
+        const systems = JSON.parse(JSON.stringify(snapshot.systems));
+        Object.assign(params, snapshot.params);
+        
+        for (const name of this.systemManager.systemOrder) {
+            const system = this.systemManager.getSystem(name);
+            if (typeof system.restoreSnapshot !== 'function') continue;
+            
+            if (systems[name]) {
+                system.restoreSnapshot(systems[name]);
+            } else {
+                console.warn(`💾 Save has no state for ${name}, keeping the current one`);
+            }
+        }
+        
+        this.randomService.setState(snapshot.random);
+        this.tick = snapshot.tick;
+        this.autosaveTimer = 0;
+    }
+
+    // The scenario's ideologies, sprites and endings are not in the save: it only fits the one it was made in
+    matchesScenario(snapshot) {
+        return (snapshot.params.SCENARIO_ID ?? '') === params.SCENARIO_ID;
+    }
+
+    loadSnapshot(snapshot, source) {
+        try {
+            this.restoreSnapshot(snapshot);
+        } catch (error) {
+            console.error('❌ Could not load save:', error);
+            return false;
+        }
+        
+        this.publishEvent(GameEventTypes.GAME_LOAD, { source, snapshot });
+        console.log(`💾 Loaded ${source} from ${snapshot.createdAt} (seed ${snapshot.seed}, tick ${snapshot.tick})`);
+        return true;
+    }
+
+    // localStorage slots
+    writeSave(key, source) {
+        if (!this.storage || !this.canSave()) return false;
+        
+        const snapshot = this.takeSnapshot();
+        try {
+            this.storage.setItem(key, JSON.stringify(snapshot.toJSON()));
+        } catch (error) {
+            console.warn(`💾 Could not write ${source}:`, error);
+            return false;
+        }
+        
+        this.publishEvent(GameEventTypes.GAME_SAVE, { source, tick: snapshot.tick });
+        return true;
+    }
+
+    readSave(key) {
+        const stored = this.storage ? this.storage.getItem(key) : null;
+        if (!stored) return null;
+        
+        try {
+            return GameSnapshot.fromJSON(stored);
+        } catch (error) {
+            console.warn(`💾 Ignoring unreadable save in ${key}:`, error);
+            return null;
+        }
+    }
+
+    quickSave() {
+        const saved = this.writeSave(QUICKSAVE_KEY, 'quicksave');
+        if (saved) {
+            console.log(`💾 Quick-saved at tick ${this.tick}`);
+        }
+        return saved;
+    }
+
+    quickLoad() {
+        if (!this.canSave()) return false;
+        
+        const snapshot = this.readSave(QUICKSAVE_KEY);
+        if (!snapshot) {
+            console.log('💾 No quick-save to load');
+            return false;
+        }
+        return this.loadSnapshot(snapshot, 'quicksave');
+    }
+
+    autosave() {
+        // Never overwrite the save the player is still being offered
+        const gameStateSystem = this.systemManager.getSystem('gameState');
+        if (this.resumePrompt || (gameStateSystem && gameStateSystem.isGameOver)) return false;
+        
+        return this.writeSave(AUTOSAVE_KEY, 'autosave');
+    }
+
+    clearAutosave() {
+        if (this.storage) {
+            this.storage.removeItem(AUTOSAVE_KEY);
+        }
+    }
+
+    // Called once the game is up: pauses on a prompt if the last session left an autosave.
+    // Returns whether the prompt is shown; onNewGame replaces the plain resume of "Nouvelle partie".
+    offerResume(onNewGame = null) {
+        if (!this.canSave() || typeof document === 'undefined') return false;
+        
+        const snapshot = this.readSave(AUTOSAVE_KEY);
+        if (!snapshot) return false;
+        if (!this.matchesScenario(snapshot)) {
+            console.log(`💾 Autosave belongs to another scenario (${snapshot.params.SCENARIO_ID || 'standard'}), not offering it`);
+            return false;
+        }
+        
+        this.gameEngine.pause();
+        this.showResumePrompt(snapshot, onNewGame);
+        return true;
+    }
+
+    showResumePrompt(snapshot, onNewGame = null) {
+        const gameState = snapshot.getSystem('gameState');
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.6);
+            font-family: Arial, sans-serif;
+            z-index: 2000;
+        `;
+        
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            background: rgba(20, 20, 20, 0.9);
+            color: white;
+            padding: 30px 40px;
+            border-radius: 20px;
+            border: 2px solid #666;
+            text-align: center;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Reprendre la partie ?';
+        title.style.marginTop = '0';
+        
+        const details = document.createElement('p');
+        details.textContent = gameState ?
+            `${Math.round(gameState.gameTime)}s de jeu, outrage ${Math.round(gameState.outrage)}%` :
+            `Sauvegardée le ${new Date(snapshot.createdAt).toLocaleString()}`;
+        
+        const resumeButton = this.createPromptButton('Reprendre', '#4CAF50', () => {
+            this.closeResumePrompt();
+            this.loadSnapshot(snapshot, 'autosave');
+            this.gameEngine.resume();
+        });
+        
+        const newGameButton = this.createPromptButton('Nouvelle partie', '#666', () => {
+            this.closeResumePrompt();
+            this.clearAutosave();
+            if (onNewGame) {
+                onNewGame();
+            } else {
+                this.gameEngine.resume();
+            }
+        });
+        
+        panel.append(title, details, resumeButton, newGameButton);
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+        this.resumePrompt = overlay;
+    }
+
+    createPromptButton(label, background, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `
+            background: ${background};
+            color: white;
+            border: none;
+            padding: 12px 24px;
+            margin: 10px 8px 0;
+            font-size: 16px;
+            border-radius: 10px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    closeResumePrompt() {
+        if (this.resumePrompt) {
+            this.resumePrompt.remove();
+            this.resumePrompt = null;
+        }
+    }
+
+    // Files, to attach an exact world state to a bug report
+    downloadSave() {
+        const snapshot = this.takeSnapshot();
+        const blob = new Blob([JSON.stringify(snapshot.toJSON())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `outrage-save-${snapshot.seed}-${snapshot.tick}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        
+        console.log(`💾 Save downloaded (seed ${snapshot.seed}, tick ${snapshot.tick})`);
+    }
+
+    async importSave(file) {
+        if (!this.canSave()) return false;
+        
+        try {
+            return this.loadSnapshot(GameSnapshot.fromJSON(await file.text()), 'file');
+        } catch (error) {
+            console.error('❌ Could not read save file:', error);
+            return false;
+        }
+    }
+
+    openImportDialog() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.importSave(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    setupConsoleHelpers() {
+        if (typeof window === 'undefined') return;
+        
+        window.saves = {
+            save: () => this.quickSave(),
+            load: () => this.quickLoad(),
+            download: () => this.downloadSave(),
+            import: () => this.openImportDialog(),
+            snapshot: () => this.takeSnapshot().toJSON(),
+            clearAutosave: () => this.clearAutosave()
+        };
+        console.log('💾 Save helpers available: window.saves (F5 quick-save, F9 quick-load)');
+    }
+
+    shutdown() {
+        this.cleanupEventSubscriptions();
+        this.closeResumePrompt();
+        
+        if (this.keyListener) {
+            this.inputManager.removeEventListener('keydown', this.keyListener);
+            this.keyListener = null;
+        }
+        
+        if (this.pageListener) {
+            document.removeEventListener('visibilitychange', this.pageListener);
+            window.removeEventListener('pagehide', this.pageListener);
+            this.pageListener = null;
+        }
+    }
+}
@@ -0,0 +1,257 @@
+// systems/SocialFeedSystem.js - Outrage-driven social media feed following SOLID principles
+import { IGameSystem } from '../interfaces/IGameSystem.js';
+import { params } from '../params.js';
+import { serviceContainer } from '../core/ServiceContainer.js';
+import { GameEventTypes, EventDataFactory, EventPriorities } from '../interfaces/GameEvents.js';
+
+export class SocialFeedSystem extends IGameSystem {
+    constructor() {
+        super('SocialFeed');
+        
+        this.posts = [];
+        this.authors = {};
+        this.recentPosts = [];
+        this.nextPostId = 0;
+        this.postTimer = 0;
+        
+        // Mask spam tracking
+        this.elapsedTime = 0;
+        this.maskChangeTimes = [];
+        this.isFlooding = false;
+        
+        this.random = serviceContainer.resolve('randomService').stream('feed');
+    }
+
+    async initialize(sceneManager) {
+        await this.loadPosts(params.SOCIAL_FEED_DATA_URL);
+        
+        this.subscribeToEvent(
+            GameEventTypes.PLAYER_MASK_CHANGE,
+            (event) => this.onMaskChange(event),
+            EventPriorities.NORMAL
+        );
+        
+        this.setupConsoleHelpers();
+        
+        console.log(`📱 Social Feed System initialized with ${this.posts.length} posts`);
+    }
+
+    async loadPosts(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.authors = data.authors || {};
+            this.posts = data.posts || [];
+        } catch (error) {
+            console.warn(`📱 Could not load feed posts from ${url}:`, error);
+            this.authors = {};
+            this.posts = [];
+        }
+    }
+
+    fixedUpdate(deltaTime) {
+        if (this.posts.length === 0) return;
+        
+        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+        if (!gameStateSystem || gameStateSystem.isGameOver) return;
+        
+        this.elapsedTime += deltaTime;
+        this.updateSpamLevel();
+        
+        // Posts come faster as outrage climbs and while the player spams masks
+        this.postTimer += deltaTime;
+        if (this.postTimer >= this.getPostInterval()) {
+            this.postTimer = 0;
+            this.publishPost(this.choosePost());
+        }
+    }
+
+    onMaskChange(event) {
+        this.maskChangeTimes.push(this.elapsedTime);
+        this.updateSpamLevel();
+        
+        // Every mask change gets a reaction from the new mask's side
+        const maskType = event.data.newMask;
+        for (let i = 0; i < params.SOCIAL_FEED_POSTS_PER_MASK_CHANGE; i++) {
+            this.publishPost(this.choosePost(maskType));
+        }
+    }
+
+    updateSpamLevel() {
+        // Forget mask changes that left the spam window
+        const windowStart = this.elapsedTime - params.SOCIAL_FEED_SPAM_WINDOW;
+        while (this.maskChangeTimes.length > 0 && this.maskChangeTimes[0] < windowStart) {
+            this.maskChangeTimes.shift();
+        }
+        
+        const flooded = this.getSpamLevel() >= 1;
+        if (flooded !== this.isFlooding) {
+            this.isFlooding = flooded;
+            this.publishEvent(flooded ? GameEventTypes.SOCIAL_FEED_FLOOD_START : GameEventTypes.SOCIAL_FEED_FLOOD_END, {
+                spamLevel: this.getSpamLevel()
+            });
+        }
+    }
+
+    choosePost(forcedIdeology = undefined) {
+        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+        const outrage = gameStateSystem ? gameStateSystem.outrage : 0;
+        const currentMask = gameStateSystem ? gameStateSystem.currentMask : null;
+        
+        const ideologyWeights = forcedIdeology !== undefined ?
+            new Map([[forcedIdeology, 1]]) :
+            this.getIdeologyWeights(currentMask);
+        const targetTier = this.getTargetTier(outrage);
+        
+        // Weight every post by ideology and by how close its virality is to the target
+        let candidates = this.posts.filter(post => !this.recentPosts.includes(post));
+        if (candidates.length === 0) candidates = this.posts;
+        
+        let totalWeight = 0;
+        const weights = candidates.map(post => {
+            const ideologyWeight = ideologyWeights.has(post.ideology) ?
+                ideologyWeights.get(post.ideology) :
+                (forcedIdeology !== undefined ? 0 : params.SOCIAL_FEED_OTHER_WEIGHT);
+            const tierWeight = 1 / (1 + 2 * Math.abs(post.tier - targetTier));
+            const weight = ideologyWeight * tierWeight;
+            totalWeight += weight;
+            return weight;
+        });
+        
+        if (totalWeight <= 0) return null;
+        
+        let roll = this.random.range(0, totalWeight);
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    getIdeologyWeights(currentMask) {
+        const weights = new Map([[null, params.SOCIAL_FEED_NEUTRAL_WEIGHT]]);
+        
+        // Nearby crowds weigh in proportion to their size
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const npcSystem = serviceContainer.resolve('npcSystem');
+        const playerPosition = playerSystem ? playerSystem.getPlayerPosition() : null;
+        
+        if (npcSystem && playerPosition) {
+            const nearbyNPCs = npcSystem.getNearbyNPCsFromPosition(playerPosition, params.SOCIAL_FEED_CROWD_RADIUS);
+            for (const npc of nearbyNPCs) {
+                const share = params.SOCIAL_FEED_CROWD_WEIGHT / nearbyNPCs.length;
+                weights.set(npc.maskType, (weights.get(npc.maskType) || params.SOCIAL_FEED_OTHER_WEIGHT) + share);
+            }
+        }
+        
+        if (currentMask !== null) {
+            weights.set(currentMask, (weights.get(currentMask) || 0) + params.SOCIAL_FEED_MASK_WEIGHT);
+        }
+        
+        return weights;
+    }
+
+    getTargetTier(outrage) {
+        let tier = 1;
+        params.SOCIAL_FEED_VIRALITY_THRESHOLDS.forEach((threshold, index) => {
+            if (outrage >= threshold) tier = index + 1;
+        });
+        return tier;
+    }
+
+    publishPost(post) {
+        if (!post) return;
+        
+        this.recentPosts.push(post);
+        if (this.recentPosts.length > params.SOCIAL_FEED_RECENT_MEMORY) {
+            this.recentPosts.shift();
+        }
+        
+        const authorKey = post.ideology === null ? 'neutral' : String(post.ideology);
+        const authorPool = this.authors[authorKey] || [];
+        const author = authorPool.length > 0 ?
+            this.random.pick(authorPool) :
+            { name: 'Anonymous', handle: '@anonymous' };
+        
+        const feedPost = {
+            id: `post_${this.nextPostId++}`,
+            ideology: post.ideology,
+            tier: post.tier,
+            text: post.text,
+            author: author.name,
+            handle: author.handle,
+            likes: this.generateEngagement(post.tier),
+            shares: Math.floor(this.generateEngagement(post.tier) * 0.3)
+        };
+        
+        const eventData = EventDataFactory.socialFeedPost(feedPost, this.getScrollSpeed(), this.isFlooding);
+        this.publishEvent(GameEventTypes.SOCIAL_FEED_POST, eventData);
+    }
+
+    generateEngagement(tier) {
+        // Each tier is roughly two orders of magnitude above the previous one
+        const base = Math.pow(100, tier - 1) * 10;
+        return Math.floor(base * this.random.range(1, 10));
+    }
+
+    getOutrageFactor() {
+        const gameStateSystem = serviceContainer.resolve('gameStateSystem');
+        const outrage = gameStateSystem ? gameStateSystem.outrage : 0;
+        return 1 + (outrage / 100) * (params.SOCIAL_FEED_OUTRAGE_SPEEDUP - 1);
+    }
+
+    // Public interface
+    getSpamLevel() {
+        return this.maskChangeTimes.length / params.SOCIAL_FEED_SPAM_THRESHOLD;
+    }
+
+    getPostInterval() {
+        return params.SOCIAL_FEED_BASE_INTERVAL / this.getOutrageFactor() / (1 + this.getSpamLevel());
+    }
+
+    getScrollSpeed() {
+        return params.SOCIAL_FEED_SCROLL_SPEED * this.getOutrageFactor() *
+            (1 + this.getSpamLevel() * params.SOCIAL_FEED_SPAM_SCROLL_MULTIPLIER);
+    }
+
+    isFlooded() {
+        return this.isFlooding;
+    }
+
+    setupConsoleHelpers() {
+        if (typeof window !== 'undefined') {
+            window.socialFeed = {
+                post: (ideology) => this.publishPost(this.choosePost(ideology)),
+                status: () => ({
+                    posts: this.posts.length,
+                    spamLevel: this.getSpamLevel(),
+                    postInterval: this.getPostInterval(),
+                    scrollSpeed: this.getScrollSpeed(),
+                    flooded: this.isFlooding
+                })
+            };
+        }
+    }
+
+    onGameReset(resetData) {
+        this.recentPosts = [];
+        this.nextPostId = 0;
+        this.postTimer = 0;
+        this.elapsedTime = 0;
+        this.maskChangeTimes = [];
+        this.isFlooding = false;
+    }
+
+    shutdown() {
+        this.cleanupEventSubscriptions();
+        
+        this.recentPosts = [];
+        this.maskChangeTimes = [];
+        
+        console.log('📱 Social Feed System shutdown');
+    }
+}
@@ -2,9 +2,111 @@
 import { IGameSystem } from '../interfaces/IGameSystem.js';
 import { params } from '../params.js';
 import { serviceContainer } from '../core/ServiceContainer.js';
+import { ideologyRegistry } from '../core/IdeologyRegistry.js';
 import { getTextureForMask } from '../factories/NPCFactory.js';
 import { GameEventTypes, EventDataFactory, EventPriorities } from '../interfaces/GameEvents.js';
 
+// Game-over screen of each ending: panel look and the stats worth recalling.
+// Titles and messages come from the ending registry (GameStateSystem DEFAULT_ENDINGS).
+const ENDING_RECAPS = {
+    CAUGHT: {
+        color: '#ff6666',
+        panel: 'rgba(15, 20, 45, 0.85)',
+        stats: [
+            ['Time Under Pursuit', (stats) => `${Math.round(stats.chasedTime)}s`],
+            ['Close Calls', (stats) => stats.closeCalls || 0],
+            ['Peak Outrage', (stats) => `${Math.round(stats.peakOutrage)}%`],
+            ['Mask Changes', (stats) => stats.maskChanges]
+        ]
+    },
+    CHAOS: {
+        color: '#ff3355',
+        panel: 'rgba(60, 0, 12, 0.85)',
+        stats: [
+            ['People Polarised', (stats) => stats.polarisedPeople],
+            ['Time at Full Outrage', (stats) => `${Math.round(stats.chaosTime)}s`],
+            ['Mask Changes', (stats) => stats.maskChanges]
+        ]
+    },
+    ADULT: {
+        color: '#2e7d32',
+        panel: 'rgba(250, 246, 232, 0.95)',
+        textColor: '#333',
+        stats: [
+            ['Calm Streak', (stats) => `${Math.round(stats.calmTime)}s`],
+            ['Masks Collected', (stats) => `${stats.masksCollected}/${ideologyRegistry.getCount()}`],
+            ['Crowd Kickouts', (stats) => stats.kickouts]
+        ]
+    },
+    GHOST: {
+        color: '#b0bec5',
+        panel: 'rgba(30, 35, 40, 0.8)',
+        stats: [
+            ['Masks Collected', (stats) => `${stats.masksCollected}/${ideologyRegistry.getCount()}`],
+            ['Peak Outrage', (stats) => `${Math.round(stats.peakOutrage)}%`]
+        ]
+    },
+    TOURIST: {
+        color: '#ffb74d',
+        panel: 'rgba(40, 30, 15, 0.85)',
+        stats: [
+            ['Crowds Visited', (stats) => `${stats.crowdsVisited.length}/${ideologyRegistry.getCount()}`],
+            ['Mask Changes', (stats) => stats.maskChanges],
+            ['Crowd Kickouts', (stats) => stats.kickouts]
+        ]
+    },
+    CULT_LEADER: {
+        color: '#ce93d8',
+        panel: 'rgba(35, 10, 45, 0.85)',
+        stats: [
+            ['Converts', (stats) => Object.values(stats.conversions).reduce((sum, count) => sum + count, 0)],
+            ['People Polarised', (stats) => stats.polarisedPeople],
+            ['Peak Outrage', (stats) => `${Math.round(stats.peakOutrage)}%`]
+        ]
+    },
+    BURNOUT: {
+        color: '#ff8a65',
+        panel: 'rgba(20, 20, 20, 0.5)',
+        stats: [
+            ['Mask Changes', (stats) => stats.maskChanges],
+            ['Crowd Kickouts', (stats) => stats.kickouts],
+            ['Peak Outrage', (stats) => `${Math.round(stats.peakOutrage)}%`]
+        ]
+    }
+};
+
+// Endings registered without a recap of their own
+const DEFAULT_RECAP = {
+    color: '#ff6666',
+    panel: 'rgba(20, 20, 20, 0.5)',
+    stats: [
+        ['People Polarised', (stats) => stats.polarisedPeople]
+    ]
+};
+
+// Pursuit indicator per police pursuit state (IDLE and LOST hide it)
+const PURSUIT_INDICATORS = {
+    PURSUING: { text: '🚨 Pursuit - they can see you', background: 'rgba(200, 30, 30, 0.85)' },
+    SEARCHING: { text: '👀 Searching - stay out of sight', background: 'rgba(60, 70, 160, 0.85)' }
+};
+
+// Crowd mood hint by affinity between the nearest crowd and the worn mask (see IdeologyRegistry.getAffinity)
+const CROWD_MOODS = [
+    { minAffinity: 1, text: '😊 welcomes you', background: 'rgba(40, 140, 60, 0.8)' },
+    { minAffinity: 0.4, text: '🙂 tolerates your mask', background: 'rgba(90, 130, 50, 0.8)' },
+    { minAffinity: -0.2, text: '😐 is wary of your mask', background: 'rgba(120, 110, 40, 0.8)' },
+    { minAffinity: -0.7, text: '😠 is hostile to your mask', background: 'rgba(170, 80, 20, 0.8)' },
+    { minAffinity: -Infinity, text: '🤬 is furious at your mask', background: 'rgba(180, 25, 25, 0.8)' }
+];
+
+// How heat tier notifications name the police units sent in
+const POLICE_UNIT_NAMES = {
+    police: 'officers',
+    police_drone: 'drones',
+    riot_squad: 'riot squads',
+    negotiator: 'negotiators'
+};
+
 export class UISystem extends IGameSystem {
     constructor() {
         super('UI');
@@ -16,6 +118,11 @@ export class UISystem extends IGameSystem {
         // UI configuration
         this.updateFrequency = 0.1; // Update every 100ms
         this.lastUpdateTime = 0;
+        this.notificationTimeout = null;
+        
+        // Social feed scrolling
+        this.feedScrollOffset = 0;
+        this.feedScrollSpeed = params.SOCIAL_FEED_SCROLL_SPEED;
     }
 
     async initialize(sceneManager) {
@@ -23,6 +130,9 @@ export class UISystem extends IGameSystem {
         
         // Create UI elements
         this.createUIElements();
+        if (this.gameStateSystem) {
+            this.updateMaskAvailability(this.gameStateSystem.getFullState());
+        }
         
         // Subscribe to game events using new event system
         this.subscribeToEvent(
@@ -43,12 +153,129 @@ export class UISystem extends IGameSystem {
             EventPriorities.LOW
         );
         
+        this.subscribeToEvent(
+            GameEventTypes.CROWD_KICKOUT_WARNING,
+            (event) => this.showKickoutWarning(event.data.timeRemaining),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.CROWD_BELONGING_END,
+            () => this.hideKickoutWarning(),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.CROWD_KICKOUT,
+            (event) => this.onCrowdKickout(event),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.PLAYER_MASK_UNLOCK,
+            (event) => this.onMaskUnlock(event),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.POLICE_HEAT_CHANGE,
+            (event) => this.onPoliceHeatChange(event),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.POLICE_PURSUIT,
+            (event) => this.onPolicePursuit(event),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.POLICE_CLOSE_CALL,
+            (event) => this.showNotification(`😅 Close call! +${event.data.energyReward} energy`, 'rgba(40, 140, 60, 0.9)'),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.NPC_MASS_POLARISATION,
+            (event) => this.onMassPolarisation(event),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.NPC_CLASH_START,
+            (event) => this.onClashStart(event),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.SOCIAL_FEED_POST,
+            (event) => this.onFeedPost(event),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.SOCIAL_FEED_FLOOD_START,
+            () => this.setFeedFlooded(true),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.SOCIAL_FEED_FLOOD_END,
+            () => this.setFeedFlooded(false),
+            EventPriorities.LOW
+        );
+        
         this.subscribeToEvent(
             GameEventTypes.GAME_OVER,
             (event) => this.onGameOver(event),
             EventPriorities.HIGH // Game over needs immediate UI response
         );
         
+        this.subscribeToEvent(
+            GameEventTypes.GAME_WIN,
+            (event) => this.onGameOver(event),
+            EventPriorities.HIGH
+        );
+        
+        // The recap waits for the ending sequence to finish
+        this.subscribeToEvent(
+            GameEventTypes.GAME_ENDING_COMPLETE,
+            (event) => this.showGameOver(event.data.reason, event.data.stats),
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.GAME_SAVE,
+            (event) => {
+                // Autosaves stay silent
+                if (event.data.source === 'quicksave') {
+                    this.showNotification('💾 Game saved (F9 to load)', 'rgba(40, 90, 160, 0.9)');
+                }
+            },
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.GAME_LOAD,
+            (event) => {
+                this.showNotification(`💾 Game loaded (${event.data.source})`, 'rgba(40, 90, 160, 0.9)');
+                this.updatePursuitIndicator(serviceContainer.resolve('policeSystem').getPursuitState());
+            },
+            EventPriorities.LOW
+        );
+        
+        this.subscribeToEvent(
+            GameEventTypes.DIFFICULTY_TIER_CHANGE,
+            (event) => this.updateDifficultyDisplay(event.data.preset, event.data.tier),
+            EventPriorities.LOW
+        );
+        
+        // The director published its first tier before the HUD existed
+        if (serviceContainer.has('difficultySystem')) {
+            const difficultySystem = serviceContainer.resolve('difficultySystem');
+            this.updateDifficultyDisplay(params.DIFFICULTY_PRESET, difficultySystem.getTier());
+        }
+        
         console.log('🖥️ UI System initialized with event subscriptions');
     }
 
@@ -72,6 +299,12 @@ export class UISystem extends IGameSystem {
         // Create HUD elements
         this.createHUD();
         this.createMaskSelector();
+        this.createKickoutWarning();
+        this.createPursuitIndicator();
+        this.createCrowdMoodHint();
+        this.createCaptureRing();
+        this.createNotification();
+        this.createSocialFeed();
         this.createGameOverScreen();
         this.createInstructions();
     }
@@ -279,6 +512,10 @@ export class UISystem extends IGameSystem {
                 <span style="font-weight: bold;">Polarisés:</span>
                 <span id="polarised-value" style="color: #ffcc66; font-weight: bold;">0</span>
             </div>
+            <div style="display: flex; align-items: center; gap: 10px;">
+                <span style="font-weight: bold;">Niveau:</span>
+                <span id="difficulty-value" style="color: #ff99cc; font-weight: bold;">-</span>
+            </div>
         `;
         
         this.elements.container.appendChild(this.elements.scoreDisplay);
@@ -310,34 +547,29 @@ export class UISystem extends IGameSystem {
             touch-action: manipulation;
         `;
         
+        // Buttons by mask type (null = neutral)
+        this.elements.maskButtons = new Map();
+        
         // Neutral option
-        this.elements.neutralButton = this.createMaskButton('ESC', 'Neutral', '#888');
+        this.elements.neutralButton = this.createMaskButton(null, ideologyRegistry.getName(null), '#888');
         this.elements.maskSelector.appendChild(this.elements.neutralButton);
+        this.elements.maskButtons.set(null, this.elements.neutralButton);
         
-        // Mask options
-        const maskNames = [
-            'Conservative', 'Social Justice', 'Libertarian',
-            'Nationalist', 'Culture', 'Religious', 'Antisystem'
-        ];
-        
-        const maskColors = [
-            '#2470c8', '#c82424', '#ff9932',
-            '#32c832', '#9932c8', '#996633', '#ff4099'
-        ];
-        
-        for (let i = 0; i < 7; i++) {
+        // Mask options, one per ideology of the data file
+        for (const maskType of ideologyRegistry.getIds()) {
             const button = this.createMaskButton(
-                maskNames[i],
-                maskNames[i],
-                maskColors[i]
+                maskType,
+                ideologyRegistry.getName(maskType),
+                ideologyRegistry.getCSSColor(maskType)
             );
             this.elements.maskSelector.appendChild(button);
+            this.elements.maskButtons.set(maskType, button);
         }
         
         this.elements.container.appendChild(this.elements.maskSelector);
     }
 
-    createMaskButton(key, name, color) {
+    createMaskButton(maskType, name, color) {
         const button = document.createElement('div');
         
         // Check if mobile device
@@ -365,27 +597,20 @@ export class UISystem extends IGameSystem {
         `;
         
         // Create sprite image if not neutral
-        if (key !== 'ESC') {
-            const maskNames = [
-                'Conservative', 'Social Justice', 'Libertarian',
-                'Nationalist', 'Culture', 'Religious', 'Antisystem'
-            ];
-            const maskIndex = maskNames.indexOf(key);
-            if (maskIndex !== -1) {
-                const spriteImg = document.createElement('img');
-                spriteImg.src = getTextureForMask(maskIndex + 1);
-                spriteImg.style.cssText = `
-                    width: ${isMobile ? '20px' : '30px'};
-                    height: ${isMobile ? '20px' : '30px'};
-                    object-fit: contain;
-                    margin-bottom: ${isMobile ? '2px' : '3px'};
-                `;
-                button.appendChild(spriteImg);
-            }
+        if (maskType !== null) {
+            const spriteImg = document.createElement('img');
+            spriteImg.src = getTextureForMask(maskType);
+            spriteImg.style.cssText = `
+                width: ${isMobile ? '20px' : '30px'};
+                height: ${isMobile ? '20px' : '30px'};
+                object-fit: contain;
+                margin-bottom: ${isMobile ? '2px' : '3px'};
+            `;
+            button.appendChild(spriteImg);
         }
         
         const keySpan = document.createElement('span');
-        keySpan.textContent = key === 'ESC' ? 'ESC' : name;
+        keySpan.textContent = maskType === null ? 'ESC' : name;
         keySpan.style.cssText = `
             font-weight: bold;
             color: white;
@@ -417,37 +642,43 @@ export class UISystem extends IGameSystem {
             pointer-events: none;
         `;
         
+        // Cooldown badge shown while the mask is locked after a kickout
+        const cooldownBadge = document.createElement('span');
+        cooldownBadge.style.cssText = `
+            position: absolute;
+            inset: 0;
+            display: none;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.65);
+            color: #ffcc66;
+            font-weight: bold;
+            font-size: ${isMobile ? '10px' : '16px'};
+            pointer-events: none;
+        `;
+        button.cooldownBadge = cooldownBadge;
+        button.maskName = name;
+        
         button.appendChild(keySpan);
         button.appendChild(tooltip);
+        button.appendChild(cooldownBadge);
         
         // Add click handler
         const handleMaskSelect = () => {
-            if (key === 'ESC') {
-                this.triggerMaskChange(null);
-            } else {
-                // Find the mask number based on the name
-                const maskNames = [
-                    'Conservative', 'Social Justice', 'Libertarian',
-                    'Nationalist', 'Culture', 'Religious', 'Antisystem'
-                ];
-                const maskIndex = maskNames.indexOf(key);
-                if (maskIndex !== -1) {
-                    this.triggerMaskChange(maskIndex + 1);
-                }
-            }
+            this.triggerMaskChange(maskType);
         };
         
         button.addEventListener('click', handleMaskSelect);
         
         // Add touch handlers for mobile with passive events for better performance
         button.addEventListener('touchstart', (event) => {
-            console.log('🎯 Button touchstart:', key);
+            console.log('🎯 Button touchstart:', name);
             button.style.transform = 'scale(0.95)';
             button.style.opacity = '0.8';
         }, { passive: true });
         
         button.addEventListener('touchend', (event) => {
-            console.log('🎯 Button touchend:', key);
+            console.log('🎯 Button touchend:', name);
             button.style.transform = 'scale(1)';
             button.style.opacity = '1';
             handleMaskSelect();
@@ -473,15 +704,415 @@ export class UISystem extends IGameSystem {
     }
 
     triggerMaskChange(maskType) {
+        // Masks stay as they were once the run is over
+        if (this.gameStateSystem && this.gameStateSystem.isGameOver) return;
+        
         // Only call player system - it will handle the rest via proper flow
         const playerSystem = serviceContainer.resolve('playerSystem');
         if (playerSystem) {
+            if (maskType !== null && !playerSystem.canWearMask(maskType)) {
+                console.log(`🔒 Mask ${maskType} is not available right now`);
+                return;
+            }
             playerSystem.setMask(maskType);
         }
         
         console.log(`🎭 UI triggered mask change to: ${maskType || 'Neutral'}`);
     }
 
+    createKickoutWarning() {
+        this.elements.kickoutWarning = document.createElement('div');
+        this.elements.kickoutWarning.style.cssText = `
+            position: absolute;
+            top: 110px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(255, 140, 0, 0.85);
+            color: white;
+            padding: 8px 18px;
+            border-radius: 8px;
+            font-size: 14px;
+            font-weight: bold;
+            text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+            white-space: nowrap;
+            display: none;
+            pointer-events: none;
+        `;
+        this.elements.container.appendChild(this.elements.kickoutWarning);
+    }
+
+    showKickoutWarning(timeRemaining) {
+        const warning = this.elements.kickoutWarning;
+        if (!warning) return;
+        
+        warning.style.background = 'rgba(255, 140, 0, 0.85)';
+        warning.textContent = `⚠️ The crowd is getting tired of you - kicked out in ${Math.ceil(timeRemaining)}s`;
+        warning.style.display = 'block';
+    }
+
+    hideKickoutWarning() {
+        if (this.elements.kickoutWarning) {
+            this.elements.kickoutWarning.style.display = 'none';
+        }
+    }
+
+    createPursuitIndicator() {
+        this.elements.pursuitIndicator = document.createElement('div');
+        this.elements.pursuitIndicator.style.cssText = `
+            position: absolute;
+            top: 150px;
+            left: 50%;
+            transform: translateX(-50%);
+            color: white;
+            padding: 6px 16px;
+            border-radius: 8px;
+            font-size: 14px;
+            font-weight: bold;
+            text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+            white-space: nowrap;
+            display: none;
+            pointer-events: none;
+        `;
+        this.elements.container.appendChild(this.elements.pursuitIndicator);
+    }
+
+    updatePursuitIndicator(state) {
+        const indicator = this.elements.pursuitIndicator;
+        if (!indicator) return;
+        
+        const look = PURSUIT_INDICATORS[state];
+        if (!look) {
+            indicator.style.display = 'none';
+            return;
+        }
+        
+        indicator.textContent = look.text;
+        indicator.style.background = look.background;
+        indicator.style.display = 'block';
+    }
+
+    createCrowdMoodHint() {
+        this.elements.crowdMoodHint = document.createElement('div');
+        this.elements.crowdMoodHint.style.cssText = `
+            position: absolute;
+            top: 190px;
+            left: 50%;
+            transform: translateX(-50%);
+            color: white;
+            padding: 4px 12px;
+            border-radius: 8px;
+            font-size: 13px;
+            text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+            white-space: nowrap;
+            display: none;
+            pointer-events: none;
+        `;
+        this.elements.container.appendChild(this.elements.crowdMoodHint);
+    }
+
+    // How the crowd around the player feels about the worn mask; hidden when neutral or alone
+    updateCrowdMoodHint() {
+        const hint = this.elements.crowdMoodHint;
+        if (!hint || !serviceContainer.has('npcSystem') || !serviceContainer.has('playerSystem')) return;
+        
+        const playerSystem = serviceContainer.resolve('playerSystem');
+        const position = playerSystem.getPlayerPosition();
+        const mood = position ?
+            serviceContainer.resolve('npcSystem').getCrowdMood(position, playerSystem.getCurrentMask()) : null;
+        if (!mood) {
+            hint.style.display = 'none';
+            return;
+        }
+        
+        const look = CROWD_MOODS.find(entry => mood.affinity >= entry.minAffinity);
+        hint.textContent = `${this.getMaskName(mood.maskType)} crowd ${look.text}`;
+        hint.style.background = look.background;
+        hint.style.display = 'block';
+    }
+
+    // The camera keeps the player in the middle of the screen, so the ring sits there too
+    createCaptureRing() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const radius = 40;
+        
+        this.elements.captureRing = document.createElementNS(svgNS, 'svg');
+        this.elements.captureRing.setAttribute('width', '100');
+        this.elements.captureRing.setAttribute('height', '100');
+        this.elements.captureRing.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%) rotate(-90deg);
+            display: none;
+            pointer-events: none;
+        `;
+        
+        const track = document.createElementNS(svgNS, 'circle');
+        track.setAttribute('cx', '50');
+        track.setAttribute('cy', '50');
+        track.setAttribute('r', String(radius));
+        track.setAttribute('fill', 'none');
+        track.setAttribute('stroke', 'rgba(0, 0, 0, 0.35)');
+        track.setAttribute('stroke-width', '6');
+        
+        this.elements.captureArc = document.createElementNS(svgNS, 'circle');
+        this.elements.captureArc.setAttribute('cx', '50');
+        this.elements.captureArc.setAttribute('cy', '50');
+        this.elements.captureArc.setAttribute('r', String(radius));
+        this.elements.captureArc.setAttribute('fill', 'none');
+        this.elements.captureArc.setAttribute('stroke-width', '6');
+        this.elements.captureArc.setAttribute('stroke-linecap', 'round');
+        this.elements.captureArc.setAttribute('stroke-dasharray', String(2 * Math.PI * radius));
+        this.captureArcLength = 2 * Math.PI * radius;
+        
+        this.elements.captureRing.appendChild(track);
+        this.elements.captureRing.appendChild(this.elements.captureArc);
+        this.elements.container.appendChild(this.elements.captureRing);
+    }
+
+    updateCaptureRing() {
+        const ring = this.elements.captureRing;
+        if (!ring || !serviceContainer.has('policeSystem')) return;
+        
+        // After another ending the meter no longer means anything
+        const state = this.gameStateSystem;
+        const progress = state && state.isGameOver && state.endReason !== 'CAUGHT' ?
+            0 : serviceContainer.resolve('policeSystem').getCaptureProgress();
+        
+        if (progress <= 0) {
+            ring.style.display = 'none';
+            return;
+        }
+        
+        // Yellow while there is time to break free, red close to the arrest
+        const hue = Math.round(50 * (1 - progress));
+        this.elements.captureArc.setAttribute('stroke', `hsl(${hue}, 100%, 55%)`);
+        this.elements.captureArc.setAttribute('stroke-dashoffset', String(this.captureArcLength * (1 - progress)));
+        ring.style.display = 'block';
+    }
+
+    onPolicePursuit(event) {
+        const pursuitData = event.data;
+        this.updatePursuitIndicator(pursuitData.state);
+        
+        if (pursuitData.state === 'LOST') {
+            this.showNotification('🕶️ You lost the cops', 'rgba(40, 140, 60, 0.9)');
+        }
+    }
+
+    onCrowdKickout(event) {
+        const kickoutData = event.data;
+        this.hideKickoutWarning();
+        this.showNotification(`🚪 Kicked out! Mask locked for ${Math.round(kickoutData.cooldown)}s`, 'rgba(200, 30, 30, 0.9)');
+    }
+
+    createNotification() {
+        this.elements.notification = document.createElement('div');
+        this.elements.notification.style.cssText = `
+            position: absolute;
+            top: 150px;
+            left: 50%;
+            transform: translateX(-50%);
+            color: white;
+            padding: 8px 18px;
+            border-radius: 8px;
+            font-size: 14px;
+            font-weight: bold;
+            text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+            white-space: nowrap;
+            display: none;
+            pointer-events: none;
+        `;
+        this.elements.container.appendChild(this.elements.notification);
+    }
+
+    showNotification(text, background = 'rgba(0, 0, 0, 0.7)', duration = 3000) {
+        const notification = this.elements.notification;
+        if (!notification) return;
+        
+        notification.textContent = text;
+        notification.style.background = background;
+        notification.style.display = 'block';
+        
+        clearTimeout(this.notificationTimeout);
+        this.notificationTimeout = setTimeout(() => {
+            notification.style.display = 'none';
+        }, duration);
+    }
+
+    getMaskName(maskType) {
+        return ideologyRegistry.getName(maskType);
+    }
+
+    onMaskUnlock(event) {
+        const unlockData = event.data;
+        const maskName = this.getMaskName(unlockData.maskType);
+        
+        this.showNotification(`🎁 New mask unlocked: ${maskName} (key ${ideologyRegistry.get(unlockData.maskType).key.toUpperCase()})`, 'rgba(40, 140, 60, 0.9)');
+        
+        if (this.gameStateSystem) {
+            this.updateMaskAvailability(this.gameStateSystem.getFullState());
+        }
+    }
+
+    onPoliceHeatChange(event) {
+        const heatData = event.data;
+        if (heatData.tier <= heatData.previousTier) return;
+        
+        // Name the units this tier brings in
+        const previousUnits = params.POLICE_HEAT_TIERS[heatData.previousTier].units;
+        const newUnits = heatData.units.filter(unit => !previousUnits.includes(unit));
+        const reinforcements = newUnits.length > 0 ?
+            newUnits.map(unit => POLICE_UNIT_NAMES[unit] || unit).join(', ') :
+            'more officers';
+        
+        this.showNotification(`🚨 Heat level ${heatData.tier + 1}: ${reinforcements} incoming`, 'rgba(160, 30, 30, 0.9)');
+    }
+
+    onMassPolarisation(event) {
+        const polarisationData = event.data;
+        this.showNotification(`🔥 Everything visible takes sides! (${polarisationData.affectedCount} people)`, 'rgba(180, 60, 20, 0.9)');
+    }
+
+    onClashStart(event) {
+        const [maskA, maskB] = event.data.maskTypes;
+        this.showNotification(`⚔️ ${this.getMaskName(maskA)} and ${this.getMaskName(maskB)} are clashing!`, 'rgba(180, 60, 20, 0.9)');
+    }
+
+    createSocialFeed() {
+        // Feed panel (bottom left)
+        this.elements.feedPanel = document.createElement('div');
+        this.elements.feedPanel.style.cssText = `
+            position: absolute;
+            bottom: 20px;
+            left: 20px;
+            width: 280px;
+            height: 180px;
+            background: rgba(0, 0, 0, 0.6);
+            border: 1px solid rgba(255, 255, 255, 0.15);
+            border-radius: 10px;
+            overflow: hidden;
+            pointer-events: none;
+            color: white;
+            font-size: 12px;
+            transition: border-color 0.3s;
+        `;
+        
+        const feedHeader = document.createElement('div');
+        feedHeader.textContent = '📱 Fil d\'actualité';
+        feedHeader.style.cssText = `
+            position: relative;
+            z-index: 1;
+            padding: 6px 10px;
+            background: rgba(0, 0, 0, 0.8);
+            font-weight: bold;
+            font-size: 13px;
+        `;
+        
+        this.elements.feedViewport = document.createElement('div');
+        this.elements.feedViewport.style.cssText = `
+            position: relative;
+            height: calc(100% - 28px);
+            overflow: hidden;
+        `;
+        
+        this.elements.feedList = document.createElement('div');
+        this.elements.feedList.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            right: 0;
+            transition: filter 0.3s;
+        `;
+        
+        this.elements.feedViewport.appendChild(this.elements.feedList);
+        this.elements.feedPanel.appendChild(feedHeader);
+        this.elements.feedPanel.appendChild(this.elements.feedViewport);
+        this.elements.container.appendChild(this.elements.feedPanel);
+    }
+
+    onFeedPost(event) {
+        const list = this.elements.feedList;
+        if (!list) return;
+        
+        const feedData = event.data;
+        const post = feedData.post;
+        this.feedScrollSpeed = feedData.scrollSpeed;
+        
+        const postElement = document.createElement('div');
+        const isViral = post.tier >= 3;
+        postElement.style.cssText = `
+            padding: 6px 10px;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+            ${isViral ? 'background: rgba(255, 60, 60, 0.15);' : ''}
+        `;
+        
+        const authorColor = post.ideology === null ? '#cccccc' : ideologyRegistry.getCSSColor(post.ideology);
+        
+        const authorLine = document.createElement('div');
+        authorLine.style.cssText = `color: ${authorColor}; font-weight: bold;`;
+        authorLine.textContent = `${isViral ? '🔥 ' : ''}${post.author} `;
+        
+        const handle = document.createElement('span');
+        handle.style.cssText = 'color: #999; font-weight: normal;';
+        handle.textContent = post.handle;
+        authorLine.appendChild(handle);
+        
+        // Post text comes from data files, never inject it as HTML
+        const text = document.createElement('div');
+        text.style.cssText = 'margin: 2px 0;';
+        text.textContent = post.text;
+        
+        const stats = document.createElement('div');
+        stats.style.cssText = 'color: #999; font-size: 11px;';
+        stats.textContent = `❤️ ${this.formatCount(post.likes)}   🔁 ${this.formatCount(post.shares)}`;
+        
+        postElement.appendChild(authorLine);
+        postElement.appendChild(text);
+        postElement.appendChild(stats);
+        list.appendChild(postElement);
+        
+        // Drop the oldest posts once the feed is full
+        while (list.children.length > params.SOCIAL_FEED_MAX_POSTS) {
+            this.feedScrollOffset = Math.max(0, this.feedScrollOffset - list.firstChild.offsetHeight);
+            list.removeChild(list.firstChild);
+        }
+    }
+
+    updateSocialFeed(deltaTime) {
+        const list = this.elements.feedList;
+        const viewport = this.elements.feedViewport;
+        if (!list || !viewport) return;
+        
+        // Scroll until the newest post is visible, then wait for more
+        const maxOffset = Math.max(0, list.scrollHeight - viewport.clientHeight);
+        this.feedScrollOffset = Math.min(maxOffset, this.feedScrollOffset + this.feedScrollSpeed * deltaTime);
+        
+        // Posts that scrolled out of view are removed
+        while (list.firstChild && list.firstChild.offsetHeight > 0 && list.firstChild.offsetHeight <= this.feedScrollOffset) {
+            this.feedScrollOffset -= list.firstChild.offsetHeight;
+            list.removeChild(list.firstChild);
+        }
+        
+        list.style.transform = `translateY(${-this.feedScrollOffset}px)`;
+    }
+
+    setFeedFlooded(flooded) {
+        // Mask spam makes the feed unreadable
+        if (this.elements.feedList) {
+            this.elements.feedList.style.filter = flooded ? 'blur(1.5px)' : 'none';
+        }
+        if (this.elements.feedPanel) {
+            this.elements.feedPanel.style.borderColor = flooded ? 'rgba(255, 60, 60, 0.8)' : 'rgba(255, 255, 255, 0.15)';
+        }
+    }
+
+    formatCount(value) {
+        if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+        if (value >= 1000) return `${(value / 1000).toFixed(1)}k`;
+        return value.toString();
+    }
+
     createGameOverScreen() {
         this.elements.gameOverScreen = document.createElement('div');
         this.elements.gameOverScreen.style.cssText = `
@@ -520,38 +1151,355 @@ export class UISystem extends IGameSystem {
                     <span style="font-weight: bold;">Survival Time:</span>
                     <span id="final-time" style="float: right;">0s</span>
                 </div>
+                <div id="ending-recap"></div>
                 <div>
-                    <span style="font-weight: bold;">People Polarised:</span>
-                    <span id="final-polarised" style="float: right;">0</span>
+                    <span style="font-weight: bold;">Seed:</span>
+                    <span id="final-seed" style="float: right; font-family: monospace;">-</span>
                 </div>
             </div>
-            <button id="restart-button" style="
-                background: #4CAF50;
-                color: white;
+            <div style="display: flex; gap: 10px; justify-content: center;">
+                <button id="restart-same-seed-button" title="Replay the same world" style="
+                    background: #4CAF50;
+                    color: white;
+                    border: none;
+                    padding: 15px 30px;
+                    font-size: 16px;
+                    border-radius: 10px;
+                    cursor: pointer;
+                    transition: background 0.3s;
+                ">Play Again</button>
+                <button id="restart-new-seed-button" title="Play a freshly seeded world" style="
+                    background: #2196F3;
+                    color: white;
+                    border: none;
+                    padding: 15px 30px;
+                    font-size: 16px;
+                    border-radius: 10px;
+                    cursor: pointer;
+                    transition: background 0.3s;
+                ">New World</button>
+            </div>
+            <button id="endings-gallery-button" style="
+                margin-top: 15px;
+                background: none;
+                color: inherit;
                 border: none;
-                padding: 15px 30px;
-                font-size: 16px;
-                border-radius: 10px;
+                font-size: 14px;
+                text-decoration: underline;
                 cursor: pointer;
-                transition: background 0.3s;
-            ">Play Again</button>
+                opacity: 0.8;
+            ">🏆 Endings</button>
         `;
         
+        this.elements.gameOverPanel = gameOverContent;
         this.elements.gameOverScreen.appendChild(gameOverContent);
         this.elements.container.appendChild(this.elements.gameOverScreen);
         
-        // Restart button functionality
-        const restartButton = gameOverContent.querySelector('#restart-button');
-        restartButton.addEventListener('click', () => {
-            this.restartGame();
+        // Restart buttons: same seed replays the run's world, new seed rolls another one
+        this.setupRestartButton(gameOverContent.querySelector('#restart-same-seed-button'), 'same', '#4CAF50', '#45a049');
+        this.setupRestartButton(gameOverContent.querySelector('#restart-new-seed-button'), 'new', '#2196F3', '#1976D2');
+        
+        gameOverContent.querySelector('#endings-gallery-button').addEventListener('click', () => {
+            this.showEndingsGallery();
+        });
+        
+        this.createEndingsGallery();
+    }
+
+    createEndingsGallery() {
+        this.elements.endingsGallery = document.createElement('div');
+        this.elements.endingsGallery.style.cssText = `
+            background: rgba(20, 20, 20, 0.9);
+            color: white;
+            padding: 30px;
+            border-radius: 20px;
+            max-width: 560px;
+            max-height: 80vh;
+            overflow-y: auto;
+            border: 2px solid #666;
+            display: none;
+        `;
+        
+        this.elements.endingsGalleryTitle = document.createElement('h2');
+        this.elements.endingsGalleryTitle.style.cssText = 'margin: 0 0 20px 0; text-align: center;';
+        
+        this.elements.endingsGalleryList = document.createElement('div');
+        
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Back';
+        backButton.style.cssText = `
+            display: block;
+            margin: 20px auto 0 auto;
+            background: #555;
+            color: white;
+            border: none;
+            padding: 10px 25px;
+            font-size: 14px;
+            border-radius: 10px;
+            cursor: pointer;
+        `;
+        backButton.addEventListener('click', () => this.hideEndingsGallery());
+        
+        this.elements.endingsGallery.appendChild(this.elements.endingsGalleryTitle);
+        this.elements.endingsGallery.appendChild(this.elements.endingsGalleryList);
+        this.elements.endingsGallery.appendChild(backButton);
+        this.elements.gameOverScreen.appendChild(this.elements.endingsGallery);
+    }
+
+    showEndingsGallery() {
+        if (!this.gameStateSystem) return;
+        
+        const endings = this.gameStateSystem.getEndings();
+        const seen = this.gameStateSystem.getSeenEndings();
+        const found = endings.filter(ending => seen.includes(ending.id)).length;
+        
+        this.elements.endingsGalleryTitle.textContent = `🏆 Endings found: ${found}/${endings.length}`;
+        
+        // Found endings show what happened, the others only a hint
+        this.elements.endingsGalleryList.replaceChildren(...endings.map(ending => {
+            const isSeen = seen.includes(ending.id);
+            const recap = ENDING_RECAPS[ending.id] || DEFAULT_RECAP;
+            
+            const entry = document.createElement('div');
+            entry.style.cssText = `
+                margin-bottom: 12px;
+                padding: 10px 14px;
+                border-radius: 10px;
+                background: rgba(255, 255, 255, ${isSeen ? 0.08 : 0.03});
+                border-left: 4px solid ${isSeen ? recap.color : '#444'};
+            `;
+            
+            const name = document.createElement('div');
+            name.style.cssText = `font-weight: bold; color: ${isSeen ? recap.color : '#888'};`;
+            name.textContent = isSeen ? ending.title : '???';
+            
+            const description = document.createElement('div');
+            description.style.cssText = `font-size: 13px; margin-top: 4px; opacity: ${isSeen ? 0.9 : 0.6};`;
+            description.textContent = isSeen ? ending.message : `🔒 ${ending.hint || 'Not found yet'}`;
+            
+            entry.appendChild(name);
+            entry.appendChild(description);
+            return entry;
+        }));
+        
+        this.elements.gameOverPanel.style.display = 'none';
+        this.elements.endingsGallery.style.display = 'block';
+    }
+
+    hideEndingsGallery() {
+        if (!this.elements.endingsGallery) return;
+        
+        this.elements.endingsGallery.style.display = 'none';
+        this.elements.gameOverPanel.style.display = 'block';
+    }
+
+    setupRestartButton(button, seedMode, color, hoverColor) {
+        button.addEventListener('click', () => {
+            this.restartGame(seedMode);
         });
         
-        restartButton.addEventListener('mouseenter', () => {
-            restartButton.style.background = '#45a049';
+        button.addEventListener('mouseenter', () => {
+            button.style.background = hoverColor;
         });
         
-        restartButton.addEventListener('mouseleave', () => {
-            restartButton.style.background = '#4CAF50';
+        button.addEventListener('mouseleave', () => {
+            button.style.background = color;
+        });
+    }
+
+    // Difficulty picker shown before a new run; the engine waits paused behind it
+    showStartScreen() {
+        if (!serviceContainer.has('difficultySystem') || this.elements.startScreen) return;
+        
+        const difficultySystem = serviceContainer.resolve('difficultySystem');
+        const gameEngine = serviceContainer.resolve('gameEngine');
+        gameEngine.pause();
+        
+        const screen = document.createElement('div');
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.6);
+            font-family: Arial, sans-serif;
+            z-index: 2000;
+        `;
+        
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            background: rgba(20, 20, 20, 0.9);
+            color: white;
+            padding: 30px 40px;
+            border-radius: 20px;
+            border: 2px solid #666;
+            text-align: center;
+            max-width: 520px;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Choisissez votre difficulté';
+        title.style.marginTop = '0';
+        panel.appendChild(title);
+        
+        for (const preset of difficultySystem.getPresets()) {
+            const button = document.createElement('button');
+            button.style.cssText = `
+                display: block;
+                width: 100%;
+                background: ${preset.id === params.DIFFICULTY_PRESET ? '#4CAF50' : '#444'};
+                color: white;
+                border: none;
+                padding: 12px 24px;
+                margin: 10px 0 0;
+                font-size: 16px;
+                border-radius: 10px;
+                cursor: pointer;
+                text-align: left;
+            `;
+            button.innerHTML = `
+                <div style="font-weight: bold;">${preset.label}</div>
+                <div style="font-size: 13px; opacity: 0.8;">${preset.description}</div>
+            `;
+            button.addEventListener('click', () => {
+                difficultySystem.setPreset(preset.id);
+                this.hideStartScreen();
+                gameEngine.resume();
+            });
+            panel.appendChild(button);
+        }
+        
+        screen.appendChild(panel);
+        document.body.appendChild(screen);
+        this.elements.startScreen = screen;
+    }
+
+    hideStartScreen() {
+        if (this.elements.startScreen) {
+            this.elements.startScreen.remove();
+            this.elements.startScreen = null;
+        }
+    }
+
+    // Scenario picker shown before any system exists (see main.js). Resolves with the checked package,
+    // or null for the standard game; load(id) and importZip(file) throw on a broken package, whose
+    // problems are listed on the menu so another choice can be made.
+    static showScenarioMenu(scenarios, { load, importZip }) {
+        return new Promise((resolve) => {
+            const screen = document.createElement('div');
+            screen.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.6);
+                font-family: Arial, sans-serif;
+                z-index: 2000;
+            `;
+            
+            const panel = document.createElement('div');
+            panel.style.cssText = `
+                background: rgba(20, 20, 20, 0.9);
+                color: white;
+                padding: 30px 40px;
+                border-radius: 20px;
+                border: 2px solid #666;
+                text-align: center;
+                max-width: 520px;
+                max-height: 90vh;
+                overflow-y: auto;
+            `;
+            
+            const title = document.createElement('h2');
+            title.textContent = 'Choisissez un scénario';
+            title.style.marginTop = '0';
+            panel.appendChild(title);
+            
+            // Package texts are shown with textContent: imported zips are not trusted
+            const status = document.createElement('div');
+            status.style.cssText = `
+                margin-top: 15px;
+                font-size: 13px;
+                text-align: left;
+                white-space: pre-wrap;
+            `;
+            
+            const buttons = [];
+            const choose = async (pick) => {
+                buttons.forEach(button => { button.disabled = true; });
+                status.style.color = 'white';
+                status.textContent = 'Chargement…';
+                
+                try {
+                    const scenario = await pick();
+                    screen.remove();
+                    resolve(scenario);
+                } catch (error) {
+                    console.error('🗺️ Scenario refused:', error);
+                    status.style.color = '#ffaa66';
+                    status.textContent = error.problems ?
+                        `Ce scénario contient des erreurs :\n• ${error.problems.join('\n• ')}` :
+                        `Impossible de charger ce scénario : ${error.message}`;
+                    buttons.forEach(button => { button.disabled = false; });
+                }
+            };
+            
+            const addButton = (label, description, color, onClick) => {
+                const button = document.createElement('button');
+                button.style.cssText = `
+                    display: block;
+                    width: 100%;
+                    background: ${color};
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    margin: 10px 0 0;
+                    font-size: 16px;
+                    border-radius: 10px;
+                    cursor: pointer;
+                    text-align: left;
+                `;
+                
+                const name = document.createElement('div');
+                name.style.fontWeight = 'bold';
+                name.textContent = label;
+                const details = document.createElement('div');
+                details.style.cssText = 'font-size: 13px; opacity: 0.8;';
+                details.textContent = description;
+                
+                button.append(name, details);
+                button.addEventListener('click', onClick);
+                buttons.push(button);
+                panel.appendChild(button);
+            };
+            
+            addButton('Partie standard', 'Le monde et les idéologies du jeu de base', '#4CAF50', () => choose(async () => null));
+            for (const scenario of scenarios) {
+                addButton(scenario.name, scenario.description, '#444', () => choose(() => load(scenario.id)));
+            }
+            
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.zip,application/zip';
+            fileInput.style.display = 'none';
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) choose(() => importZip(file));
+            });
+            addButton('Importer un scénario…', 'Un fichier .zip contenant un scenario.json', '#2196F3', () => fileInput.click());
+            
+            panel.append(fileInput, status);
+            screen.appendChild(panel);
+            document.body.appendChild(screen);
         });
     }
 
@@ -562,6 +1510,10 @@ export class UISystem extends IGameSystem {
     update(deltaTime) {
         if (!this.isVisible) return;
         
+        // Feed scrolls and capture ring fills every frame so they stay smooth
+        this.updateSocialFeed(deltaTime);
+        this.updateCaptureRing();
+        
         this.lastUpdateTime += deltaTime;
         
         // Throttle updates for performance
@@ -604,49 +1556,126 @@ export class UISystem extends IGameSystem {
         if (scoreValue) scoreValue.textContent = state.score.toString();
         if (timeValue) timeValue.textContent = `${Math.round(state.gameTime)}s`;
         if (polarisedValue) polarisedValue.textContent = state.polarisedPeople.toString();
+        
+        // Kickout countdown
+        if (state.kickoutWarning) {
+            this.showKickoutWarning(state.kickoutTimeRemaining);
+        }
+        
+        this.updateMaskAvailability(state);
+        this.updateCrowdMoodHint();
     }
 
-    showGameOver(reason, finalState) {
+    updateMaskAvailability(state) {
+        if (!this.elements.maskButtons) return;
+        
+        for (const [maskType, button] of this.elements.maskButtons) {
+            if (maskType === null || !button.cooldownBadge) continue;
+            
+            // Masks not picked up yet are greyed out
+            const owned = state.unlockedMasks.includes(maskType);
+            button.style.filter = owned ? 'none' : 'grayscale(1) brightness(0.5)';
+            button.style.cursor = owned ? 'pointer' : 'not-allowed';
+            
+            const remaining = state.maskCooldowns[maskType];
+            if (!owned) {
+                button.cooldownBadge.textContent = '🔒';
+                button.cooldownBadge.style.display = 'flex';
+            } else if (remaining > 0) {
+                button.cooldownBadge.textContent = `🔒 ${Math.ceil(remaining)}s`;
+                button.cooldownBadge.style.display = 'flex';
+            } else {
+                button.cooldownBadge.style.display = 'none';
+            }
+        }
+    }
+
+    showGameOver(reason, stats) {
+        const ending = this.gameStateSystem ? this.gameStateSystem.getEnding(reason) : null;
+        const recap = ENDING_RECAPS[reason] || DEFAULT_RECAP;
         this.elements.gameOverScreen.style.display = 'flex';
+        this.hideEndingsGallery();
+        
+        // Each ending has its own look
+        const panel = this.elements.gameOverPanel;
+        panel.style.background = recap.panel;
+        panel.style.color = recap.textColor || 'white';
         
         // Update game over content
         const title = document.getElementById('game-over-title');
         const reasonElement = document.getElementById('game-over-reason');
         const finalScore = document.getElementById('final-score');
         const finalTime = document.getElementById('final-time');
-        const finalPolarised = document.getElementById('final-polarised');
+        const endingRecap = document.getElementById('ending-recap');
+        const finalSeed = document.getElementById('final-seed');
         
-        const messages = {
-            'CAUGHT': 'You were caught by the police!',
-            'CHAOS': 'The world descended into chaos!',
-            'ADULT': 'You became a responsible adult!',
-            'ENERGY': 'You ran out of energy!'
-        };
+        if (title) {
+            title.textContent = ending ? ending.title : 'Game Over';
+            title.style.color = recap.color;
+        }
+        if (reasonElement) reasonElement.textContent = ending ? ending.message : 'Game ended';
+        if (finalScore) finalScore.textContent = stats.score.toString();
+        if (finalTime) finalTime.textContent = `${Math.round(stats.gameTime)}s`;
         
-        if (title) title.textContent = reason === 'ADULT' ? 'You Win!' : 'Game Over';
-        if (reasonElement) reasonElement.textContent = messages[reason] || 'Game ended';
-        if (finalScore) finalScore.textContent = finalState.score.toString();
-        if (finalTime) finalTime.textContent = `${Math.round(finalState.gameTime)}s`;
-        if (finalPolarised) finalPolarised.textContent = finalState.polarisedPeople.toString();
+        // Stats that tell this particular ending's story
+        if (endingRecap) {
+            endingRecap.replaceChildren(...recap.stats.map(([label, format]) => this.createRecapLine(label, format(stats))));
+        }
         
-        // Color the title based on outcome
-        if (title) {
-            title.style.color = reason === 'ADULT' ? '#66ff66' : '#ff6666';
+        // Replay this run with ?seed=<seed>
+        if (finalSeed) {
+            const seed = serviceContainer.resolve('randomService').getSeed();
+            finalSeed.textContent = String(seed);
+            finalSeed.title = `?seed=${encodeURIComponent(seed)}`;
         }
     }
+        
+    createRecapLine(label, value) {
+        const line = document.createElement('div');
+        line.style.marginBottom = '10px';
+        
+        const labelElement = document.createElement('span');
+        labelElement.style.fontWeight = 'bold';
+        labelElement.textContent = `${label}:`;
+        
+        const valueElement = document.createElement('span');
+        valueElement.style.float = 'right';
+        valueElement.textContent = String(value);
+        
+        line.appendChild(labelElement);
+        line.appendChild(valueElement);
+        return line;
+    }
 
     hideGameOver() {
         this.elements.gameOverScreen.style.display = 'none';
+        this.hideEndingsGallery();
+    }
+
+    // Every system rebuilds its own state on GAME_RESET, including this one
+    restartGame(seedMode = 'same') {
+        serviceContainer.resolve('gameEngine').restartGame({ seedMode });
+        console.log('🔄 Game restarted via UI');
     }
 
-    restartGame() {
+    onGameReset(resetData) {
         this.hideGameOver();
+        this.hideKickoutWarning();
+        this.updatePursuitIndicator('IDLE');
+        this.updateMaskDisplay(null);
+        
+        // The old run's posts leave with it
+        if (this.elements.feedList) {
+            this.elements.feedList.replaceChildren();
+            this.elements.feedList.style.transform = 'translateY(0px)';
+        }
+        this.feedScrollOffset = 0;
+        this.setFeedFlooded(false);
         
         if (this.gameStateSystem) {
-            this.gameStateSystem.reset();
+            this.updateMaskAvailability(this.gameStateSystem.getFullState());
         }
-        
-        console.log('🔄 Game restarted via UI');
+        this.updateHUD();
     }
 
     toggle() {
@@ -692,21 +1721,16 @@ export class UISystem extends IGameSystem {
     }
     
     onGameOver(event) {
-        // Handle game over
+        // Handle game over, the screen itself comes with GAME_ENDING_COMPLETE
         const gameOverData = event.data;
         console.log(`🎮 Game over: ${gameOverData.reason}`);
         
-        // Show game over screen
-        this.showGameOver(gameOverData.reason, gameOverData.stats);
+        this.hideKickoutWarning();
+        this.updatePursuitIndicator('IDLE');
     }
     
     handleStatePropertyChange(property, newValue, oldValue) {
         switch (property) {
-            case 'gameOver':
-                if (newValue && newValue.reason) {
-                    this.showGameOver(newValue.reason, this.gameStateSystem.getFullState());
-                }
-                break;
             case 'outrage':
                 this.updateOutrageDisplay(newValue);
                 break;
@@ -719,6 +1743,15 @@ export class UISystem extends IGameSystem {
             case 'polarisedPeople':
                 this.updatePolarisedDisplay(newValue);
                 break;
+            case 'snapshot':
+                // A loaded save may be mid-run or already over
+                if (newValue.isGameOver) {
+                    this.showGameOver(this.gameStateSystem.endReason, this.gameStateSystem.getEndingStats());
+                } else {
+                    this.hideGameOver();
+                }
+                this.updateMaskDisplay(newValue.currentMask);
+                break;
         }
     }
 
@@ -755,21 +1788,26 @@ export class UISystem extends IGameSystem {
         }
     }
 
+    updateDifficultyDisplay(presetId, tier) {
+        const difficultyElement = document.getElementById('difficulty-value');
+        const preset = params.DIFFICULTY_PRESETS[presetId];
+        if (difficultyElement) {
+            difficultyElement.textContent = `${preset ? preset.label : presetId} · ${tier}`;
+        }
+    }
+
     updateMaskDisplay(maskType) {
         // Update mask selector visual state
-        const buttons = this.elements.maskSelector.querySelectorAll('div');
-        buttons.forEach((button, index) => {
-            if (index === 0) {
-                // Neutral button
-                button.style.opacity = maskType === null ? '1' : '0.6';
-            } else {
-                // Mask buttons (1-7), index 1-7 corresponds to maskType 1-7
-                button.style.opacity = maskType === index ? '1' : '0.6';
-            }
-        });
+        for (const [buttonMask, button] of this.elements.maskButtons) {
+            button.style.opacity = buttonMask === maskType ? '1' : '0.6';
+        }
     }
 
     shutdown() {
+        this.cleanupEventSubscriptions();
+        clearTimeout(this.notificationTimeout);
+        this.hideStartScreen();
+        
         if (this.elements.container) {
             document.body.removeChild(this.elements.container);
         }
@@ -2,6 +2,7 @@
 import { IGameSystem } from '../interfaces/IGameSystem.js';
 import { params } from '../params.js';
 import { serviceContainer } from '../core/ServiceContainer.js';
+import { ideologyRegistry } from '../core/IdeologyRegistry.js';
 import { GameEventTypes } from '../interfaces/GameEvents.js';
 
 export class VisualFXSystem extends IGameSystem {
@@ -89,6 +90,31 @@ export class VisualFXSystem extends IGameSystem {
                 }
             });
             
+            // A loaded save may start or end a chase without any police event
+            this.subscribeToEvent(GameEventTypes.GAME_LOAD, (event) => {
+                if (!params.VISUAL_FX_ENABLED) return;
+                
+                const policeActive = serviceContainer.resolve('policeSystem').isPoliceActive();
+                if (policeActive && !this.policeActive) {
+                    this.activateTensionEffects();
+                } else if (!policeActive && this.policeActive) {
+                    this.deactivateTensionEffects();
+                }
+            });
+            
+            // Crowd kickout feedback
+            this.subscribeToEvent(GameEventTypes.CROWD_KICKOUT_WARNING, (event) => {
+                if (params.VISUAL_FX_ENABLED) {
+                    this.triggerKickoutWarning();
+                }
+            });
+            
+            this.subscribeToEvent(GameEventTypes.CROWD_KICKOUT, (event) => {
+                if (params.VISUAL_FX_ENABLED) {
+                    this.triggerKickoutFlash();
+                }
+            });
+            
             console.log('🎬 Visual FX System initialized with event subscriptions');
         } catch (error) {
             console.error('❌ Error subscribing to police events:', error);
@@ -302,7 +328,7 @@ export class VisualFXSystem extends IGameSystem {
         const currentMask = playerSystem ? playerSystem.getCurrentMask() : null;
         
         // Use current mask color as base or neutral
-        const baseColor = new THREE.Color(params.MASK_BACKGROUND_COLORS[currentMask] || params.MASK_BACKGROUND_COLORS[null]);
+        const baseColor = new THREE.Color(ideologyRegistry.getBackgroundColor(currentMask));
         
         // Shift towards dark red with pulsing effect
         const time = Date.now() * 0.001;
@@ -357,7 +383,7 @@ export class VisualFXSystem extends IGameSystem {
         if (this.sceneManager && this.sceneManager.scene) {
             const playerSystem = serviceContainer.resolve('playerSystem');
             const currentMask = playerSystem ? playerSystem.getCurrentMask() : null;
-            const baseColor = params.MASK_BACKGROUND_COLORS[currentMask] || params.MASK_BACKGROUND_COLORS[null];
+            const baseColor = ideologyRegistry.getBackgroundColor(currentMask);
             this.sceneManager.scene.background = new THREE.Color(baseColor);
         }
         
@@ -396,6 +422,14 @@ export class VisualFXSystem extends IGameSystem {
         console.log('🎬 Camera shake stopped');
     }
 
+    // Police are gone after a restart, so is the tension
+    onGameReset(resetData) {
+        if (this.policeActive) {
+            this.deactivateTensionEffects();
+        }
+        this.stopCameraShake();
+    }
+
     // Trigger specific effects
     triggerPoliceSiren() {
         // Flash effect
@@ -417,6 +451,39 @@ export class VisualFXSystem extends IGameSystem {
         this.startCameraShake(0.25, 30, 0.3);
     }
 
+    triggerKickoutWarning() {
+        // Short orange pulse to tell the player their welcome is running out
+        if (this.effectsOverlay) {
+            this.effectsOverlay.style.background = 'rgba(255, 140, 0, 0.25)';
+            setTimeout(() => {
+                if (this.effectsOverlay) {
+                    this.effectsOverlay.style.background = 'rgba(0, 0, 0, 0)';
+                }
+            }, 250);
+        }
+        
+        this.startCameraShake(0.03, 20, 0.3);
+    }
+
+    triggerKickoutFlash() {
+        // White flash and a shove when the crowd throws the player out
+        if (this.effectsOverlay) {
+            this.effectsOverlay.style.background = 'rgba(255, 255, 255, 0.6)';
+            setTimeout(() => {
+                if (this.effectsOverlay) {
+                    this.effectsOverlay.style.background = 'rgba(255, 140, 0, 0.3)';
+                }
+            }, 120);
+            setTimeout(() => {
+                if (this.effectsOverlay) {
+                    this.effectsOverlay.style.background = 'rgba(0, 0, 0, 0)';
+                }
+            }, 300);
+        }
+        
+        this.startCameraShake(0.2, 25, 0.5);
+    }
+
     triggerPoliceChase() {
         // Continuous tension effects
         this.activateTensionEffects();
@@ -560,6 +627,8 @@ export class VisualFXSystem extends IGameSystem {
     }
 
     shutdown() {
+        this.cleanupEventSubscriptions();
+        
         // Clean up overlay
         if (this.effectsOverlay) {
             document.body.removeChild(this.effectsOverlay);
@@ -1,5 +1,6 @@
 // testMaskColors.js - Utility for testing mask background colors
 import { serviceContainer } from './core/ServiceContainer.js';
+import { ideologyRegistry } from './core/IdeologyRegistry.js';
 
 export class MaskColorTester {
     constructor() {
@@ -49,7 +50,7 @@ export class MaskColorTester {
         }
         
         console.log('🎨 Simulating player mask changes...');
-        const masks = [null, 1, 2, 3, 4, 5, 6, 7];
+        const masks = [null, ...ideologyRegistry.getIds()];
         let currentIndex = 0;
         
         const changeNext = () => {
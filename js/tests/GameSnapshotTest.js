@@ -0,0 +1,163 @@
+// tests/GameSnapshotTest.js - Test suite for world state saves (file format and versioning)
+import { GameSnapshot, SNAPSHOT_FORMAT, SNAPSHOT_VERSION } from '../utils/GameSnapshot.js';
+
+export class GameSnapshotTest {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Game Snapshot Tests...');
+        
+        this.tests = [
+            this.testJSONRoundTrip,
+            this.testParamsSnapshot,
+            this.testSystemLookup,
+            this.testRejectsInvalidFiles
+        ];
+        
+        for (const test of this.tests) {
+            try {
+                const result = await test.call(this);
+                this.results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+            } catch (error) {
+                this.results.push({
+                    name: test.name,
+                    passed: false,
+                    message: error.message,
+                    error: error
+                });
+                console.error(`❌ ${test.name}: ${error.message}`);
+            }
+        }
+        
+        return this.generateReport();
+    }
+
+    createSnapshot() {
+        return new GameSnapshot({
+            seed: 42,
+            tick: 600,
+            params: { PLAYER_SPEED: 5 },
+            random: { seed: 42, streams: { spawn: 123456, npc: 987654 } },
+            systems: {
+                gameState: { outrage: 37.5, energy: 80, gameTime: 10, maskCooldowns: [[3, 4.5]], unlockedMasks: [1, 3] },
+                player: { position: [0, 10.2, 0], currentMask: 3 },
+                police: { isActive: false, officers: [] }
+            }
+        });
+    }
+
+    // Test 1: Export and import give back the same world state
+    testJSONRoundTrip() {
+        const text = JSON.stringify(this.createSnapshot().toJSON());
+        const restored = GameSnapshot.fromJSON(text);
+        
+        const passed = JSON.stringify(restored.toJSON()) === text;
+        
+        return {
+            name: 'JSON Round Trip',
+            passed: passed,
+            message: passed ? 'Imported save matches the exported one' : 'Save changed through JSON'
+        };
+    }
+
+    // Test 2: Saves keep the tunable values of their run, detached from the live params
+    testParamsSnapshot() {
+        const source = { PLAYER_SPEED: 5, DEBUG: false, colors: { 1: '#fff' } };
+        const snapshot = new GameSnapshot({ seed: 1, params: source, random: { seed: 1, streams: {} } });
+        source.PLAYER_SPEED = 10;
+        
+        const keys = Object.keys(snapshot.params).sort().join(',');
+        const passed = keys === 'DEBUG,PLAYER_SPEED' && snapshot.params.PLAYER_SPEED === 5;
+        
+        return {
+            name: 'Params Snapshot',
+            passed: passed,
+            message: passed ? 'Plain values are copied, nested objects skipped' : `Snapshot kept ${keys}`
+        };
+    }
+
+    // Test 3: Systems missing from a save read as null, not as an empty state
+    testSystemLookup() {
+        const snapshot = this.createSnapshot();
+        const passed = snapshot.getSystem('player').currentMask === 3 && snapshot.getSystem('npc') === null;
+        
+        return {
+            name: 'System Lookup',
+            passed: passed,
+            message: passed ? 'Saved systems found, missing ones are null' : 'Wrong system state returned'
+        };
+    }
+
+    // Test 4: Other files, future versions and incomplete saves are refused with a clear error
+    testRejectsInvalidFiles() {
+        const valid = this.createSnapshot().toJSON();
+        const attempts = [
+            { ...valid, format: 'outrage-replay' },
+            { ...valid, version: SNAPSHOT_VERSION + 1 },
+            { ...valid, version: '1' },
+            { ...valid, systems: undefined },
+            { ...valid, random: undefined },
+            { format: SNAPSHOT_FORMAT }
+        ];
+        
+        const rejected = attempts.filter(data => {
+            try {
+                GameSnapshot.fromJSON(data);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        }).length;
+        
+        return {
+            name: 'Rejects Invalid Files',
+            passed: rejected === attempts.length,
+            message: `${rejected}/${attempts.length} invalid saves rejected`
+        };
+    }
+
+    // Generate test report
+    generateReport() {
+        const passed = this.results.filter(r => r.passed).length;
+        const total = this.results.length;
+        const successRate = (passed / total * 100).toFixed(1);
+        
+        const report = {
+            total: total,
+            passed: passed,
+            failed: total - passed,
+            successRate: successRate,
+            results: this.results
+        };
+        
+        console.log(`\n📊 Game Snapshot Test Report:`);
+        console.log(`Total Tests: ${total}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${total - passed}`);
+        console.log(`Success Rate: ${successRate}%`);
+        
+        if (passed === total) {
+            console.log('🎉 All game snapshot tests passed!');
+        } else {
+            console.log('⚠️ Some game snapshot tests failed. Check the results for details.');
+        }
+        
+        return report;
+    }
+}
+
+// Export test runner function
+export async function runGameSnapshotTests() {
+    const tester = new GameSnapshotTest();
+    return await tester.runTests();
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.runGameSnapshotTests = runGameSnapshotTests;
+    window.GameSnapshotTest = GameSnapshotTest;
+}
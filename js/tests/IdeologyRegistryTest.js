@@ -0,0 +1,240 @@
+// tests/IdeologyRegistryTest.js - Test suite for the data-driven ideology definitions
+import { IdeologyRegistry } from '../core/IdeologyRegistry.js';
+
+export class IdeologyRegistryTest {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Ideology Registry Tests...');
+        
+        this.tests = [
+            this.testLoadsDefinitions,
+            this.testKeyBindings,
+            this.testRelationshipsFromEitherSide,
+            this.testOpposites,
+            this.testNeutralFallbacks,
+            this.testRejectsInvalidData,
+            this.testDataURLFromPage
+        ];
+        
+        for (const test of this.tests) {
+            try {
+                const result = await test.call(this);
+                this.results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+            } catch (error) {
+                this.results.push({
+                    name: test.name,
+                    passed: false,
+                    message: error.message,
+                    error: error
+                });
+                console.error(`❌ ${test.name}: ${error.message}`);
+            }
+        }
+        
+        return this.generateReport();
+    }
+
+    // Three factions: 1 and 2 hostile (described by 1 only), 3 declares 2 as its opposite
+    sampleData() {
+        return {
+            neutral: { name: 'Nobody', color: '#888888', background: '#001122', sprites: { player: 'neutral.png' } },
+            ideologies: [
+                {
+                    id: 2, name: 'Blue', color: '#0000ff', background: '#000022', key: 'B',
+                    sprites: { npc: 'blue_group.png', player: 'blue_player.png' }
+                },
+                {
+                    id: 1, name: 'Red', color: '#ff0000', background: '#220000', key: '1',
+                    sprites: { npc: 'red_group.png', player: 'red_player.png' },
+                    relationships: { 2: { stance: 'hostile', affinity: -0.8 }, 3: { stance: 'allied', affinity: 0.5 } }
+                },
+                {
+                    id: 3, name: 'Green', color: '#00ff00', key: '3', opposite: 2,
+                    sprites: { npc: 'green_group.png', player: 'green_player.png' },
+                    relationships: { 1: { stance: 'allied', affinity: 0.5 } }
+                }
+            ]
+        };
+    }
+
+    createRegistry(data = this.sampleData()) {
+        const registry = new IdeologyRegistry();
+        registry.setData(data, 'test');
+        return registry;
+    }
+
+    // Test 1: Ids come out sorted and every definition keeps its fields
+    testLoadsDefinitions() {
+        const registry = this.createRegistry();
+        const ids = registry.getIds();
+        const passed = ids.join(',') === '1,2,3' &&
+            registry.getName(2) === 'Blue' &&
+            registry.getCSSColor(1) === '#ff0000' &&
+            registry.getBackgroundColor(1) === 0x220000 &&
+            registry.getNpcSprite(3) === 'green_group.png' &&
+            registry.getPlayerSprite(3) === 'green_player.png';
+        
+        return {
+            name: 'Loads Definitions',
+            passed: passed,
+            message: `Ideologies ${ids.join(', ')} loaded`
+        };
+    }
+
+    // Test 2: Keys are matched without case, unbound keys give null
+    testKeyBindings() {
+        const registry = this.createRegistry();
+        const passed = registry.getByKey('b') === 2 &&
+            registry.getByKey('B') === 2 &&
+            registry.getByKey('1') === 1 &&
+            registry.getByKey('9') === null &&
+            registry.getKeys().sort().join(',') === '1,3,b';
+        
+        return {
+            name: 'Key Bindings',
+            passed: passed,
+            message: `Keys ${registry.getKeys().join(', ')}`
+        };
+    }
+
+    // Test 3: A pair described on one side reads the same from both, unlisted pairs are neutral
+    testRelationshipsFromEitherSide() {
+        const registry = this.createRegistry();
+        const passed = registry.getRelationship(1, 2) === 'hostile' &&
+            registry.getRelationship(2, 1) === 'hostile' &&
+            registry.getAffinity(2, 1) === -0.8 &&
+            registry.getRelationship(1, 3) === 'allied' &&
+            registry.getRelationship(2, 3) === 'neutral' &&
+            registry.getAffinity(2, 3) === 0 &&
+            registry.getRelationship(2, 2) === 'allied' &&
+            registry.getAffinity(2, 2) === 1;
+        
+        return {
+            name: 'Relationships From Either Side',
+            passed: passed,
+            message: `2→1 ${registry.getRelationship(2, 1)} (${registry.getAffinity(2, 1)}), 2→3 ${registry.getRelationship(2, 3)}`
+        };
+    }
+
+    // Test 4: The declared opposite wins, otherwise the least friendly ideology
+    testOpposites() {
+        const registry = this.createRegistry();
+        const passed = registry.getOpposite(3) === 2 && registry.getOpposite(1) === 2 && registry.getOpposite(2) === 1;
+        
+        return {
+            name: 'Opposites',
+            passed: passed,
+            message: `1→${registry.getOpposite(1)}, 2→${registry.getOpposite(2)}, 3→${registry.getOpposite(3)}`
+        };
+    }
+
+    // Test 5: The neutral mask and unknown ids get the neutral look, missing backgrounds the neutral one
+    testNeutralFallbacks() {
+        const registry = this.createRegistry();
+        const passed = registry.getName(null) === 'Nobody' &&
+            registry.getName(42) === 'Nobody' &&
+            registry.getBackgroundColor(null) === 0x001122 &&
+            registry.getBackgroundColor(3) === 0x001122 &&
+            registry.getNpcSprite(null) === 'neutral.png' &&
+            registry.getColor(null).getHexString() === '888888';
+        
+        return {
+            name: 'Neutral Fallbacks',
+            passed: passed,
+            message: `Neutral is '${registry.getName(null)}' on #${registry.getBackgroundColor(null).toString(16).padStart(6, '0')}`
+        };
+    }
+
+    // Test 6: Broken files are refused and the previous definitions stay in place
+    testRejectsInvalidData() {
+        const registry = this.createRegistry();
+        const broken = {
+            'duplicate id': (data) => { data.ideologies[1].id = 2; },
+            'duplicate key': (data) => { data.ideologies[2].key = 'b'; },
+            'unknown relationship': (data) => { data.ideologies[1].relationships[7] = { stance: 'hostile' }; },
+            'unknown stance': (data) => { data.ideologies[1].relationships[2].stance = 'frenemies'; },
+            'mismatched sides': (data) => { data.ideologies[2].relationships[1].affinity = 0.9; },
+            'unknown opposite': (data) => { data.ideologies[2].opposite = 3; },
+            'missing sprites': (data) => { delete data.ideologies[0].sprites; },
+            'no ideologies': (data) => { data.ideologies = []; }
+        };
+        
+        const accepted = [];
+        for (const [label, breakData] of Object.entries(broken)) {
+            const data = this.sampleData();
+            breakData(data);
+            try {
+                registry.setData(data, label);
+                accepted.push(label);
+            } catch (error) {
+                // Expected
+            }
+        }
+        
+        const passed = accepted.length === 0 && registry.getCount() === 3 && registry.source === 'test';
+        
+        return {
+            name: 'Rejects Invalid Data',
+            passed: passed,
+            message: passed ? `${Object.keys(broken).length} broken files refused` : `Accepted: ${accepted.join(', ')}`
+        };
+    }
+
+    // Test 7: ?ideologies=... picks the data file, the default otherwise
+    testDataURLFromPage() {
+        const fromURL = IdeologyRegistry.dataURLFromPage('data/ideologies.json', '?seed=4&ideologies=data/medieval.json');
+        const fallback = IdeologyRegistry.dataURLFromPage('data/ideologies.json', '?seed=4');
+        const passed = fromURL === 'data/medieval.json' && fallback === 'data/ideologies.json';
+        
+        return {
+            name: 'Data URL From Page',
+            passed: passed,
+            message: `'${fromURL}' from the page, '${fallback}' by default`
+        };
+    }
+
+    generateReport() {
+        const passed = this.results.filter(r => r.passed).length;
+        const total = this.results.length;
+        const successRate = (passed / total * 100).toFixed(1);
+        
+        const report = {
+            total: total,
+            passed: passed,
+            failed: total - passed,
+            successRate: successRate,
+            results: this.results
+        };
+        
+        console.log(`\n📊 Ideology Registry Test Report:`);
+        console.log(`Total Tests: ${total}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${total - passed}`);
+        console.log(`Success Rate: ${successRate}%`);
+        
+        if (passed === total) {
+            console.log('🎉 All ideology registry tests passed!');
+        } else {
+            console.log('⚠️ Some ideology registry tests failed. Check the results for details.');
+        }
+        
+        return report;
+    }
+}
+
+// Export test runner function
+export async function runIdeologyRegistryTests() {
+    const tester = new IdeologyRegistryTest();
+    return await tester.runTests();
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.runIdeologyRegistryTests = runIdeologyRegistryTests;
+    window.IdeologyRegistryTest = IdeologyRegistryTest;
+}
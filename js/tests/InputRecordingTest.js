@@ -0,0 +1,176 @@
+// tests/InputRecordingTest.js - Test suite for replay recordings (storage and file format)
+import { InputRecording, REPLAY_FORMAT, REPLAY_VERSION } from '../utils/InputRecording.js';
+
+export class InputRecordingTest {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Input Recording Tests...');
+        
+        this.tests = [
+            this.testMovementOnlyOnChange,
+            this.testInputMaskChanges,
+            this.testParamsSnapshot,
+            this.testJSONRoundTrip,
+            this.testRejectsInvalidFiles
+        ];
+        
+        for (const test of this.tests) {
+            try {
+                const result = await test.call(this);
+                this.results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+            } catch (error) {
+                this.results.push({
+                    name: test.name,
+                    passed: false,
+                    message: error.message,
+                    error: error
+                });
+                console.error(`❌ ${test.name}: ${error.message}`);
+            }
+        }
+        
+        return this.generateReport();
+    }
+
+    createRecording() {
+        const recording = new InputRecording({ seed: 42, params: { PLAYER_SPEED: 5 }, stepSize: 1 / 60 });
+        
+        for (let tick = 0; tick < 120; tick++) {
+            const x = tick < 30 ? 0 : 1;
+            const y = tick < 60 ? 0 : -0.5;
+            recording.recordMovement(tick, x, y);
+        }
+        recording.recordMaskChange(10, null, 3, 'input');
+        recording.recordMaskChange(70, 3, null, 'kickout');
+        recording.ticks = 120;
+        
+        return recording;
+    }
+
+    // Test 1: Held input is stored once, not every tick
+    testMovementOnlyOnChange() {
+        const recording = this.createRecording();
+        const ticks = recording.movement.map(sample => sample.tick);
+        const passed = ticks.length === 3 && ticks[0] === 0 && ticks[1] === 30 && ticks[2] === 60;
+        
+        return {
+            name: 'Movement Only On Change',
+            passed: passed,
+            message: passed ? '120 ticks of input stored as 3 samples' : `Unexpected samples at ticks ${ticks.join(', ')}`
+        };
+    }
+
+    // Test 2: Only the player's own mask changes are replayed
+    testInputMaskChanges() {
+        const changes = this.createRecording().getInputMaskChanges();
+        const passed = changes.length === 1 && changes[0].tick === 10 && changes[0].newMask === 3;
+        
+        return {
+            name: 'Input Mask Changes',
+            passed: passed,
+            message: passed ? 'Kickouts are kept for checking, not replayed' : 'Wrong mask changes selected for replay'
+        };
+    }
+
+    // Test 3: The params snapshot is a detached copy of plain values
+    testParamsSnapshot() {
+        const source = { PLAYER_SPEED: 5, NAME: 'test', DEBUG: true, helper: () => {}, nested: { a: 1 } };
+        const recording = new InputRecording({ seed: 1, params: source, stepSize: 1 / 60 });
+        source.PLAYER_SPEED = 10;
+        
+        const keys = Object.keys(recording.params).sort().join(',');
+        const passed = keys === 'DEBUG,NAME,PLAYER_SPEED' && recording.params.PLAYER_SPEED === 5;
+        
+        return {
+            name: 'Params Snapshot',
+            passed: passed,
+            message: passed ? 'Numbers, strings and booleans are copied' : `Snapshot kept ${keys}`
+        };
+    }
+
+    // Test 4: Export and import give back the same recording
+    testJSONRoundTrip() {
+        const original = this.createRecording();
+        const text = JSON.stringify(original.toJSON());
+        const restored = InputRecording.fromJSON(text);
+        
+        const passed = JSON.stringify(restored.toJSON()) === text &&
+            restored.getDuration() === original.getDuration();
+        
+        return {
+            name: 'JSON Round Trip',
+            passed: passed,
+            message: passed ? 'Imported recording matches the exported one' : 'Recording changed through JSON'
+        };
+    }
+
+    // Test 5: Other files and future versions are refused with a clear error
+    testRejectsInvalidFiles() {
+        const attempts = [
+            { format: 'something-else', version: REPLAY_VERSION, seed: 1, stepSize: 1 / 60, ticks: 1 },
+            { format: REPLAY_FORMAT, version: REPLAY_VERSION + 1, seed: 1, stepSize: 1 / 60, ticks: 1 },
+            { format: REPLAY_FORMAT, version: REPLAY_VERSION, stepSize: 1 / 60, ticks: 1 }
+        ];
+        
+        const rejected = attempts.filter(data => {
+            try {
+                InputRecording.fromJSON(data);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        }).length;
+        
+        return {
+            name: 'Rejects Invalid Files',
+            passed: rejected === attempts.length,
+            message: `${rejected}/${attempts.length} invalid files rejected`
+        };
+    }
+
+    // Generate test report
+    generateReport() {
+        const passed = this.results.filter(r => r.passed).length;
+        const total = this.results.length;
+        const successRate = (passed / total * 100).toFixed(1);
+        
+        const report = {
+            total: total,
+            passed: passed,
+            failed: total - passed,
+            successRate: successRate,
+            results: this.results
+        };
+        
+        console.log(`\n📊 Input Recording Test Report:`);
+        console.log(`Total Tests: ${total}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${total - passed}`);
+        console.log(`Success Rate: ${successRate}%`);
+        
+        if (passed === total) {
+            console.log('🎉 All input recording tests passed!');
+        } else {
+            console.log('⚠️ Some input recording tests failed. Check the results for details.');
+        }
+        
+        return report;
+    }
+}
+
+// Export test runner function
+export async function runInputRecordingTests() {
+    const tester = new InputRecordingTest();
+    return await tester.runTests();
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.runInputRecordingTests = runInputRecordingTests;
+    window.InputRecordingTest = InputRecordingTest;
+}
@@ -0,0 +1,195 @@
+// tests/NavigationGraphTest.js - Test suite for the police route planning graph
+import * as THREE from 'three';
+import { NavigationGraph } from '../utils/NavigationGraph.js';
+
+export class NavigationGraphTest {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+        this.radius = 30;
+        this.graph = null;
+    }
+
+    async runTests() {
+        console.log('🧪 Running Navigation Graph Tests...');
+        
+        // Building the graph takes a moment: every test shares one
+        this.graph = new NavigationGraph(this.radius, 10);
+        
+        this.tests = [
+            this.testGraphShape,
+            this.testNearestNode,
+            this.testPathEndpoints,
+            this.testPathIsConnected,
+            this.testRouteAvoidsCrowd
+        ];
+        
+        for (const test of this.tests) {
+            try {
+                this.graph.setCrowd([], 0);
+                const result = await test.call(this);
+                this.results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+            } catch (error) {
+                this.results.push({
+                    name: test.name,
+                    passed: false,
+                    message: error.message,
+                    error: error
+                });
+                console.error(`❌ ${test.name}: ${error.message}`);
+            }
+        }
+        
+        return this.generateReport();
+    }
+
+    randomSurfacePoint() {
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        return new THREE.Vector3().setFromSphericalCoords(this.radius, phi, theta);
+    }
+
+    // Test 1: Every node sits on the sphere with the 5 or 6 neighbours of an icosphere
+    testGraphShape() {
+        const graph = this.graph;
+        const badDegree = graph.neighbours.filter(list => list.length < 5 || list.length > 6).length;
+        const offSurface = graph.positions.filter(position => Math.abs(position.length() - this.radius) > 0.001).length;
+        
+        return {
+            name: 'Graph Shape',
+            passed: graph.getNodeCount() > 1000 && badDegree === 0 && offSurface === 0,
+            message: `${graph.getNodeCount()} nodes, ${badDegree} with a wrong degree, ${offSurface} off the surface`
+        };
+    }
+
+    // Test 2: Nearest node matches a brute-force search
+    testNearestNode() {
+        const graph = this.graph;
+        let mismatches = 0;
+        
+        for (let i = 0; i < 100; i++) {
+            const point = this.randomSurfacePoint();
+            let expected = 0;
+            graph.positions.forEach((position, node) => {
+                if (position.distanceToSquared(point) < graph.positions[expected].distanceToSquared(point)) {
+                    expected = node;
+                }
+            });
+            
+            if (graph.nearestNode(point) !== expected) mismatches++;
+        }
+        
+        return {
+            name: 'Nearest Node',
+            passed: mismatches === 0,
+            message: mismatches === 0 ? '100 lookups match brute force' : `${mismatches} lookups differ from brute force`
+        };
+    }
+
+    // Test 3: Routes end on the requested point and a route to the same node is that point alone
+    testPathEndpoints() {
+        const from = this.randomSurfacePoint();
+        const to = from.clone().negate();
+        const path = this.graph.findPath(from, to);
+        const samePath = this.graph.findPath(from, from.clone());
+        
+        return {
+            name: 'Path Endpoints',
+            passed: path !== null && path[path.length - 1].equals(to) && samePath.length === 1 && samePath[0].equals(from),
+            message: path ? `Route across the planet has ${path.length} waypoints` : 'No route found'
+        };
+    }
+
+    // Test 4: Consecutive waypoints are graph neighbours, and the route is not much longer than the great circle
+    testPathIsConnected() {
+        const graph = this.graph;
+        const from = graph.positions[0].clone();
+        const to = this.randomSurfacePoint();
+        const path = graph.findPath(from, to);
+        
+        // The last step goes from a node to the target itself, which lies anywhere around the goal node
+        let longestStep = 0;
+        let length = 0;
+        let previous = from;
+        path.forEach((point, i) => {
+            const step = previous.distanceTo(point);
+            if (i < path.length - 1) longestStep = Math.max(longestStep, step);
+            length += step;
+            previous = point;
+        });
+        const greatCircle = from.angleTo(to) * this.radius;
+        
+        return {
+            name: 'Path Is Connected',
+            passed: longestStep < graph.edgeLength * 1.5 && length < greatCircle * 1.3 + graph.edgeLength,
+            message: `Longest step ${longestStep.toFixed(2)}, route ${length.toFixed(1)} for a ${greatCircle.toFixed(1)} great circle`
+        };
+    }
+
+    // Test 5: Crowding the middle of a route makes the next route go around it
+    testRouteAvoidsCrowd() {
+        const graph = this.graph;
+        const from = new THREE.Vector3(0, 0, this.radius);
+        const to = new THREE.Vector3(0, 0, this.radius).applyAxisAngle(new THREE.Vector3(0, 1, 0), 1);
+        
+        const direct = graph.findPath(from, to);
+        const middle = direct.slice(2, -2);
+        const crowd = [];
+        for (const point of middle) {
+            for (let i = 0; i < 20; i++) crowd.push(point);
+        }
+        graph.setCrowd(crowd, 0.5);
+        
+        const detour = graph.findPath(from, to);
+        const blocked = middle.map(point => graph.nearestNode(point));
+        const crossings = detour.filter(point => blocked.includes(graph.nearestNode(point))).length;
+        
+        return {
+            name: 'Route Avoids Crowd',
+            passed: middle.length > 0 && crossings === 0 && detour[detour.length - 1].equals(to),
+            message: crossings === 0 ? `Detour of ${detour.length} waypoints avoids ${blocked.length} crowded nodes` :
+                `${crossings} waypoints still cross the crowd`
+        };
+    }
+
+    generateReport() {
+        const passed = this.results.filter(r => r.passed).length;
+        const total = this.results.length;
+        const successRate = (passed / total * 100).toFixed(1);
+        
+        const report = {
+            total: total,
+            passed: passed,
+            failed: total - passed,
+            successRate: successRate,
+            results: this.results
+        };
+        
+        console.log(`\n📊 Navigation Graph Test Report:`);
+        console.log(`Total Tests: ${total}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${total - passed}`);
+        console.log(`Success Rate: ${successRate}%`);
+        
+        if (passed === total) {
+            console.log('🎉 All navigation graph tests passed!');
+        } else {
+            console.log('⚠️ Some navigation graph tests failed. Check the results for details.');
+        }
+        
+        return report;
+    }
+}
+
+// Export test runner function
+export async function runNavigationGraphTests() {
+    const tester = new NavigationGraphTest();
+    return await tester.runTests();
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.runNavigationGraphTests = runNavigationGraphTests;
+    window.NavigationGraphTest = NavigationGraphTest;
+}
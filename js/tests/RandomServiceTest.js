@@ -0,0 +1,209 @@
+// tests/RandomServiceTest.js - Test suite for the seeded random number service
+import { RandomService } from '../core/RandomService.js';
+
+export class RandomServiceTest {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Random Service Tests...');
+        
+        this.tests = [
+            this.testSameSeedSameSequence,
+            this.testDifferentSeeds,
+            this.testStreamIndependence,
+            this.testReseedKeepsStreams,
+            this.testStateRoundTrip,
+            this.testRanges,
+            this.testSeedFromURL
+        ];
+        
+        for (const test of this.tests) {
+            try {
+                const result = await test.call(this);
+                this.results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+            } catch (error) {
+                this.results.push({
+                    name: test.name,
+                    passed: false,
+                    message: error.message,
+                    error: error
+                });
+                console.error(`❌ ${test.name}: ${error.message}`);
+            }
+        }
+        
+        return this.generateReport();
+    }
+
+    sequence(stream, count = 20) {
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            values.push(stream.next());
+        }
+        return values;
+    }
+
+    sameSequence(a, b) {
+        return a.length === b.length && a.every((value, index) => value === b[index]);
+    }
+
+    // Test 1: Identical seeds replay identically
+    testSameSeedSameSequence() {
+        const a = new RandomService(1234).stream('npc');
+        const b = new RandomService(1234).stream('npc');
+        const passed = this.sameSequence(this.sequence(a), this.sequence(b));
+        
+        return {
+            name: 'Same Seed Same Sequence',
+            passed: passed,
+            message: passed ? 'Two services with one seed agree' : 'Sequences differ for the same seed'
+        };
+    }
+
+    // Test 2: Different seeds (numeric or textual) diverge
+    testDifferentSeeds() {
+        const a = this.sequence(new RandomService(1234).stream('npc'));
+        const b = this.sequence(new RandomService(1235).stream('npc'));
+        const c = this.sequence(new RandomService('bug-42').stream('npc'));
+        const passed = !this.sameSequence(a, b) && !this.sameSequence(a, c);
+        
+        return {
+            name: 'Different Seeds',
+            passed: passed,
+            message: passed ? 'Different seeds give different sequences' : 'Different seeds collided'
+        };
+    }
+
+    // Test 3: Rolling in one stream does not shift another
+    testStreamIndependence() {
+        const quiet = new RandomService(99);
+        const busy = new RandomService(99);
+        
+        this.sequence(busy.stream('feed'), 100);
+        const passed = this.sameSequence(this.sequence(quiet.stream('npc')), this.sequence(busy.stream('npc')));
+        
+        return {
+            name: 'Stream Independence',
+            passed: passed,
+            message: passed ? 'Feed rolls leave the NPC stream untouched' : 'Streams interfere with each other'
+        };
+    }
+
+    // Test 4: Reseeding resets streams that modules already hold
+    testReseedKeepsStreams() {
+        const service = new RandomService(1);
+        const stream = service.stream('spawn');
+        
+        service.setSeed(7);
+        const afterReseed = this.sequence(stream);
+        const fresh = this.sequence(new RandomService(7).stream('spawn'));
+        
+        return {
+            name: 'Reseed Keeps Streams',
+            passed: stream === service.stream('spawn') && this.sameSequence(afterReseed, fresh),
+            message: 'Held stream references follow the new seed'
+        };
+    }
+
+    // Test 5: getState / setState resume mid-sequence
+    testStateRoundTrip() {
+        const service = new RandomService('save');
+        this.sequence(service.stream('npc'), 13);
+        this.sequence(service.stream('police'), 5);
+        
+        const state = JSON.parse(JSON.stringify(service.getState()));
+        const expected = this.sequence(service.stream('npc'));
+        
+        const restored = new RandomService(0);
+        restored.setState(state);
+        const passed = restored.getSeed() === 'save' && this.sameSequence(this.sequence(restored.stream('npc')), expected);
+        
+        return {
+            name: 'State Round Trip',
+            passed: passed,
+            message: passed ? 'Restored state continues the sequence' : 'Restored state diverged'
+        };
+    }
+
+    // Test 6: Helpers stay within their bounds
+    testRanges() {
+        const stream = new RandomService(5).stream('ranges');
+        let passed = true;
+        
+        for (let i = 0; i < 1000; i++) {
+            const value = stream.next();
+            const ranged = stream.range(-2, 3);
+            const integer = stream.int(3, 5);
+            const picked = stream.pick(['a', 'b', 'c']);
+            
+            passed = passed && value >= 0 && value < 1 &&
+                ranged >= -2 && ranged < 3 &&
+                Number.isInteger(integer) && integer >= 3 && integer <= 5 &&
+                ['a', 'b', 'c'].includes(picked);
+        }
+        
+        return {
+            name: 'Ranges',
+            passed: passed && stream.pick([]) === undefined,
+            message: 'next, range, int and pick stay within bounds'
+        };
+    }
+
+    // Test 7: Seeds are read from the query string
+    testSeedFromURL() {
+        const numeric = RandomService.seedFromURL('?seed=12345');
+        const textual = RandomService.seedFromURL('?debug=1&seed=bug-42');
+        const missing = RandomService.seedFromURL('');
+        
+        return {
+            name: 'Seed From URL',
+            passed: numeric === 12345 && textual === 'bug-42' && Number.isInteger(missing),
+            message: 'Numeric and textual seeds are parsed, missing seeds are generated'
+        };
+    }
+
+    // Generate test report
+    generateReport() {
+        const passed = this.results.filter(r => r.passed).length;
+        const total = this.results.length;
+        const successRate = (passed / total * 100).toFixed(1);
+        
+        const report = {
+            total: total,
+            passed: passed,
+            failed: total - passed,
+            successRate: successRate,
+            results: this.results
+        };
+        
+        console.log(`\n📊 Random Service Test Report:`);
+        console.log(`Total Tests: ${total}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${total - passed}`);
+        console.log(`Success Rate: ${successRate}%`);
+        
+        if (passed === total) {
+            console.log('🎉 All random service tests passed!');
+        } else {
+            console.log('⚠️ Some random service tests failed. Check the results for details.');
+        }
+        
+        return report;
+    }
+}
+
+// Export test runner function
+export async function runRandomServiceTests() {
+    const tester = new RandomServiceTest();
+    return await tester.runTests();
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.runRandomServiceTests = runRandomServiceTests;
+    window.RandomServiceTest = RandomServiceTest;
+}
@@ -0,0 +1,456 @@
+// tests/ScenarioPackageTest.js - Test suite for scenario packages, their zip import and data-driven endings
+import { ScenarioPackage } from '../utils/ScenarioPackage.js';
+import { ZipArchive } from '../utils/ZipArchive.js';
+import { compileEndingCondition, validateEndingCondition } from '../utils/EndingConditions.js';
+import { GameStateSystem } from '../systems/GameStateSystem.js';
+import { serviceContainer } from '../core/ServiceContainer.js';
+import { randomService } from '../core/RandomService.js';
+import { params } from '../params.js';
+
+export class ScenarioPackageTest {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Scenario Package Tests...');
+        
+        this.tests = [
+            this.testReadsZipEntries,
+            this.testImportsZippedFolder,
+            this.testResolvesPackageFiles,
+            this.testReportsEveryProblem,
+            this.testEndingConditions,
+            this.testScenarioEndings,
+            this.testAppliesParams,
+            this.testKeepsImportedZip
+        ];
+        
+        for (const test of this.tests) {
+            try {
+                const result = await test.call(this);
+                this.results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+            } catch (error) {
+                this.results.push({
+                    name: test.name,
+                    passed: false,
+                    message: error.message,
+                    error: error
+                });
+                console.error(`❌ ${test.name}: ${error.message}`);
+            }
+        }
+        
+        return this.generateReport();
+    }
+
+    // Two factions, the first drawn from the package, the second from the game's sprites
+    sampleFiles() {
+        return {
+            'scenario.json': JSON.stringify({
+                id: 'village',
+                name: 'Village',
+                params: { OUTRAGE_INCREASE_RATE: 3 },
+                ideologies: 'ideologies.json',
+                posts: 'posts.json',
+                sprites: { 'textures/sprites/police_fbi.png': 'sprites/garde.png' },
+                endings: [
+                    { id: 'GHOST', enabled: false },
+                    { id: 'FETE', outcome: 'win', title: 'Fête du village', message: 'Tout le monde danse.', when: { gameTime: '>= 60' } }
+                ]
+            }),
+            'ideologies.json': JSON.stringify({
+                neutral: { name: 'Villageois', color: '#888888', sprites: { player: 'textures/sprites/joshua_neutre.png' } },
+                ideologies: [
+                    { id: 1, name: 'Pêcheurs', color: '#3366ff', sprites: { npc: 'sprites/pecheurs.png', player: 'sprites/pecheur.png' } },
+                    { id: 2, name: 'Chasseurs', color: '#996633', sprites: { npc: 'textures/sprites/group_nationalist.png', player: 'textures/sprites/joshua_nationalist.png' } }
+                ]
+            }),
+            'posts.json': JSON.stringify({
+                authors: { neutral: [{ name: 'Mairie', handle: '@mairie' }] },
+                posts: [{ ideology: null, tier: 1, text: 'Bal samedi soir.' }, { ideology: 2, tier: 3, text: 'Ouverture de la chasse !' }]
+            }),
+            'sprites/pecheurs.png': 'png',
+            'sprites/pecheur.png': 'png',
+            'sprites/garde.png': 'png'
+        };
+    }
+
+    // Package held in memory, with a game that serves everything under textures/
+    loadFromMemory(files, options = {}) {
+        return ScenarioPackage.load({
+            name: 'memory',
+            imported: false,
+            has: async (path) => Object.prototype.hasOwnProperty.call(files, path),
+            readText: async (path) => files[path],
+            getURL: async (path) => `memory/${path}`
+        }, { assetExists: async (path) => path.startsWith('textures/'), ...options });
+    }
+
+    // Zip of path -> text entries. CRCs are left at zero: the reader does not check them
+    async buildZip(entries, deflate = false) {
+        const encoder = new TextEncoder();
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+        
+        for (const [path, text] of Object.entries(entries)) {
+            const name = encoder.encode(path);
+            const raw = encoder.encode(text);
+            const data = deflate ?
+                new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer()) :
+                raw;
+            
+            const local = new Uint8Array(30 + name.length + data.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034b50, true);
+            localView.setUint16(8, deflate ? 8 : 0, true);
+            localView.setUint32(18, data.length, true);
+            localView.setUint32(22, raw.length, true);
+            localView.setUint16(26, name.length, true);
+            local.set(name, 30);
+            local.set(data, 30 + name.length);
+            
+            const central = new Uint8Array(46 + name.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(10, deflate ? 8 : 0, true);
+            centralView.setUint32(20, data.length, true);
+            centralView.setUint32(24, raw.length, true);
+            centralView.setUint16(28, name.length, true);
+            centralView.setUint32(42, offset, true);
+            central.set(name, 46);
+            
+            locals.push(local);
+            centrals.push(central);
+            offset += local.length;
+        }
+        
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, centrals.length, true);
+        endView.setUint16(10, centrals.length, true);
+        endView.setUint32(12, centrals.reduce((size, central) => size + central.length, 0), true);
+        endView.setUint32(16, offset, true);
+        
+        return new Blob([...locals, ...centrals, end]).arrayBuffer();
+    }
+
+    // Test 1: Stored and deflated entries read back, broken archives say what is wrong
+    async testReadsZipEntries() {
+        const text = 'Outrage '.repeat(200);
+        const stored = ZipArchive.fromArrayBuffer(await this.buildZip({ 'a.txt': text, 'dir/b.txt': 'b' }), 'stored.zip');
+        const deflated = ZipArchive.fromArrayBuffer(await this.buildZip({ 'a.txt': text }, true), 'deflated.zip');
+        
+        const errors = [];
+        for (const attempt of [
+            () => ZipArchive.fromArrayBuffer(new TextEncoder().encode('not a zip').buffer, 'notes.zip'),
+            () => stored.getBytes('missing.txt')
+        ]) {
+            try {
+                await attempt();
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        
+        const passed = await stored.getText('a.txt') === text &&
+            await stored.getText('dir/b.txt') === 'b' &&
+            await deflated.getText('a.txt') === text &&
+            deflated.entries.get('a.txt').compressedSize < text.length &&
+            errors.length === 2 && errors[0].includes('notes.zip is not a zip file');
+        
+        return {
+            name: 'Reads Zip Entries',
+            passed: passed,
+            message: `Stored and deflated entries read, errors: ${errors.join(' / ')}`
+        };
+    }
+
+    // Test 2: A zip of the package folder is found one level down and gets an import id
+    async testImportsZippedFolder() {
+        const entries = {};
+        for (const [path, content] of Object.entries(this.sampleFiles())) {
+            entries[`village/${path}`] = content;
+        }
+        
+        const scenario = await ScenarioPackage.fromZip(await this.buildZip(entries, true), 'village.zip', {
+            assetExists: async (path) => path.startsWith('textures/')
+        });
+        const guardURL = scenario.spriteURLs.get('textures/sprites/police_fbi.png');
+        const passed = scenario.id === 'import:village' &&
+            guardURL.startsWith('blob:') &&
+            scenario.postsURL.startsWith('blob:') &&
+            scenario.ideologies.ideologies[0].sprites.npc.startsWith('blob:') &&
+            scenario.ideologies.ideologies[1].sprites.npc === 'textures/sprites/group_nationalist.png';
+        
+        return {
+            name: 'Imports Zipped Folder',
+            passed: passed,
+            message: `${scenario.id}, police sprite at ${guardURL.slice(0, 5)}…`
+        };
+    }
+
+    // Test 3: Paths resolve to the package first, then to the game's own assets
+    async testResolvesPackageFiles() {
+        const scenario = await this.loadFromMemory(this.sampleFiles());
+        const [fishers, hunters] = scenario.ideologies.ideologies;
+        const passed = scenario.id === 'village' &&
+            scenario.name === 'Village' &&
+            fishers.sprites.npc === 'memory/sprites/pecheurs.png' &&
+            hunters.sprites.player === 'textures/sprites/joshua_nationalist.png' &&
+            scenario.ideologies.neutral.sprites.player === 'textures/sprites/joshua_neutre.png' &&
+            scenario.postsURL === 'memory/posts.json' &&
+            scenario.spriteURLs.get('textures/sprites/police_fbi.png') === 'memory/sprites/garde.png' &&
+            scenario.endings.length === 2;
+        
+        return {
+            name: 'Resolves Package Files',
+            passed: passed,
+            message: `Fishers from ${fishers.sprites.npc}, hunters from ${hunters.sprites.npc}`
+        };
+    }
+
+    // Test 4: Every problem of a broken package is reported at once, in words
+    async testReportsEveryProblem() {
+        const files = this.sampleFiles();
+        const manifest = JSON.parse(files['scenario.json']);
+        manifest.colour = 'red';
+        manifest.params = {
+            OUTRAGE_INCREASE_RATE: 'fast',
+            NOT_A_PARAM: 1,
+            SOCIAL_FEED_DATA_URL: 'other.json',
+            DIFFICULTY_PRESETS: { casual: { base: 0.5, speed: 2 } },
+            DIFFICULTY_CURVE: [],
+            POLICE_HEAT_TIERS: [{ heat: 0, maxPolice: 2, speed: 1, units: [] }, { heat: 20, units: ['police', 3], armour: 1 }]
+        };
+        manifest.sprites['textures/sprites/police_fbi.png'] = 'sprites/missing.png';
+        manifest.endings.push(
+            { id: 'MAYOR', title: 'Maire', message: 'Élu.' },
+            { id: 'CAUGHT', enabled: false },
+            { id: 'ADULT', when: { happiness: '> 3', gameTime: 'soon' } }
+        );
+        files['scenario.json'] = JSON.stringify(manifest);
+        files['posts.json'] = JSON.stringify({ posts: [{ ideology: 9, tier: 1, text: 'Qui ?' }] });
+        
+        const expected = [
+            'unknown field "colour"',
+            'params.OUTRAGE_INCREASE_RATE must be a number, not a string',
+            'params.NOT_A_PARAM is not a game parameter',
+            'params.SOCIAL_FEED_DATA_URL cannot be overridden',
+            'params.DIFFICULTY_PRESETS.casual.speed is not a game parameter',
+            'params.DIFFICULTY_CURVE cannot be empty',
+            'params.POLICE_HEAT_TIERS[0].units cannot be empty',
+            'params.POLICE_HEAT_TIERS[1].armour is not a field of these entries',
+            'params.POLICE_HEAT_TIERS[1].maxPolice is missing',
+            'params.POLICE_HEAT_TIERS[1].speed is missing',
+            'params.POLICE_HEAT_TIERS[1].units[1] must be a string, not a number',
+            'ending MAYOR is a new ending',
+            'ending CAUGHT cannot be disabled',
+            'unknown figure "happiness"',
+            '"gameTime": "soon" is not a comparison',
+            'post 1 belongs to unknown ideology 9',
+            '"sprites/missing.png" is neither in the package nor in the game'
+        ];
+        
+        let problems = [];
+        try {
+            await this.loadFromMemory(files);
+        } catch (error) {
+            problems = error.problems || [];
+        }
+        const missing = expected.filter(text => !problems.some(problem => problem.includes(text)));
+        
+        return {
+            name: 'Reports Every Problem',
+            passed: missing.length === 0 && problems.length === expected.length,
+            message: missing.length === 0 ? `${problems.length} problems reported` : `Not reported: ${missing.join(', ')}`
+        };
+    }
+
+    // Test 5: Conditions compare run figures and only accept known figures and comparisons
+    testEndingConditions() {
+        const state = {
+            gameTime: 130,
+            outrage: 12,
+            runStats: { crowdsVisited: [1, 2, 3, 4], conversions: { 1: 3, 2: 2 } }
+        };
+        const calm = compileEndingCondition({ gameTime: '>= 120', outrage: '< 25', crowdsVisited: 4 });
+        const angry = compileEndingCondition({ outrage: '> 50' });
+        const converted = compileEndingCondition({ conversions: '== 5' });
+        
+        let thrown = null;
+        try {
+            compileEndingCondition({ gameTime: '=> 3' });
+        } catch (error) {
+            thrown = error.message;
+        }
+        
+        const passed = calm(state) && !angry(state) && converted(state) &&
+            thrown !== null &&
+            validateEndingCondition({}).length === 1 &&
+            validateEndingCondition({ energy: '<= 0.5', score: -3 }).length === 0;
+        
+        return {
+            name: 'Ending Conditions',
+            passed: passed,
+            message: `Calm ${calm(state)}, angry ${angry(state)}, refused: ${thrown}`
+        };
+    }
+
+    // Test 6: Scenario endings retitle, disable and add to the built-in ones
+    testScenarioEndings() {
+        if (!serviceContainer.has('randomService')) {
+            serviceContainer.registerInstance('randomService', randomService);
+        }
+        const gameState = new GameStateSystem();
+        gameState.applyScenarioEndings([
+            { id: 'GHOST', enabled: false },
+            { id: 'ADULT', title: 'Sage' },
+            { id: 'FETE', outcome: 'win', title: 'Fête', message: 'Tout le monde danse.', when: { gameTime: '>= 60' } }
+        ]);
+        
+        const adult = gameState.getEnding('ADULT');
+        const fete = gameState.getEnding('FETE');
+        gameState.gameTime = 61;
+        const passed = gameState.getEnding('GHOST') === null &&
+            adult.title === 'Sage' && typeof adult.condition === 'function' && adult.outcome === 'win' &&
+            fete.outcome === 'win' && fete.condition(gameState) &&
+            gameState.getEndings().map(ending => ending.id).pop() === 'FETE';
+        
+        return {
+            name: 'Scenario Endings',
+            passed: passed,
+            message: `Endings: ${gameState.getEndings().map(ending => ending.id).join(', ')}`
+        };
+    }
+
+    // Test 7: Applying a package overrides params, nested presets key by key
+    async testAppliesParams() {
+        const saved = {
+            rate: params.OUTRAGE_INCREASE_RATE,
+            casual: { ...params.DIFFICULTY_PRESETS.casual },
+            scenarioId: params.SCENARIO_ID
+        };
+        
+        const scenario = await this.loadFromMemory({
+            'scenario.json': JSON.stringify({
+                id: 'tweaks',
+                name: 'Tweaks',
+                params: { OUTRAGE_INCREASE_RATE: 2.5, DIFFICULTY_PRESETS: { casual: { base: 0.6 } } }
+            })
+        });
+        
+        try {
+            scenario.apply();
+            const casual = params.DIFFICULTY_PRESETS.casual;
+            const passed = params.OUTRAGE_INCREASE_RATE === 2.5 &&
+                casual.base === 0.6 && casual.ramp === saved.casual.ramp && casual.label === saved.casual.label &&
+                params.SCENARIO_ID === 'tweaks';
+            
+            return {
+                name: 'Applies Params',
+                passed: passed,
+                message: `Outrage rate ${params.OUTRAGE_INCREASE_RATE}, casual base ${casual.base}, scenario '${params.SCENARIO_ID}'`
+            };
+        } finally {
+            params.OUTRAGE_INCREASE_RATE = saved.rate;
+            params.DIFFICULTY_PRESETS.casual = saved.casual;
+            params.SCENARIO_ID = saved.scenarioId;
+        }
+    }
+
+    // Test 8: The imported zip outlives a page reload, so replays can seek backwards in it
+    async testKeepsImportedZip() {
+        // Outside a browser the session store lives only for this test
+        const ownStorage = typeof sessionStorage === 'undefined';
+        if (ownStorage) {
+            const items = new Map();
+            globalThis.sessionStorage = {
+                getItem: (key) => items.has(key) ? items.get(key) : null,
+                setItem: (key, value) => items.set(key, String(value)),
+                removeItem: (key) => items.delete(key)
+            };
+        }
+        const previous = sessionStorage.getItem('outrage.importedScenario');
+        const options = { assetExists: async (path) => path.startsWith('textures/') };
+        
+        try {
+            const imported = await ScenarioPackage.importZip(await this.buildZip(this.sampleFiles(), true), 'village.zip', options);
+            const reloaded = await ScenarioPackage.loadImported('import:village', options);
+            
+            let refusal = '';
+            try {
+                await ScenarioPackage.loadImported('import:hameau', options);
+            } catch (error) {
+                refusal = error.message;
+            }
+            
+            const passed = imported.id === 'import:village' &&
+                reloaded.id === imported.id && reloaded.name === 'Village' &&
+                reloaded.spriteURLs.get('textures/sprites/police_fbi.png').startsWith('blob:') &&
+                ScenarioPackage.canReload('import:village') &&
+                ScenarioPackage.canReload('conseil-municipal') &&
+                ScenarioPackage.canReload('') &&
+                !ScenarioPackage.canReload('import:hameau') &&
+                refusal.includes('import it again');
+            
+            return {
+                name: 'Keeps Imported Zip',
+                passed: passed,
+                message: `Reloaded ${reloaded.id}, other zips refused: ${refusal}`
+            };
+        } finally {
+            if (ownStorage) {
+                delete globalThis.sessionStorage;
+            } else if (previous === null) {
+                sessionStorage.removeItem('outrage.importedScenario');
+            } else {
+                sessionStorage.setItem('outrage.importedScenario', previous);
+            }
+        }
+    }
+
+    generateReport() {
+        const passed = this.results.filter(r => r.passed).length;
+        const total = this.results.length;
+        const successRate = (passed / total * 100).toFixed(1);
+        
+        const report = {
+            total: total,
+            passed: passed,
+            failed: total - passed,
+            successRate: successRate,
+            results: this.results
+        };
+        
+        console.log(`\n📊 Scenario Package Test Report:`);
+        console.log(`Total Tests: ${total}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${total - passed}`);
+        console.log(`Success Rate: ${successRate}%`);
+        
+        if (passed === total) {
+            console.log('🎉 All scenario package tests passed!');
+        } else {
+            console.log('⚠️ Some scenario package tests failed. Check the results for details.');
+        }
+        
+        return report;
+    }
+}
+
+// Export test runner function
+export async function runScenarioPackageTests() {
+    const tester = new ScenarioPackageTest();
+    return await tester.runTests();
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.runScenarioPackageTests = runScenarioPackageTests;
+    window.ScenarioPackageTest = ScenarioPackageTest;
+}
@@ -0,0 +1,216 @@
+// tests/SpatialHashTest.js - Test suite for the NPC spatial index
+import { SpatialHash, benchmarkSpatialHash } from '../utils/SpatialHash.js';
+
+export class SpatialHashTest {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Spatial Hash Tests...');
+        
+        this.tests = [
+            this.testMatchesBruteForce,
+            this.testExcludeItem,
+            this.testNegativeCoordinates,
+            this.testRadiusLargerThanCell,
+            this.testRebuild,
+            this.testBenchmark
+        ];
+        
+        for (const test of this.tests) {
+            try {
+                const result = await test.call(this);
+                this.results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+            } catch (error) {
+                this.results.push({
+                    name: test.name,
+                    passed: false,
+                    message: error.message,
+                    error: error
+                });
+                console.error(`❌ ${test.name}: ${error.message}`);
+            }
+        }
+        
+        return this.generateReport();
+    }
+
+    // Random items on a sphere, shaped like NPCs
+    createItems(count, radius = 30) {
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            items.push({
+                id: i,
+                transform: {
+                    position: {
+                        x: radius * Math.sin(phi) * Math.cos(theta),
+                        y: radius * Math.cos(phi),
+                        z: radius * Math.sin(phi) * Math.sin(theta)
+                    }
+                }
+            });
+        }
+        return items;
+    }
+
+    bruteForce(items, position, radius, exclude = null) {
+        return items.filter(item => {
+            if (item === exclude) return false;
+            const other = item.transform.position;
+            const dx = other.x - position.x;
+            const dy = other.y - position.y;
+            const dz = other.z - position.z;
+            return Math.sqrt(dx * dx + dy * dy + dz * dz) <= radius;
+        });
+    }
+
+    sameItems(a, b) {
+        if (a.length !== b.length) return false;
+        const ids = new Set(a.map(item => item.id));
+        return b.every(item => ids.has(item.id));
+    }
+
+    // Test 1: Query results match a brute-force filter
+    testMatchesBruteForce() {
+        const items = this.createItems(500);
+        const hash = new SpatialHash(4);
+        hash.build(items);
+        
+        let mismatches = 0;
+        for (let i = 0; i < 100; i++) {
+            const center = items[i].transform.position;
+            if (!this.sameItems(hash.queryRadius(center, 4), this.bruteForce(items, center, 4))) {
+                mismatches++;
+            }
+        }
+        
+        return {
+            name: 'Matches Brute Force',
+            passed: mismatches === 0,
+            message: mismatches === 0 ? '100 queries match brute force' : `${mismatches} queries differ from brute force`
+        };
+    }
+
+    // Test 2: The querying item can be excluded
+    testExcludeItem() {
+        const items = this.createItems(200);
+        const hash = new SpatialHash(4);
+        hash.build(items);
+        
+        const self = items[0];
+        const results = hash.queryRadius(self.transform.position, 6, self);
+        
+        return {
+            name: 'Exclude Item',
+            passed: !results.includes(self) && this.sameItems(results, this.bruteForce(items, self.transform.position, 6, self)),
+            message: 'Excluded item is left out of the results'
+        };
+    }
+
+    // Test 3: Cells on the negative side of every axis are found
+    testNegativeCoordinates() {
+        const item = { id: 0, transform: { position: { x: -0.1, y: -0.1, z: -0.1 } } };
+        const hash = new SpatialHash(4);
+        hash.build([item]);
+        
+        const results = hash.queryRadius({ x: 0.1, y: 0.1, z: 0.1 }, 1);
+        
+        return {
+            name: 'Negative Coordinates',
+            passed: results.length === 1 && results[0] === item,
+            message: results.length === 1 ? 'Query across the origin found the item' : 'Item across the origin was missed'
+        };
+    }
+
+    // Test 4: Radius spanning several cells
+    testRadiusLargerThanCell() {
+        const items = this.createItems(300);
+        const hash = new SpatialHash(1.5);
+        hash.build(items);
+        
+        const center = items[0].transform.position;
+        const passed = this.sameItems(hash.queryRadius(center, 12), this.bruteForce(items, center, 12));
+        
+        return {
+            name: 'Radius Larger Than Cell',
+            passed: passed,
+            message: passed ? 'Large radius query matches brute force' : 'Large radius query missed items'
+        };
+    }
+
+    // Test 5: Rebuilding picks up moved items
+    testRebuild() {
+        const item = { id: 0, transform: { position: { x: 0, y: 30, z: 0 } } };
+        const hash = new SpatialHash(4);
+        hash.build([item]);
+        
+        item.transform.position = { x: 0, y: -30, z: 0 };
+        hash.build([item]);
+        
+        const foundAtOld = hash.queryRadius({ x: 0, y: 30, z: 0 }, 1).length;
+        const foundAtNew = hash.queryRadius({ x: 0, y: -30, z: 0 }, 1).length;
+        
+        return {
+            name: 'Rebuild',
+            passed: foundAtOld === 0 && foundAtNew === 1 && hash.getStats().items === 1,
+            message: 'Rebuild moves items to their new cells'
+        };
+    }
+
+    // Test 6: Benchmark reports consistent results
+    testBenchmark() {
+        const results = benchmarkSpatialHash([100, 400], { queries: 50 });
+        
+        return {
+            name: 'Benchmark',
+            passed: results.length === 2 && results.every(result => result.matchesBruteForce),
+            message: 'Benchmark results agree with brute force'
+        };
+    }
+
+    // Generate test report
+    generateReport() {
+        const passed = this.results.filter(r => r.passed).length;
+        const total = this.results.length;
+        const successRate = (passed / total * 100).toFixed(1);
+        
+        const report = {
+            total: total,
+            passed: passed,
+            failed: total - passed,
+            successRate: successRate,
+            results: this.results
+        };
+        
+        console.log(`\n📊 Spatial Hash Test Report:`);
+        console.log(`Total Tests: ${total}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${total - passed}`);
+        console.log(`Success Rate: ${successRate}%`);
+        
+        if (passed === total) {
+            console.log('🎉 All spatial hash tests passed!');
+        } else {
+            console.log('⚠️ Some spatial hash tests failed. Check the results for details.');
+        }
+        
+        return report;
+    }
+}
+
+// Export test runner function
+export async function runSpatialHashTests() {
+    const tester = new SpatialHashTest();
+    return await tester.runTests();
+}
+
+// Make available globally for console testing
+if (typeof window !== 'undefined') {
+    window.runSpatialHashTests = runSpatialHashTests;
+    window.SpatialHashTest = SpatialHashTest;
+}
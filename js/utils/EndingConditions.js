@@ -0,0 +1,73 @@
+// utils/EndingConditions.js - Ending conditions written as data, for scenario packages
+// A condition maps run figures to comparisons, all of which must hold:
+//   { "gameTime": ">= 240", "outrage": "< 20", "crowdsVisited": 4 }   (a bare number means ">=")
+// Only the figures below can be read, so a package cannot run code in the game.
+
+// Figures of a GameStateSystem that conditions may compare
+export const ENDING_CONDITION_FIELDS = {
+    gameTime: (state) => state.gameTime,
+    score: (state) => state.getScore(),
+    outrage: (state) => state.outrage,
+    energy: (state) => state.energy,
+    polarisedPeople: (state) => state.polarisedPeople,
+    masksCollected: (state) => state.unlockedMasks.size,
+    calmTime: (state) => state.adultTimer,
+    chaosTime: (state) => state.chaosTimer,
+    maskChanges: (state) => state.runStats.maskChanges,
+    kickouts: (state) => state.runStats.kickouts,
+    chasedTime: (state) => state.runStats.chasedTime,
+    closeCalls: (state) => state.runStats.closeCalls,
+    crowdsVisited: (state) => state.runStats.crowdsVisited.length,
+    conversions: (state) => Object.values(state.runStats.conversions).reduce((sum, count) => sum + count, 0),
+    convertedIdeologies: (state) => state.getConvertedIdeologies().length
+};
+
+const COMPARISONS = {
+    '>=': (value, target) => value >= target,
+    '<=': (value, target) => value <= target,
+    '>': (value, target) => value > target,
+    '<': (value, target) => value < target,
+    '==': (value, target) => value === target,
+    '!=': (value, target) => value !== target
+};
+
+// Problems with a condition, as readable sentences (empty when it is fine)
+export function validateEndingCondition(when) {
+    if (!when || typeof when !== 'object' || Array.isArray(when) || Object.keys(when).length === 0) {
+        return ['"when" must be an object with at least one figure, e.g. { "gameTime": ">= 240" }'];
+    }
+    
+    const problems = [];
+    for (const [field, expression] of Object.entries(when)) {
+        if (!ENDING_CONDITION_FIELDS[field]) {
+            problems.push(`unknown figure "${field}" (expected one of ${Object.keys(ENDING_CONDITION_FIELDS).join(', ')})`);
+        } else if (!parseComparison(expression)) {
+            problems.push(`"${field}": ${JSON.stringify(expression)} is not a comparison like ">= 10" or "< 0.5"`);
+        }
+    }
+    return problems;
+}
+
+// condition(state) function for GameStateSystem endings; throws on an invalid condition
+export function compileEndingCondition(when) {
+    const problems = validateEndingCondition(when);
+    if (problems.length > 0) {
+        throw new Error(`Invalid ending condition: ${problems.join('; ')}`);
+    }
+    
+    const clauses = Object.entries(when).map(([field, expression]) => ({
+        read: ENDING_CONDITION_FIELDS[field],
+        ...parseComparison(expression)
+    }));
+    return (state) => clauses.every(({ read, compare, target }) => compare(read(state), target));
+}
+
+function parseComparison(expression) {
+    if (typeof expression === 'number' && Number.isFinite(expression)) {
+        return { compare: COMPARISONS['>='], target: expression };
+    }
+    if (typeof expression !== 'string') return null;
+    
+    const match = expression.trim().match(/^(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+    return match ? { compare: COMPARISONS[match[1]], target: Number(match[2]) } : null;
+}
@@ -0,0 +1,83 @@
+// utils/GameSnapshot.js - Versioned save format for complete world states
+// A snapshot holds what each system returned from getSnapshot(), keyed by its SystemManager
+// name, plus the random streams: restoring it and stepping on plays out exactly as the saved run.
+//
+// Schema (version 1):
+// {
+//   format: 'outrage-save', version: 1, createdAt: ISO date,
+//   seed: run seed, tick: fixed ticks simulated before the save,
+//   params: tunable values at save time (numbers, strings, booleans),
+//   random: RandomService.getState(),
+//   systems: { gameState: {...}, player: {...}, npc: {...}, maskPickup: {...}, police: {...} }
+// }
+// Vectors are stored as [x, y, z] arrays, Maps as [key, value] pairs and Sets as arrays.
+import { InputRecording } from './InputRecording.js';
+
+export const SNAPSHOT_FORMAT = 'outrage-save';
+export const SNAPSHOT_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version n save to version n + 1; add one whenever the schema changes
+const MIGRATIONS = {};
+
+export class GameSnapshot {
+    constructor({ seed, tick = 0, params = {}, random = null, systems = {}, createdAt = new Date().toISOString() } = {}) {
+        this.seed = seed;
+        this.tick = tick;
+        this.params = InputRecording.snapshotParams(params);
+        this.random = random;
+        this.systems = systems;
+        this.createdAt = createdAt;
+    }
+
+    getSystem(name) {
+        return this.systems[name] || null;
+    }
+
+    toJSON() {
+        return {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            createdAt: this.createdAt,
+            seed: this.seed,
+            tick: this.tick,
+            params: this.params,
+            random: this.random,
+            systems: this.systems
+        };
+    }
+
+    // Accepts the parsed object or the raw JSON text; older versions are migrated, anything else throws
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        
+        if (!data || data.format !== SNAPSHOT_FORMAT) {
+            throw new Error('Not a save file');
+        }
+        if (!Number.isInteger(data.version) || data.version > SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported save version ${data.version} (expected ${SNAPSHOT_VERSION} or older)`);
+        }
+        
+        while (data.version < SNAPSHOT_VERSION) {
+            const migrate = MIGRATIONS[data.version];
+            if (!migrate) {
+                throw new Error(`No migration from save version ${data.version}`);
+            }
+            data = { ...migrate(data), version: data.version + 1 };
+        }
+        
+        if (!data.systems || typeof data.systems !== 'object' || !data.random) {
+            throw new Error('Save file is missing its systems or random state');
+        }
+        
+        return new GameSnapshot({
+            seed: data.seed,
+            tick: data.tick || 0,
+            params: data.params || {},
+            random: data.random,
+            systems: data.systems,
+            createdAt: data.createdAt
+        });
+    }
+}
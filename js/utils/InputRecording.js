@@ -0,0 +1,99 @@
+// utils/InputRecording.js - Serializable input stream of one session, for deterministic replays
+// With the seed and the params snapshot, the per-tick movement vector and the player's
+// own mask changes are enough to replay a run: everything else follows from the simulation.
+// Sessions that start from a loaded save also carry that save, restored before tick 0.
+
+export const REPLAY_FORMAT = 'outrage-replay';
+export const REPLAY_VERSION = 1;
+
+export class InputRecording {
+    constructor({ seed, params = {}, stepSize, createdAt = new Date().toISOString(), snapshot = null } = {}) {
+        this.seed = seed;
+        this.params = InputRecording.snapshotParams(params);
+        this.stepSize = stepSize;
+        this.createdAt = createdAt;
+        this.ticks = 0;         // Fixed ticks covered by the recording
+        this.movement = [];     // { tick, x, y }, only when the vector changes
+        this.maskChanges = [];  // { tick, oldMask, newMask, reason }, every change (input ones are replayed)
+        this.snapshot = snapshot;   // GameSnapshot JSON the session starts from, null for a fresh run
+    }
+
+    // Tunable values only: numbers, strings and booleans
+    static snapshotParams(params) {
+        const snapshot = {};
+        for (const [key, value] of Object.entries(params)) {
+            if (['number', 'string', 'boolean'].includes(typeof value)) {
+                snapshot[key] = value;
+            }
+        }
+        return snapshot;
+    }
+
+    recordMovement(tick, x, y) {
+        const last = this.movement[this.movement.length - 1];
+        if (last && last.x === x && last.y === y) return;
+        
+        // Two samples on one tick: the latest wins
+        if (last && last.tick === tick) {
+            this.movement.pop();
+        }
+        this.movement.push({ tick, x, y });
+    }
+
+    recordMaskChange(tick, oldMask, newMask, reason) {
+        this.maskChanges.push({ tick, oldMask, newMask, reason });
+    }
+
+    getInputMaskChanges() {
+        return this.maskChanges.filter(change => change.reason === 'input');
+    }
+
+    getDuration() {
+        return this.ticks * this.stepSize;
+    }
+
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            createdAt: this.createdAt,
+            stepSize: this.stepSize,
+            ticks: this.ticks,
+            params: this.params,
+            movement: this.movement,
+            maskChanges: this.maskChanges,
+            snapshot: this.snapshot
+        };
+    }
+
+    // Accepts the parsed object or the raw JSON text; throws on files we cannot replay
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a replay file');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`);
+        }
+        if (data.seed === undefined || !(data.stepSize > 0) || !Number.isInteger(data.ticks)) {
+            throw new Error('Replay file is missing its seed, step size or length');
+        }
+        
+        const recording = new InputRecording({
+            seed: data.seed,
+            params: data.params || {},
+            stepSize: data.stepSize,
+            createdAt: data.createdAt,
+            snapshot: data.snapshot || null
+        });
+        recording.ticks = data.ticks;
+        recording.movement = (data.movement || []).map(({ tick, x, y }) => ({ tick, x, y }));
+        recording.maskChanges = (data.maskChanges || []).map(({ tick, oldMask, newMask, reason }) => ({ tick, oldMask, newMask, reason }));
+        
+        return recording;
+    }
+}
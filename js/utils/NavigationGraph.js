@@ -0,0 +1,226 @@
+// utils/NavigationGraph.js - Weighted navigation graph over the planet surface for route planning
+// Nodes are the vertices of an icosphere (the same subdivided icosahedron as the planet model),
+// edges its triangle sides. Each node carries a crowd count; edges through crowded nodes cost more,
+// so A* routes go around dense crowds instead of straight through them.
+import * as THREE from 'three';
+import { SpatialHash } from './SpatialHash.js';
+
+export class NavigationGraph {
+    constructor(radius, detail = 8) {
+        this.radius = radius;
+        this.detail = detail;
+        
+        this.positions = [];   // THREE.Vector3 per node, on the sphere
+        this.neighbours = [];  // Node indices per node
+        this.crowd = [];       // NPCs counted around each node (see setCrowd)
+        this.crowdCost = 0;    // Extra cost per NPC, relative to the edge length
+        this.edgeLength = 0;
+        
+        this.buildFromIcosphere();
+        
+        // Nearest-node lookups
+        this.nodeIndex = new SpatialHash(this.edgeLength, (node) => this.positions[node]);
+        this.nodeIndex.build(this.positions.map((position, node) => node));
+        
+        // Search cost counters (see getStats)
+        this.stats = { searches: 0, nodesExpanded: 0 };
+    }
+
+    // IcosahedronGeometry repeats shared vertices per face: merge them into nodes
+    buildFromIcosphere() {
+        const geometry = new THREE.IcosahedronGeometry(this.radius, this.detail);
+        const vertices = geometry.getAttribute('position');
+        const nodeByKey = new Map();
+        const vertexNodes = [];
+        
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < vertices.count; i++) {
+            vertex.fromBufferAttribute(vertices, i);
+            const key = `${vertex.x.toFixed(3)},${vertex.y.toFixed(3)},${vertex.z.toFixed(3)}`;
+            
+            let node = nodeByKey.get(key);
+            if (node === undefined) {
+                node = this.positions.length;
+                nodeByKey.set(key, node);
+                this.positions.push(vertex.clone().setLength(this.radius));
+                this.neighbours.push(new Set());
+            }
+            vertexNodes.push(node);
+        }
+        
+        let totalLength = 0;
+        let edges = 0;
+        for (let i = 0; i < vertexNodes.length; i += 3) {
+            const face = [vertexNodes[i], vertexNodes[i + 1], vertexNodes[i + 2]];
+            for (let j = 0; j < 3; j++) {
+                const a = face[j];
+                const b = face[(j + 1) % 3];
+                if (this.neighbours[a].has(b)) continue;
+                
+                this.neighbours[a].add(b);
+                this.neighbours[b].add(a);
+                totalLength += this.positions[a].distanceTo(this.positions[b]);
+                edges++;
+            }
+        }
+        
+        geometry.dispose();
+        this.neighbours = this.neighbours.map(set => Array.from(set));
+        this.crowd = new Array(this.positions.length).fill(0);
+        this.edgeLength = totalLength / edges;
+    }
+
+    getNodeCount() {
+        return this.positions.length;
+    }
+
+    nearestNode(position) {
+        // Nodes are about one edge apart, so one edge around any surface point finds at least one
+        const candidates = this.nodeIndex.queryRadius(position, this.edgeLength);
+        const pool = candidates.length > 0 ? candidates : this.positions.map((p, node) => node);
+        
+        let nearest = pool[0];
+        let nearestDistance = Infinity;
+        for (const node of pool) {
+            const distance = this.positions[node].distanceToSquared(position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = node;
+            }
+        }
+        return nearest;
+    }
+
+    // Count the given positions onto their nearest nodes; costPerItem scales how much each one weighs
+    setCrowd(positions, costPerItem) {
+        this.crowd.fill(0);
+        this.crowdCost = costPerItem;
+        
+        for (const position of positions) {
+            this.crowd[this.nearestNode(position)]++;
+        }
+    }
+
+    edgeCost(a, b) {
+        const crowding = (this.crowd[a] + this.crowd[b]) / 2;
+        return this.positions[a].distanceTo(this.positions[b]) * (1 + this.crowdCost * crowding);
+    }
+
+    // A* between the nodes nearest to both points. Returns the waypoints after the start node,
+    // ending on `to` itself, or null when nothing connects them (cannot happen on a closed sphere).
+    findPath(from, to) {
+        const start = this.nearestNode(from);
+        const goal = this.nearestNode(to);
+        this.stats.searches++;
+        
+        if (start === goal) {
+            return [to.clone()];
+        }
+        
+        const nodeCount = this.positions.length;
+        const cost = new Float64Array(nodeCount).fill(Infinity);
+        const cameFrom = new Int32Array(nodeCount).fill(-1);
+        const closed = new Uint8Array(nodeCount);
+        const open = new MinHeap();
+        
+        cost[start] = 0;
+        open.push(start, this.positions[start].distanceTo(this.positions[goal]));
+        
+        while (open.size() > 0) {
+            const node = open.pop();
+            if (node === goal) break;
+            if (closed[node]) continue;
+            
+            closed[node] = 1;
+            this.stats.nodesExpanded++;
+            
+            for (const next of this.neighbours[node]) {
+                if (closed[next]) continue;
+                
+                const nextCost = cost[node] + this.edgeCost(node, next);
+                if (nextCost < cost[next]) {
+                    cost[next] = nextCost;
+                    cameFrom[next] = node;
+                    // Straight-line distance never overestimates: the heuristic stays admissible
+                    open.push(next, nextCost + this.positions[next].distanceTo(this.positions[goal]));
+                }
+            }
+        }
+        
+        if (cameFrom[goal] === -1) return null;
+        
+        const path = [to.clone()];
+        for (let node = cameFrom[goal]; node !== start; node = cameFrom[node]) {
+            path.unshift(this.positions[node].clone());
+        }
+        return path;
+    }
+
+    getStats() {
+        return {
+            nodes: this.positions.length,
+            edgeLength: Number(this.edgeLength.toFixed(3)),
+            crowdedNodes: this.crowd.filter(count => count > 0).length,
+            ...this.stats
+        };
+    }
+
+    resetStats() {
+        this.stats = { searches: 0, nodesExpanded: 0 };
+    }
+}
+
+// Binary min-heap of node indices keyed by priority
+class MinHeap {
+    constructor() {
+        this.nodes = [];
+        this.priorities = [];
+    }
+
+    size() {
+        return this.nodes.length;
+    }
+
+    push(node, priority) {
+        this.nodes.push(node);
+        this.priorities.push(priority);
+        
+        let i = this.nodes.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.nodes[0];
+        const lastNode = this.nodes.pop();
+        const lastPriority = this.priorities.pop();
+        
+        if (this.nodes.length > 0) {
+            this.nodes[0] = lastNode;
+            this.priorities[0] = lastPriority;
+            
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.nodes.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.nodes.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        
+        return top;
+    }
+
+    swap(a, b) {
+        [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
@@ -0,0 +1,563 @@
+// utils/ScenarioPackage.js - Scenario packages: a local political landscape without touching the code
+// A package is a folder bundled under params.SCENARIOS_URL, or a zip imported from the start-up menu,
+// holding a scenario.json manifest:
+//   {
+//     "id": "conseil-municipal", "name": "Conseil municipal", "description": "...",
+//     "params": { "OUTRAGE_INCREASE_RATE": 4 },             params.js values to override
+//     "ideologies": "ideologies.json",                      factions, same format as data/ideologies.json
+//     "posts": "posts.json",                                social feed, same format as data/posts.json
+//     "sprites": { "textures/sprites/police_fbi.png": "sprites/police.png" },   game textures to replace
+//     "endings": [
+//       { "id": "TOURIST", "enabled": false },
+//       { "id": "MAYOR", "outcome": "win", "title": "...", "message": "...", "when": { "gameTime": ">= 240" } }
+//     ]
+//   }
+// Paths are relative to the package; a path the package does not hold falls back to the game's own
+// assets, so "textures/sprites/group_sjw.png" reuses a stock sprite. Everything is checked on load
+// and every problem is reported at once, so a package can be fixed in one go.
+import * as THREE from 'three';
+import { params } from '../params.js';
+import { IdeologyRegistry, ideologyRegistry } from '../core/IdeologyRegistry.js';
+import { DEFAULT_ENDINGS } from '../systems/GameStateSystem.js';
+import { validateEndingCondition } from './EndingConditions.js';
+import { ZipArchive } from './ZipArchive.js';
+
+export const SCENARIO_MANIFEST = 'scenario.json';
+export const IMPORTED_SCENARIO_PREFIX = 'import:';
+
+// Last zip imported in this tab, kept so replays can reload the page into it
+const IMPORTED_ZIP_KEY = 'outrage.importedScenario';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const MANIFEST_FIELDS = ['id', 'name', 'description', 'author', 'version', 'params', 'ideologies', 'posts', 'sprites', 'endings'];
+const ENDING_FIELDS = ['id', 'enabled', 'outcome', 'title', 'message', 'hint', 'when'];
+const OUTCOMES = ['win', 'lose'];
+const MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', json: 'application/json' };
+
+// Params a manifest may not set: files and the package identity have fields of their own
+const RESERVED_PARAMS = {
+    SCENARIOS_URL: 'it is set by the game',
+    SCENARIO_ID: 'it is set by the game',
+    IDEOLOGY_DATA_URL: 'use the "ideologies" field',
+    SOCIAL_FEED_DATA_URL: 'use the "posts" field'
+};
+
+export class ScenarioPackage {
+    constructor(id, manifest, source) {
+        this.id = id;                 // params.SCENARIO_ID: the folder name, or 'import:<id>' for a zip
+        this.manifest = manifest;
+        this.source = source;
+        this.name = manifest.name;
+        this.description = manifest.description || '';
+        this.ideologies = null;       // Ideology data with sprite URLs resolved, null keeps the game's
+        this.postsURL = null;         // null keeps the game's feed
+        this.spriteURLs = new Map();  // Game texture path -> replacement URL
+        this.endings = manifest.endings || [];
+    }
+
+    // Package bundled as a folder under params.SCENARIOS_URL
+    static async loadBundled(id, options = {}) {
+        if (id.startsWith(IMPORTED_SCENARIO_PREFIX)) {
+            throw new Error(`Scenario "${id.slice(IMPORTED_SCENARIO_PREFIX.length)}" came from a zip file: import it again from the start-up menu`);
+        }
+        if (!ID_PATTERN.test(id)) {
+            throw new Error(`"${id}" is not a scenario id`);
+        }
+        
+        return ScenarioPackage.load(new FolderFiles(`${params.SCENARIOS_URL}${id}/`), { ...options, id });
+    }
+
+    static async fromZip(buffer, fileName, options = {}) {
+        return ScenarioPackage.load(new ZipFiles(ZipArchive.fromArrayBuffer(buffer, fileName)), options);
+    }
+
+    // Zip picked from the start-up menu; once it checks out it is kept for the rest of the session
+    static async importZip(buffer, fileName, options = {}) {
+        const scenario = await ScenarioPackage.fromZip(buffer, fileName, options);
+        if (typeof sessionStorage === 'undefined') return scenario;
+        
+        try {
+            sessionStorage.setItem(IMPORTED_ZIP_KEY, JSON.stringify({
+                id: scenario.id,
+                fileName: fileName,
+                data: bytesToBase64(new Uint8Array(buffer))
+            }));
+        } catch (error) {
+            sessionStorage.removeItem(IMPORTED_ZIP_KEY);
+            console.warn(`🗺️ ${fileName} is too large to keep: replays will not be able to reload it`, error);
+        }
+        
+        return scenario;
+    }
+
+    // The zip imported earlier in this tab, loaded again after a page reload (replays)
+    static async loadImported(id, options = {}) {
+        const stored = readImportedZip();
+        if (!stored || stored.id !== id) {
+            throw new Error(`Scenario "${id.slice(IMPORTED_SCENARIO_PREFIX.length)}" came from a zip file: import it again from the start-up menu`);
+        }
+        
+        return ScenarioPackage.fromZip(base64ToBytes(stored.data).buffer, stored.fileName, options);
+    }
+
+    // Whether a page reload can bring the scenario back (bundled ones always can)
+    static canReload(id) {
+        if (!id || !id.startsWith(IMPORTED_SCENARIO_PREFIX)) return true;
+        
+        const stored = readImportedZip();
+        return stored !== null && stored.id === id;
+    }
+
+    // Reads and checks a whole package. files is { name, imported, has(path), readText(path), getURL(path) };
+    // options.id is the id the manifest must declare, options.assetExists(path) whether the game serves a file
+    static async load(files, { id = null, assetExists = urlExists } = {}) {
+        const manifest = await readJSON(files, SCENARIO_MANIFEST);
+        const problems = validateManifest(manifest, id);
+        const label = typeof manifest.name === 'string' && manifest.name ? manifest.name : files.name;
+        
+        const scenario = new ScenarioPackage(
+            files.imported ? `${IMPORTED_SCENARIO_PREFIX}${manifest.id}` : manifest.id,
+            manifest,
+            files.name
+        );
+        
+        // Package files first, then the game's own assets
+        const locate = async (path, what) => {
+            const clean = normalisePath(path);
+            if (clean === null) {
+                problems.push(`${what}: "${path}" must be a relative path without ".."`);
+                return null;
+            }
+            if (await files.has(clean)) return files.getURL(clean);
+            if (await assetExists(clean)) return clean;
+            
+            problems.push(`${what}: "${path}" is neither in the package nor in the game`);
+            return null;
+        };
+        
+        if (typeof manifest.ideologies === 'string') {
+            const data = await readJSON(files, manifest.ideologies, problems);
+            if (data) {
+                await resolveIdeologySprites(data, manifest.ideologies, locate);
+                try {
+                    IdeologyRegistry.parse(data, manifest.ideologies);
+                    scenario.ideologies = data;
+                } catch (error) {
+                    problems.push(`${manifest.ideologies}: ${error.message}`);
+                }
+            }
+        }
+        
+        if (typeof manifest.posts === 'string') {
+            const data = await readJSON(files, manifest.posts, problems);
+            if (data) {
+                problems.push(...validatePosts(data, manifest.posts, scenario.ideologies));
+                scenario.postsURL = await files.getURL(normalisePath(manifest.posts));
+            }
+        }
+        
+        if (isPlainObject(manifest.sprites)) {
+            for (const [gamePath, path] of Object.entries(manifest.sprites)) {
+                if (typeof path !== 'string') {
+                    problems.push(`sprites: "${gamePath}" must map to a file of the package`);
+                    continue;
+                }
+                const url = await locate(path, `sprites: replacement for ${gamePath}`);
+                if (url) scenario.spriteURLs.set(gamePath, url);
+            }
+        }
+        
+        if (problems.length > 0) {
+            const error = new Error(`Scenario "${label}" cannot be loaded:\n- ${problems.join('\n- ')}`);
+            error.problems = problems;
+            throw error;
+        }
+        
+        return scenario;
+    }
+
+    // Bundled packages for the start-up menu; they are only checked once picked
+    static async listBundled() {
+        let index;
+        try {
+            const response = await fetch(`${params.SCENARIOS_URL}index.json`);
+            if (!response.ok) return [];
+            index = await response.json();
+        } catch (error) {
+            console.warn('🗺️ Could not list the bundled scenarios:', error);
+            return [];
+        }
+        
+        const ids = Array.isArray(index.scenarios) ? index.scenarios.filter(id => typeof id === 'string') : [];
+        return Promise.all(ids.map(async (id) => {
+            try {
+                const manifest = await readJSON(new FolderFiles(`${params.SCENARIOS_URL}${id}/`), SCENARIO_MANIFEST);
+                return { id, name: String(manifest.name || id), description: String(manifest.description || '') };
+            } catch (error) {
+                return { id, name: id, description: error.message };
+            }
+        }));
+    }
+
+    // Package asked for on the page URL (?scenario=<id>), or null
+    static idFromPage(search = typeof window !== 'undefined' && window.location ? window.location.search : '') {
+        return new URLSearchParams(search).get('scenario') || null;
+    }
+
+    // Swaps the game's data for the package's; must run before the systems initialize.
+    // Endings are picked up by GameStateSystem from the 'scenario' service.
+    apply() {
+        mergeParams(params, this.manifest.params || {});
+        params.SCENARIO_ID = this.id;
+        
+        if (this.ideologies) {
+            ideologyRegistry.setData(this.ideologies, `${this.source}/${this.manifest.ideologies}`);
+        }
+        if (this.postsURL) {
+            params.SOCIAL_FEED_DATA_URL = this.postsURL;
+        }
+        if (this.spriteURLs.size > 0) {
+            THREE.DefaultLoadingManager.setURLModifier((url) => this.spriteURLs.get(url) ?? url);
+        }
+        
+        console.log(`🗺️ Scenario "${this.name}" (${this.id}) applied`);
+    }
+}
+
+// Package served as a folder next to the game
+class FolderFiles {
+    constructor(baseURL) {
+        this.baseURL = baseURL;
+        this.name = baseURL;
+        this.imported = false;
+    }
+
+    has(path) {
+        return urlExists(this.baseURL + path);
+    }
+
+    async readText(path) {
+        const response = await fetch(this.baseURL + path);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+
+    async getURL(path) {
+        return this.baseURL + path;
+    }
+}
+
+// Package imported as a zip; its files are handed to the game as blob URLs
+class ZipFiles {
+    constructor(archive) {
+        this.archive = archive;
+        this.name = archive.name;
+        this.imported = true;
+        this.urls = new Map();
+        
+        // Zipping the package folder itself puts everything one level down
+        const manifest = archive.getPaths()
+            .filter(path => path === SCENARIO_MANIFEST || path.endsWith(`/${SCENARIO_MANIFEST}`))
+            .sort((a, b) => a.length - b.length)[0];
+        this.root = manifest ? manifest.slice(0, -SCENARIO_MANIFEST.length) : '';
+    }
+
+    async has(path) {
+        return this.archive.has(this.root + path);
+    }
+
+    readText(path) {
+        return this.archive.getText(this.root + path);
+    }
+
+    async getURL(path) {
+        if (!this.urls.has(path)) {
+            const type = MIME_TYPES[path.split('.').pop().toLowerCase()] || '';
+            this.urls.set(path, URL.createObjectURL(await this.archive.getBlob(this.root + path, type)));
+        }
+        return this.urls.get(path);
+    }
+}
+
+function readImportedZip() {
+    if (typeof sessionStorage === 'undefined') return null;
+    
+    try {
+        return JSON.parse(sessionStorage.getItem(IMPORTED_ZIP_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// sessionStorage only holds text; chunks keep fromCharCode under the argument limit
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function urlExists(url) {
+    try {
+        const response = await fetch(url, { method: 'HEAD' });
+        // The dev server answers unknown paths with the page itself
+        return response.ok && !(response.headers.get('content-type') || '').includes('text/html');
+    } catch (error) {
+        return false;
+    }
+}
+
+// Without problems to collect, a missing or broken file throws
+async function readJSON(files, path, problems = null) {
+    const fail = (message) => {
+        if (!problems) throw new Error(message);
+        problems.push(message);
+        return null;
+    };
+    
+    const clean = normalisePath(path);
+    if (clean === null) return fail(`"${path}" must be a relative path without ".."`);
+    if (!(await files.has(clean))) return fail(`${clean} is missing from ${files.name}`);
+    
+    try {
+        return JSON.parse(await files.readText(clean));
+    } catch (error) {
+        return fail(`${clean} is not valid JSON (${error.message})`);
+    }
+}
+
+function normalisePath(path) {
+    if (typeof path !== 'string') return null;
+    
+    const clean = path.trim().replace(/^(\.\/)+/, '');
+    if (!clean || clean.startsWith('/') || clean.includes('\\') || /^[a-z][a-z0-9+.-]*:/i.test(clean)) return null;
+    if (clean.split('/').includes('..')) return null;
+    return clean;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function kindOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'list';
+    return typeof value;
+}
+
+// Problems with the manifest itself, before any file is read
+function validateManifest(manifest, expectedId) {
+    if (!isPlainObject(manifest)) {
+        return [`${SCENARIO_MANIFEST} must hold an object`];
+    }
+    
+    const problems = [];
+    for (const field of Object.keys(manifest)) {
+        if (!MANIFEST_FIELDS.includes(field)) {
+            problems.push(`unknown field "${field}" (expected ${MANIFEST_FIELDS.join(', ')})`);
+        }
+    }
+    
+    if (typeof manifest.id !== 'string' || !ID_PATTERN.test(manifest.id)) {
+        problems.push('"id" must be lower-case letters, digits, "-" or "_", e.g. "conseil-municipal"');
+    } else if (expectedId && manifest.id !== expectedId) {
+        problems.push(`"id" is "${manifest.id}" but the package folder is "${expectedId}"`);
+    }
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+        problems.push('"name" must be a non-empty text');
+    }
+    for (const field of ['description', 'author', 'version', 'ideologies', 'posts']) {
+        if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+            problems.push(`"${field}" must be a text`);
+        }
+    }
+    if (manifest.sprites !== undefined && !isPlainObject(manifest.sprites)) {
+        problems.push('"sprites" must map game texture paths to files of the package');
+    }
+    
+    if (manifest.params !== undefined) {
+        if (isPlainObject(manifest.params)) {
+            validateParams(manifest.params, params, 'params', problems);
+        } else {
+            problems.push('"params" must map params.js names to values');
+        }
+    }
+    
+    if (manifest.endings !== undefined) {
+        if (Array.isArray(manifest.endings)) {
+            const seen = new Set();
+            manifest.endings.forEach((ending, index) => validateEnding(ending, index, seen, problems));
+        } else {
+            problems.push('"endings" must be a list');
+        }
+    }
+    
+    return problems;
+}
+
+// Overrides must name existing params and keep their kind; objects are checked key by key
+function validateParams(overrides, defaults, path, problems) {
+    for (const [key, value] of Object.entries(overrides)) {
+        const name = `${path}.${key}`;
+        if (path === 'params' && RESERVED_PARAMS[key]) {
+            problems.push(`${name} cannot be overridden: ${RESERVED_PARAMS[key]}`);
+        } else if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+            problems.push(`${name} is not a game parameter`);
+        } else if (kindOf(value) !== kindOf(defaults[key])) {
+            problems.push(`${name} must be a ${kindOf(defaults[key])}, not a ${kindOf(value)}`);
+        } else if (isPlainObject(value)) {
+            validateParams(value, defaults[key], name, problems);
+        } else if (Array.isArray(value)) {
+            validateList(value, defaults[key], name, problems);
+        }
+    }
+}
+
+// A list replaces the game's whole: it may not be empty when the game's is not, and every entry
+// must look like the game's first one (same fields, same kinds), since systems index into it
+function validateList(list, defaults, path, problems) {
+    if (defaults.length === 0) return;
+    if (list.length === 0) {
+        problems.push(`${path} cannot be empty`);
+        return;
+    }
+    
+    const model = defaults[0];
+    list.forEach((entry, index) => {
+        const name = `${path}[${index}]`;
+        if (kindOf(entry) !== kindOf(model)) {
+            problems.push(`${name} must be a ${kindOf(model)}, not a ${kindOf(entry)}`);
+        } else if (isPlainObject(model)) {
+            validateListEntry(entry, model, name, problems);
+        } else if (Array.isArray(model)) {
+            validateList(entry, model, name, problems);
+        }
+    });
+}
+
+function validateListEntry(entry, model, path, problems) {
+    for (const key of Object.keys(entry)) {
+        if (!Object.prototype.hasOwnProperty.call(model, key)) {
+            problems.push(`${path}.${key} is not a field of these entries (expected ${Object.keys(model).join(', ')})`);
+        }
+    }
+    for (const [key, value] of Object.entries(model)) {
+        const name = `${path}.${key}`;
+        if (!Object.prototype.hasOwnProperty.call(entry, key)) {
+            problems.push(`${name} is missing`);
+        } else if (kindOf(entry[key]) !== kindOf(value)) {
+            problems.push(`${name} must be a ${kindOf(value)}, not a ${kindOf(entry[key])}`);
+        } else if (isPlainObject(value)) {
+            validateListEntry(entry[key], value, name, problems);
+        } else if (Array.isArray(value)) {
+            validateList(entry[key], value, name, problems);
+        }
+    }
+}
+
+function mergeParams(target, overrides) {
+    for (const [key, value] of Object.entries(overrides)) {
+        if (isPlainObject(value)) {
+            mergeParams(target[key], value);
+        } else {
+            target[key] = Array.isArray(value) ? structuredClone(value) : value;
+        }
+    }
+}
+
+// Built-in endings may be retitled, disabled or given a condition; new ones need all three
+function validateEnding(ending, index, seen, problems) {
+    if (!isPlainObject(ending)) {
+        problems.push(`endings[${index}] must be an object`);
+        return;
+    }
+    
+    const label = typeof ending.id === 'string' ? `ending ${ending.id}` : `endings[${index}]`;
+    if (typeof ending.id !== 'string' || !ending.id) {
+        problems.push(`${label} needs an "id"`);
+    } else if (seen.has(ending.id)) {
+        problems.push(`${label} is listed twice`);
+    }
+    seen.add(ending.id);
+    
+    for (const field of Object.keys(ending)) {
+        if (!ENDING_FIELDS.includes(field)) {
+            problems.push(`${label}: unknown field "${field}" (expected ${ENDING_FIELDS.join(', ')})`);
+        }
+    }
+    if (ending.enabled !== undefined && typeof ending.enabled !== 'boolean') {
+        problems.push(`${label}: "enabled" must be true or false`);
+    }
+    if (ending.outcome !== undefined && !OUTCOMES.includes(ending.outcome)) {
+        problems.push(`${label}: "outcome" must be "win" or "lose"`);
+    }
+    for (const field of ['title', 'message', 'hint']) {
+        if (ending[field] !== undefined && typeof ending[field] !== 'string') {
+            problems.push(`${label}: "${field}" must be a text`);
+        }
+    }
+    
+    const builtIn = DEFAULT_ENDINGS.find(defaultEnding => defaultEnding.id === ending.id);
+    if (builtIn && !builtIn.condition && ending.enabled === false) {
+        // Other systems end the run with it whatever the registry holds (PoliceSystem → CAUGHT)
+        problems.push(`${label} cannot be disabled: the game triggers it itself`);
+    }
+    if (!builtIn && ending.enabled !== false && (!ending.title || !ending.message || !ending.when)) {
+        problems.push(`${label} is a new ending: it needs a "title", a "message" and a "when" condition`);
+    }
+    if (ending.when !== undefined) {
+        problems.push(...validateEndingCondition(ending.when).map(problem => `${label}: ${problem}`));
+    }
+}
+
+// Sprite paths of the ideology file become URLs the game can load
+async function resolveIdeologySprites(data, file, locate) {
+    const definitions = [data.neutral, ...(Array.isArray(data.ideologies) ? data.ideologies : [])];
+    for (const definition of definitions) {
+        if (!isPlainObject(definition) || !isPlainObject(definition.sprites)) continue;
+        
+        const owner = definition === data.neutral ? 'the neutral mask' : `ideology ${definition.id}`;
+        for (const role of ['npc', 'player']) {
+            if (typeof definition.sprites[role] !== 'string') continue;
+            definition.sprites[role] = await locate(definition.sprites[role], `${file}: ${role} sprite of ${owner}`);
+        }
+    }
+}
+
+function validatePosts(data, file, ideologies) {
+    if (!isPlainObject(data) || !Array.isArray(data.posts) || data.posts.length === 0) {
+        return [`${file} has no "posts" list`];
+    }
+    
+    const problems = [];
+    const ids = ideologies ? new Set(ideologies.ideologies.map(definition => definition.id)) : null;
+    data.posts.forEach((post, index) => {
+        const label = `${file}: post ${index + 1}`;
+        if (!isPlainObject(post) || typeof post.text !== 'string' || !post.text) {
+            problems.push(`${label} needs a "text"`);
+            return;
+        }
+        if (typeof post.tier !== 'number') {
+            problems.push(`${label} needs a numeric "tier" (virality)`);
+        }
+        if (post.ideology !== null && post.ideology !== undefined && ids && !ids.has(post.ideology)) {
+            problems.push(`${label} belongs to unknown ideology ${JSON.stringify(post.ideology)}`);
+        }
+    });
+    if (data.authors !== undefined && !isPlainObject(data.authors)) {
+        problems.push(`${file}: "authors" must map ideologies to author lists`);
+    }
+    return problems;
+}
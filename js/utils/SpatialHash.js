@@ -0,0 +1,182 @@
+// utils/SpatialHash.js - Uniform grid spatial index for neighbour queries
+// Points live on the planet surface, so a 3D grid only fills the cells the
+// sphere crosses and queries stay exact (chord distance, like Vector3.distanceTo).
+
+const CELL_OFFSET = 512; // Cell coordinates must stay within [-512, 511] on each axis
+const CELL_RANGE = 1024;
+
+export class SpatialHash {
+    constructor(cellSize = 4, getPosition = (item) => item.transform.position) {
+        this.cellSize = cellSize;
+        this.getPosition = getPosition;
+        this.cells = new Map();
+        this.itemCount = 0;
+        
+        // Query cost counters (see resetStats / getStats)
+        this.stats = { queries: 0, cellsVisited: 0, candidatesChecked: 0 };
+    }
+
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    cellKey(ix, iy, iz) {
+        return ((ix + CELL_OFFSET) * CELL_RANGE + (iy + CELL_OFFSET)) * CELL_RANGE + (iz + CELL_OFFSET);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.itemCount = 0;
+    }
+
+    insert(item) {
+        const position = this.getPosition(item);
+        const key = this.cellKey(this.cellCoord(position.x), this.cellCoord(position.y), this.cellCoord(position.z));
+        
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(item);
+        this.itemCount++;
+    }
+
+    // Rebuild the whole index from a list of items
+    build(items) {
+        this.clear();
+        for (const item of items) {
+            this.insert(item);
+        }
+    }
+
+    // Items within radius of position, optionally excluding one item
+    queryRadius(position, radius, exclude = null, results = []) {
+        const radiusSq = radius * radius;
+        const minX = this.cellCoord(position.x - radius);
+        const maxX = this.cellCoord(position.x + radius);
+        const minY = this.cellCoord(position.y - radius);
+        const maxY = this.cellCoord(position.y + radius);
+        const minZ = this.cellCoord(position.z - radius);
+        const maxZ = this.cellCoord(position.z + radius);
+        
+        this.stats.queries++;
+        
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iy = minY; iy <= maxY; iy++) {
+                for (let iz = minZ; iz <= maxZ; iz++) {
+                    const cell = this.cells.get(this.cellKey(ix, iy, iz));
+                    if (!cell) continue;
+                    
+                    this.stats.cellsVisited++;
+                    this.stats.candidatesChecked += cell.length;
+                    
+                    for (const item of cell) {
+                        if (item === exclude) continue;
+                        
+                        const other = this.getPosition(item);
+                        const dx = other.x - position.x;
+                        const dy = other.y - position.y;
+                        const dz = other.z - position.z;
+                        if (dx * dx + dy * dy + dz * dz <= radiusSq) {
+                            results.push(item);
+                        }
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+
+    getStats() {
+        let largestCell = 0;
+        for (const cell of this.cells.values()) {
+            largestCell = Math.max(largestCell, cell.length);
+        }
+        
+        return {
+            cellSize: this.cellSize,
+            items: this.itemCount,
+            occupiedCells: this.cells.size,
+            averagePerCell: this.cells.size > 0 ? this.itemCount / this.cells.size : 0,
+            largestCell: largestCell,
+            ...this.stats
+        };
+    }
+
+    resetStats() {
+        this.stats = { queries: 0, cellsVisited: 0, candidatesChecked: 0 };
+    }
+}
+
+// Compare hashed and brute-force radius queries on random points of a sphere
+export function benchmarkSpatialHash(counts = [250, 1000, 2500, 5000], options = {}) {
+    const {
+        surfaceRadius = 30,
+        cellSize = 4,
+        radius = 4,
+        queries = 500
+    } = options;
+
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    const results = [];
+
+    for (const count of counts) {
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            items.push({
+                position: {
+                    x: surfaceRadius * Math.sin(phi) * Math.cos(theta),
+                    y: surfaceRadius * Math.cos(phi),
+                    z: surfaceRadius * Math.sin(phi) * Math.sin(theta)
+                }
+            });
+        }
+        
+        const hash = new SpatialHash(cellSize, (item) => item.position);
+        const queryCount = Math.min(queries, count);
+        
+        let start = now();
+        hash.build(items);
+        const buildTime = now() - start;
+        
+        start = now();
+        let hashedFound = 0;
+        for (let i = 0; i < queryCount; i++) {
+            hashedFound += hash.queryRadius(items[i].position, radius, items[i]).length;
+        }
+        const hashedTime = now() - start;
+        
+        start = now();
+        let bruteFound = 0;
+        const radiusSq = radius * radius;
+        for (let i = 0; i < queryCount; i++) {
+            const center = items[i].position;
+            bruteFound += items.filter(other => {
+                if (other === items[i]) return false;
+                const dx = other.position.x - center.x;
+                const dy = other.position.y - center.y;
+                const dz = other.position.z - center.z;
+                return dx * dx + dy * dy + dz * dz <= radiusSq;
+            }).length;
+        }
+        const bruteTime = now() - start;
+        
+        const stats = hash.getStats();
+        results.push({
+            npcs: count,
+            buildMs: Number(buildTime.toFixed(3)),
+            hashedQueryUs: Number((hashedTime / queryCount * 1000).toFixed(2)),
+            bruteQueryUs: Number((bruteTime / queryCount * 1000).toFixed(2)),
+            speedup: Number((bruteTime / Math.max(hashedTime, 1e-6)).toFixed(1)),
+            candidatesPerQuery: Number((stats.candidatesChecked / queryCount).toFixed(1)),
+            neighboursPerQuery: Number((hashedFound / queryCount).toFixed(1)),
+            matchesBruteForce: hashedFound === bruteFound
+        });
+    }
+
+    return results;
+}
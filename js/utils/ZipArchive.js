@@ -0,0 +1,106 @@
+// utils/ZipArchive.js - Minimal read-only zip archive for imported scenario packages
+// Reads the central directory and inflates entries with the platform's DecompressionStream,
+// so packages zipped by any desktop tool (stored or deflated entries) open without a library.
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+export class ZipArchive {
+    constructor(bytes, entries, name = 'archive.zip') {
+        this.bytes = bytes;
+        this.entries = entries; // path -> { flags, method, compressedSize, size, headerOffset }
+        this.name = name;
+    }
+
+    static fromArrayBuffer(buffer, name = 'archive.zip') {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        
+        // The end record sits in the last 22 bytes, pushed back by an optional comment of up to 64 KiB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error(`${name} is not a zip file`);
+        }
+        
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (count === 0xffff || offset === 0xffffffff) {
+            throw new Error(`${name} is a zip64 archive, which is not supported`);
+        }
+        
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+                throw new Error(`${name} has a damaged file list`);
+            }
+            
+            const nameLength = view.getUint16(offset + 28, true);
+            const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            if (!path.endsWith('/')) {
+                entries.set(path, {
+                    flags: view.getUint16(offset + 8, true),
+                    method: view.getUint16(offset + 10, true),
+                    compressedSize: view.getUint32(offset + 20, true),
+                    size: view.getUint32(offset + 24, true),
+                    headerOffset: view.getUint32(offset + 42, true)
+                });
+            }
+            
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+        
+        return new ZipArchive(bytes, entries, name);
+    }
+
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    getPaths() {
+        return Array.from(this.entries.keys());
+    }
+
+    async getBytes(path) {
+        const entry = this.entries.get(path);
+        if (!entry) {
+            throw new Error(`${this.name} has no file ${path}`);
+        }
+        if (entry.flags & 1) {
+            throw new Error(`${path} in ${this.name} is encrypted`);
+        }
+        
+        // Sizes come from the central directory: local headers may leave them to a trailing descriptor
+        const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        if (view.getUint32(entry.headerOffset, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`${path} in ${this.name} is damaged`);
+        }
+        const start = entry.headerOffset + 30 + view.getUint16(entry.headerOffset + 26, true) + view.getUint16(entry.headerOffset + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+        
+        if (entry.method === STORED) {
+            return data.slice();
+        }
+        if (entry.method === DEFLATED) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        throw new Error(`${path} in ${this.name} uses an unsupported compression method (${entry.method})`);
+    }
+
+    async getText(path) {
+        return new TextDecoder().decode(await this.getBytes(path));
+    }
+
+    async getBlob(path, type = '') {
+        return new Blob([await this.getBytes(path)], { type });
+    }
+}
@@ -0,0 +1,358 @@
+// scripts/simulate.js - Headless balance runner: plays N games under Node and reports outcome distributions
+//
+// Usage: node scripts/simulate.js [options]
+//   --games N          Number of games to play (default 20)
+//   --seed S           Seed of the first game, game i uses S + i (default 1)
+//   --policy P         Player policy: idle, random or scripted (default scripted)
+//   --max-time T       Simulated seconds before a game counts as TIMEOUT (default 600)
+//   --difficulty D     Difficulty preset: casual, normal or doomscroll (default params.DIFFICULTY_PRESET)
+//   --set KEY=VALUE    Override a params.js value, repeatable (e.g. --set OUTRAGE_INCREASE_RATE=3)
+//   --ideologies FILE  Ideology data file (default public/data/ideologies.json)
+//   --scenario PATH    Scenario package: a folder holding scenario.json, or a .zip (see js/utils/ScenarioPackage.js)
+//   --out PATH         Output prefix, writes PATH.json and PATH.csv (default simulation-results)
+//   --verbose          Keep the game's console logs
+import * as THREE from 'three';
+import { existsSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { GameEngine } from '../js/core/GameEngine.js';
+import { serviceContainer } from '../js/core/ServiceContainer.js';
+import { eventManager } from '../js/core/EventManager.js';
+import { randomService } from '../js/core/RandomService.js';
+import { ideologyRegistry } from '../js/core/IdeologyRegistry.js';
+import { GameStateSystem } from '../js/systems/GameStateSystem.js';
+import { PlayerSystem } from '../js/systems/PlayerSystem.js';
+import { NPCSystem } from '../js/systems/NPCSystem.js';
+import { PoliceSystem } from '../js/systems/PoliceSystem.js';
+import { MaskPickupSystem } from '../js/systems/MaskPickupSystem.js';
+import { DifficultySystem } from '../js/systems/DifficultySystem.js';
+import { ScenarioPackage } from '../js/utils/ScenarioPackage.js';
+import { params } from '../js/params.js';
+
+// Game modules expect THREE as a global, as in the browser build
+globalThis.THREE = THREE;
+
+function parseArgs(argv) {
+    const options = {
+        games: 20,
+        seed: 1,
+        policy: 'scripted',
+        maxTime: 600,
+        difficulty: null,   // params.DIFFICULTY_PRESET once the scenario is applied
+        overrides: {},
+        ideologies: new URL('../public/data/ideologies.json', import.meta.url),
+        scenario: null,
+        out: 'simulation-results',
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--games': options.games = parseInt(argv[++i], 10); break;
+            case '--seed': options.seed = parseInt(argv[++i], 10); break;
+            case '--policy': options.policy = argv[++i]; break;
+            case '--max-time': options.maxTime = parseFloat(argv[++i]); break;
+            case '--difficulty': options.difficulty = argv[++i]; break;
+            case '--out': options.out = argv[++i]; break;
+            case '--ideologies': options.ideologies = argv[++i]; break;
+            case '--scenario': options.scenario = argv[++i]; break;
+            case '--verbose': options.verbose = true; break;
+            case '--set': {
+                const [key, value] = (argv[++i] || '').split('=');
+                if (!(key in params)) {
+                    throw new Error(`Unknown parameter: ${key}`);
+                }
+                options.overrides[key] = typeof params[key] === 'boolean' ? value === 'true' : Number(value);
+                break;
+            }
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!POLICIES[options.policy]) {
+        throw new Error(`Unknown policy: ${options.policy} (expected ${Object.keys(POLICIES).join(', ')})`);
+    }
+
+    if (options.difficulty !== null && !params.DIFFICULTY_PRESETS[options.difficulty]) {
+        throw new Error(`Unknown difficulty: ${options.difficulty} (expected ${Object.keys(params.DIFFICULTY_PRESETS).join(', ')})`);
+    }
+
+    return options;
+}
+
+// Turn a world-space target into the screen-relative input PlayerSystem expects
+function steerTowards(target, player) {
+    const playerPosition = player.getPlayerPosition();
+    const normal = playerPosition.clone().normalize();
+    const direction = target.clone().sub(playerPosition);
+    direction.addScaledVector(normal, -direction.dot(normal));
+    if (direction.lengthSq() < 0.01) return { x: 0, y: 0 };
+    direction.normalize();
+    
+    // Q (+x) moves left, Z (+y) moves forward
+    const { right, forward } = player.getMovementAxes();
+    return { x: -direction.dot(right), y: direction.dot(forward) };
+}
+
+// Player policies: act(context, deltaTime) drives the scripted input once per frame
+const POLICIES = {
+    // Never moves nor wears a mask: baseline for outrage decay and police pressure
+    idle: () => ({
+        act() {}
+    }),
+
+    // Wanders and swaps masks at random
+    random: (random) => {
+        let timer = 0;
+        return {
+            act({ input, gameState }, deltaTime) {
+                timer -= deltaTime;
+                if (timer > 0) return;
+                timer = random.range(1, 3);
+                
+                const angle = random.range(0, Math.PI * 2);
+                input.setMovement(Math.cos(angle), Math.sin(angle));
+                
+                if (random.chance(0.3)) {
+                    const mask = random.pick([null, ...gameState.getUnlockedMasks()]);
+                    input.pressKey(mask === null ? 'escape' : ideologyRegistry.get(mask).key);
+                }
+            }
+        };
+    },
+
+    // Crowd hopper: puts on an unlocked mask, walks to that ideology's crowd, moves on after a while
+    scripted: (random) => {
+        let targetMask = null;
+        let dwellTimer = 0;
+        return {
+            act({ input, gameState, player, npcSystem }, deltaTime) {
+                dwellTimer -= deltaTime;
+                if (dwellTimer <= 0 || gameState.kickoutWarningActive) {
+                    const choices = gameState.getUnlockedMasks().filter(mask => mask !== targetMask);
+                    targetMask = random.pick(choices) ?? targetMask;
+                    dwellTimer = random.range(8, 20);
+                }
+                
+                if (targetMask !== null && gameState.currentMask !== targetMask) {
+                    input.pressKey(ideologyRegistry.get(targetMask).key);
+                }
+                
+                const crowd = npcSystem.getNPCs().filter(npc => npc.maskType === targetMask);
+                if (crowd.length === 0) {
+                    input.setMovement(0, 0);
+                    return;
+                }
+                
+                const center = new THREE.Vector3();
+                for (const npc of crowd) {
+                    center.add(npc.transform.position);
+                }
+                center.divideScalar(crowd.length);
+                
+                const steering = steerTowards(center, player);
+                input.setMovement(steering.x, steering.y);
+            }
+        };
+    }
+};
+
+// Package files are read from disk; paths it does not hold fall back to public/, as in the browser
+async function loadScenario(path) {
+    const publicDirectory = new URL('../public/', import.meta.url);
+    const assetExists = async (file) => existsSync(new URL(file, publicDirectory));
+
+    if (statSync(path).isFile()) {
+        return ScenarioPackage.fromZip(readFileSync(path), basename(path), { assetExists });
+    }
+
+    return ScenarioPackage.load({
+        name: path,
+        imported: false,
+        has: async (file) => existsSync(join(path, file)),
+        readText: async (file) => readFileSync(join(path, file), 'utf8'),
+        getURL: async (file) => join(path, file)
+    }, { assetExists });
+}
+
+async function playGame(seed, options, scenario) {
+    randomService.setSeed(seed);
+
+    const engine = new GameEngine({ headless: true });
+    if (scenario) {
+        serviceContainer.registerInstance('scenario', scenario);
+    }
+    serviceContainer.registerSingleton('gameStateSystem', GameStateSystem);
+    serviceContainer.registerSingleton('playerSystem', PlayerSystem);
+    serviceContainer.registerSingleton('npcSystem', NPCSystem);
+    serviceContainer.registerSingleton('policeSystem', PoliceSystem);
+    serviceContainer.registerSingleton('maskPickupSystem', MaskPickupSystem);
+    serviceContainer.registerSingleton('difficultySystem', DifficultySystem);
+
+    // Same priorities as main.js, without the presentation-only systems
+    engine.registerSystem('gameState', serviceContainer.resolve('gameStateSystem'), 10);
+    engine.registerSystem('difficulty', serviceContainer.resolve('difficultySystem'), 15);
+    engine.registerSystem('player', serviceContainer.resolve('playerSystem'), 20);
+    engine.registerSystem('npc', serviceContainer.resolve('npcSystem'), 30);
+    engine.registerSystem('maskPickup', serviceContainer.resolve('maskPickupSystem'), 35);
+    engine.registerSystem('police', serviceContainer.resolve('policeSystem'), 40);
+
+    await engine.initialize();
+
+    const context = {
+        input: serviceContainer.resolve('inputManager'),
+        gameState: serviceContainer.resolve('gameStateSystem'),
+        player: serviceContainer.resolve('playerSystem'),
+        npcSystem: serviceContainer.resolve('npcSystem')
+    };
+    const policy = POLICIES[options.policy](randomService.stream('policy'));
+
+    const stepSize = params.PHYSICS_STEP_SIZE;
+    const { gameState } = context;
+    let peakOutrage = 0;
+    let outrageSum = 0;
+    let steps = 0;
+
+    while (!gameState.isGameOver && gameState.gameTime < options.maxTime) {
+        policy.act(context, stepSize);
+        engine.step(stepSize);
+        
+        peakOutrage = Math.max(peakOutrage, gameState.outrage);
+        outrageSum += gameState.outrage;
+        steps++;
+    }
+
+    const result = {
+        seed: seed,
+        ending: gameState.endReason || 'TIMEOUT',
+        gameTime: gameState.gameTime,
+        score: gameState.getScore(),
+        finalOutrage: gameState.outrage,
+        peakOutrage: peakOutrage,
+        meanOutrage: steps > 0 ? outrageSum / steps : 0,
+        finalEnergy: gameState.energy,
+        polarisedPeople: gameState.polarisedPeople,
+        unlockedMasks: gameState.getUnlockedMasks().length
+    };
+
+    engine.shutdown();
+    eventManager.clearAllListeners();
+
+    return result;
+}
+
+// Summary statistics of one numeric column
+function describe(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const quantile = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+
+    return {
+        min: sorted[0],
+        p10: quantile(0.1),
+        median: quantile(0.5),
+        mean: mean,
+        p90: quantile(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Counts per bucket of `width`, keyed by the bucket's lower bound
+function histogram(values, width) {
+    const buckets = {};
+    for (const value of values) {
+        const bucket = Math.floor(value / width) * width;
+        buckets[bucket] = (buckets[bucket] || 0) + 1;
+    }
+    return buckets;
+}
+
+function summarize(results, options) {
+    const column = (key) => results.map(result => result[key]);
+    const endings = {};
+    for (const result of results) {
+        endings[result.ending] = (endings[result.ending] || 0) + 1;
+    }
+
+    return {
+        games: results.length,
+        policy: options.policy,
+        difficulty: options.difficulty,
+        firstSeed: options.seed,
+        maxTime: options.maxTime,
+        overrides: options.overrides,
+        ideologies: ideologyRegistry.source,
+        scenario: params.SCENARIO_ID || null,
+        endings: endings,
+        stats: {
+            gameTime: describe(column('gameTime')),
+            score: describe(column('score')),
+            finalOutrage: describe(column('finalOutrage')),
+            peakOutrage: describe(column('peakOutrage')),
+            meanOutrage: describe(column('meanOutrage')),
+            finalEnergy: describe(column('finalEnergy')),
+            polarisedPeople: describe(column('polarisedPeople'))
+        },
+        distributions: {
+            finalOutrage: histogram(column('finalOutrage'), 10),
+            peakOutrage: histogram(column('peakOutrage'), 10),
+            finalEnergy: histogram(column('finalEnergy'), 10),
+            score: histogram(column('score'), 100)
+        },
+        results: results
+    };
+}
+
+function toCSV(results) {
+    const columns = Object.keys(results[0]);
+    const rows = results.map(result => columns.map(key => {
+        const value = result[key];
+        return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : value;
+    }).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // The package's params come first so --set still wins
+    const scenario = options.scenario ? await loadScenario(options.scenario) : null;
+    if (scenario) {
+        scenario.apply();
+    }
+    Object.assign(params, options.overrides);
+    options.difficulty = options.difficulty ?? params.DIFFICULTY_PRESET;
+    params.DIFFICULTY_PRESET = options.difficulty;
+
+    // No fetch of relative URLs under Node: the data file is read from disk, unless the scenario brought one
+    if (!ideologyRegistry.isLoaded()) {
+        ideologyRegistry.setData(JSON.parse(readFileSync(options.ideologies, 'utf8')), String(options.ideologies));
+    }
+
+    // The systems log generously; only our own progress lines go to the terminal
+    const log = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    const results = [];
+    const started = Date.now();
+    for (let i = 0; i < options.games; i++) {
+        const result = await playGame(options.seed + i, options, scenario);
+        results.push(result);
+        log(`🎲 Game ${i + 1}/${options.games} (seed ${result.seed}): ${result.ending} after ${result.gameTime.toFixed(1)}s, score ${result.score}, peak outrage ${result.peakOutrage.toFixed(1)}%`);
+    }
+
+    const summary = summarize(results, options);
+    writeFileSync(`${options.out}.json`, JSON.stringify(summary, null, 2));
+    writeFileSync(`${options.out}.csv`, toCSV(results));
+
+    log(`📊 Endings: ${Object.entries(summary.endings).map(([ending, count]) => `${ending} ${count}`).join(', ')}`);
+    log(`💾 Wrote ${options.out}.json and ${options.out}.csv in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+}
+
+main().catch((error) => {
+    console.error('❌ Simulation failed:', error);
+    process.exit(1);
+});